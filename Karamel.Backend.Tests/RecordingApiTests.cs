@@ -0,0 +1,297 @@
+using System;
+using System.IO;
+using System.Net;
+using System.Net.Http;
+using System.Net.Http.Headers;
+using System.Net.Http.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Xunit;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.Extensions.DependencyInjection;
+using Karamel.Backend.Services;
+
+namespace Karamel.Backend.Tests
+{
+    public class RecordingApiTests : IClassFixture<TestServerFactory>
+    {
+        private readonly TestServerFactory _factory;
+
+        public RecordingApiTests(TestServerFactory factory)
+        {
+            _factory = factory;
+        }
+
+        [Fact]
+        public async Task Post_Recording_Then_Get_Returns_Same_File_With_Its_Name()
+        {
+            var client = _factory.CreateDefaultClient();
+            var session = await CreateSessionAsync(client);
+            var bytes = new byte[] { 0x1A, 0x45, 0xDF, 0xA3, 1, 2, 3 };
+
+            using var form = CreateUploadForm(session.Id, bytes, "Alice - Queen - Bohemian Rhapsody.webm");
+            var resp = await PostRecordingAsync(client, form, session.linkToken);
+            Assert.Equal(HttpStatusCode.Created, resp.StatusCode);
+
+            var created = await resp.Content.ReadFromJsonAsync<UploadResponse>();
+            Assert.NotNull(created);
+            Assert.Equal("Alice - Queen - Bohemian Rhapsody.webm", created!.fileName);
+            Assert.Equal($"/api/recordings/{created.id}", created.downloadUrl);
+
+            var download = await client.GetAsync(created.downloadUrl);
+            download.EnsureSuccessStatusCode();
+            Assert.Equal("video/webm", download.Content.Headers.ContentType?.MediaType);
+            Assert.Equal(created.fileName, download.Content.Headers.ContentDisposition?.FileNameStar);
+            Assert.Equal(bytes, await download.Content.ReadAsByteArrayAsync());
+        }
+
+        [Fact]
+        public async Task Post_Recording_Without_Valid_Link_Token_Returns_Unauthorized()
+        {
+            var client = _factory.CreateDefaultClient();
+            var session = await CreateSessionAsync(client);
+            var other = await CreateSessionAsync(client);
+
+            using var withoutToken = CreateUploadForm(session.Id, new byte[] { 1 }, "song.webm");
+            var resp = await PostRecordingAsync(client, withoutToken, null);
+            Assert.Equal(HttpStatusCode.Unauthorized, resp.StatusCode);
+
+            // A token of another session does not open this one
+            using var otherToken = CreateUploadForm(session.Id, new byte[] { 1 }, "song.webm");
+            resp = await PostRecordingAsync(client, otherToken, other.linkToken);
+            Assert.Equal(HttpStatusCode.Unauthorized, resp.StatusCode);
+        }
+
+        [Fact]
+        public async Task Post_Recording_Over_The_Hourly_Limit_Returns_TooManyRequests()
+        {
+            using var factory = _factory.WithWebHostBuilder(builder =>
+                builder.UseSetting("Recordings:MaxUploadsPerHour", "1"));
+            var client = factory.CreateDefaultClient();
+            var session = await CreateSessionAsync(client);
+
+            using var first = CreateUploadForm(session.Id, new byte[] { 1 }, "song.webm");
+            Assert.Equal(HttpStatusCode.Created, (await PostRecordingAsync(client, first, session.linkToken)).StatusCode);
+
+            using var second = CreateUploadForm(session.Id, new byte[] { 1 }, "song.webm");
+            Assert.Equal(HttpStatusCode.TooManyRequests, (await PostRecordingAsync(client, second, session.linkToken)).StatusCode);
+        }
+
+        [Fact]
+        public async Task Post_Recording_For_Unknown_Session_Returns_NotFound()
+        {
+            var client = _factory.CreateDefaultClient();
+            var sessionId = Guid.NewGuid();
+            using var scope = _factory.Services.CreateScope();
+            var token = scope.ServiceProvider.GetRequiredService<ITokenService>().GenerateLinkToken(sessionId);
+
+            using var form = CreateUploadForm(sessionId, new byte[] { 1 }, "song.webm");
+            var resp = await PostRecordingAsync(client, form, token);
+            Assert.Equal(HttpStatusCode.NotFound, resp.StatusCode);
+        }
+
+        [Fact]
+        public async Task Post_Recording_Without_File_Returns_BadRequest()
+        {
+            var client = _factory.CreateDefaultClient();
+            var session = await CreateSessionAsync(client);
+
+            using var form = new MultipartFormDataContent();
+            form.Add(new StringContent(session.Id.ToString()), "sessionId");
+
+            var resp = await PostRecordingAsync(client, form, session.linkToken);
+            Assert.Equal(HttpStatusCode.BadRequest, resp.StatusCode);
+        }
+
+        [Fact]
+        public async Task Get_Unknown_Recording_Returns_NotFound()
+        {
+            var client = _factory.CreateDefaultClient();
+
+            var resp = await client.GetAsync($"/api/recordings/{Guid.NewGuid()}");
+            Assert.Equal(HttpStatusCode.NotFound, resp.StatusCode);
+        }
+
+        [Fact]
+        public async Task DeleteExpired_Removes_Recordings_Past_Retention()
+        {
+            var root = CreateTempRoot();
+            var store = new RecordingStore(root, TimeSpan.FromHours(1), 1024, 1024);
+            try
+            {
+                using var content = new MemoryStream(new byte[] { 1, 2, 3 });
+                var saved = await store.SaveAsync(Guid.NewGuid(), "song.webm", 3, content);
+                Assert.NotNull(saved);
+
+                Assert.Equal(0, store.DeleteExpired(DateTime.UtcNow));
+                Assert.NotNull(store.Get(saved!.Id));
+
+                Assert.Equal(1, store.DeleteExpired(DateTime.UtcNow.AddHours(2)));
+                Assert.Null(store.Get(saved.Id));
+                Assert.Empty(Directory.EnumerateFileSystemEntries(root));
+            }
+            finally
+            {
+                if (Directory.Exists(root)) Directory.Delete(root, recursive: true);
+            }
+        }
+
+        [Fact]
+        public async Task SaveAsync_Refuses_Recordings_Over_The_Session_Or_Total_Quota()
+        {
+            var root = CreateTempRoot();
+            var store = new RecordingStore(root, TimeSpan.FromHours(1), maxBytesPerSession: 5, maxTotalBytes: 8);
+            var first = Guid.NewGuid();
+            var second = Guid.NewGuid();
+            try
+            {
+                Assert.NotNull(await store.SaveAsync(first, "a.webm", 4, new MemoryStream(new byte[4])));
+                // The session has 1 byte left
+                Assert.Null(await store.SaveAsync(first, "b.webm", 2, new MemoryStream(new byte[2])));
+                Assert.NotNull(await store.SaveAsync(second, "c.webm", 4, new MemoryStream(new byte[4])));
+                // The server is full
+                Assert.Null(await store.SaveAsync(Guid.NewGuid(), "d.webm", 1, new MemoryStream(new byte[1])));
+            }
+            finally
+            {
+                if (Directory.Exists(root)) Directory.Delete(root, recursive: true);
+            }
+        }
+
+        [Fact]
+        public async Task DeleteExpired_Frees_The_Quota()
+        {
+            var root = CreateTempRoot();
+            var store = new RecordingStore(root, TimeSpan.FromHours(1), maxBytesPerSession: 4, maxTotalBytes: 4);
+            var sessionId = Guid.NewGuid();
+            try
+            {
+                Assert.NotNull(await store.SaveAsync(sessionId, "a.webm", 4, new MemoryStream(new byte[4])));
+                Assert.Null(await store.SaveAsync(sessionId, "b.webm", 4, new MemoryStream(new byte[4])));
+
+                store.DeleteExpired(DateTime.UtcNow.AddHours(2));
+                Assert.NotNull(await store.SaveAsync(sessionId, "b.webm", 4, new MemoryStream(new byte[4])));
+            }
+            finally
+            {
+                if (Directory.Exists(root)) Directory.Delete(root, recursive: true);
+            }
+        }
+
+        [Fact]
+        public async Task New_Store_Keeps_Recordings_And_Quota_From_Before_A_Restart()
+        {
+            var root = CreateTempRoot();
+            var sessionId = Guid.NewGuid();
+            try
+            {
+                var saved = await new RecordingStore(root, TimeSpan.FromHours(1), 4, 1024)
+                    .SaveAsync(sessionId, "song.webm", 4, new MemoryStream(new byte[4]));
+                // An upload that was cut off by a crash
+                var partial = Path.Combine(root, sessionId.ToString("N"), Guid.NewGuid().ToString("N"));
+                Directory.CreateDirectory(partial);
+                File.WriteAllBytes(Path.Combine(partial, "upload.part"), new byte[] { 1 });
+
+                var store = new RecordingStore(root, TimeSpan.FromHours(1), 4, 1024);
+
+                Assert.Equal("song.webm", store.Get(saved!.Id)?.FileName);
+                Assert.False(Directory.Exists(partial));
+                Assert.Null(await store.SaveAsync(sessionId, "more.webm", 1, new MemoryStream(new byte[1])));
+            }
+            finally
+            {
+                if (Directory.Exists(root)) Directory.Delete(root, recursive: true);
+            }
+        }
+
+        [Fact]
+        public async Task SaveAsync_Leaves_Nothing_Behind_When_The_Upload_Fails()
+        {
+            var root = CreateTempRoot();
+            var store = new RecordingStore(root, TimeSpan.FromHours(1), 1024, 1024);
+            try
+            {
+                using var content = new FailingStream(new byte[] { 1, 2, 3 });
+                await Assert.ThrowsAsync<IOException>(() => store.SaveAsync(Guid.NewGuid(), "song.webm", 3, content));
+
+                Assert.Empty(Directory.EnumerateFiles(root, "*", SearchOption.AllDirectories));
+                // The failed upload no longer counts against the quota
+                Assert.NotNull(await store.SaveAsync(Guid.NewGuid(), "song.webm", 1024, new MemoryStream(new byte[1024])));
+            }
+            finally
+            {
+                if (Directory.Exists(root)) Directory.Delete(root, recursive: true);
+            }
+        }
+
+        [Theory]
+        [InlineData("Alice - Queen - Bohemian Rhapsody.webm", "Alice - Queen - Bohemian Rhapsody.webm")]
+        [InlineData("../../etc/passwd", "passwd.webm")]
+        [InlineData("..\\secret.webm", "secret.webm")]
+        [InlineData("", "recording.webm")]
+        [InlineData(null, "recording.webm")]
+        public void SanitizeFileName_Keeps_A_Safe_WebM_Name(string? fileName, string expected)
+        {
+            Assert.Equal(expected, RecordingStore.SanitizeFileName(fileName));
+        }
+
+        /// <summary>
+        /// Stream that breaks after its first bytes, like a dropped upload
+        /// </summary>
+        private class FailingStream : MemoryStream
+        {
+            private bool _read;
+
+            public FailingStream(byte[] buffer) : base(buffer) { }
+
+            public override int Read(byte[] buffer, int offset, int count)
+            {
+                if (_read) throw new IOException("Connection reset");
+                _read = true;
+                return base.Read(buffer, offset, count);
+            }
+
+            public override async ValueTask<int> ReadAsync(Memory<byte> buffer, CancellationToken cancellationToken = default)
+            {
+                if (_read) throw new IOException("Connection reset");
+                _read = true;
+                return await base.ReadAsync(buffer, cancellationToken);
+            }
+        }
+
+        private static string CreateTempRoot()
+        {
+            return Path.Combine(Path.GetTempPath(), "karamel-recordings-test-" + Guid.NewGuid().ToString("N"));
+        }
+
+        private static async Task<CreateResponse> CreateSessionAsync(HttpClient client)
+        {
+            var resp = await client.PostAsJsonAsync("/api/sessions", new { RequireSingerName = false, PauseBetweenSongsSeconds = 0 });
+            resp.EnsureSuccessStatusCode();
+            return (await resp.Content.ReadFromJsonAsync<CreateResponse>())!;
+        }
+
+        private static MultipartFormDataContent CreateUploadForm(Guid sessionId, byte[] bytes, string fileName)
+        {
+            var form = new MultipartFormDataContent();
+            form.Add(new StringContent(sessionId.ToString()), "sessionId");
+            var file = new ByteArrayContent(bytes);
+            file.Headers.ContentType = new MediaTypeHeaderValue("video/webm");
+            form.Add(file, "file", fileName);
+            return form;
+        }
+
+        private static Task<HttpResponseMessage> PostRecordingAsync(HttpClient client, HttpContent form, string? linkToken)
+        {
+            var request = new HttpRequestMessage(HttpMethod.Post, "/api/recordings") { Content = form };
+            if (linkToken != null)
+            {
+                request.Headers.Add("X-Link-Token", linkToken);
+            }
+            return client.SendAsync(request);
+        }
+
+        private record CreateResponse(Guid Id, string linkToken);
+        private record UploadResponse(Guid id, string fileName, long size, string downloadUrl, DateTime expiresAt);
+    }
+}
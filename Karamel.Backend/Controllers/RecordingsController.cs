@@ -0,0 +1,64 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
+using Karamel.Backend.Repositories;
+using Karamel.Backend.Services;
+
+namespace Karamel.Backend.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    public class RecordingsController : ControllerBase
+    {
+        // A four-minute song recorded at full HD is around 100 MB
+        public const long MaxRecordingBytes = 500L * 1024 * 1024;
+        public const string UploadRateLimitPolicy = "recording-uploads";
+
+        private readonly IRecordingStore _store;
+        private readonly ISessionRepository _sessions;
+        private readonly ITokenService _tokenService;
+
+        public RecordingsController(IRecordingStore store, ISessionRepository sessions, ITokenService tokenService)
+        {
+            _store = store;
+            _sessions = sessions;
+            _tokenService = tokenService;
+        }
+
+        /// <summary>
+        /// Uploads a recording for an active session; the X-Link-Token header must hold the session's link token.
+        /// </summary>
+        [HttpPost]
+        [EnableRateLimiting(UploadRateLimitPolicy)]
+        [RequestSizeLimit(MaxRecordingBytes)]
+        [RequestFormLimits(MultipartBodyLengthLimit = MaxRecordingBytes)]
+        public async Task<IActionResult> Upload(
+            [FromForm] Guid sessionId,
+            IFormFile file,
+            [FromHeader(Name = "X-Link-Token")] string? linkToken,
+            CancellationToken cancellationToken)
+        {
+            if (file == null || file.Length == 0) return BadRequest();
+            if (string.IsNullOrEmpty(linkToken) || !_tokenService.ValidateLinkToken(sessionId, linkToken)) return Unauthorized();
+
+            var session = await _sessions.GetByIdAsync(sessionId);
+            if (session == null || (session.ExpiresAt.HasValue && session.ExpiresAt.Value <= DateTime.UtcNow)) return NotFound();
+
+            await using var content = file.OpenReadStream();
+            var recording = await _store.SaveAsync(sessionId, file.FileName, file.Length, content, cancellationToken);
+            if (recording == null) return StatusCode(StatusCodes.Status507InsufficientStorage);
+
+            // Built by hand, as routes from [controller] keep the class name's capital letter
+            var downloadUrl = $"{Request.PathBase}/api/recordings/{recording.Id}";
+            return Created(downloadUrl,
+                new { recording.Id, recording.FileName, recording.Size, downloadUrl, recording.ExpiresAt });
+        }
+
+        [HttpGet("{id:guid}")]
+        public IActionResult Download(Guid id)
+        {
+            var recording = _store.Get(id);
+            if (recording == null) return NotFound();
+            return PhysicalFile(recording.FilePath, "video/webm", recording.FileName, enableRangeProcessing: true);
+        }
+    }
+}
@@ -1,5 +1,7 @@
 using Microsoft.EntityFrameworkCore;
 using Microsoft.AspNetCore.SignalR;
+using Microsoft.AspNetCore.RateLimiting;
+using System.Threading.RateLimiting;
 
 var builder = WebApplication.CreateBuilder(args);
 // Configure EF Core DbContext with provider-agnostic options
@@ -59,6 +61,28 @@ if (tokenSecret.Length < 32)
 }
 
 builder.Services.AddSingleton<Karamel.Backend.Services.ITokenService>(_ => new Karamel.Backend.Services.TokenService(tokenSecret));
+// Performance recordings uploaded by the player for singers to fetch by QR code
+var recordingsPath = builder.Configuration["Recordings:Path"] ?? Path.Combine(Path.GetTempPath(), "karamel-recordings");
+var recordingRetentionHours = builder.Configuration.GetValue("Recordings:RetentionHours", 24);
+var recordingMaxMbPerSession = builder.Configuration.GetValue("Recordings:MaxMegabytesPerSession", 2048L);
+var recordingMaxTotalMb = builder.Configuration.GetValue("Recordings:MaxTotalMegabytes", 20480L);
+builder.Services.AddSingleton<Karamel.Backend.Services.IRecordingStore>(_ =>
+    new Karamel.Backend.Services.RecordingStore(recordingsPath, TimeSpan.FromHours(recordingRetentionHours),
+        recordingMaxMbPerSession * 1024 * 1024, recordingMaxTotalMb * 1024 * 1024));
+// Limit recording uploads per client address, on top of the storage quotas
+var recordingUploadsPerHour = builder.Configuration.GetValue("Recordings:MaxUploadsPerHour", 30);
+builder.Services.AddRateLimiter(options =>
+{
+    options.RejectionStatusCode = StatusCodes.Status429TooManyRequests;
+    options.AddPolicy(Karamel.Backend.Controllers.RecordingsController.UploadRateLimitPolicy, context =>
+        RateLimitPartition.GetFixedWindowLimiter(
+            context.Connection.RemoteIpAddress?.ToString() ?? "unknown",
+            _ => new FixedWindowRateLimiterOptions
+            {
+                PermitLimit = recordingUploadsPerHour,
+                Window = TimeSpan.FromHours(1)
+            }));
+});
 // Add SignalR and register hub filter globally
 builder.Services.AddSignalR(options =>
 {
@@ -99,6 +123,8 @@ if (app.Environment.IsDevelopment())
 app.MapGet("/health", () => Results.Text("Healthy", "text/plain"))
     .WithName("Health");
 
+app.UseRateLimiter();
+
 // Map controller routes (API endpoints)
 app.MapControllers();
 
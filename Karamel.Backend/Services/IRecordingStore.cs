@@ -0,0 +1,20 @@
+namespace Karamel.Backend.Services
+{
+    /// <summary>
+    /// Keeps performance recordings uploaded by the player, so singers can fetch them on their phone
+    /// through a QR code. Recordings belong to the session that uploaded them, count against a storage
+    /// quota per session and overall, and are removed after a retention period.
+    /// </summary>
+    public interface IRecordingStore
+    {
+        /// <summary>
+        /// Saves a recording of <paramref name="length"/> bytes; returns null if the session or the
+        /// server has no room left for it.
+        /// </summary>
+        Task<StoredRecording?> SaveAsync(Guid sessionId, string fileName, long length, Stream content, CancellationToken cancellationToken = default);
+        StoredRecording? Get(Guid id);
+        int DeleteExpired(DateTime now);
+    }
+
+    public record StoredRecording(Guid Id, Guid SessionId, string FileName, string FilePath, long Size, DateTime ExpiresAt);
+}
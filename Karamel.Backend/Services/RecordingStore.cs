@@ -0,0 +1,205 @@
+namespace Karamel.Backend.Services
+{
+    /// <summary>
+    /// Stores recordings on local disk as {root}/{session}/{recording}/{file name}, one folder per
+    /// recording so the file keeps the name it was uploaded with (singer, artist and title).
+    /// The recordings and the bytes they use are kept in memory, read from disk once at startup,
+    /// so uploads and downloads do not scan the folders.
+    /// </summary>
+    public class RecordingStore : IRecordingStore
+    {
+        private const string DefaultFileName = "recording.webm";
+        // Uploads are written under this name and renamed once complete, so a partial file is never served
+        private const string PartialFileName = "upload.part";
+
+        private readonly string _root;
+        private readonly TimeSpan _retention;
+        private readonly long _maxBytesPerSession;
+        private readonly long _maxTotalBytes;
+
+        // Stored recordings by id, and bytes used per session and overall, including uploads in
+        // progress so parallel uploads cannot pass the quota together
+        private readonly Dictionary<Guid, StoredRecording> _recordings = new();
+        private readonly Dictionary<Guid, long> _sessionBytes = new();
+        private long _totalBytes;
+        private readonly object _lock = new();
+
+        public RecordingStore(string root, TimeSpan retention, long maxBytesPerSession, long maxTotalBytes)
+        {
+            if (string.IsNullOrWhiteSpace(root)) throw new ArgumentNullException(nameof(root));
+            _root = root;
+            _retention = retention;
+            _maxBytesPerSession = maxBytesPerSession;
+            _maxTotalBytes = maxTotalBytes;
+            LoadExisting();
+        }
+
+        public async Task<StoredRecording?> SaveAsync(Guid sessionId, string fileName, long length, Stream content, CancellationToken cancellationToken = default)
+        {
+            if (!TryReserve(sessionId, length)) return null;
+
+            var id = Guid.NewGuid();
+            var folder = Path.Combine(SessionFolder(sessionId), id.ToString("N"));
+            FileInfo file;
+            try
+            {
+                Directory.CreateDirectory(folder);
+                var partialPath = Path.Combine(folder, PartialFileName);
+                var path = Path.Combine(folder, SanitizeFileName(fileName));
+                await using (var stream = File.Create(partialPath))
+                {
+                    await content.CopyToAsync(stream, cancellationToken);
+                }
+                File.Move(partialPath, path);
+                file = new FileInfo(path);
+            }
+            catch
+            {
+                // A cancelled or failed upload leaves nothing behind
+                if (Directory.Exists(folder)) Directory.Delete(folder, recursive: true);
+                lock (_lock)
+                {
+                    AddBytes(sessionId, -length);
+                }
+                throw;
+            }
+
+            var recording = ToRecording(id, sessionId, file);
+            lock (_lock)
+            {
+                // The quota was reserved for the declared length; count what was written
+                AddBytes(sessionId, recording.Size - length);
+                _recordings[id] = recording;
+            }
+            return recording;
+        }
+
+        public StoredRecording? Get(Guid id)
+        {
+            lock (_lock)
+            {
+                return _recordings.TryGetValue(id, out var recording) && recording.ExpiresAt > DateTime.UtcNow
+                    ? recording
+                    : null;
+            }
+        }
+
+        public int DeleteExpired(DateTime now)
+        {
+            List<StoredRecording> expired;
+            lock (_lock)
+            {
+                expired = _recordings.Values.Where(r => r.ExpiresAt <= now).ToList();
+                foreach (var recording in expired)
+                {
+                    _recordings.Remove(recording.Id);
+                    AddBytes(recording.SessionId, -recording.Size);
+                }
+            }
+
+            foreach (var recording in expired)
+            {
+                var folder = Path.GetDirectoryName(recording.FilePath)!;
+                if (Directory.Exists(folder)) Directory.Delete(folder, recursive: true);
+
+                var sessionFolder = SessionFolder(recording.SessionId);
+                try
+                {
+                    if (Directory.Exists(sessionFolder) && !Directory.EnumerateFileSystemEntries(sessionFolder).Any())
+                    {
+                        Directory.Delete(sessionFolder);
+                    }
+                }
+                catch (IOException)
+                {
+                    // The session uploaded another recording in the meantime
+                }
+            }
+            return expired.Count;
+        }
+
+        /// <summary>
+        /// Keeps the file name only, without characters the file system does not allow, as a .webm file.
+        /// </summary>
+        public static string SanitizeFileName(string? fileName)
+        {
+            var name = Path.GetFileName((fileName ?? string.Empty).Replace('\\', '/'));
+            foreach (var c in Path.GetInvalidFileNameChars())
+            {
+                name = name.Replace(c, '_');
+            }
+
+            name = name.Trim().TrimStart('.');
+            if (string.IsNullOrEmpty(name)) return DefaultFileName;
+            return name.EndsWith(".webm", StringComparison.OrdinalIgnoreCase) ? name : name + ".webm";
+        }
+
+        private bool TryReserve(Guid sessionId, long length)
+        {
+            lock (_lock)
+            {
+                var sessionBytes = _sessionBytes.GetValueOrDefault(sessionId);
+                if (sessionBytes + length > _maxBytesPerSession || _totalBytes + length > _maxTotalBytes) return false;
+
+                AddBytes(sessionId, length);
+                return true;
+            }
+        }
+
+        // Callers hold _lock
+        private void AddBytes(Guid sessionId, long bytes)
+        {
+            _totalBytes += bytes;
+            var remaining = _sessionBytes.GetValueOrDefault(sessionId) + bytes;
+            if (remaining > 0)
+            {
+                _sessionBytes[sessionId] = remaining;
+            }
+            else
+            {
+                _sessionBytes.Remove(sessionId);
+            }
+        }
+
+        /// <summary>
+        /// Reads the recordings kept from before a restart, and removes uploads a crash left unfinished.
+        /// </summary>
+        private void LoadExisting()
+        {
+            if (!Directory.Exists(_root)) return;
+
+            foreach (var sessionFolder in Directory.EnumerateDirectories(_root))
+            {
+                if (!Guid.TryParseExact(Path.GetFileName(sessionFolder), "N", out var sessionId)) continue;
+
+                foreach (var folder in Directory.EnumerateDirectories(sessionFolder).ToList())
+                {
+                    var file = FindFile(folder);
+                    if (file == null || !Guid.TryParseExact(Path.GetFileName(folder), "N", out var id))
+                    {
+                        Directory.Delete(folder, recursive: true);
+                        continue;
+                    }
+
+                    var recording = ToRecording(id, sessionId, file);
+                    _recordings[id] = recording;
+                    AddBytes(sessionId, recording.Size);
+                }
+            }
+        }
+
+        private string SessionFolder(Guid sessionId) => Path.Combine(_root, sessionId.ToString("N"));
+
+        private StoredRecording ToRecording(Guid id, Guid sessionId, FileInfo file)
+        {
+            return new StoredRecording(id, sessionId, file.Name, file.FullName, file.Length, file.LastWriteTimeUtc + _retention);
+        }
+
+        private static FileInfo? FindFile(string folder)
+        {
+            // Only finished uploads have the .webm name
+            var path = Directory.EnumerateFiles(folder, "*.webm").FirstOrDefault();
+            return path == null ? null : new FileInfo(path);
+        }
+    }
+}
@@ -8,7 +8,8 @@ using Microsoft.AspNetCore.SignalR;
 namespace Karamel.Backend.Services
 {
     /// <summary>
-    /// Background service that periodically removes expired sessions and notifies connected clients.
+    /// Background service that periodically removes expired sessions and notifies connected clients,
+    /// and removes performance recordings past their retention period.
     /// The core cleanup logic is exposed via <see cref="CleanupOnceAsync"/> to allow deterministic testing.
     /// </summary>
     public class SessionCleanupService : BackgroundService
@@ -52,6 +53,7 @@ namespace Karamel.Backend.Services
         /// Performs one cleanup pass. This method is public to allow unit/integration tests to invoke cleanup deterministically.
         /// It finds sessions with ExpiresAt <= UtcNow and deletes them from repository. For each deleted session it broadcasts
         /// a "ReceiveSessionEnded" message to the SignalR group so clients can handle termination gracefully.
+        /// Recordings past their retention period are deleted in the same pass.
         /// </summary>
         public async Task CleanupOnceAsync(CancellationToken cancellationToken = default)
         {
@@ -81,6 +83,23 @@ namespace Karamel.Backend.Services
                     _logger.LogError(ex, "Failed to expire session {SessionId}", s.Id);
                 }
             }
+
+            var recordings = scope.ServiceProvider.GetService<IRecordingStore>();
+            if (recordings != null)
+            {
+                try
+                {
+                    var removed = recordings.DeleteExpired(now);
+                    if (removed > 0)
+                    {
+                        _logger.LogInformation("Removed {Count} expired recordings", removed);
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Failed to remove expired recordings");
+                }
+            }
         }
     }
 }
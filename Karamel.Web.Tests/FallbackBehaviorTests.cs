@@ -143,4 +143,51 @@ public class FallbackBehaviorTests : SessionTestBase
         Assert.NotEmpty(errors);
         Assert.Contains("Missing or corrupt CDG file", errors[0].TextContent);
     }
+
+    [Fact]
+    public async Task PlayerView_WhenLibraryPermissionLost_OffersToGrantAccess()
+    {
+        // Arrange
+        var testSession = CreateTestSession();
+        var testSong = CreateTestSong();
+        var sessionState = new SessionState { CurrentSession = testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = testSong };
+        SetupTestWithSession(sessionState, playlistState, view: "player");
+
+        // Mock fileAccess module to throw as it does after a reload, before permission is granted again
+        var mockFileAccessModule = new Mock<IJSObjectReference>();
+        mockFileAccessModule.Setup(m => m.InvokeAsync<object>(
+            "loadSongFiles",
+            It.IsAny<object[]>() )).ThrowsAsync(new JSException("library_permission_required: Read access to the library folder must be granted again"));
+
+        var mockPlayerModule = new Mock<IJSObjectReference>();
+
+        var mockJSRuntime = new Mock<IJSRuntime>();
+        mockJSRuntime.Setup(js => js.InvokeAsync<IJSObjectReference>(
+            "import",
+            It.Is<object[]>(args => args[0].ToString()!.Contains("fileAccess.js"))))
+            .ReturnsAsync(mockFileAccessModule.Object);
+
+        mockJSRuntime.Setup(js => js.InvokeAsync<IJSObjectReference>(
+            "import",
+            It.Is<object[]>(args => args[0].ToString()!.Contains("player.js"))))
+            .ReturnsAsync(mockPlayerModule.Object);
+
+        // Remove any previously-registered IJSRuntime (from SetupTestWithSession) so our mock is used
+        var existing = Services.FirstOrDefault(sd => sd.ServiceType == typeof(IJSRuntime));
+        if (existing != null) Services.Remove(existing);
+        Services.AddSingleton(mockJSRuntime.Object);
+
+        // Act
+        var cut = RenderComponent<PlayerView>();
+
+        // Allow async initialization to complete and for loadSongFiles to be invoked
+        await Task.Delay(100);
+
+        // Assert: error overlay should explain the lost access and offer the re-grant button
+        var errors = cut.FindAll(".error-overlay");
+        Assert.NotEmpty(errors);
+        Assert.Contains("Access to the library folder was lost", errors[0].TextContent);
+        Assert.NotEmpty(cut.FindAll(".grant-library-access"));
+    }
 }
@@ -179,6 +179,63 @@ public class LibrarySearchTests : TestContext
         Assert.Contains("No songs match your search criteria", alert.TextContent);
     }
 
+    [Fact]
+    public void FilteredSongs_MatchesAlbumGenreAndYear()
+    {
+        // Arrange
+        var songs = new List<Song>(_testSongs)
+        {
+            new Song { Artist = "Toto", Title = "Africa", Album = "Toto IV", Year = 1982, Genre = "Soft Rock", Mp3FileName = "toto-africa.mp3", CdgFileName = "toto-africa.cdg" }
+        };
+
+        // Act & Assert
+        Assert.Single(new LibraryState { Songs = songs, SearchFilter = "toto iv" }.FilteredSongs);
+        Assert.Single(new LibraryState { Songs = songs, SearchFilter = "soft" }.FilteredSongs);
+        Assert.Single(new LibraryState { Songs = songs, SearchFilter = "1982" }.FilteredSongs);
+    }
+
+    [Fact]
+    public void Component_ShowsAlbumYearGenreDurationAndCover()
+    {
+        // Arrange
+        var song = new Song
+        {
+            Artist = "Toto",
+            Title = "Africa",
+            Album = "Toto IV",
+            Year = 1982,
+            Genre = "Soft Rock",
+            Duration = 295.4,
+            CoverArt = "data:image/jpeg;base64,AAAA",
+            Mp3FileName = "toto-africa.mp3",
+            CdgFileName = "toto-africa.cdg"
+        };
+        var state = new LibraryState { Songs = new[] { song } };
+        SetupFluxorWithState(state);
+
+        // Act
+        var cut = RenderComponent<LibrarySearch>();
+
+        // Assert
+        Assert.Equal("Toto IV · 1982 · Soft Rock · 4:55", cut.Find(".song-details").TextContent);
+        Assert.Equal("data:image/jpeg;base64,AAAA", cut.Find("img.song-cover").GetAttribute("src"));
+    }
+
+    [Fact]
+    public void Component_WithoutDetails_ShowsOnlyTitle()
+    {
+        // Arrange
+        var state = new LibraryState { Songs = _testSongs };
+        SetupFluxorWithState(state);
+
+        // Act
+        var cut = RenderComponent<LibrarySearch>();
+
+        // Assert
+        Assert.Empty(cut.FindAll(".song-details"));
+        Assert.Empty(cut.FindAll("img.song-cover"));
+    }
+
     [Fact]
     public void AddToQueueButton_DispatchesAddToPlaylistAction_WithCorrectSong()
     {
@@ -201,6 +201,25 @@ public class NextSongViewTests : SessionTestBase
         Assert.Empty(singerNames);
     }
 
+    [Fact]
+    public void Component_ShowsTempoAndKey_OnlyWhenChanged()
+    {
+        // Arrange
+        var slowerSong = _testSongs[0] with { Tempo = 0.9, PitchShift = -2 };
+        var sessionState = new SessionState { CurrentSession = _testSessionWithPause, IsInitialized = true };
+        var playlistState = new PlaylistState { Queue = new Queue<Song>(new[] { slowerSong }) };
+        SetupTestWithSession(sessionState, playlistState, view: "nextsong");
+        SetupJSRuntime();
+
+        // Act
+        var cut = RenderComponent<NextSongView>();
+
+        // Assert
+        var playbackSettings = cut.Find(".playback-settings");
+        Assert.Equal("Key -2 · Tempo 90%", playbackSettings.TextContent);
+        Assert.Equal("", _testSongs[0].GetPlaybackText());
+    }
+
     [Fact]
     public async Task Component_CallsJSInterop_ToGenerateQRCode()
     {
@@ -221,6 +240,60 @@ public class NextSongViewTests : SessionTestBase
         Assert.NotNull(qrcodeContainer);
     }
 
+    [Fact]
+    public void Component_WithLastRecording_OffersDownloadAndQRCodeHandoff()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSessionWithPause, IsInitialized = true };
+        var playlistState = new PlaylistState { Queue = new Queue<Song>(_testSongs) };
+        SetupTestWithNonLocalhostSession(sessionState, playlistState, view: "nextsong");
+        var mockJSModule = SetupJSRuntime();
+        var shareUrl = "https://karaoke.example/api/recordings/1234";
+        SetupInteropResult(mockJSModule, "getLastRecording", dto => SetProperty(dto, "FileName", "Jane Smith - Queen - Bohemian Rhapsody.webm"));
+        SetupInteropResult(mockJSModule, "shareLastRecording", dto => SetProperty(dto, "Url", shareUrl));
+        mockJSModule.Setup(m => m.InvokeAsync<bool>("downloadLastRecording", It.IsAny<object[]>()))
+            .ReturnsAsync(true);
+
+        // Act
+        var cut = RenderComponent<NextSongView>();
+
+        // Assert
+        Assert.Equal("Jane Smith - Queen - Bohemian Rhapsody.webm", cut.Find(".recording-file-name").TextContent);
+
+        // Act
+        cut.Find(".download-recording").Click();
+        cut.Find(".share-recording").Click();
+
+        // Assert
+        mockJSModule.Verify(m => m.InvokeAsync<bool>("downloadLastRecording", It.IsAny<object[]>()), Times.Once);
+        mockJSModule.Verify(m => m.InvokeAsync<It.IsAnyType>("generateQRCode",
+            It.Is<object[]>(args => (string)args[0] == "recording-qrcode" && (string)args[1] == shareUrl)), Times.Once);
+        Assert.Contains("Scan to download", cut.Find(".recording-scan-label").TextContent);
+        Assert.Empty(cut.FindAll(".share-recording"));
+
+        // Act
+        cut.Find(".discard-recording").Click();
+
+        // Assert
+        Assert.Empty(cut.FindAll(".recording-offer"));
+    }
+
+    [Fact]
+    public void Component_WithoutRecording_ShowsNoRecordingOffer()
+    {
+        // Arrange - The loose module mock returns no recording
+        var sessionState = new SessionState { CurrentSession = _testSessionWithPause, IsInitialized = true };
+        var playlistState = new PlaylistState { Queue = new Queue<Song>(_testSongs) };
+        SetupTestWithNonLocalhostSession(sessionState, playlistState, view: "nextsong");
+        SetupJSRuntime();
+
+        // Act
+        var cut = RenderComponent<NextSongView>();
+
+        // Assert
+        Assert.Empty(cut.FindAll(".recording-offer"));
+    }
+
     [Fact]
     public void Component_GeneratesCorrectSessionUrl_ForQRCode()
     {
@@ -390,6 +463,26 @@ public class NextSongViewTests : SessionTestBase
         Assert.Equal(duration, session.PauseBetweenSongsSeconds);
     }
 
+    /// <summary>
+    /// Return a component's private interop DTO from a JS call, filled in by the test
+    /// </summary>
+    private static void SetupInteropResult(Mock<IJSObjectReference> module, string identifier, Action<object> fill)
+    {
+        module.Setup(m => m.InvokeAsync<It.IsAnyType>(identifier, It.IsAny<object[]>()))
+            .Returns(new InvocationFunc(invocation =>
+            {
+                var dtoType = invocation.Method.ReturnType.GetGenericArguments()[0];
+                var dto = Activator.CreateInstance(dtoType)!;
+                fill(dto);
+                return Activator.CreateInstance(invocation.Method.ReturnType, dto)!;
+            }));
+    }
+
+    private static void SetProperty(object target, string name, object value)
+    {
+        target.GetType().GetProperty(name)!.SetValue(target, value);
+    }
+
     private Mock<IJSObjectReference> SetupJSRuntime()
     {
         var mockJSModule = new Mock<IJSObjectReference>();
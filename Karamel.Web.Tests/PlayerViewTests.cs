@@ -164,6 +164,453 @@ public class PlayerViewTests : SessionTestBase
         Assert.Equal(2, buttons.Length); // Play/Pause and Stop buttons
     }
 
+    [Fact]
+    public void Component_KeyUpButton_DispatchesSetPitchShiftAction()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        var (_, mockDispatcher, _) = SetupTestWithSession(sessionState, playlistState, view: "player");
+        SetupJSRuntime();
+
+        var cut = RenderComponent<PlayerView>();
+        cut.InvokeAsync(() =>
+        {
+            cut.Instance.GetType().GetMethod("ShowControls", 
+                System.Reflection.BindingFlags.NonPublic | System.Reflection.BindingFlags.Instance)
+                ?.Invoke(cut.Instance, null);
+        });
+        cut.Render();
+
+        // Act
+        cut.Find(".key-control .key-up").Click();
+
+        // Assert - The key is saved on the current song
+        mockDispatcher.Verify(d => d.Dispatch(It.Is<SetPitchShiftAction>(
+            a => a.SongId == _testSong.Id && a.Semitones == 1)), Times.Once);
+        Assert.Contains("+1", cut.Find(".key-control .key-value").TextContent);
+    }
+
+    [Fact]
+    public void Component_TempoDownButton_DispatchesSetTempoAction()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        var (_, mockDispatcher, _) = SetupTestWithSession(sessionState, playlistState, view: "player");
+        SetupJSRuntime();
+
+        var cut = RenderComponent<PlayerView>();
+        cut.InvokeAsync(() =>
+        {
+            cut.Instance.GetType().GetMethod("ShowControls", 
+                System.Reflection.BindingFlags.NonPublic | System.Reflection.BindingFlags.Instance)
+                ?.Invoke(cut.Instance, null);
+        });
+        cut.Render();
+
+        // Act
+        cut.Find(".tempo-control .tempo-down").Click();
+
+        // Assert - One 5% step slower, saved on the current song
+        mockDispatcher.Verify(d => d.Dispatch(It.Is<SetTempoAction>(
+            a => a.SongId == _testSong.Id && a.Tempo == 0.95)), Times.Once);
+        Assert.Contains("95%", cut.Find(".tempo-control .tempo-value").TextContent);
+    }
+
+    [Fact]
+    public void Component_VocalModeSelect_SwitchesVocalModeInPlayer()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        SetupTestWithSession(sessionState, playlistState, view: "player");
+        var mockPlayer = new Mock<IJSObjectReference>();
+        mockPlayer.Setup(m => m.InvokeAsync<string>("setVocalMode", It.IsAny<object[]>()))
+            .ReturnsAsync("reduce");
+        SetupJSRuntimeWithPlayerModule(mockPlayer.Object);
+
+        var cut = RenderComponent<PlayerView>();
+        cut.InvokeAsync(() =>
+        {
+            cut.Instance.GetType().GetMethod("ShowControls", 
+                System.Reflection.BindingFlags.NonPublic | System.Reflection.BindingFlags.Instance)
+                ?.Invoke(cut.Instance, null);
+        });
+        cut.Render();
+
+        // Act
+        cut.Find("select.vocal-mode").Change("reduce");
+
+        // Assert - Switched live, without reloading the song
+        mockPlayer.Verify(m => m.InvokeAsync<string>("setVocalMode",
+            It.Is<object[]>(args => (string)args[0] == "reduce")), Times.Once);
+        mockPlayer.Verify(m => m.InvokeAsync<object>("initializePlayerWithCallback",
+            It.IsAny<object[]>()), Times.AtMostOnce);
+        Assert.Equal("reduce", cut.Find("select.vocal-mode").GetAttribute("value"));
+    }
+
+    [Fact]
+    public void Component_MicrophoneToggle_ShowsErrorWhenMicrophoneCannotOpen()
+    {
+        // Arrange - The loose player mock returns no result, as when the browser refuses the microphone
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        SetupTestWithSession(sessionState, playlistState, view: "player");
+        var mockPlayer = new Mock<IJSObjectReference>();
+        SetupJSRuntimeWithPlayerModule(mockPlayer.Object);
+
+        var cut = RenderComponent<PlayerView>();
+        cut.InvokeAsync(() =>
+        {
+            cut.Instance.GetType().GetMethod("ShowControls", 
+                System.Reflection.BindingFlags.NonPublic | System.Reflection.BindingFlags.Instance)
+                ?.Invoke(cut.Instance, null);
+        });
+        cut.Render();
+        Assert.Empty(cut.FindAll(".mic-gain"));
+
+        // Act
+        cut.Find(".mic-toggle").Click();
+
+        // Assert
+        mockPlayer.Verify(m => m.InvokeAsync<It.IsAnyType>("enableMicrophone", It.IsAny<object[]>()), Times.Once);
+        Assert.Contains("microphone", cut.Find(".error-overlay").TextContent);
+        Assert.Empty(cut.FindAll(".mic-gain"));
+        Assert.Contains("display: none", cut.Find("#micLevelMeter").GetAttribute("style"));
+    }
+
+    [Fact]
+    public void Component_WhenSongStarts_PreloadsNextQueuedSong()
+    {
+        // Arrange
+        var nextSong = new Song
+        {
+            Artist = "Queen",
+            Title = "Bohemian Rhapsody",
+            Mp3FileName = "queen/bohemian-rhapsody.mp3",
+            CdgFileName = "queen/bohemian-rhapsody.cdg"
+        };
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong, Queue = new Queue<Song>(new[] { nextSong }) };
+        SetupTestWithSession(sessionState, playlistState, view: "player");
+        var mockPlayer = new Mock<IJSObjectReference>();
+        SetupJSRuntimeWithPlayerModule(mockPlayer.Object);
+
+        // Act
+        RenderComponent<PlayerView>();
+
+        // Assert - Read ahead once, after the current song was started
+        mockPlayer.Verify(m => m.InvokeAsync<It.IsAnyType>("initializePlayerWithCallback", It.IsAny<object[]>()), Times.Once);
+        mockPlayer.Verify(m => m.InvokeAsync<bool>("preloadSong",
+            It.Is<object[]>(args => args[0] == nextSong)), Times.Once);
+    }
+
+    [Fact]
+    public void Component_SyncLaterButton_DelaysLyricsOfCurrentSong()
+    {
+        // Arrange - The loose player mock returns no offsets, so the requested delay is kept
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        SetupTestWithSession(sessionState, playlistState, view: "player");
+        var mockPlayer = new Mock<IJSObjectReference>();
+        SetupJSRuntimeWithPlayerModule(mockPlayer.Object);
+
+        var cut = RenderComponent<PlayerView>();
+        cut.InvokeAsync(() =>
+        {
+            cut.Instance.GetType().GetMethod("ShowControls",
+                System.Reflection.BindingFlags.NonPublic | System.Reflection.BindingFlags.Instance)
+                ?.Invoke(cut.Instance, null);
+        });
+        cut.Render();
+        Assert.Contains("0 ms", cut.Find(".sync-control .sync-value").TextContent);
+
+        // Act
+        cut.Find(".sync-control .sync-later").Click();
+
+        // Assert
+        mockPlayer.Verify(m => m.InvokeAsync<It.IsAnyType>("setSongSyncOffset",
+            It.Is<object[]>(args => (int)args[0] == 50)), Times.Once);
+    }
+
+    [Fact]
+    public void Component_SyncOffsetChangedByHotkey_ShowsIndicator()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        SetupTestWithSession(sessionState, playlistState, view: "player");
+        SetupJSRuntime();
+
+        var cut = RenderComponent<PlayerView>();
+        Assert.Empty(cut.FindAll(".player-indicator"));
+
+        // Act - Not awaited, as the indicator hides itself after a delay
+        _ = cut.InvokeAsync(() => cut.Instance.OnSyncOffsetChanged(150, -50));
+
+        // Assert
+        cut.WaitForAssertion(() =>
+            Assert.Contains("+150 ms", cut.Find(".player-indicator").TextContent));
+        Assert.Contains("-50 ms", cut.Find(".player-indicator").TextContent);
+    }
+
+    [Fact]
+    public void Component_SkipShortcut_StopsSongAndPlaysNextQueuedSong()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var nextSong = new Song { Artist = "Next Artist", Title = "Next Song", Mp3FileName = "next.mp3", CdgFileName = "next.cdg" };
+        var playlistState = new PlaylistState { CurrentSong = _testSong, Queue = new Queue<Song>(new[] { nextSong }) };
+        var (_, mockDispatcher, _) = SetupTestWithSession(sessionState, playlistState, view: "player");
+        var mockPlayer = new Mock<IJSObjectReference>();
+        SetupJSRuntimeWithPlayerModule(mockPlayer.Object);
+
+        var cut = RenderComponent<PlayerView>();
+
+        // Act
+        cut.InvokeAsync(() => cut.Instance.OnShortcut("skip"));
+
+        // Assert
+        cut.WaitForAssertion(() =>
+            mockDispatcher.Verify(d => d.Dispatch(It.IsAny<NextSongAction>()), Times.Once));
+        mockPlayer.Verify(m => m.InvokeAsync<It.IsAnyType>("stopPlayback", It.IsAny<object[]>()), Times.Once);
+    }
+
+    [Fact]
+    public void Component_VolumeShortcut_ChangesVolumeAndShowsIndicator()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        SetupTestWithSession(sessionState, playlistState, view: "player");
+        var mockPlayer = new Mock<IJSObjectReference>();
+        mockPlayer.Setup(m => m.InvokeAsync<double>("changeVolume", It.IsAny<object[]>()))
+            .ReturnsAsync(0.9);
+        SetupJSRuntimeWithPlayerModule(mockPlayer.Object);
+
+        var cut = RenderComponent<PlayerView>();
+
+        // Act
+        _ = cut.InvokeAsync(() => cut.Instance.OnShortcut("volumeDown"));
+
+        // Assert
+        cut.WaitForAssertion(() =>
+            Assert.Contains("Volume 90%", cut.Find(".player-indicator").TextContent));
+        mockPlayer.Verify(m => m.InvokeAsync<double>("changeVolume",
+            It.Is<object[]>(args => (double)args[0] == -0.1)), Times.Once);
+    }
+
+    [Fact]
+    public void Component_AutoplayBlocked_StartsPlaybackOnClick()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        SetupTestWithSession(sessionState, playlistState, view: "player");
+        var mockPlayer = new Mock<IJSObjectReference>();
+        mockPlayer.Setup(m => m.InvokeAsync<bool>("resumePlayback", It.IsAny<object[]>()))
+            .ReturnsAsync(true);
+        SetupJSRuntimeWithPlayerModule(mockPlayer.Object);
+
+        var cut = RenderComponent<PlayerView>();
+        cut.InvokeAsync(() => cut.Instance.OnAutoplayBlocked());
+        Assert.NotNull(cut.Find(".autoplay-overlay"));
+
+        // Act
+        cut.Find(".autoplay-overlay .start-playback").Click();
+
+        // Assert
+        mockPlayer.Verify(m => m.InvokeAsync<bool>("resumePlayback", It.IsAny<object[]>()), Times.Once);
+        Assert.Empty(cut.FindAll(".autoplay-overlay"));
+    }
+
+    [Fact]
+    public void Component_PlaybackError_ReportsSongAndSkipsToNextQueuedSong()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var nextSong = new Song { Artist = "Next Artist", Title = "Next Song", Mp3FileName = "next.mp3", CdgFileName = "next.cdg" };
+        var playlistState = new PlaylistState { CurrentSong = _testSong, Queue = new Queue<Song>(new[] { nextSong }) };
+        var (_, mockDispatcher, _) = SetupTestWithSession(sessionState, playlistState, view: "player");
+        SetupJSRuntime();
+
+        var cut = RenderComponent<PlayerView>();
+
+        // Act
+        cut.InvokeAsync(() => cut.Instance.OnPlaybackError("decode", "PIPELINE_ERROR_DECODE"));
+
+        // Assert - The song is reported and a countdown to the next song is shown
+        cut.WaitForAssertion(() => Assert.NotNull(cut.Find(".broken-song-overlay")));
+        var reason = cut.Find(".broken-song-overlay .broken-song-reason").TextContent;
+        Assert.Contains("corrupt", reason);
+        Assert.Contains("PIPELINE_ERROR_DECODE", reason);
+        mockDispatcher.Verify(d => d.Dispatch(It.Is<ReportBrokenSongAction>(
+            a => a.Song.Id == _testSong.Id && a.Reason == reason)), Times.Once);
+
+        // Act - Skip without waiting for the countdown
+        cut.Find(".broken-song-overlay .skip-now").Click();
+
+        // Assert
+        cut.WaitForAssertion(() =>
+            mockDispatcher.Verify(d => d.Dispatch(It.IsAny<NextSongAction>()), Times.Once));
+        Assert.Empty(cut.FindAll(".broken-song-overlay"));
+    }
+
+    [Fact]
+    public void Component_PlaybackAborted_ShowsErrorWithoutSkipping()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        var (_, mockDispatcher, _) = SetupTestWithSession(sessionState, playlistState, view: "player");
+        SetupJSRuntime();
+
+        var cut = RenderComponent<PlayerView>();
+
+        // Act
+        cut.InvokeAsync(() => cut.Instance.OnPlaybackError("aborted", "Interrupted"));
+
+        // Assert
+        Assert.Contains("Interrupted", cut.Find(".error-overlay").TextContent);
+        Assert.Empty(cut.FindAll(".broken-song-overlay"));
+        mockDispatcher.Verify(d => d.Dispatch(It.IsAny<ReportBrokenSongAction>()), Times.Never);
+    }
+
+    [Fact]
+    public void Component_GraphicsError_ShowsErrorAndKeepsSongPlaying()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        var (_, mockDispatcher, _) = SetupTestWithSession(sessionState, playlistState, view: "player");
+        SetupJSRuntime();
+
+        var cut = RenderComponent<PlayerView>();
+
+        // Act
+        cut.InvokeAsync(() => cut.Instance.OnPlaybackError("graphics", "Bad instruction"));
+
+        // Assert - Neither skipped nor reported as broken
+        Assert.Contains("Bad instruction", cut.Find(".error-overlay").TextContent);
+        Assert.Empty(cut.FindAll(".broken-song-overlay"));
+        mockDispatcher.Verify(d => d.Dispatch(It.IsAny<ReportBrokenSongAction>()), Times.Never);
+        mockDispatcher.Verify(d => d.Dispatch(It.IsAny<NextSongAction>()), Times.Never);
+    }
+
+    [Fact]
+    public void Component_PlaybackProgress_ShowsElapsedAndRemainingTime()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        SetupTestWithSession(sessionState, playlistState, view: "player");
+        SetupJSRuntime();
+
+        var cut = RenderComponent<PlayerView>();
+        cut.InvokeAsync(() =>
+        {
+            cut.Instance.GetType().GetMethod("ShowControls",
+                System.Reflection.BindingFlags.NonPublic | System.Reflection.BindingFlags.Instance)
+                ?.Invoke(cut.Instance, null);
+        });
+
+        // Act
+        cut.InvokeAsync(() => cut.Instance.OnPlaybackProgress(65.4, 200));
+        cut.InvokeAsync(() => cut.Instance.OnBuffering(true));
+
+        // Assert
+        var time = cut.Find(".playback-time").TextContent;
+        Assert.Contains("1:05", time);
+        Assert.Contains("-2:14", time);
+        Assert.NotNull(cut.Find(".buffering-indicator"));
+    }
+
+    [Fact]
+    public void Component_Scrubber_SeeksWhenReleasedAndSkipButtonsMoveTenSeconds()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        SetupTestWithSession(sessionState, playlistState, view: "player");
+        var mockPlayer = new Mock<IJSObjectReference>();
+        mockPlayer.Setup(m => m.InvokeAsync<double>("seekTo", It.IsAny<object[]>()))
+            .ReturnsAsync(90.5);
+        SetupJSRuntimeWithPlayerModule(mockPlayer.Object);
+
+        var cut = RenderComponent<PlayerView>();
+        cut.InvokeAsync(() =>
+        {
+            cut.Instance.GetType().GetMethod("ShowControls",
+                System.Reflection.BindingFlags.NonPublic | System.Reflection.BindingFlags.Instance)
+                ?.Invoke(cut.Instance, null);
+        });
+        cut.InvokeAsync(() => cut.Instance.OnPlaybackProgress(30, 200));
+
+        // Act - Dragging only moves the shown time
+        cut.Find(".playback-scrubber").Input("90.5");
+
+        // Assert
+        Assert.Contains("1:30", cut.Find(".playback-time").TextContent);
+        mockPlayer.Verify(m => m.InvokeAsync<double>("seekTo", It.IsAny<object[]>()), Times.Never);
+
+        // Act - Letting go seeks
+        cut.Find(".playback-scrubber").Change("90.5");
+        cut.Find(".skip-back").Click();
+
+        // Assert
+        mockPlayer.Verify(m => m.InvokeAsync<double>("seekTo",
+            It.Is<object[]>(args => (double)args[0] == 90.5)), Times.Once);
+        mockPlayer.Verify(m => m.InvokeAsync<double>("skipBy",
+            It.Is<object[]>(args => (int)args[0] == -10)), Times.Once);
+    }
+
+    [Fact]
+    public void Component_RecordToggle_TurnsRecordingOnAndShowsRecMark()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSession, IsInitialized = true };
+        var playlistState = new PlaylistState { CurrentSong = _testSong };
+        SetupTestWithSession(sessionState, playlistState, view: "player");
+        var mockPlayer = new Mock<IJSObjectReference>();
+        mockPlayer.Setup(m => m.InvokeAsync<bool>("setRecordingEnabled", It.IsAny<object[]>()))
+            .ReturnsAsync(true);
+        SetupJSRuntimeWithPlayerModule(mockPlayer.Object);
+
+        var cut = RenderComponent<PlayerView>();
+        cut.InvokeAsync(() =>
+        {
+            cut.Instance.GetType().GetMethod("ShowControls",
+                System.Reflection.BindingFlags.NonPublic | System.Reflection.BindingFlags.Instance)
+                ?.Invoke(cut.Instance, null);
+        });
+
+        // The loose mock reports no recording support, so the toggle is hidden
+        Assert.Empty(cut.FindAll(".record-toggle"));
+
+        var recording = cut.Instance.GetType().GetField("recording",
+            System.Reflection.BindingFlags.NonPublic | System.Reflection.BindingFlags.Instance)!.GetValue(cut.Instance)!;
+        recording.GetType().GetProperty("Supported")!.SetValue(recording, true);
+        cut.Render();
+
+        // Act
+        cut.Find(".record-toggle").Click();
+        cut.InvokeAsync(() => cut.Instance.OnRecordingChanged(true));
+
+        // Assert
+        mockPlayer.Verify(m => m.InvokeAsync<bool>("setRecordingEnabled",
+            It.Is<object[]>(args => (bool)args[0] == true)), Times.Once);
+        Assert.Contains("active", cut.Find(".record-toggle").ClassList);
+        Assert.Contains("Recording from the next song", cut.Find(".player-indicator").TextContent);
+        Assert.Contains("REC", cut.Find(".recording-indicator").TextContent);
+
+        // Act - The song ends
+        cut.InvokeAsync(() => cut.Instance.OnRecordingChanged(false));
+
+        // Assert
+        Assert.Empty(cut.FindAll(".recording-indicator"));
+    }
+
     [Fact]
     public void Component_ControlsOverlay_HidesOnMouseLeave()
     {
@@ -0,0 +1,48 @@
+using Fluxor;
+using Karamel.Web.Models;
+using Karamel.Web.Services;
+using Karamel.Web.Store.Playlist;
+using Moq;
+
+namespace Karamel.Web.Tests;
+
+/// <summary>
+/// Unit tests for adding songs to the queue and changing one queued song.
+/// </summary>
+public class PlaylistEffectsTests
+{
+    private readonly Song _song = new()
+    {
+        Artist = "Queen",
+        Title = "Bohemian Rhapsody",
+        Mp3FileName = "Queen - Bohemian Rhapsody.mp3",
+        CdgFileName = "Queen - Bohemian Rhapsody.cdg"
+    };
+
+    [Fact]
+    public async Task SameSongQueuedByTwoSingers_KeepsItsOwnKeyAndTempo()
+    {
+        // Arrange
+        var state = new PlaylistState();
+        var mockState = new Mock<IState<PlaylistState>>();
+        mockState.Setup(s => s.Value).Returns(() => state);
+        var effects = new PlaylistEffects(mockState.Object, Mock.Of<ISessionService>());
+        var mockDispatcher = new Mock<IDispatcher>();
+        mockDispatcher.Setup(d => d.Dispatch(It.IsAny<AddToPlaylistSuccessAction>()))
+            .Callback<object>(action => state = PlaylistReducers.ReduceAddToPlaylistSuccessAction(state, (AddToPlaylistSuccessAction)action));
+
+        // Act
+        await effects.HandleAddToPlaylistAction(new AddToPlaylistAction(_song, "Alice"), mockDispatcher.Object);
+        await effects.HandleAddToPlaylistAction(new AddToPlaylistAction(_song, "Bob"), mockDispatcher.Object);
+        var alice = state.Queue.First();
+        state = PlaylistReducers.ReduceSetPitchShiftAction(state, new SetPitchShiftAction(alice.Id, -2));
+        state = PlaylistReducers.ReduceSetTempoAction(state, new SetTempoAction(alice.Id, 0.9));
+
+        // Assert
+        var queue = state.Queue.ToList();
+        Assert.NotEqual(queue[0].Id, queue[1].Id);
+        Assert.DoesNotContain(queue, s => s.Id == _song.Id);
+        Assert.Equal((-2, 0.9), (queue[0].PitchShift, queue[0].Tempo));
+        Assert.Equal((0, 1.0), (queue[1].PitchShift, queue[1].Tempo));
+    }
+}
@@ -3,6 +3,8 @@ using Karamel.Web.Models;
 using Karamel.Web.Pages;
 using Karamel.Web.Store.Playlist;
 using Karamel.Web.Store.Session;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.JSInterop;
 using Moq;
 
 namespace Karamel.Web.Tests;
@@ -185,6 +187,68 @@ public class PlaylistPageTests : SessionTestBase
             a => a.SongId == _testSongs[1].Id)), Times.Once);
     }
 
+    [Fact]
+    public void KeyButtons_WhenClicked_DispatchSetPitchShiftActionForThatSong()
+    {
+        // Arrange
+        var songs = _testSongs.ToList();
+        songs[1] = songs[1] with { PitchShift = -2 };
+        songs[2] = songs[2] with { PitchShift = Song.MaxPitchShift };
+        var playlistState = new PlaylistState { Queue = new Queue<Song>(songs) };
+        var sessionState = new SessionState 
+        { 
+            CurrentSession = _testSession,
+            IsInitialized = true 
+        };
+        var (_, mockDispatcher, _) = SetupTestWithSession(sessionState, playlistState, view: "playlist");
+
+        var cut = RenderComponent<Playlist>();
+
+        // Assert - Each queued song shows its own key, and the maximum cannot be exceeded
+        var upNextItems = cut.FindAll(".up-next .song-item");
+        Assert.Contains("Key -2", upNextItems[0].QuerySelector(".key-value")!.TextContent);
+        Assert.True(upNextItems[1].QuerySelector(".key-up")!.HasAttribute("disabled"));
+
+        // Act
+        upNextItems[0].QuerySelector(".key-down")!.Click();
+
+        // Assert
+        mockDispatcher.Verify(d => d.Dispatch(It.Is<SetPitchShiftAction>(
+            a => a.SongId == songs[1].Id && a.Semitones == -3)), Times.Once);
+    }
+
+    [Fact]
+    public void CuePreviewButton_WhenClicked_PreviewsThatSongAndShowsWhyItCannotPlay()
+    {
+        // Arrange
+        var playlistState = new PlaylistState { Queue = new Queue<Song>(_testSongs) };
+        var sessionState = new SessionState 
+        { 
+            CurrentSession = _testSession,
+            IsInitialized = true 
+        };
+        SetupTestWithSession(sessionState, playlistState, view: "playlist");
+
+        // The loose module mock returns no result, as when the cue output is not set up
+        var mockAudioOutput = new Mock<IJSObjectReference>();
+        var mockJSRuntime = new Mock<IJSRuntime>();
+        mockJSRuntime.Setup(js => js.InvokeAsync<IJSObjectReference>(
+            "import",
+            It.Is<object[]>(args => args[0].ToString()!.Contains("audioOutput.js"))))
+            .ReturnsAsync(mockAudioOutput.Object);
+        Services.AddSingleton(mockJSRuntime.Object);
+
+        var cut = RenderComponent<Playlist>();
+
+        // Act
+        cut.FindAll(".up-next .song-item")[0].QuerySelector(".btn-cue-preview")!.Click();
+
+        // Assert
+        mockAudioOutput.Verify(m => m.InvokeAsync<It.IsAnyType>("startCuePreview",
+            It.Is<object[]>(args => (string)args[0] == _testSongs[1].Mp3FileName && args[1] == null)), Times.Once);
+        Assert.Contains("could not be previewed", cut.Find(".audio-output-error").TextContent);
+    }
+
     [Fact(Skip = "Complex async JSInterop mocking: bUnit doesn't properly trigger async @onclick handlers that call JSRuntime.InvokeAsync. Button rendering and visual behavior tested in other tests. Consider refactoring to extract confirmation logic to testable service.")]
     public async Task ClearPlaylistButton_WhenClickedAndConfirmed_DispatchesClearPlaylistAction()
     {
@@ -363,6 +363,33 @@ public class SingerViewTests : SessionTestBase
         Assert.Contains("toast-error", toastHeader.ClassName);
     }
 
+    [Fact]
+    public void Component_ShowsErrorToast_WhenOwnSongIsSkippedAsBroken()
+    {
+        // Arrange
+        var sessionState = new SessionState { CurrentSession = _testSessionWithNameRequired, IsInitialized = true };
+        var libraryState = new LibraryState { Songs = _testSongs };
+        SetupTestWithSession(sessionState, new PlaylistState(), libraryState, view: "singer");
+
+        var cut = RenderComponent<SingerView>();
+        cut.Find("input#singerNameInput").Change("Dana");
+        cut.Find("button.k-btn-primary").Click();
+
+        // Act - The player tab broadcasts the song it had to skip
+        var broken = BrokenSong.FromSong(_testSongs[0] with { AddedBySinger = "Dana" }, "Missing or corrupt CDG file.");
+        var broadcast = new UpdatePlaylistFromBroadcastAction(new List<Song>(), new Dictionary<string, int>(),
+            BrokenSongs: new List<BrokenSong> { broken });
+
+        cut.InvokeAsync(() => cut.Instance.GetType()
+            .GetMethod("HandlePlaylistBroadcast", System.Reflection.BindingFlags.NonPublic | System.Reflection.BindingFlags.Instance)?
+            .Invoke(cut.Instance, new object[] { broadcast }));
+
+        // Assert
+        cut.WaitForAssertion(() =>
+            Assert.Contains(_testSongs[0].Title, cut.Find(".toast-body").TextContent));
+        Assert.Contains("toast-error", cut.Find(".toast-header").ClassName);
+    }
+
     [Fact]
     public void Component_ShowsSongCountForCurrentSinger()
     {
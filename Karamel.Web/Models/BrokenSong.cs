@@ -0,0 +1,30 @@
+namespace Karamel.Web.Models;
+
+// A queued song that could not be played and was skipped; kept for the whole session
+// so the host can export the list and fix the library afterwards
+public record BrokenSong
+{
+    public required Guid SongId { get; init; }
+    public required string Artist { get; init; }
+    public required string Title { get; init; }
+    // The song's primary file (archive, video or MP3) relative to the library root
+    public required string FilePath { get; init; }
+    public string? Singer { get; init; }
+    public required string Reason { get; init; }
+    public DateTime ReportedAt { get; init; } = DateTime.UtcNow;
+
+    public static string GetFilePath(Song song) =>
+        !string.IsNullOrEmpty(song.ZipFileName) ? song.ZipFileName
+        : song.MediaType == SongMediaType.Video && !string.IsNullOrEmpty(song.VideoFileName) ? song.VideoFileName
+        : song.Mp3FileName;
+
+    public static BrokenSong FromSong(Song song, string reason) => new()
+    {
+        SongId = song.Id,
+        Artist = song.Artist,
+        Title = song.Title,
+        FilePath = GetFilePath(song),
+        Singer = song.AddedBySinger,
+        Reason = reason
+    };
+}
@@ -10,4 +10,9 @@ public record Session
     public bool PauseBetweenSongs { get; init; } = true;
     public int PauseBetweenSongsSeconds { get; init; } = 5;
     public string FilenamePattern { get; init; } = "%artist - %title";
+    // Record of the scanned library in the browser's library index, so a reloaded tab reopens
+    // the same folder; null when the index could not be saved
+    public int? LibraryIndexId { get; init; }
+    // Given by the backend to the host tab only; null when the session runs without the backend
+    public string? LinkToken { get; init; }
 }
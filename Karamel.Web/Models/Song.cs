@@ -7,5 +7,67 @@ public record Song
     public required string Title { get; init; }
     public required string Mp3FileName { get; init; }
     public required string CdgFileName { get; init; }
+    // "cdg" for MP3+CDG pairs, "video" for standalone MP4/WebM files
+    public string MediaType { get; init; } = SongMediaType.Cdg;
+    public string? VideoFileName { get; init; }
+    // Archive name for zipped MP3+CDG songs; Mp3FileName/CdgFileName are then entries inside it
+    public string? ZipFileName { get; init; }
     public string? AddedBySinger { get; init; }
+    // Key change in semitones chosen for this queued song; the tempo is kept
+    public int PitchShift { get; init; }
+    // Playback speed chosen for this queued song (1.0 = original); the key is kept
+    public double Tempo { get; init; } = 1.0;
+    // Descriptive fields read from ID3 tags and the MP3 stream during the scan; null when unknown
+    public string? Album { get; init; }
+    public int? Year { get; init; }
+    public string? Genre { get; init; }
+    public string? Language { get; init; }
+    // Length in seconds
+    public double? Duration { get; init; }
+    // Small JPEG data URL of the embedded cover picture
+    public string? CoverArt { get; init; }
+
+    // "Album · 1985 · Rock · 3:35", or an empty string when nothing is known
+    public string GetDetailsText() => string.Join(" · ", new[]
+    {
+        Album,
+        Year?.ToString(),
+        Genre,
+        Duration.HasValue ? FormatDuration(Duration.Value) : null
+    }.Where(part => !string.IsNullOrWhiteSpace(part)));
+
+    public const int MaxPitchShift = 6;
+
+    public static int ClampPitchShift(int semitones) => Math.Clamp(semitones, -MaxPitchShift, MaxPitchShift);
+
+    // "+2", "-1", or "0" for the original key
+    public static string FormatPitchShift(int semitones) => semitones > 0 ? $"+{semitones}" : semitones.ToString();
+
+    // "Key +2 · Tempo 90%", or an empty string when the song plays as recorded
+    public string GetPlaybackText() => string.Join(" · ", new[]
+    {
+        PitchShift != 0 ? $"Key {FormatPitchShift(PitchShift)}" : null,
+        Math.Abs(Tempo - 1.0) > 0.001 ? $"Tempo {FormatTempo(Tempo)}" : null
+    }.Where(part => part != null));
+
+    public const double MinTempo = 0.5;
+    public const double MaxTempo = 1.5;
+    public const double TempoStep = 0.05;
+
+    // Rounded to whole percent, so repeated steps do not drift
+    public static double ClampTempo(double tempo) => Math.Round(Math.Clamp(tempo, MinTempo, MaxTempo), 2);
+
+    public static string FormatTempo(double tempo) => $"{Math.Round(tempo * 100)}%";
+
+    public static string FormatDuration(double seconds)
+    {
+        var time = TimeSpan.FromSeconds(Math.Round(seconds));
+        return time.TotalHours >= 1 ? time.ToString(@"h\:mm\:ss") : time.ToString(@"m\:ss");
+    }
+}
+
+public static class SongMediaType
+{
+    public const string Cdg = "cdg";
+    public const string Video = "video";
 }
@@ -77,14 +77,9 @@ public class SessionService : ISessionService
 
         var data = new
         {
-            songs = songs.Select(s => new
-            {
-                id = s.Id.ToString(),
-                artist = s.Artist,
-                title = s.Title,
-                mp3FileName = s.Mp3FileName,
-                cdgFileName = s.CdgFileName
-            }).ToArray()
+            // Covers are left out: thousands of them would pass the sessionStorage quota.
+            // Queued and current songs carry theirs, see WithLibraryCoverArt.
+            songs = songs.Select(s => SerializeSong(s, includeCoverArt: false)).ToArray()
         };
 
         await _sessionBridgeModule.InvokeVoidAsync("saveLibraryToSessionStorage", sessionId.ToString(), data);
@@ -101,26 +96,20 @@ public class SessionService : ISessionService
         var state = _playlistState.Value;
         var data = new
         {
-            queue = state.Queue.Select(s => new
-            {
-                id = s.Id.ToString(),
-                artist = s.Artist,
-                title = s.Title,
-                mp3FileName = s.Mp3FileName,
-                cdgFileName = s.CdgFileName,
-                addedBySinger = s.AddedBySinger
-            }).ToArray(),
-            currentSong = state.CurrentSong == null ? null : new
-            {
-                id = state.CurrentSong.Id.ToString(),
-                artist = state.CurrentSong.Artist,
-                title = state.CurrentSong.Title,
-                addedBySinger = state.CurrentSong.AddedBySinger,
-                mp3FileName = state.CurrentSong.Mp3FileName,
-                cdgFileName = state.CurrentSong.CdgFileName
-            },
+            queue = state.Queue.Select(s => SerializeSong(s)).ToArray(),
+            currentSong = state.CurrentSong == null ? null : SerializeSong(state.CurrentSong),
             currentSingerName = state.CurrentSingerName,
-            singerSongCounts = state.SingerSongCounts
+            singerSongCounts = state.SingerSongCounts,
+            brokenSongs = state.BrokenSongs.Select(b => new
+            {
+                songId = b.SongId.ToString(),
+                artist = b.Artist,
+                title = b.Title,
+                filePath = b.FilePath,
+                singer = b.Singer,
+                reason = b.Reason,
+                reportedAt = b.ReportedAt
+            }).ToArray()
         };
 
         await _sessionBridgeModule.InvokeVoidAsync("broadcastStateUpdate", "playlist-updated", data);
@@ -142,7 +131,8 @@ public class SessionService : ISessionService
             requireSingerName = session.RequireSingerName,
             pauseBetweenSongs = session.PauseBetweenSongs,
             pauseBetweenSongsSeconds = session.PauseBetweenSongsSeconds,
-            filenamePattern = session.FilenamePattern
+            filenamePattern = session.FilenamePattern,
+            libraryIndexId = session.LibraryIndexId
         };
 
         await _sessionBridgeModule.InvokeVoidAsync("broadcastStateUpdate", "session-settings", data);
@@ -163,7 +153,9 @@ public class SessionService : ISessionService
                 id = song.Id.ToString(),
                 artist = song.Artist,
                 title = song.Title,
-                addedBySinger = song.AddedBySinger
+                addedBySinger = song.AddedBySinger,
+                pitchShift = song.PitchShift,
+                tempo = song.Tempo
             },
             singerName
         };
@@ -250,7 +242,10 @@ public class SessionService : ISessionService
                     AllowSingersToReorder = sessionData.TryGetProperty("allowSingerReorder", out var allowReorder) ? allowReorder.GetBoolean() : false,
                     PauseBetweenSongs = sessionData.TryGetProperty("pauseBetweenSongs", out var pauseEnabled) ? pauseEnabled.GetBoolean() : true,
                     PauseBetweenSongsSeconds = sessionData.GetProperty("pauseBetweenSongsSeconds").GetInt32(),
-                    FilenamePattern = sessionData.GetProperty("filenamePattern").GetString() ?? "%artist - %title"
+                    FilenamePattern = sessionData.GetProperty("filenamePattern").GetString() ?? "%artist - %title",
+                    LibraryIndexId = sessionData.TryGetProperty("libraryIndexId", out var libraryIndexId) && libraryIndexId.ValueKind == JsonValueKind.Number
+                        ? libraryIndexId.GetInt32()
+                        : null
                 };
                 
                 Console.WriteLine($"SessionService: Dispatching InitializeSessionAction");
@@ -267,14 +262,7 @@ public class SessionService : ISessionService
                 libraryData.TryGetProperty("songs", out var songsArray))
             {
                 Console.WriteLine($"SessionService: Found library data with {songsArray.GetArrayLength()} songs");
-                var songs = songsArray.EnumerateArray().Select(s => new Song
-                {
-                    Id = Guid.Parse(s.GetProperty("id").GetString()!),
-                    Artist = s.GetProperty("artist").GetString() ?? "",
-                    Title = s.GetProperty("title").GetString() ?? "",
-                    Mp3FileName = s.GetProperty("mp3FileName").GetString() ?? "",
-                    CdgFileName = s.GetProperty("cdgFileName").GetString() ?? ""
-                }).ToList();
+                var songs = songsArray.EnumerateArray().Select(ParseSong).ToList();
                 
                 Console.WriteLine($"SessionService: Dispatching LoadLibrarySuccessAction with {songs.Count} songs");
                 _dispatcher.Dispatch(new LoadLibrarySuccessAction(songs));
@@ -298,15 +286,7 @@ public class SessionService : ISessionService
                     var queue = new List<Song>();
                     if (playlistData.TryGetProperty("queue", out var queueArray))
                     {
-                        queue = queueArray.EnumerateArray().Select(s => new Song
-                        {
-                            Id = Guid.Parse(s.GetProperty("id").GetString()!),
-                            Artist = s.GetProperty("artist").GetString() ?? "",
-                            Title = s.GetProperty("title").GetString() ?? "",
-                            Mp3FileName = s.GetProperty("mp3FileName").GetString() ?? "",
-                            CdgFileName = s.GetProperty("cdgFileName").GetString() ?? "",
-                            AddedBySinger = s.TryGetProperty("addedBySinger", out var singer) ? singer.GetString() : null
-                        }).ToList();
+                        queue = queueArray.EnumerateArray().Select(ParseSong).ToList();
                     }
 
                     var singerSongCounts = new Dictionary<string, int>();
@@ -318,7 +298,7 @@ public class SessionService : ISessionService
                         }
                     }
 
-                    _dispatcher.Dispatch(new UpdatePlaylistFromBroadcastAction(queue, singerSongCounts));
+                    _dispatcher.Dispatch(new UpdatePlaylistFromBroadcastAction(queue, singerSongCounts, BrokenSongs: ParseBrokenSongs(playlistData)));
                     Console.WriteLine($"SessionService: Dispatched playlist restore with {queue.Count} songs");
                 }
                 catch (Exception ex)
@@ -402,15 +382,7 @@ public class SessionService : ISessionService
             if (data.TryGetProperty("queue", out var queueArray))
             {
                 Console.WriteLine($"SessionService: Playlist update contains queue with {queueArray.GetArrayLength()} items");
-                var queue = queueArray.EnumerateArray().Select(s => new Song
-                {
-                    Id = Guid.Parse(s.GetProperty("id").GetString()!),
-                    Artist = s.GetProperty("artist").GetString() ?? "",
-                    Title = s.GetProperty("title").GetString() ?? "",
-                    Mp3FileName = s.GetProperty("mp3FileName").GetString() ?? "",
-                    CdgFileName = s.GetProperty("cdgFileName").GetString() ?? "",
-                    AddedBySinger = s.TryGetProperty("addedBySinger", out var singer) ? singer.GetString() : null
-                }).ToList();
+                var queue = queueArray.EnumerateArray().Select(ParseSong).ToList();
 
                 // Extract singer song counts
                 var singerSongCounts = new Dictionary<string, int>();
@@ -436,15 +408,7 @@ public class SessionService : ISessionService
                 {
                     if (data.TryGetProperty("currentSong", out var currentSongObj) && currentSongObj.ValueKind != JsonValueKind.Null)
                     {
-                        currentSong = new Song
-                        {
-                            Id = Guid.Parse(currentSongObj.GetProperty("id").GetString()!),
-                            Artist = currentSongObj.GetProperty("artist").GetString() ?? "",
-                            Title = currentSongObj.GetProperty("title").GetString() ?? "",
-                            Mp3FileName = currentSongObj.TryGetProperty("mp3FileName", out var mp3p) ? mp3p.GetString() ?? "" : "",
-                            CdgFileName = currentSongObj.TryGetProperty("cdgFileName", out var cdgp) ? cdgp.GetString() ?? "" : "",
-                            AddedBySinger = currentSongObj.TryGetProperty("addedBySinger", out var added) ? added.GetString() : null
-                        };
+                        currentSong = ParseSong(currentSongObj);
                     }
 
                     if (data.TryGetProperty("currentSingerName", out var currentSingerProp) && currentSingerProp.ValueKind != JsonValueKind.Null)
@@ -457,8 +421,11 @@ public class SessionService : ISessionService
                     Console.WriteLine($"SessionService: Error parsing currentSong: {ex.Message}");
                 }
 
+                queue = queue.Select(WithLibraryCoverArt).ToList();
+                currentSong = currentSong == null ? null : WithLibraryCoverArt(currentSong);
+
                 // Dispatch action to update playlist state including current song
-                _dispatcher.Dispatch(new UpdatePlaylistFromBroadcastAction(queue, singerSongCounts, currentSong, currentSingerName));
+                _dispatcher.Dispatch(new UpdatePlaylistFromBroadcastAction(queue, singerSongCounts, currentSong, currentSingerName, ParseBrokenSongs(data)));
 
                 Console.WriteLine($"SessionService: Dispatched playlist update with {queue.Count} songs (currentSong={(currentSong!=null)})");
             }
@@ -469,6 +436,97 @@ public class SessionService : ISessionService
         }
     }
 
+    /// <summary>
+    /// Give a song queued in another tab its cover from the library (main tab only), as the library
+    /// those tabs get has no covers
+    /// </summary>
+    private Song WithLibraryCoverArt(Song song)
+    {
+        if (!_isMainTab || !string.IsNullOrEmpty(song.CoverArt))
+            return song;
+
+        // Queue entries have ids of their own, so the library song is found by its file
+        var filePath = BrokenSong.GetFilePath(song);
+        var librarySong = _libraryState.Value.Songs.FirstOrDefault(s => BrokenSong.GetFilePath(s) == filePath);
+        return string.IsNullOrEmpty(librarySong?.CoverArt) ? song : song with { CoverArt = librarySong.CoverArt };
+    }
+
+    /// <summary>
+    /// Write a song the way the session bridge passes it between tabs; ParseSong reads it back
+    /// </summary>
+    private static object SerializeSong(Song song, bool includeCoverArt = true)
+    {
+        return new
+        {
+            id = song.Id.ToString(),
+            artist = song.Artist,
+            title = song.Title,
+            mp3FileName = song.Mp3FileName,
+            cdgFileName = song.CdgFileName,
+            mediaType = song.MediaType,
+            videoFileName = song.VideoFileName,
+            album = song.Album,
+            year = song.Year,
+            genre = song.Genre,
+            language = song.Language,
+            duration = song.Duration,
+            coverArt = includeCoverArt ? song.CoverArt : null,
+            zipFileName = song.ZipFileName,
+            addedBySinger = song.AddedBySinger,
+            pitchShift = song.PitchShift,
+            tempo = song.Tempo
+        };
+    }
+
+    /// <summary>
+    /// Read a song written by SerializeSong; fields an older tab left out get their defaults
+    /// </summary>
+    private static Song ParseSong(JsonElement s)
+    {
+        return new Song
+        {
+            Id = Guid.Parse(s.GetProperty("id").GetString()!),
+            Artist = s.GetProperty("artist").GetString() ?? "",
+            Title = s.GetProperty("title").GetString() ?? "",
+            Mp3FileName = s.TryGetProperty("mp3FileName", out var mp3File) ? mp3File.GetString() ?? "" : "",
+            CdgFileName = s.TryGetProperty("cdgFileName", out var cdgFile) ? cdgFile.GetString() ?? "" : "",
+            MediaType = s.TryGetProperty("mediaType", out var mediaType) ? mediaType.GetString() ?? SongMediaType.Cdg : SongMediaType.Cdg,
+            VideoFileName = s.TryGetProperty("videoFileName", out var videoFile) ? videoFile.GetString() : null,
+            Album = s.TryGetProperty("album", out var albumValue) ? albumValue.GetString() : null,
+            Year = s.TryGetProperty("year", out var yearValue) && yearValue.ValueKind == JsonValueKind.Number ? yearValue.GetInt32() : null,
+            Genre = s.TryGetProperty("genre", out var genreValue) ? genreValue.GetString() : null,
+            Language = s.TryGetProperty("language", out var languageValue) ? languageValue.GetString() : null,
+            Duration = s.TryGetProperty("duration", out var durationValue) && durationValue.ValueKind == JsonValueKind.Number ? durationValue.GetDouble() : null,
+            CoverArt = s.TryGetProperty("coverArt", out var coverArtValue) ? coverArtValue.GetString() : null,
+            ZipFileName = s.TryGetProperty("zipFileName", out var zipFile) ? zipFile.GetString() : null,
+            AddedBySinger = s.TryGetProperty("addedBySinger", out var singer) ? singer.GetString() : null,
+            PitchShift = s.TryGetProperty("pitchShift", out var pitchShiftValue) && pitchShiftValue.ValueKind == JsonValueKind.Number ? pitchShiftValue.GetInt32() : 0,
+            Tempo = s.TryGetProperty("tempo", out var tempoValue) && tempoValue.ValueKind == JsonValueKind.Number ? tempoValue.GetDouble() : 1.0
+        };
+    }
+
+    /// <summary>
+    /// Read the songs that failed to play from a playlist update; null if the update has no list
+    /// </summary>
+    private static List<BrokenSong>? ParseBrokenSongs(JsonElement data)
+    {
+        if (!data.TryGetProperty("brokenSongs", out var brokenArray) || brokenArray.ValueKind != JsonValueKind.Array)
+            return null;
+
+        return brokenArray.EnumerateArray().Select(b => new BrokenSong
+        {
+            SongId = Guid.Parse(b.GetProperty("songId").GetString()!),
+            Artist = b.GetProperty("artist").GetString() ?? "",
+            Title = b.GetProperty("title").GetString() ?? "",
+            FilePath = b.TryGetProperty("filePath", out var filePath) ? filePath.GetString() ?? "" : "",
+            Singer = b.TryGetProperty("singer", out var singer) ? singer.GetString() : null,
+            Reason = b.TryGetProperty("reason", out var reason) ? reason.GetString() ?? "" : "",
+            ReportedAt = b.TryGetProperty("reportedAt", out var reportedAt) && reportedAt.ValueKind == JsonValueKind.String
+                ? reportedAt.GetDateTime()
+                : DateTime.UtcNow
+        }).ToList();
+    }
+
     /// <summary>
     /// Handle session settings update from broadcast
     /// </summary>
@@ -540,15 +598,7 @@ public class SessionService : ISessionService
     {
         if (_sessionBridgeModule == null) return false;
 
-        var item = new
-        {
-            id = song.Id.ToString(),
-            artist = song.Artist,
-            title = song.Title,
-            mp3FileName = song.Mp3FileName,
-            cdgFileName = song.CdgFileName,
-            addedBySinger = song.AddedBySinger
-        };
+        var item = SerializeSong(song);
 
         try
         {
@@ -589,15 +639,7 @@ public class SessionService : ISessionService
     {
         if (_sessionBridgeModule == null) return false;
 
-        var items = newOrder.Select(s => new
-        {
-            id = s.Id.ToString(),
-            artist = s.Artist,
-            title = s.Title,
-            mp3FileName = s.Mp3FileName,
-            cdgFileName = s.CdgFileName,
-            addedBySinger = s.AddedBySinger
-        }).ToArray();
+        var items = newOrder.Select(s => SerializeSong(s)).ToArray();
 
         try
         {
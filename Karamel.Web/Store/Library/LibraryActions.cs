@@ -7,4 +7,4 @@ public record LoadLibraryAction(IEnumerable<Song> Songs);
 public record LoadLibrarySuccessAction(IReadOnlyList<Song> Songs);
 public record LoadLibraryFailureAction(string ErrorMessage);
 public record FilterSongsAction(string SearchFilter);
-public record ScanProgressAction(int Scanned, bool Complete = false);
+public record ScanProgressAction(int Scanned, bool Complete = false, int Discovered = 0, string? CurrentFolder = null);
@@ -11,7 +11,9 @@ public static class LibraryReducers
             IsLoading = true,
             ErrorMessage = null,
             ScannedCount = 0,
-            ScanComplete = false
+            ScanComplete = false,
+            DiscoveredCount = 0,
+            CurrentFolder = null
         };
 
     [ReducerMethod]
@@ -36,6 +38,8 @@ public static class LibraryReducers
         {
             ScannedCount = action.Scanned,
             ScanComplete = action.Complete,
+            DiscoveredCount = action.Discovered,
+            CurrentFolder = action.CurrentFolder,
             // Keep IsLoading true until we receive LoadLibrarySuccess or failure
             IsLoading = !action.Complete
         };
@@ -14,6 +14,10 @@ public record LibraryState
     public int ScannedCount { get; init; }
     // Whether the scan completed
     public bool ScanComplete { get; init; }
+    // Number of files seen so far during scan (songs and everything else)
+    public int DiscoveredCount { get; init; }
+    // Library-relative folder the scan is currently walking
+    public string? CurrentFolder { get; init; }
     
     public IReadOnlyList<Song> FilteredSongs
     {
@@ -25,7 +29,11 @@ public record LibraryState
             var filter = SearchFilter.ToLowerInvariant();
             return Songs
                 .Where(s => s.Artist.ToLowerInvariant().Contains(filter) || 
-                           s.Title.ToLowerInvariant().Contains(filter))
+                           s.Title.ToLowerInvariant().Contains(filter) ||
+                           (s.Album?.ToLowerInvariant().Contains(filter) ?? false) ||
+                           (s.Genre?.ToLowerInvariant().Contains(filter) ?? false) ||
+                           (s.Language?.ToLowerInvariant() == filter) ||
+                           (s.Year?.ToString() == filter))
                 .ToList();
         }
     }
@@ -11,4 +11,7 @@ public record ReorderPlaylistAction(int OldIndex, int NewIndex);
 public record NextSongAction();
 public record ClearCurrentSongAction();
 public record ClearPlaylistAction();
-public record UpdatePlaylistFromBroadcastAction(List<Song> Queue, Dictionary<string, int> SingerSongCounts, Song? CurrentSong = null, string? CurrentSingerName = null);
+public record SetPitchShiftAction(Guid SongId, int Semitones);
+public record SetTempoAction(Guid SongId, double Tempo);
+public record ReportBrokenSongAction(Song Song, string Reason);
+public record UpdatePlaylistFromBroadcastAction(List<Song> Queue, Dictionary<string, int> SingerSongCounts, Song? CurrentSong = null, string? CurrentSingerName = null, List<BrokenSong>? BrokenSongs = null);
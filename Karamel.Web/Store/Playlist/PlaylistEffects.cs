@@ -21,8 +21,9 @@ public class PlaylistEffects(IState<PlaylistState> playlistState, ISessionServic
             return Task.CompletedTask;
         }
 
-        // Create a new song with the singer name
-        var songWithSinger = action.Song with { AddedBySinger = action.SingerName };
+        // Each queue entry gets an id of its own: two singers can queue the same library song,
+        // and the key, tempo and removal address one entry
+        var songWithSinger = action.Song with { Id = Guid.NewGuid(), AddedBySinger = action.SingerName };
         dispatcher.Dispatch(new AddToPlaylistSuccessAction(songWithSinger));
         
         return Task.CompletedTask;
@@ -77,6 +78,26 @@ public class PlaylistEffects(IState<PlaylistState> playlistState, ISessionServic
         await sessionService.BroadcastPlaylistUpdatedAsync();
     }
 
+    [EffectMethod]
+    public async Task HandleSetPitchShiftAction(SetPitchShiftAction action, IDispatcher dispatcher)
+    {
+        // Other tabs (the player in particular) pick up the new key from the playlist broadcast
+        await sessionService.BroadcastPlaylistUpdatedAsync();
+    }
+
+    [EffectMethod]
+    public async Task HandleSetTempoAction(SetTempoAction action, IDispatcher dispatcher)
+    {
+        await sessionService.BroadcastPlaylistUpdatedAsync();
+    }
+
+    [EffectMethod]
+    public async Task HandleReportBrokenSongAction(ReportBrokenSongAction action, IDispatcher dispatcher)
+    {
+        // The Playlist tab and the singer who queued the song learn about it from the broadcast
+        await sessionService.BroadcastPlaylistUpdatedAsync();
+    }
+
     [EffectMethod]
     public async Task HandleReorderPlaylistAction(ReorderPlaylistAction action, IDispatcher dispatcher)
     {
@@ -105,6 +105,36 @@ public static class PlaylistReducers
         };
     }
 
+    [ReducerMethod]
+    public static PlaylistState ReduceSetPitchShiftAction(PlaylistState state, SetPitchShiftAction action)
+    {
+        var semitones = Song.ClampPitchShift(action.Semitones);
+
+        // The key belongs to the queue entry, which has an id of its own (see PlaylistEffects)
+        return state with
+        {
+            Queue = new Queue<Song>(state.Queue.Select(s => s.Id == action.SongId ? s with { PitchShift = semitones } : s)),
+            CurrentSong = state.CurrentSong?.Id == action.SongId
+                ? state.CurrentSong with { PitchShift = semitones }
+                : state.CurrentSong
+        };
+    }
+
+    [ReducerMethod]
+    public static PlaylistState ReduceSetTempoAction(PlaylistState state, SetTempoAction action)
+    {
+        var tempo = Song.ClampTempo(action.Tempo);
+
+        return state with
+        {
+            Queue = new Queue<Song>(state.Queue.Select(s => s.Id == action.SongId ? s with { Tempo = tempo } : s)),
+            CurrentSong = state.CurrentSong?.Id == action.SongId
+                ? state.CurrentSong with { Tempo = tempo }
+                : state.CurrentSong
+        };
+    }
+
+    // Broken songs are kept, so the list can still be exported at the end of the night
     [ReducerMethod]
     public static PlaylistState ReduceClearPlaylistAction(PlaylistState state, ClearPlaylistAction action) =>
         state with
@@ -128,7 +158,22 @@ public static class PlaylistReducers
             Queue = action.Queue != null ? new Queue<Song>(action.Queue) : new Queue<Song>(),
             SingerSongCounts = action.SingerSongCounts ?? new Dictionary<string, int>(),
             CurrentSong = action.CurrentSong,
-            CurrentSingerName = action.CurrentSingerName
+            CurrentSingerName = action.CurrentSingerName,
+            // Updates restored without the list keep the songs reported so far
+            BrokenSongs = action.BrokenSongs ?? state.BrokenSongs
+        };
+    }
+
+    [ReducerMethod]
+    public static PlaylistState ReduceReportBrokenSongAction(PlaylistState state, ReportBrokenSongAction action)
+    {
+        // Queue entries have their own ids, so the same file queued twice is listed once
+        if (state.BrokenSongs.Any(b => b.FilePath == BrokenSong.GetFilePath(action.Song)))
+            return state;
+
+        return state with
+        {
+            BrokenSongs = state.BrokenSongs.Append(BrokenSong.FromSong(action.Song, action.Reason)).ToList()
         };
     }
 
@@ -11,4 +11,6 @@ public record PlaylistState
     public string? CurrentSingerName { get; init; }
     public IReadOnlyDictionary<string, int> SingerSongCounts { get; init; } = 
         new Dictionary<string, int>();
+    // Songs skipped because their files were missing or corrupt, oldest first
+    public IReadOnlyList<BrokenSong> BrokenSongs { get; init; } = new List<BrokenSong>();
 }
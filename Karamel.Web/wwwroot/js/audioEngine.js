@@ -0,0 +1,478 @@
+// Web Audio playback graph
+// Routes the playing media element through a pitch shifter worklet, so the key can change
+// while the song keeps its tempo, a channel mixer for vocal reduction and a loudness
+// normalization gain with a peak limiter, then the host's volume.
+// The backing track and the microphone (microphone.js) are mixed on a shared output bus.
+// Without Web Audio support the element plays on its own.
+
+import { clampPitchShift, semitonesToRatio } from './pitchShifter.js';
+import { applyOutputDevice } from './audioOutput.js';
+
+const PITCH_SHIFTER_MODULE = new URL('./pitchShifterWorklet.js', import.meta.url).href;
+
+let audioContext = null;
+let workletPromise = null;
+let outputBus = null;
+let musicDelay = null;
+let loudnessGain = null;
+let limiter = null;
+let songVolume = null;
+let songVolumeLevel = 1;
+let loudnessGainDb = 0;
+let latencyCompensation = 0;
+let outputDeviceId = '';
+let pitchShifterNode = null;
+let channelMixer = null;
+let connectedElement = null;
+let pitchShift = 0;
+let vocalMode = 'original';
+
+/**
+ * Vocal modes of the channel mixer
+ * original: the stereo mix as recorded
+ * reduce: center-channel cancellation (L - R), which removes vocals mixed to the center;
+ *         the bass, also usually centered, is put back from a low-passed mono mix
+ * left / right: one channel on both speakers, for discs with a guide vocal on the other side
+ */
+export const VOCAL_MODES = ['original', 'reduce', 'left', 'right'];
+
+const CHANNEL_MATRICES = {
+    original: { leftToLeft: 1, rightToLeft: 0, leftToRight: 0, rightToRight: 1, bass: 0 },
+    reduce: { leftToLeft: 1, rightToLeft: -1, leftToRight: 1, rightToRight: -1, bass: 0.5 },
+    left: { leftToLeft: 1, rightToLeft: 0, leftToRight: 1, rightToRight: 0, bass: 0 },
+    right: { leftToLeft: 0, rightToLeft: 1, leftToRight: 0, rightToRight: 1, bass: 0 }
+};
+
+// Below this frequency vocal reduction keeps the centered mix (bass guitar and kick drum)
+const BASS_CUTOFF_HZ = 120;
+// Time constant for gain changes, so switching modes does not click
+const MIX_CHANGE_SECONDS = 0.02;
+// Longest delay of the backing track for microphone latency compensation
+const MAX_LATENCY_COMPENSATION_MS = 500;
+// Peak level the limiter holds the normalized song below, in dBFS
+const LIMITER_THRESHOLD_DB = -1;
+
+// A media element can only be wrapped in one source node for its whole lifetime
+const mediaSources = new WeakMap();
+
+/**
+ * Check if the browser can run the playback graph
+ * @returns {boolean}
+ */
+export function isAudioEngineSupported() {
+    return typeof AudioContext !== 'undefined' && typeof AudioWorkletNode !== 'undefined';
+}
+
+/**
+ * Create the audio context, its output bus and the worklet module once
+ * @returns {Promise<AudioContext>}
+ */
+function getAudioContext() {
+    if (!workletPromise) {
+        // Interactive latency keeps the singer's voice close to their mouth when a microphone is mixed in
+        audioContext = new AudioContext({ latencyHint: 'interactive' });
+        outputBus = audioContext.createGain();
+        outputBus.connect(audioContext.destination);
+        musicDelay = audioContext.createDelay(MAX_LATENCY_COMPENSATION_MS / 1000);
+        musicDelay.delayTime.value = latencyCompensation / 1000;
+        musicDelay.connect(outputBus);
+
+        // A compressor with a hard knee and high ratio catches the peaks that a boosted quiet song
+        // would otherwise clip
+        limiter = audioContext.createDynamicsCompressor();
+        limiter.threshold.value = LIMITER_THRESHOLD_DB;
+        limiter.knee.value = 0;
+        limiter.ratio.value = 20;
+        limiter.attack.value = 0.003;
+        limiter.release.value = 0.25;
+        songVolume = audioContext.createGain();
+        songVolume.gain.value = songVolumeLevel;
+        songVolume.connect(musicDelay);
+        limiter.connect(songVolume);
+        loudnessGain = audioContext.createGain();
+        loudnessGain.gain.value = dbToGain(loudnessGainDb);
+        loudnessGain.connect(limiter);
+        if (outputDeviceId) {
+            applyOutputDevice(audioContext, outputDeviceId);
+        }
+
+        workletPromise = audioContext.audioWorklet.addModule(PITCH_SHIFTER_MODULE)
+            .then(() => audioContext)
+            .catch(error => {
+                workletPromise = null;
+                throw error;
+            });
+    }
+    return workletPromise;
+}
+
+/**
+ * Route a media element through the playback graph
+ * Replaces the previously connected element. If the graph cannot be built, the element keeps
+ * playing directly, just without key changes.
+ * @param {HTMLMediaElement} element - Audio or video element of the current song
+ * @returns {Promise<boolean>} True if the element is routed through the graph
+ */
+export async function connectMediaElement(element) {
+    disconnectMediaElement();
+
+    if (!element || !isAudioEngineSupported()) {
+        return false;
+    }
+
+    try {
+        const context = await getAudioContext();
+
+        let source = mediaSources.get(element);
+        if (!source) {
+            source = context.createMediaElementSource(element);
+            mediaSources.set(element, source);
+        }
+
+        pitchShifterNode = new AudioWorkletNode(context, 'pitch-shifter', { outputChannelCount: [2] });
+        channelMixer = createChannelMixer(context);
+        source.connect(pitchShifterNode).connect(channelMixer.input);
+        channelMixer.output.connect(loudnessGain);
+        connectedElement = element;
+        applyPitchShift();
+        applyVocalMode(0);
+
+        // The context starts suspended until the page has seen a user gesture. Not awaited, as
+        // without one resume() stays pending until a click; the player checks isAudioSuspended.
+        if (context.state === 'suspended') {
+            context.resume().catch(() => {});
+        }
+        return true;
+    } catch (error) {
+        console.warn('Audio engine unavailable, playing without key change or vocal reduction:', error);
+        return false;
+    }
+}
+
+/**
+ * Check if the browser holds the audio back until the page sees a user gesture
+ * A song routed through the graph runs silently meanwhile.
+ * @returns {boolean}
+ */
+export function isAudioSuspended() {
+    return !!audioContext && audioContext.state === 'suspended';
+}
+
+/**
+ * Let the audio play; call it from a click after autoplay was refused
+ * Not awaited, as the browser leaves resume() pending without a user gesture.
+ */
+export function resumeAudio() {
+    if (isAudioSuspended()) {
+        audioContext.resume().catch(error => console.warn('Could not resume audio:', error));
+    }
+}
+
+/**
+ * Get the bus that everything audible is mixed on, creating the audio context if needed
+ * @returns {Promise<{context: AudioContext, bus: AudioNode}|null>} Null without Web Audio support
+ */
+export async function getOutputBus() {
+    if (!isAudioEngineSupported()) {
+        return null;
+    }
+
+    const context = await getAudioContext();
+    if (context.state === 'suspended') {
+        await context.resume().catch(() => {});
+    }
+    return { context, bus: outputBus };
+}
+
+/**
+ * Tap the output bus for recording a performance
+ * The tap hears what the room hears: the backing track after key change, vocal reduction and
+ * volume, and every microphone.
+ * @returns {{stream: MediaStream, release: function(): void}|null} Null while the graph has not
+ *          been built
+ */
+export function createRecordingTap() {
+    if (!audioContext || !outputBus || typeof audioContext.createMediaStreamDestination !== 'function') {
+        return null;
+    }
+
+    const destination = audioContext.createMediaStreamDestination();
+    outputBus.connect(destination);
+    return {
+        stream: destination.stream,
+        release: () => {
+            try {
+                outputBus.disconnect(destination);
+            } catch (error) {
+                // Already disconnected
+            }
+        }
+    };
+}
+
+/**
+ * Delay the backing track so a live microphone lines up with it
+ * The voice reaches the speakers after the input and output latency of the microphone path;
+ * delaying the music by the same time puts them back together. The CDG lyrics still follow the
+ * media element's time, so they lead the delayed music and the singer's cue is unchanged.
+ * @param {number} milliseconds - Delay of the backing track (0 to 500)
+ * @returns {number} The delay that is now set
+ */
+export function setLatencyCompensation(milliseconds) {
+    latencyCompensation = Math.max(0, Math.min(MAX_LATENCY_COMPENSATION_MS, Math.round(Number(milliseconds) || 0)));
+
+    if (musicDelay && audioContext) {
+        musicDelay.delayTime.setTargetAtTime(latencyCompensation / 1000, audioContext.currentTime, MIX_CHANGE_SECONDS);
+    }
+    return latencyCompensation;
+}
+
+/**
+ * Get the backing track delay for microphone latency compensation
+ * @returns {number} Milliseconds
+ */
+export function getLatencyCompensation() {
+    return latencyCompensation;
+}
+
+/**
+ * Time from the media element's current position until it is heard
+ * Reported by the audio context for the output device; Bluetooth speakers add a few hundred
+ * milliseconds. The microphone latency compensation is left out, see setLatencyCompensation.
+ * @returns {number} Seconds, 0 while the element plays outside the graph
+ */
+export function getOutputLatency() {
+    if (!audioContext || !connectedElement) {
+        return 0;
+    }
+    return (audioContext.outputLatency || 0) + (audioContext.baseLatency || 0);
+}
+
+/**
+ * Play the mixed output on a chosen device
+ * Takes effect when the audio context is created if playback has not started yet.
+ * @param {string} deviceId - Output device, empty for the system default
+ * @returns {Promise<boolean>} False if the device could not be selected
+ */
+export async function setOutputDevice(deviceId) {
+    outputDeviceId = deviceId || '';
+    return audioContext ? applyOutputDevice(audioContext, outputDeviceId) : true;
+}
+
+/**
+ * Set the loudness normalization gain of the song
+ * @param {number} db - Gain in dB (0 = unchanged)
+ * @param {number} [glideSeconds=0] - Time to move to the new gain, so a song that is already
+ *        playing does not jump in volume
+ */
+export function setLoudnessGain(db, glideSeconds = 0) {
+    loudnessGainDb = Number(db) || 0;
+
+    if (loudnessGain && audioContext) {
+        const gain = loudnessGain.gain;
+        gain.cancelScheduledValues(audioContext.currentTime);
+        if (glideSeconds > 0) {
+            gain.setValueAtTime(gain.value, audioContext.currentTime);
+            gain.linearRampToValueAtTime(dbToGain(loudnessGainDb), audioContext.currentTime + glideSeconds);
+        } else {
+            gain.setValueAtTime(dbToGain(loudnessGainDb), audioContext.currentTime);
+        }
+    }
+}
+
+/**
+ * Fade the song in from silence to its loudness gain
+ * Used when the song starts over filler music that is fading out.
+ * @param {number} seconds - Length of the fade
+ */
+export function fadeInSong(seconds) {
+    if (!loudnessGain || !audioContext || !(seconds > 0)) {
+        return;
+    }
+
+    const gain = loudnessGain.gain;
+    gain.cancelScheduledValues(audioContext.currentTime);
+    gain.setValueAtTime(0, audioContext.currentTime);
+    gain.linearRampToValueAtTime(dbToGain(loudnessGainDb), audioContext.currentTime + seconds);
+}
+
+/**
+ * Get the loudness normalization gain
+ * @returns {number} Gain in dB
+ */
+export function getLoudnessGain() {
+    return loudnessGainDb;
+}
+
+/**
+ * Set the host's volume of the song
+ * Applied after normalization and the limiter, so it scales every song alike. Filler music and
+ * the microphone keep their own levels.
+ * @param {number} volume - 0 (silent) to 1 (full)
+ * @returns {number} The volume that is now set
+ */
+export function setSongVolume(volume) {
+    const value = Number(volume);
+    songVolumeLevel = Math.round(Math.max(0, Math.min(1, Number.isFinite(value) ? value : 1)) * 100) / 100;
+
+    if (songVolume && audioContext) {
+        songVolume.gain.setTargetAtTime(songVolumeLevel, audioContext.currentTime, MIX_CHANGE_SECONDS);
+    }
+    return songVolumeLevel;
+}
+
+/**
+ * Get the host's volume of the song
+ * @returns {number} 0 to 1
+ */
+export function getSongVolume() {
+    return songVolumeLevel;
+}
+
+/**
+ * Decode a song's audio for loudness measurement
+ * Runs in an offline context, so it does not touch the playing graph.
+ * @param {ArrayBuffer} data - Encoded audio or video file (detached by decoding)
+ * @returns {Promise<{channels: Float32Array[], sampleRate: number}|null>} Null without Web Audio support
+ */
+export async function decodeAudio(data) {
+    if (typeof OfflineAudioContext === 'undefined') {
+        return null;
+    }
+
+    const context = new OfflineAudioContext(1, 1, 44100);
+    const buffer = await context.decodeAudioData(data);
+    const channels = [];
+    for (let i = 0; i < buffer.numberOfChannels; i++) {
+        channels.push(buffer.getChannelData(i));
+    }
+    return { channels, sampleRate: buffer.sampleRate };
+}
+
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+/**
+ * Detach the current media element from the playback graph
+ */
+export function disconnectMediaElement() {
+    if (connectedElement) {
+        mediaSources.get(connectedElement)?.disconnect();
+        connectedElement = null;
+    }
+
+    if (pitchShifterNode) {
+        pitchShifterNode.disconnect();
+        pitchShifterNode = null;
+    }
+
+    if (channelMixer) {
+        channelMixer.output.disconnect();
+        channelMixer = null;
+    }
+}
+
+/**
+ * Change the key of the playing song
+ * @param {number} semitones - Key change, limited to ±6 semitones
+ * @returns {number} The key change that is now set
+ */
+export function setPitchShift(semitones) {
+    pitchShift = clampPitchShift(semitones);
+    applyPitchShift();
+    return pitchShift;
+}
+
+/**
+ * Get the current key change
+ * @returns {number} Semitones
+ */
+export function getPitchShift() {
+    return pitchShift;
+}
+
+function applyPitchShift() {
+    if (pitchShifterNode && audioContext) {
+        const ratio = pitchShifterNode.parameters.get('pitchRatio');
+        ratio.setValueAtTime(semitonesToRatio(pitchShift), audioContext.currentTime);
+    }
+}
+
+/**
+ * Get the channel gains of a vocal mode
+ * @param {string} mode - One of VOCAL_MODES (unknown modes play the original mix)
+ * @returns {{leftToLeft: number, rightToLeft: number, leftToRight: number, rightToRight: number, bass: number}}
+ */
+export function getChannelMatrix(mode) {
+    return CHANNEL_MATRICES[mode] || CHANNEL_MATRICES.original;
+}
+
+/**
+ * Switch vocal reduction or single-channel playback, while the song plays
+ * @param {string} mode - One of VOCAL_MODES
+ * @returns {string} The mode that is now set
+ */
+export function setVocalMode(mode) {
+    vocalMode = VOCAL_MODES.includes(mode) ? mode : 'original';
+    applyVocalMode(MIX_CHANGE_SECONDS);
+    return vocalMode;
+}
+
+/**
+ * Get the current vocal mode
+ * @returns {string} One of VOCAL_MODES
+ */
+export function getVocalMode() {
+    return vocalMode;
+}
+
+/**
+ * Build the stereo matrix mixer used for the vocal modes
+ * @param {AudioContext} context
+ * @returns {{input: AudioNode, output: AudioNode, gains: Object<string, GainNode>}}
+ */
+function createChannelMixer(context) {
+    const splitter = context.createChannelSplitter(2);
+    const merger = context.createChannelMerger(2);
+    const gains = {};
+
+    // [gain name, splitter output, merger input]
+    for (const [name, from, to] of [['leftToLeft', 0, 0], ['rightToLeft', 1, 0], ['leftToRight', 0, 1], ['rightToRight', 1, 1]]) {
+        gains[name] = context.createGain();
+        splitter.connect(gains[name], from);
+        gains[name].connect(merger, 0, to);
+    }
+
+    // Both channels summed into one low-pass filter, added back to both sides
+    const bassFilter = context.createBiquadFilter();
+    bassFilter.type = 'lowpass';
+    bassFilter.frequency.value = BASS_CUTOFF_HZ;
+    gains.bass = context.createGain();
+    splitter.connect(bassFilter, 0);
+    splitter.connect(bassFilter, 1);
+    bassFilter.connect(gains.bass);
+    gains.bass.connect(merger, 0, 0);
+    gains.bass.connect(merger, 0, 1);
+
+    return { input: splitter, output: merger, gains };
+}
+
+/**
+ * Set the mixer gains for the current vocal mode
+ * @param {number} timeConstant - Seconds to glide to the new gains (0 to set them at once)
+ */
+function applyVocalMode(timeConstant) {
+    if (!channelMixer || !audioContext) {
+        return;
+    }
+
+    const matrix = getChannelMatrix(vocalMode);
+    for (const [name, gain] of Object.entries(channelMixer.gains)) {
+        if (timeConstant > 0) {
+            gain.gain.setTargetAtTime(matrix[name], audioContext.currentTime, timeConstant);
+        } else {
+            gain.gain.setValueAtTime(matrix[name], audioContext.currentTime);
+        }
+    }
+}
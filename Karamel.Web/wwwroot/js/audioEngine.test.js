@@ -0,0 +1,193 @@
+// Unit tests for the playback graph settings (the Web Audio nodes themselves need a browser)
+import { describe, it, expect, vi } from 'vitest';
+import {
+    VOCAL_MODES,
+    getChannelMatrix,
+    setVocalMode,
+    getVocalMode,
+    connectMediaElement,
+    setLatencyCompensation,
+    getLatencyCompensation,
+    getOutputLatency,
+    setLoudnessGain,
+    getLoudnessGain,
+    fadeInSong,
+    setSongVolume,
+    getSongVolume,
+    createRecordingTap,
+    decodeAudio
+} from './audioEngine.js';
+
+/**
+ * Mix one stereo sample through a channel matrix (without the low-passed bass path)
+ * @param {string} mode
+ * @param {number} left
+ * @param {number} right
+ * @returns {number[]} [left, right]
+ */
+function mix(mode, left, right) {
+    const m = getChannelMatrix(mode);
+    return [
+        left * m.leftToLeft + right * m.rightToLeft,
+        left * m.leftToRight + right * m.rightToRight
+    ];
+}
+
+describe('getChannelMatrix', () => {
+    it('should pass the original mix through', () => {
+        expect(mix('original', 0.3, -0.2)).toEqual([0.3, -0.2]);
+    });
+
+    it('should cancel centered vocals and keep side instruments', () => {
+        // A vocal mixed to the center is identical on both channels
+        expect(mix('reduce', 0.5, 0.5)).toEqual([0, 0]);
+        // A guitar panned hard left survives on both speakers
+        expect(mix('reduce', 0.4, 0)).toEqual([0.4, 0.4]);
+        expect(getChannelMatrix('reduce').bass).toBeGreaterThan(0);
+    });
+
+    it('should play a single channel on both speakers', () => {
+        expect(mix('left', 0.7, 0.1)).toEqual([0.7, 0.7]);
+        expect(mix('right', 0.7, 0.1)).toEqual([0.1, 0.1]);
+    });
+
+    it('should treat unknown modes as the original mix', () => {
+        expect(getChannelMatrix('karaoke')).toEqual(getChannelMatrix('original'));
+    });
+});
+
+describe('setVocalMode', () => {
+    it('should accept the known modes and fall back to the original mix', () => {
+        for (const mode of VOCAL_MODES) {
+            expect(setVocalMode(mode)).toBe(mode);
+            expect(getVocalMode()).toBe(mode);
+        }
+
+        expect(setVocalMode('both')).toBe('original');
+    });
+});
+
+describe('setLatencyCompensation', () => {
+    it('should round and limit the backing track delay', () => {
+        expect(setLatencyCompensation(120.4)).toBe(120);
+        expect(getLatencyCompensation()).toBe(120);
+        expect(setLatencyCompensation(2000)).toBe(500);
+        expect(setLatencyCompensation(-10)).toBe(0);
+        expect(setLatencyCompensation('abc')).toBe(0);
+    });
+});
+
+describe('getOutputLatency', () => {
+    it('should report no latency while nothing plays through the graph', () => {
+        expect(getOutputLatency()).toBe(0);
+    });
+});
+
+describe('loudness normalization', () => {
+    it('should remember the gain until the graph is built', () => {
+        setLoudnessGain(-4.5);
+
+        expect(getLoudnessGain()).toBe(-4.5);
+    });
+
+    it('should keep the gain when fading in before the graph is built', () => {
+        setLoudnessGain(-2);
+        fadeInSong(3);
+
+        expect(getLoudnessGain()).toBe(-2);
+    });
+
+    it('should not decode without Web Audio support', async () => {
+        expect(await decodeAudio(new ArrayBuffer(8))).toBeNull();
+    });
+});
+
+describe('setSongVolume', () => {
+    it('should limit the volume to 0 - 1 in whole percent', () => {
+        expect(setSongVolume(0.804)).toBe(0.8);
+        expect(getSongVolume()).toBe(0.8);
+        expect(setSongVolume(1.5)).toBe(1);
+        expect(setSongVolume(-0.1)).toBe(0);
+        expect(setSongVolume('loud')).toBe(1);
+    });
+});
+
+describe('connectMediaElement', () => {
+    it('should leave the element playing on its own without Web Audio support', async () => {
+        const audio = document.createElement('audio');
+
+        expect(await connectMediaElement(audio)).toBe(false);
+    });
+});
+
+describe('createRecordingTap', () => {
+    it('should have nothing to record before the graph is built', () => {
+        expect(createRecordingTap()).toBeNull();
+    });
+});
+
+describe('with a suspended audio context', () => {
+    class FakeParam {
+        value = 0;
+        setValueAtTime() {}
+        setTargetAtTime() {}
+        linearRampToValueAtTime() {}
+        cancelScheduledValues() {}
+    }
+
+    class FakeNode {
+        gain = new FakeParam();
+        delayTime = new FakeParam();
+        frequency = new FakeParam();
+        threshold = new FakeParam();
+        knee = new FakeParam();
+        ratio = new FakeParam();
+        attack = new FakeParam();
+        release = new FakeParam();
+        parameters = new Map([['pitchRatio', new FakeParam()]]);
+        connect(node) {
+            return node;
+        }
+        disconnect() {}
+    }
+
+    // A page without a user gesture: resume() stays pending until there is one
+    class SuspendedAudioContext {
+        static created = null;
+        state = 'suspended';
+        currentTime = 0;
+        destination = new FakeNode();
+        audioWorklet = { addModule: async () => {} };
+        resume = vi.fn(() => new Promise(() => {}));
+        createGain() { return new FakeNode(); }
+        createDelay() { return new FakeNode(); }
+        createDynamicsCompressor() { return new FakeNode(); }
+        createChannelSplitter() { return new FakeNode(); }
+        createChannelMerger() { return new FakeNode(); }
+        createBiquadFilter() { return new FakeNode(); }
+        createMediaElementSource() { return new FakeNode(); }
+
+        constructor() {
+            SuspendedAudioContext.created = this;
+        }
+    }
+
+    it('should connect without waiting for the gesture and report the audio as held back', async () => {
+        vi.resetModules();
+        vi.stubGlobal('AudioContext', SuspendedAudioContext);
+        vi.stubGlobal('AudioWorkletNode', FakeNode);
+        try {
+            const engine = await import('./audioEngine.js');
+
+            expect(engine.isAudioSuspended()).toBe(false);
+            expect(await engine.connectMediaElement(document.createElement('audio'))).toBe(true);
+            expect(engine.isAudioSuspended()).toBe(true);
+
+            // Asked once when connecting, and again from the click
+            engine.resumeAudio();
+            expect(SuspendedAudioContext.created.resume).toHaveBeenCalledTimes(2);
+        } finally {
+            vi.unstubAllGlobals();
+        }
+    });
+});
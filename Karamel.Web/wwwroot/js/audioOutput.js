@@ -0,0 +1,183 @@
+// Audio output devices
+// Lets the host send the song to a chosen output (e.g. the PA on a USB interface) and preview
+// queued songs on a separate cue output (headphones). The choice is saved in localStorage, so it
+// applies to every session on this computer; the player tab picks up changes made in the
+// Playlist tab through the storage event.
+
+import { getSongAudioFile, restoreLibraryAccess } from './fileAccess.js';
+import { createObjectUrl, revokeObjectUrl } from './memoryUsage.js';
+
+const OUTPUT_DEVICES_KEY = 'karamel-audio-outputs';
+
+let cueElement = null;
+let cueUrl = null;
+
+/**
+ * Check if the browser can route audio to a chosen output device
+ * @returns {boolean}
+ */
+export function isOutputSelectionSupported() {
+    return typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+}
+
+/**
+ * List the audio outputs of this computer
+ * Browsers only reveal device names after a media permission was granted, so unnamed devices
+ * are numbered.
+ * @returns {Promise<Array<{deviceId: string, label: string}>>} System default first (empty device id)
+ */
+export async function listOutputDevices() {
+    const devices = [{ deviceId: '', label: 'System default' }];
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+        return devices;
+    }
+
+    try {
+        const outputs = (await navigator.mediaDevices.enumerateDevices())
+            .filter(device => device.kind === 'audiooutput' && device.deviceId !== 'default');
+        outputs.forEach((device, index) => {
+            devices.push({ deviceId: device.deviceId, label: device.label || `Output ${index + 1}` });
+        });
+    } catch (error) {
+        console.warn('Failed to list audio outputs:', error);
+    }
+    return devices;
+}
+
+/**
+ * Get the saved output devices
+ * @returns {{main: string, cue: string}} Device ids, empty for the system default
+ */
+export function getSavedOutputDevices() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(OUTPUT_DEVICES_KEY) || '{}');
+        return {
+            main: typeof saved.main === 'string' ? saved.main : '',
+            cue: typeof saved.cue === 'string' ? saved.cue : ''
+        };
+    } catch (error) {
+        return { main: '', cue: '' };
+    }
+}
+
+/**
+ * Save the output devices for this computer
+ * @param {string} main - Device the songs play on
+ * @param {string} cue - Device queued songs are previewed on
+ * @returns {{main: string, cue: string}} The saved devices
+ */
+export function saveOutputDevices(main, cue) {
+    const devices = { main: main || '', cue: cue || '' };
+    try {
+        localStorage.setItem(OUTPUT_DEVICES_KEY, JSON.stringify(devices));
+    } catch (error) {
+        console.warn('Failed to save audio outputs:', error);
+    }
+
+    if (cueElement) {
+        applyOutputDevice(cueElement, devices.cue);
+    }
+    return devices;
+}
+
+/**
+ * Call back when the saved output devices are changed in another tab
+ * @param {function({main: string, cue: string}): void} callback
+ * @returns {function(): void} Stops listening
+ */
+export function onOutputDevicesChanged(callback) {
+    const listener = event => {
+        if (event.key === OUTPUT_DEVICES_KEY) {
+            callback(getSavedOutputDevices());
+        }
+    };
+    window.addEventListener('storage', listener);
+    return () => window.removeEventListener('storage', listener);
+}
+
+/**
+ * Route a media element or audio context to an output device
+ * A device that was unplugged since it was saved leaves the target on its current output.
+ * @param {HTMLMediaElement|AudioContext} target - Anything with setSinkId
+ * @param {string} deviceId - Output device, empty for the system default
+ * @returns {Promise<boolean>} True if the output was changed
+ */
+export async function applyOutputDevice(target, deviceId) {
+    if (!target || typeof target.setSinkId !== 'function') {
+        return false;
+    }
+
+    try {
+        await target.setSinkId(deviceId || '');
+        return true;
+    } catch (error) {
+        console.warn('Failed to switch audio output:', error);
+        return false;
+    }
+}
+
+/**
+ * Play a queued song's audio on the cue output, while the current song keeps playing
+ * Refuses to preview on the device the songs play on, so the audience never hears it.
+ * @param {string} filePath - Path of the song's MP3, video or archive relative to the library root
+ * @param {string|null} entryName - MP3 entry name inside the archive for zipped songs
+ * @param {number|null} [libraryIndexId=null] - Index record of the session's library
+ * @returns {Promise<{playing: boolean, error: string|null}>}
+ */
+export async function startCuePreview(filePath, entryName = null, libraryIndexId = null) {
+    stopCuePreview();
+
+    const devices = getSavedOutputDevices();
+    if (!isOutputSelectionSupported()) {
+        return { playing: false, error: 'This browser cannot choose an audio output' };
+    }
+    if (devices.cue === devices.main) {
+        return { playing: false, error: 'Choose a cue output other than the main output first' };
+    }
+
+    try {
+        // Runs from the preview click, so the browser may ask for the library again in this tab
+        await restoreLibraryAccess(true, libraryIndexId);
+        const file = await getSongAudioFile(filePath, entryName);
+
+        cueElement = new Audio();
+        cueUrl = createObjectUrl(file);
+        cueElement.src = cueUrl;
+        if (!await applyOutputDevice(cueElement, devices.cue)) {
+            stopCuePreview();
+            return { playing: false, error: 'The cue output is not available' };
+        }
+        cueElement.addEventListener('ended', stopCuePreview);
+        await cueElement.play();
+
+        return { playing: true, error: null };
+    } catch (error) {
+        console.error('Error previewing song:', error);
+        stopCuePreview();
+        return { playing: false, error: error.message || 'The song could not be previewed' };
+    }
+}
+
+/**
+ * Stop the cue preview
+ */
+export function stopCuePreview() {
+    if (cueElement) {
+        cueElement.pause();
+        cueElement.removeAttribute('src');
+        cueElement = null;
+    }
+
+    if (cueUrl) {
+        revokeObjectUrl(cueUrl);
+        cueUrl = null;
+    }
+}
+
+/**
+ * Check if a cue preview is playing
+ * @returns {boolean}
+ */
+export function isCuePreviewPlaying() {
+    return cueElement !== null && !cueElement.paused;
+}
@@ -0,0 +1,123 @@
+// Unit tests for output device selection and the cue preview guard
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    listOutputDevices,
+    getSavedOutputDevices,
+    saveOutputDevices,
+    onOutputDevicesChanged,
+    applyOutputDevice,
+    startCuePreview
+} from './audioOutput.js';
+import { getSongAudioFile } from './fileAccess.js';
+
+vi.mock('./fileAccess.js', () => ({
+    getSongAudioFile: vi.fn(),
+    restoreLibraryAccess: vi.fn()
+}));
+
+describe('saved output devices', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should default to the system output', () => {
+        expect(getSavedOutputDevices()).toEqual({ main: '', cue: '' });
+    });
+
+    it('should keep the devices chosen on this computer', () => {
+        saveOutputDevices('usb-pa', 'headphones');
+
+        expect(getSavedOutputDevices()).toEqual({ main: 'usb-pa', cue: 'headphones' });
+    });
+
+    it('should ignore a corrupt saved value', () => {
+        localStorage.setItem('karamel-audio-outputs', '{not json');
+
+        expect(getSavedOutputDevices()).toEqual({ main: '', cue: '' });
+    });
+
+    it('should report changes saved by another tab', () => {
+        const callback = vi.fn();
+        const stop = onOutputDevicesChanged(callback);
+        localStorage.setItem('karamel-audio-outputs', JSON.stringify({ main: 'usb-pa', cue: '' }));
+
+        window.dispatchEvent(new StorageEvent('storage', { key: 'karamel-theme' }));
+        window.dispatchEvent(new StorageEvent('storage', { key: 'karamel-audio-outputs' }));
+        stop();
+        window.dispatchEvent(new StorageEvent('storage', { key: 'karamel-audio-outputs' }));
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback).toHaveBeenCalledWith({ main: 'usb-pa', cue: '' });
+    });
+});
+
+describe('listOutputDevices', () => {
+    const originalMediaDevices = navigator.mediaDevices;
+
+    afterEach(() => {
+        Object.defineProperty(navigator, 'mediaDevices', { value: originalMediaDevices, configurable: true });
+    });
+
+    it('should list the outputs after the system default and number unnamed ones', async () => {
+        Object.defineProperty(navigator, 'mediaDevices', {
+            configurable: true,
+            value: {
+                enumerateDevices: vi.fn().mockResolvedValue([
+                    { kind: 'audioinput', deviceId: 'mic', label: 'Microphone' },
+                    { kind: 'audiooutput', deviceId: 'default', label: 'Default' },
+                    { kind: 'audiooutput', deviceId: 'usb-pa', label: 'USB Audio' },
+                    { kind: 'audiooutput', deviceId: 'headphones', label: '' }
+                ])
+            }
+        });
+
+        expect(await listOutputDevices()).toEqual([
+            { deviceId: '', label: 'System default' },
+            { deviceId: 'usb-pa', label: 'USB Audio' },
+            { deviceId: 'headphones', label: 'Output 2' }
+        ]);
+    });
+
+    it('should offer only the system default without device enumeration', async () => {
+        Object.defineProperty(navigator, 'mediaDevices', { value: undefined, configurable: true });
+
+        expect(await listOutputDevices()).toEqual([{ deviceId: '', label: 'System default' }]);
+    });
+});
+
+describe('applyOutputDevice', () => {
+    it('should switch targets that support output selection', async () => {
+        const target = { setSinkId: vi.fn().mockResolvedValue(undefined) };
+
+        expect(await applyOutputDevice(target, 'usb-pa')).toBe(true);
+        expect(target.setSinkId).toHaveBeenCalledWith('usb-pa');
+        expect(await applyOutputDevice({}, 'usb-pa')).toBe(false);
+    });
+
+    it('should report a device that is no longer available', async () => {
+        const target = { setSinkId: vi.fn().mockRejectedValue(new Error('NotFoundError')) };
+
+        expect(await applyOutputDevice(target, 'unplugged')).toBe(false);
+    });
+});
+
+describe('startCuePreview', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        HTMLMediaElement.prototype.setSinkId = vi.fn().mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+        delete HTMLMediaElement.prototype.setSinkId;
+    });
+
+    it('should refuse to preview on the output the songs play on', async () => {
+        saveOutputDevices('usb-pa', 'usb-pa');
+
+        const result = await startCuePreview('Artist - Title.mp3');
+
+        expect(result.playing).toBe(false);
+        expect(result.error).toContain('cue output');
+        expect(getSongAudioFile).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,270 @@
+// CDG display
+// CDG graphics are 300x216 pixels. Frames are drawn into an offscreen canvas of that size and
+// scaled onto the player canvas at its real pixel size, so the lyrics stay sharp on large
+// screens. The area around the picture takes the disc's border color, or shows a venue
+// background image or video, which then also shows through the CDG's transparent pixels.
+// Display settings are saved in localStorage for this computer and set in the Playlist tab.
+
+import { getLibraryFile } from './fileAccess.js';
+import { createObjectUrl, revokeObjectUrl } from './memoryUsage.js';
+
+const CDG_DISPLAY_KEY = 'karamel-cdg-display';
+
+export const CDG_WIDTH = 300;
+export const CDG_HEIGHT = 216;
+
+/**
+ * How the CDG picture is scaled to the screen
+ * sharp: nearest-neighbour to the largest size that fits, blocky but crisp
+ * integer: nearest-neighbour in whole multiples, so every CDG pixel is the same size
+ * smooth: bilinear filtering, softer edges on text
+ */
+export const CDG_SCALING_MODES = ['sharp', 'integer', 'smooth'];
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+const VIDEO_EXTENSIONS = ['.mp4', '.webm'];
+
+let backgroundPath = '';
+let backgroundUrl = null;
+
+/**
+ * Get the display settings of this computer
+ * @returns {{scaling: string, background: string}} Background path relative to the library root, empty for none
+ */
+export function getDisplaySettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CDG_DISPLAY_KEY) || '{}');
+        return {
+            scaling: CDG_SCALING_MODES.includes(saved.scaling) ? saved.scaling : 'sharp',
+            background: typeof saved.background === 'string' ? saved.background : ''
+        };
+    } catch (error) {
+        return { scaling: 'sharp', background: '' };
+    }
+}
+
+/**
+ * Save the display settings of this computer
+ * @param {string} scaling - One of CDG_SCALING_MODES
+ * @param {string} background - Image or video in the library, empty for none
+ * @returns {{scaling: string, background: string}} The saved settings
+ */
+export function saveDisplaySettings(scaling, background) {
+    const settings = {
+        scaling: CDG_SCALING_MODES.includes(scaling) ? scaling : 'sharp',
+        background: (background || '').trim().replace(/\\/g, '/').replace(/^\/+/, '')
+    };
+    try {
+        localStorage.setItem(CDG_DISPLAY_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Failed to save display settings:', error);
+    }
+    return settings;
+}
+
+/**
+ * Call back when the display settings are changed in another tab
+ * @param {function({scaling: string, background: string}): void} callback
+ * @returns {function(): void} Stops listening
+ */
+export function onDisplaySettingsChanged(callback) {
+    const listener = event => {
+        if (event.key === CDG_DISPLAY_KEY) {
+            callback(getDisplaySettings());
+        }
+    };
+    window.addEventListener('storage', listener);
+    return () => window.removeEventListener('storage', listener);
+}
+
+/**
+ * Place the CDG picture on a canvas
+ * @param {number} width - Canvas width in device pixels
+ * @param {number} height - Canvas height in device pixels
+ * @param {string} [scaling='sharp'] - One of CDG_SCALING_MODES
+ * @returns {{x: number, y: number, width: number, height: number, scale: number}} Centered, keeping the aspect ratio
+ */
+export function getRenderLayout(width, height, scaling = 'sharp') {
+    const fit = Math.min(width / CDG_WIDTH, height / CDG_HEIGHT);
+    // Screens smaller than the CDG itself get the fitted size; there is no whole multiple below 1
+    const scale = scaling === 'integer' && fit >= 1 ? Math.floor(fit) : fit;
+    const scaledWidth = Math.round(CDG_WIDTH * scale);
+    const scaledHeight = Math.round(CDG_HEIGHT * scale);
+
+    return {
+        x: Math.floor((width - scaledWidth) / 2),
+        y: Math.floor((height - scaledHeight) / 2),
+        width: scaledWidth,
+        height: scaledHeight,
+        scale
+    };
+}
+
+/**
+ * Convert a CDG color to CSS
+ * @param {number[]} rgba - Red, green, blue and alpha (0-255)
+ * @returns {string}
+ */
+export function rgbaToCss(rgba) {
+    const [r, g, b, a = 255] = rgba;
+    return `rgba(${r}, ${g}, ${b}, ${Math.round(a / 255 * 1000) / 1000})`;
+}
+
+/**
+ * Draw CDG frames scaled onto a canvas
+ * The canvas is sized to its on-screen size times the device pixel ratio, and redrawn when that
+ * changes (full screen, window resize).
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [scaling='sharp'] - One of CDG_SCALING_MODES
+ * @returns {{draw: function(object): void, setScaling: function(string): void, setTransparent: function(boolean): void,
+ *            isTransparent: function(): boolean, dispose: function(): void}}
+ */
+export function createCdgRenderer(canvas, scaling = 'sharp') {
+    const source = document.createElement('canvas');
+    source.width = CDG_WIDTH;
+    source.height = CDG_HEIGHT;
+    const sourceContext = source.getContext('2d');
+
+    let borderColor = 'rgba(0, 0, 0, 1)';
+    let transparent = false;
+
+    const redraw = () => {
+        const context = canvas.getContext('2d');
+        if (!context) {
+            return;
+        }
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (!transparent) {
+            context.fillStyle = borderColor;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        const layout = getRenderLayout(canvas.width, canvas.height, scaling);
+        context.imageSmoothingEnabled = scaling === 'smooth';
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(source, layout.x, layout.y, layout.width, layout.height);
+    };
+
+    const resize = () => {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+        const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        redraw();
+    };
+
+    const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(resize) : null;
+    if (observer) {
+        observer.observe(canvas);
+    }
+    resize();
+
+    return {
+        /**
+         * Draw a frame returned by CDGraphics.render
+         * @param {{imageData: ImageData, backgroundRGBA?: number[]}} frame
+         */
+        draw(frame) {
+            if (sourceContext && frame.imageData) {
+                sourceContext.putImageData(frame.imageData, 0, 0);
+            }
+            if (frame.backgroundRGBA) {
+                borderColor = rgbaToCss(frame.backgroundRGBA);
+            }
+            redraw();
+        },
+        setScaling(mode) {
+            scaling = CDG_SCALING_MODES.includes(mode) ? mode : 'sharp';
+            redraw();
+        },
+        setTransparent(value) {
+            transparent = !!value;
+            redraw();
+        },
+        isTransparent() {
+            return transparent;
+        },
+        dispose() {
+            if (observer) {
+                observer.disconnect();
+            }
+        }
+    };
+}
+
+/**
+ * Check if a background file is a video
+ * @param {string} path
+ * @returns {boolean|null} Null for unsupported files
+ */
+export function isBackgroundVideo(path) {
+    const lower = (path || '').toLowerCase();
+    if (VIDEO_EXTENSIONS.some(ext => lower.endsWith(ext))) {
+        return true;
+    }
+    return IMAGE_EXTENSIONS.some(ext => lower.endsWith(ext)) ? false : null;
+}
+
+/**
+ * Show a library image or video in a container behind the CDG canvas
+ * Keeps the current background if the same file is asked for again, so a video keeps playing
+ * across songs.
+ * @param {HTMLElement|null} container
+ * @param {string} path - File relative to the library root, empty to remove the background
+ * @returns {Promise<boolean>} True if a background is shown
+ */
+export async function showBackground(container, path) {
+    if (!container) {
+        return false;
+    }
+    if (path && path === backgroundPath && container.firstChild) {
+        return true;
+    }
+
+    clearBackground(container);
+    const video = isBackgroundVideo(path);
+    if (!path || video === null) {
+        return false;
+    }
+
+    try {
+        const file = await getLibraryFile(path);
+        backgroundUrl = createObjectUrl(file);
+        backgroundPath = path;
+
+        const element = document.createElement(video ? 'video' : 'img');
+        element.className = 'cdg-background-media';
+        element.src = backgroundUrl;
+        if (video) {
+            element.muted = true;
+            element.loop = true;
+            element.playsInline = true;
+            element.autoplay = true;
+        } else {
+            element.alt = '';
+        }
+        container.appendChild(element);
+        return true;
+    } catch (error) {
+        console.warn(`Could not show background ${path}:`, error);
+        clearBackground(container);
+        return false;
+    }
+}
+
+/**
+ * Remove the background and release its file
+ * @param {HTMLElement|null} container
+ */
+export function clearBackground(container) {
+    if (container) {
+        container.replaceChildren();
+    }
+    revokeObjectUrl(backgroundUrl);
+    backgroundUrl = null;
+    backgroundPath = '';
+}
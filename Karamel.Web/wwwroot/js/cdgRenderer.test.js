@@ -0,0 +1,152 @@
+// Unit tests for CDG scaling, display settings and venue backgrounds
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    getRenderLayout,
+    rgbaToCss,
+    getDisplaySettings,
+    saveDisplaySettings,
+    onDisplaySettingsChanged,
+    isBackgroundVideo,
+    showBackground,
+    clearBackground
+} from './cdgRenderer.js';
+import { getLibraryFile } from './fileAccess.js';
+import { getObjectUrlUsage } from './memoryUsage.js';
+
+vi.mock('./fileAccess.js', () => ({
+    getLibraryFile: vi.fn()
+}));
+
+describe('getRenderLayout', () => {
+    it('should fill the height of a 16:9 screen and center the picture', () => {
+        const layout = getRenderLayout(1920, 1080, 'sharp');
+
+        expect(layout.scale).toBe(5);
+        expect(layout).toMatchObject({ x: 210, y: 0, width: 1500, height: 1080 });
+    });
+
+    it('should scale in whole multiples in integer mode', () => {
+        const layout = getRenderLayout(1280, 720, 'integer');
+
+        expect(layout.scale).toBe(3);
+        expect(layout).toMatchObject({ x: 190, y: 36, width: 900, height: 648 });
+    });
+
+    it('should use the fitted size when the screen is smaller than the CDG', () => {
+        const layout = getRenderLayout(150, 150, 'integer');
+
+        expect(layout.scale).toBe(0.5);
+        expect(layout).toMatchObject({ width: 150, height: 108, x: 0, y: 21 });
+    });
+
+    it('should fit the same as sharp in smooth mode', () => {
+        expect(getRenderLayout(1280, 720, 'smooth')).toEqual(getRenderLayout(1280, 720, 'sharp'));
+    });
+});
+
+describe('rgbaToCss', () => {
+    it('should convert alpha to a 0-1 fraction', () => {
+        expect(rgbaToCss([255, 128, 0, 255])).toBe('rgba(255, 128, 0, 1)');
+        expect(rgbaToCss([0, 0, 0, 0])).toBe('rgba(0, 0, 0, 0)');
+    });
+
+    it('should treat a missing alpha as opaque', () => {
+        expect(rgbaToCss([1, 2, 3])).toBe('rgba(1, 2, 3, 1)');
+    });
+});
+
+describe('display settings', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should default to sharp scaling without a background', () => {
+        expect(getDisplaySettings()).toEqual({ scaling: 'sharp', background: '' });
+    });
+
+    it('should keep the background as a library path', () => {
+        saveDisplaySettings('integer', ' \\Venue\\background.jpg ');
+
+        expect(getDisplaySettings()).toEqual({ scaling: 'integer', background: 'Venue/background.jpg' });
+    });
+
+    it('should fall back to sharp for an unknown scaling mode', () => {
+        expect(saveDisplaySettings('blurry', '').scaling).toBe('sharp');
+    });
+
+    it('should ignore a corrupt saved value', () => {
+        localStorage.setItem('karamel-cdg-display', '{not json');
+
+        expect(getDisplaySettings()).toEqual({ scaling: 'sharp', background: '' });
+    });
+
+    it('should call back when another tab saves the settings', () => {
+        const callback = vi.fn();
+        const stop = onDisplaySettingsChanged(callback);
+        saveDisplaySettings('smooth', 'bg.mp4');
+
+        window.dispatchEvent(new StorageEvent('storage', { key: 'karamel-other' }));
+        window.dispatchEvent(new StorageEvent('storage', { key: 'karamel-cdg-display' }));
+        stop();
+        window.dispatchEvent(new StorageEvent('storage', { key: 'karamel-cdg-display' }));
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback).toHaveBeenCalledWith({ scaling: 'smooth', background: 'bg.mp4' });
+    });
+});
+
+describe('backgrounds', () => {
+    let container;
+
+    beforeEach(() => {
+        clearBackground(null);
+        vi.mocked(getLibraryFile).mockReset();
+        container = document.createElement('div');
+    });
+
+    it('should tell images from videos by extension', () => {
+        expect(isBackgroundVideo('Venue/loop.MP4')).toBe(true);
+        expect(isBackgroundVideo('Venue/stage.png')).toBe(false);
+        expect(isBackgroundVideo('Venue/notes.txt')).toBeNull();
+    });
+
+    it('should show an image from the library and release it when cleared', async () => {
+        vi.mocked(getLibraryFile).mockResolvedValue(new File(['png'], 'stage.png'));
+
+        const shown = await showBackground(container, 'Venue/stage.png');
+
+        expect(shown).toBe(true);
+        expect(getLibraryFile).toHaveBeenCalledWith('Venue/stage.png');
+        expect(container.querySelector('img.cdg-background-media')).not.toBeNull();
+        expect(getObjectUrlUsage().count).toBe(1);
+
+        clearBackground(container);
+
+        expect(container.children.length).toBe(0);
+        expect(getObjectUrlUsage().count).toBe(0);
+    });
+
+    it('should show a muted looping video and keep it for the next song', async () => {
+        vi.mocked(getLibraryFile).mockResolvedValue(new File(['mp4'], 'loop.mp4'));
+
+        await showBackground(container, 'Venue/loop.mp4');
+        const video = container.querySelector('video');
+        await showBackground(container, 'Venue/loop.mp4');
+
+        expect(video.muted).toBe(true);
+        expect(video.loop).toBe(true);
+        expect(container.querySelector('video')).toBe(video);
+        expect(getLibraryFile).toHaveBeenCalledTimes(1);
+        clearBackground(container);
+    });
+
+    it('should show nothing when the file is missing or not an image or video', async () => {
+        vi.mocked(getLibraryFile).mockRejectedValue(new Error('File not found'));
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await showBackground(container, 'Venue/missing.jpg')).toBe(false);
+        expect(await showBackground(container, 'Venue/notes.txt')).toBe(false);
+        expect(container.children.length).toBe(0);
+        expect(getObjectUrlUsage().count).toBe(0);
+    });
+});
@@ -0,0 +1,62 @@
+// CDG lyrics timing
+// Some rips have graphics that run ahead of (or behind) the audio. The lyrics are drawn for the
+// media time minus a calibrated delay: one for the whole library plus one per song, and the
+// output latency of the audio device, so the graphics match what is heard.
+
+import { DEFAULT_SHORTCUTS, getShortcutAction } from './shortcuts.js';
+
+/**
+ * Largest lyrics delay, either way, in milliseconds
+ */
+export const MAX_SYNC_OFFSET_MS = 2000;
+
+/**
+ * Lyrics delay change per hotkey press, in milliseconds
+ */
+export const SYNC_OFFSET_STEP_MS = 50;
+
+/**
+ * Limit a lyrics delay to the supported range
+ * @param {number} milliseconds - Positive shows the graphics later
+ * @returns {number} Whole milliseconds within ±MAX_SYNC_OFFSET_MS
+ */
+export function clampSyncOffset(milliseconds) {
+    const number = Math.round(Number(milliseconds) || 0);
+    return Math.max(-MAX_SYNC_OFFSET_MS, Math.min(MAX_SYNC_OFFSET_MS, number));
+}
+
+/**
+ * Get the time to draw the CDG graphics for
+ * @param {number} mediaTime - Current time of the audio element in seconds
+ * @param {number} offsetMilliseconds - Library plus song lyrics delay
+ * @param {number} [outputLatency=0] - Seconds until the audio is heard
+ * @returns {number} Seconds, never before the start of the song
+ */
+export function getGraphicsTime(mediaTime, offsetMilliseconds, outputLatency = 0) {
+    return Math.max(0, mediaTime - outputLatency - offsetMilliseconds / 1000);
+}
+
+/**
+ * Map a key press to a lyrics delay change
+ * By default ] and [ move the song's lyrics later or earlier, } and { (with Shift) the whole
+ * library's, and \ resets the song; the keys can be changed in the shortcut map.
+ * @param {KeyboardEvent} event
+ * @param {Object<string, string>} [shortcuts] - Map from getShortcuts
+ * @returns {{scope: 'song'|'library', delta: number}|{scope: 'song', reset: true}|null}
+ */
+export function getSyncOffsetHotkey(event, shortcuts = DEFAULT_SHORTCUTS) {
+    switch (getShortcutAction(event, shortcuts)) {
+        case 'syncLater':
+            return { scope: 'song', delta: SYNC_OFFSET_STEP_MS };
+        case 'syncEarlier':
+            return { scope: 'song', delta: -SYNC_OFFSET_STEP_MS };
+        case 'librarySyncLater':
+            return { scope: 'library', delta: SYNC_OFFSET_STEP_MS };
+        case 'librarySyncEarlier':
+            return { scope: 'library', delta: -SYNC_OFFSET_STEP_MS };
+        case 'syncReset':
+            return { scope: 'song', reset: true };
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,54 @@
+// Unit tests for the CDG lyrics timing and its hotkeys
+import { describe, it, expect } from 'vitest';
+import {
+    MAX_SYNC_OFFSET_MS,
+    SYNC_OFFSET_STEP_MS,
+    clampSyncOffset,
+    getGraphicsTime,
+    getSyncOffsetHotkey
+} from './cdgSync.js';
+
+describe('clampSyncOffset', () => {
+    it('should round to whole milliseconds within the range', () => {
+        expect(clampSyncOffset(149.6)).toBe(150);
+        expect(clampSyncOffset(5000)).toBe(MAX_SYNC_OFFSET_MS);
+        expect(clampSyncOffset(-5000)).toBe(-MAX_SYNC_OFFSET_MS);
+        expect(clampSyncOffset('abc')).toBe(0);
+    });
+});
+
+describe('getGraphicsTime', () => {
+    it('should draw the lyrics later for a positive delay', () => {
+        expect(getGraphicsTime(10, 250)).toBeCloseTo(9.75);
+        expect(getGraphicsTime(10, -250)).toBeCloseTo(10.25);
+    });
+
+    it('should wait for the audio to reach the speakers', () => {
+        expect(getGraphicsTime(10, 100, 0.2)).toBeCloseTo(9.7);
+    });
+
+    it('should not go before the start of the song', () => {
+        expect(getGraphicsTime(0.1, 500)).toBe(0);
+    });
+});
+
+describe('getSyncOffsetHotkey', () => {
+    const key = (name, extra = {}) => ({ key: name, target: { tagName: 'BODY' }, ...extra });
+
+    it('should move the song lyrics with [ and ]', () => {
+        expect(getSyncOffsetHotkey(key(']'))).toEqual({ scope: 'song', delta: SYNC_OFFSET_STEP_MS });
+        expect(getSyncOffsetHotkey(key('['))).toEqual({ scope: 'song', delta: -SYNC_OFFSET_STEP_MS });
+        expect(getSyncOffsetHotkey(key('\\'))).toEqual({ scope: 'song', reset: true });
+    });
+
+    it('should move the library lyrics with Shift', () => {
+        expect(getSyncOffsetHotkey(key('}'))).toEqual({ scope: 'library', delta: SYNC_OFFSET_STEP_MS });
+        expect(getSyncOffsetHotkey(key('{'))).toEqual({ scope: 'library', delta: -SYNC_OFFSET_STEP_MS });
+    });
+
+    it('should ignore other keys, shortcuts and typing in form fields', () => {
+        expect(getSyncOffsetHotkey(key('a'))).toBeNull();
+        expect(getSyncOffsetHotkey(key(']', { ctrlKey: true }))).toBeNull();
+        expect(getSyncOffsetHotkey(key(']', { target: { tagName: 'INPUT' } }))).toBeNull();
+    });
+});
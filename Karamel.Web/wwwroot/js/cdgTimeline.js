@@ -0,0 +1,68 @@
+// CDG timeline
+// CDG graphics are a stream of drawing instructions, so the screen at any moment is the result of
+// every instruction before it. When playback jumps back the renderer is rebuilt and replays the
+// stream up to the new time, so the previous screen is never left half drawn.
+
+/**
+ * Step of the skip back and skip forward controls
+ */
+export const SKIP_SECONDS = 10;
+
+/**
+ * Limit a seek target to the song
+ * @param {number} seconds - Requested time
+ * @param {number} duration - Length of the song, NaN or Infinity while unknown
+ * @returns {number|null} Time to seek to, or null if the request is not a number
+ */
+export function clampSeekTime(seconds, duration) {
+    const time = Number(seconds);
+    if (!Number.isFinite(time)) {
+        return null;
+    }
+    const end = Number.isFinite(duration) && duration > 0 ? duration : Infinity;
+    return Math.max(0, Math.min(end, time));
+}
+
+/**
+ * Render CDG frames for a time that can jump in either direction
+ * @param {function(): {render: function(number, object=): object}} createGraphics - Makes a renderer
+ *        with an empty screen, e.g. () => new CDGraphics(buffer)
+ * @returns {{render: function(number, object=): object, rebuild: function(): void}}
+ */
+export function createCdgTimeline(createGraphics) {
+    let graphics = createGraphics();
+    let lastTime = 0;
+    let rebuilt = false;
+
+    const rebuild = () => {
+        graphics = createGraphics();
+        lastTime = 0;
+        rebuilt = true;
+    };
+
+    return {
+        /**
+         * Render the frame for a time, replaying from the start after a jump back
+         * @param {number} time - Seconds
+         * @param {object} [options] - Passed on, e.g. {forceKey}
+         * @returns {object} Frame; isChanged is set on the first frame after a rebuild, so it is drawn
+         */
+        render(time, options) {
+            if (time < lastTime) {
+                rebuild();
+            }
+            lastTime = time;
+
+            const frame = graphics.render(time, options);
+            if (rebuilt && frame) {
+                rebuilt = false;
+                return { ...frame, isChanged: true };
+            }
+            return frame;
+        },
+        /**
+         * Start again from an empty screen; the next render replays up to its time
+         */
+        rebuild
+    };
+}
@@ -0,0 +1,77 @@
+// Unit tests for seeking in CDG graphics
+import { describe, it, expect, vi } from 'vitest';
+import { SKIP_SECONDS, clampSeekTime, createCdgTimeline } from './cdgTimeline.js';
+
+/**
+ * Stand-in for CDGraphics: a screen that is the list of packet times drawn so far
+ */
+function createFakeGraphics() {
+    const drawn = [];
+    return {
+        drawn,
+        render: vi.fn((time, options) => {
+            const before = drawn.length;
+            for (let t = drawn.length; t < Math.floor(time); t++) {
+                drawn.push(t);
+            }
+            return { imageData: [...drawn], isChanged: drawn.length !== before, options };
+        })
+    };
+}
+
+describe('clampSeekTime', () => {
+    it('should keep the target within the song', () => {
+        expect(clampSeekTime(-SKIP_SECONDS, 180)).toBe(0);
+        expect(clampSeekTime(190, 180)).toBe(180);
+        expect(clampSeekTime(42.5, 180)).toBe(42.5);
+    });
+
+    it('should allow any later time while the duration is unknown', () => {
+        expect(clampSeekTime(300, NaN)).toBe(300);
+        expect(clampSeekTime(300, Infinity)).toBe(300);
+    });
+
+    it('should reject targets that are not numbers', () => {
+        expect(clampSeekTime('later', 180)).toBeNull();
+        expect(clampSeekTime(NaN, 180)).toBeNull();
+    });
+});
+
+describe('createCdgTimeline', () => {
+    it('should pass frames and options through while playing forward', () => {
+        const create = vi.fn(createFakeGraphics);
+        const timeline = createCdgTimeline(create);
+
+        timeline.render(3, { forceKey: true });
+        const frame = timeline.render(5, { forceKey: true });
+
+        expect(frame.imageData).toEqual([0, 1, 2, 3, 4]);
+        expect(frame.options).toEqual({ forceKey: true });
+        expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should replay from an empty screen after jumping back', () => {
+        const create = vi.fn(createFakeGraphics);
+        const timeline = createCdgTimeline(create);
+        timeline.render(8);
+
+        const frame = timeline.render(2);
+
+        expect(create).toHaveBeenCalledTimes(2);
+        expect(frame.imageData).toEqual([0, 1]);
+        expect(frame.isChanged).toBe(true);
+    });
+
+    it('should mark the first frame after a rebuild as changed', () => {
+        const timeline = createCdgTimeline(createFakeGraphics);
+        timeline.render(4);
+        timeline.rebuild();
+
+        const first = timeline.render(0.5);
+        const second = timeline.render(0.6);
+
+        expect(first.isChanged).toBe(true);
+        expect(first.imageData).toEqual([]);
+        expect(second.isChanged).toBe(false);
+    });
+});
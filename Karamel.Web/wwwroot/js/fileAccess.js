@@ -2,10 +2,54 @@
 // Store file data in module-level variables to avoid JSON serialization issues
 
 import { extractMetadata, validatePattern } from './metadata.js';
+import { readZipEntries, extractZipEntry, findKaraokeEntries } from './zipReader.js';
+import {
+    findLibraryIndex,
+    getLibraryIndex,
+    getLastLibraryIndex,
+    saveLibraryIndex,
+    getCachedSong,
+    getCachedLoudness,
+    getCachedSyncOffset,
+    getCachedBrokenReason,
+    getLibrarySyncOffset,
+    createIndexEntry,
+    saveSongBroken
+} from './libraryIndex.js';
+import { createScanReport, addScanIssue, sortScanIssues } from './scanReport.js';
 
-let mp3Data = null;
+// Standalone video karaoke files (no CDG needed) and the MIME types used to play them
+const VIDEO_MIME_TYPES = {
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm'
+};
+
+// Number of songs read (file access + metadata) at the same time during a library scan
+const SCAN_CONCURRENCY = 4;
+
+// Folder name searched for CDG files when the cdgFolder pairing rule is on
+const CDG_FOLDER_NAME = 'cdg';
+
+/**
+ * How MP3 and CDG files are paired during a scan; by default only identical basenames pair
+ * @property {boolean} caseInsensitive - "Track.mp3" pairs with "track.cdg"
+ * @property {boolean} normalizeNames - Ignore whitespace and punctuation ("Track .mp3" pairs with "Track.cdg")
+ * @property {boolean} cdgFolder - Also look for the CDG in a "cdg" folder inside or next to the MP3's folder
+ */
+export const DEFAULT_PAIRING_RULES = Object.freeze({
+    caseInsensitive: false,
+    normalizeNames: false,
+    cdgFolder: false
+});
+
+let mp3File = null; // File of a plain MP3, or a Blob of the MP3 unpacked from an archive
 let cdgData = null;
+let videoFile = null;
+let loadedSongSource = null; // Library file the loaded song came from, for caching per-file data
+let preloadedSong = null; // Next queued song, read ahead by preloadSong
 let libraryDirectoryHandle = null; // Keep directory handle for session-long access
+let libraryIndexId = null; // Index record of that library, which restoreLibraryAccess reopens after a reload
+let lastScanReport = null; // Diagnostics of the most recent library scan
 
 export async function pickMp3File() {
     try {
@@ -18,8 +62,8 @@ export async function pickMp3File() {
         });
         
         const file = await fileHandle.getFile();
-        const arrayBuffer = await file.arrayBuffer();
-        mp3Data = new Uint8Array(arrayBuffer);
+        mp3File = file;
+        loadedSongSource = null;
         
         return {
             name: file.name,
@@ -55,114 +99,848 @@ export async function pickCdgFile() {
     }
 }
 
-export function getMp3Data() {
-    return mp3Data;
+/**
+ * MP3 of the loaded song, streamed by the player through an object URL
+ * Plain MP3s stay on disk as File objects; only archived MP3s are held in memory.
+ * @returns {Blob|null}
+ */
+export function getMp3File() {
+    return mp3File;
 }
 
 export function getCdgData() {
     return cdgData;
 }
 
+export function getVideoFile() {
+    return videoFile;
+}
+
+/**
+ * Library file the loaded song was read from
+ * @returns {{libraryId: number|null, filePath: string, size: number, lastModified: number}|null} Index
+ *          record of the library, path and file details, or null for files picked outside the library
+ */
+export function getLoadedSongSource() {
+    return loadedSongSource;
+}
+
 export function hasFiles() {
-    return mp3Data !== null && cdgData !== null;
+    return (mp3File !== null && cdgData !== null) || videoFile !== null;
+}
+
+/**
+ * Forget the loaded song, so its data can be garbage collected
+ * The preloaded next song is kept.
+ */
+export function unloadSong() {
+    mp3File = null;
+    cdgData = null;
+    videoFile = null;
+    loadedSongSource = null;
 }
 
 /**
- * Pick a library directory and scan for karaoke files (MP3 + CDG pairs)
+ * Bytes of song data held in memory rather than streamed from disk
+ * Counts CDG data and MP3s unpacked from archives; File objects of plain MP3s and videos are
+ * read by the browser on demand and do not count.
+ * @returns {{loadedBytes: number, preloadedBytes: number}}
+ */
+export function getSongMemoryUsage() {
+    const inMemory = (files) => files
+        ? getInMemorySize(files.mp3File) + (files.cdgData ? files.cdgData.byteLength : 0)
+        : 0;
+
+    return {
+        loadedBytes: inMemory({ mp3File, cdgData }),
+        preloadedBytes: inMemory(preloadedSong)
+    };
+}
+
+/**
+ * Size of a Blob held in memory; Files are backed by the disk
+ * @param {Blob|null} blob
+ * @returns {number}
+ */
+function getInMemorySize(blob) {
+    return blob && !(typeof File !== 'undefined' && blob instanceof File) ? blob.size : 0;
+}
+
+/**
+ * Media type of the song currently loaded for playback
+ * @returns {'video'|'cdg'|null}
+ */
+export function getLoadedMediaType() {
+    if (videoFile) {
+        return 'video';
+    }
+    if (mp3File && cdgData) {
+        return 'cdg';
+    }
+    return null;
+}
+
+/**
+ * Get the video extension of a filename if it is a supported video type
+ * @param {string} fileName - Filename to check
+ * @returns {string|null} Lowercase extension including the dot, or null
+ */
+function getVideoExtension(fileName) {
+    const lower = fileName.toLowerCase();
+    return Object.keys(VIDEO_MIME_TYPES).find(ext => lower.endsWith(ext)) || null;
+}
+
+/**
+ * Get the MIME type used to play a video file
+ * @param {string} fileName - Video filename
+ * @returns {string} MIME type (defaults to video/mp4)
+ */
+export function getVideoMimeType(fileName) {
+    const ext = getVideoExtension(fileName || '');
+    return ext ? VIDEO_MIME_TYPES[ext] : 'video/mp4';
+}
+
+/**
+ * Pick a library directory and scan for karaoke files (MP3 + CDG pairs, zipped pairs and standalone videos)
+ * Songs of a previously scanned library are reused from the IndexedDB index if their files are unchanged
  * @param {string} filenamePattern - Pattern for parsing filenames (default: "%artist - %title")
- * @returns {Promise<Array>} Array of song metadata objects
+ * @param {number} progressStep - Dispatch a progress event every N matched songs or discovered files
+ * @param {AbortSignal|null} signal - Cancels the scan
+ * @param {object|null} pairingRules - MP3/CDG pairing rules (see DEFAULT_PAIRING_RULES)
+ * @returns {Promise<Array>} Array of song metadata objects, or null if cancelled
  */
-export async function pickLibraryDirectory(filenamePattern = '%artist - %title', progressStep = 10) {
+export async function pickLibraryDirectory(filenamePattern = '%artist - %title', progressStep = 10, signal = null, pairingRules = null) {
     try {
         // Request directory access
         libraryDirectoryHandle = await window.showDirectoryPicker({
             mode: 'read'
         });
+        libraryIndexId = null;
+
+        return await scanLibrary(libraryDirectoryHandle, { filenamePattern, progressStep, signal, pairingRules });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('Library scan cancelled');
+        } else {
+            console.error('Error picking library directory:', error);
+        }
+        return null;
+    }
+}
+
+/**
+ * Pick a library directory and list a sample of its song files, without scanning it
+ * The directory is kept, so scanSelectedLibrary can scan it once a filename pattern is chosen
+ * @param {number} sampleSize - Maximum number of files to list
+ * @returns {Promise<{name: string, fileNames: string[]}|null>} Library name and relative file paths, or null if cancelled
+ */
+export async function pickLibrarySample(sampleSize = 200) {
+    try {
+        libraryDirectoryHandle = await window.showDirectoryPicker({
+            mode: 'read'
+        });
+        libraryIndexId = null;
+
+        return {
+            name: libraryDirectoryHandle.name,
+            fileNames: await sampleSongFiles(libraryDirectoryHandle, sampleSize)
+        };
+    } catch (error) {
+        console.error('Error sampling library directory:', error);
+        return null;
+    }
+}
+
+/**
+ * Scan the library directory chosen with pickLibrarySample
+ * @param {string} filenamePattern - Pattern for parsing filenames (default: "%artist - %title")
+ * @param {number} progressStep - Dispatch a progress event every N matched songs or discovered files
+ * @param {AbortSignal|null} signal - Cancels the scan
+ * @param {object|null} pairingRules - MP3/CDG pairing rules (see DEFAULT_PAIRING_RULES)
+ * @returns {Promise<Array|null>} Array of song metadata objects, or null if no directory is selected or the scan was cancelled
+ */
+export async function scanSelectedLibrary(filenamePattern = '%artist - %title', progressStep = 10, signal = null, pairingRules = null) {
+    if (!libraryDirectoryHandle) {
+        return null;
+    }
+
+    try {
+        return await scanLibrary(libraryDirectoryHandle, { filenamePattern, progressStep, signal, pairingRules });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('Library scan cancelled');
+        } else {
+            console.error('Error scanning library directory:', error);
+        }
+        return null;
+    }
+}
+
+/**
+ * List the song files (MP3, ZIP and video) of a library, folder by folder from the top,
+ * so the sample covers the library's layout rather than one deep folder
+ * @param {FileSystemDirectoryHandle} rootHandle - Library root
+ * @param {number} limit - Maximum number of files
+ * @returns {Promise<string[]>} File paths relative to the library root
+ */
+async function sampleSongFiles(rootHandle, limit) {
+    const fileNames = [];
+    const queue = [{ handle: rootHandle, path: '' }];
+
+    while (queue.length > 0 && fileNames.length < limit) {
+        const { handle, path } = queue.shift();
+        try {
+            for await (const entry of handle.values()) {
+                const name = entry.name.toLowerCase();
+                if (entry.kind === 'directory') {
+                    queue.push({ handle: entry, path: joinPath(path, entry.name) });
+                } else if (name.endsWith('.mp3') || name.endsWith('.zip') || getVideoExtension(name)) {
+                    fileNames.push(joinPath(path, entry.name));
+                    if (fileNames.length >= limit) {
+                        break;
+                    }
+                }
+            }
+        } catch (error) {
+            // The scan reports unreadable folders; the sample just leaves them out
+            console.warn(`Skipping unreadable folder ${path || handle.name} in sample:`, error);
+        }
+    }
+
+    return fileNames;
+}
+
+/**
+ * Reopen the most recently scanned library without showing the directory picker
+ * Must be called from a user gesture, as the browser may ask to grant read access again
+ * @param {string} filenamePattern - Pattern for parsing filenames (default: "%artist - %title")
+ * @param {number} progressStep - Dispatch a progress event every N matched songs or discovered files
+ * @param {AbortSignal|null} signal - Cancels the scan
+ * @param {object|null} pairingRules - MP3/CDG pairing rules (see DEFAULT_PAIRING_RULES)
+ * @returns {Promise<Array|null>} Array of song metadata objects, or null if no library could be reopened
+ */
+export async function reopenLastLibrary(filenamePattern = '%artist - %title', progressStep = 10, signal = null, pairingRules = null) {
+    try {
+        const index = await getLastLibraryIndex();
+        if (!index || !index.directoryHandle) {
+            return null;
+        }
+
+        if (await getReadPermission(index.directoryHandle, true) !== 'granted') {
+            console.warn('Read permission for the library was not granted');
+            return null;
+        }
+
+        libraryDirectoryHandle = index.directoryHandle;
+        libraryIndexId = index.id;
+        return await scanLibrary(libraryDirectoryHandle, { filenamePattern, progressStep, signal, pairingRules });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('Library scan cancelled');
+        } else {
+            console.error('Error reopening library directory:', error);
+        }
+        return null;
+    }
+}
+
+/**
+ * Describe the most recently scanned library, for offering to reopen it
+ * @returns {Promise<{name: string, songCount: number, updatedAt: number}|null>}
+ */
+export async function getLastLibraryInfo() {
+    const index = await getLastLibraryIndex();
+    if (!index || !index.directoryHandle) {
+        return null;
+    }
+
+    return {
+        name: index.name,
+        songCount: index.songCount,
+        updatedAt: index.updatedAt
+    };
+}
+
+/**
+ * Check (and optionally request) read permission for a stored directory handle
+ * @param {FileSystemDirectoryHandle} handle - Directory handle restored from IndexedDB
+ * @param {boolean} request - Ask the user if permission is not granted yet (requires a user gesture)
+ * @returns {Promise<'granted'|'prompt'|'denied'>} Permission state
+ */
+async function getReadPermission(handle, request) {
+    if (typeof handle.queryPermission !== 'function') {
+        return 'granted';
+    }
+
+    const options = { mode: 'read' };
+    const state = await handle.queryPermission(options);
+    if (state === 'granted' || !request || typeof handle.requestPermission !== 'function') {
+        return state;
+    }
+
+    return handle.requestPermission(options);
+}
+
+/**
+ * Join a folder path relative to the library root and a file name
+ * @param {string} relativePath - Folder path ('' for the library root)
+ * @param {string} name - File or folder name
+ * @returns {string}
+ */
+function joinPath(relativePath, name) {
+    return relativePath ? `${relativePath}/${name}` : name;
+}
+
+/**
+ * Describe a song's primary file the way the library index keys it (lower-case extension)
+ * @param {string} relativePath - Folder path relative to the library root
+ * @param {File} file - The song's MP3, archive or video file
+ * @returns {{libraryId: number|null, filePath: string, size: number, lastModified: number}}
+ */
+function createSongSource(relativePath, file) {
+    const dot = file.name.lastIndexOf('.');
+    const name = dot > 0 ? file.name.slice(0, dot) + file.name.slice(dot).toLowerCase() : file.name;
+    return {
+        libraryId: libraryIndexId,
+        filePath: joinPath(relativePath, name),
+        size: file.size,
+        lastModified: file.lastModified
+    };
+}
+
+/**
+ * Pick the descriptive song fields from extracted metadata, with null for unknown values
+ * @param {object} metadata - Result of extractMetadata
+ * @returns {{album: string|null, year: number|null, genre: string|null, language: string|null, duration: number|null, coverArt: string|null}}
+ */
+function getSongDetails(metadata) {
+    return {
+        album: metadata.album || null,
+        year: metadata.year || null,
+        genre: metadata.genre || null,
+        language: metadata.language || null,
+        duration: metadata.duration || null,
+        coverArt: metadata.coverArt || null
+    };
+}
+
+/**
+ * Resolve a file name relative to a library folder, e.g. "cdg/Song.cdg" or "../cdg/Song.cdg"
+ * @param {string} relativePath - Folder path ('' for the library root)
+ * @param {string} fileName - File name, optionally with folder segments
+ * @returns {{directoryPath: string, name: string}} Folder path of the file and its name
+ */
+function resolveRelativeFile(relativePath, fileName) {
+    const segments = relativePath ? relativePath.split('/') : [];
+    const parts = fileName.split('/');
+    const name = parts.pop();
+
+    for (const part of parts) {
+        if (part === '..') {
+            segments.pop();
+        } else if (part && part !== '.') {
+            segments.push(part);
+        }
+    }
+
+    return { directoryPath: segments.join('/'), name };
+}
+
+/**
+ * Complete partial pairing rules with the defaults
+ * @param {object|null} rules
+ * @returns {{caseInsensitive: boolean, normalizeNames: boolean, cdgFolder: boolean}}
+ */
+function normalizePairingRules(rules) {
+    return {
+        caseInsensitive: !!(rules && rules.caseInsensitive),
+        normalizeNames: !!(rules && rules.normalizeNames),
+        cdgFolder: !!(rules && rules.cdgFolder)
+    };
+}
+
+/**
+ * Compute the key an MP3 or CDG basename is paired by
+ * @param {string} baseName - File name without extension
+ * @param {object} [rules] - Pairing rules (see DEFAULT_PAIRING_RULES)
+ * @returns {string} Files with equal keys form a pair
+ */
+export function getPairingKey(baseName, rules = DEFAULT_PAIRING_RULES) {
+    let key = baseName;
+
+    if (rules.normalizeNames) {
+        // Keep letters and digits only, so spacing and punctuation differences disappear
+        const normalized = key.normalize('NFKC').replace(/[^\p{L}\p{N}]+/gu, '');
+        key = normalized || key;
+    }
+
+    if (rules.caseInsensitive) {
+        key = key.toLowerCase();
+    }
 
-        // Validate pattern
-        const validPattern = validatePattern(filenamePattern);
+    return key;
+}
 
-        // Recursively scan for songs
-        const songs = [];
-        // matchedCount tracks number of matched (mp3+cdg) songs discovered so far
-        let matchedCount = 0;
+/**
+ * Stop a library scan once its signal is aborted
+ * @param {AbortSignal|null} signal
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new DOMException('Library scan cancelled', 'AbortError');
+    }
+}
 
-        async function scanWrapper(directoryHandle, songsAcc, relativePath = '', filenamePatternInner = '%artist - %title') {
-            const mp3Files = new Map();
-            const cdgFiles = new Set();
-            const subdirectories = [];
+/**
+ * Run async tasks with a bounded number in flight
+ * The first failure is kept and rethrown by add/drain, so callers stop queueing work
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @returns {{add: function(function(): Promise): Promise<void>, drain: function(): Promise<void>}}
+ */
+function createTaskPool(limit) {
+    const running = new Set();
+    let failure = null;
+
+    return {
+        async add(task) {
+            while (running.size >= limit) {
+                await Promise.race(running);
+            }
+            if (failure) {
+                throw failure;
+            }
 
+            const promise = task()
+                .catch(error => { failure = failure || error; })
+                .finally(() => running.delete(promise));
+            running.add(promise);
+        },
+        async drain() {
+            await Promise.all(running);
+            if (failure) {
+                throw failure;
+            }
+        }
+    };
+}
+
+/**
+ * Recursively scan a library directory for songs and update its IndexedDB index
+ * Folders are walked while up to SCAN_CONCURRENCY songs are read at a time; ID3 parsing runs in
+ * the metadata worker. Songs are returned in folder order regardless of which finished first.
+ * @param {FileSystemDirectoryHandle} rootHandle - Library root
+ * @param {object} options
+ * @param {string} options.filenamePattern - Pattern for parsing filenames
+ * @param {number} options.progressStep - Dispatch a progress event every N matched songs or discovered files
+ * @param {AbortSignal|null} options.signal - Cancels the scan; the promise then rejects with an AbortError
+ * @param {object|null} options.pairingRules - MP3/CDG pairing rules (see DEFAULT_PAIRING_RULES)
+ * @returns {Promise<Array>} Array of song metadata objects
+ */
+async function scanLibrary(rootHandle, { filenamePattern, progressStep, signal, pairingRules }) {
+    // Validate pattern
+    const validPattern = validatePattern(filenamePattern);
+    const rules = normalizePairingRules(pairingRules);
+
+    const storedIndex = await findLibraryIndex(rootHandle);
+    // Cached metadata may come from filename parsing and cached pairs from the pairing rules,
+    // so the index is only valid for the same pattern and rules
+    const cache = storedIndex
+        && storedIndex.filenamePattern === validPattern
+        && JSON.stringify(normalizePairingRules(storedIndex.pairingRules)) === JSON.stringify(rules)
+        ? storedIndex
+        : null;
+    const indexFiles = {};
+    let reusedCount = 0;
+    const report = createScanReport();
+
+    // CDGs are paired at most once; the ones never paired are reported as orphans when the scan ends
+    const pairedCdgPaths = new Set();
+    const unpairedCdgPaths = new Set();
+    // Listings of cdg/ folders, shared by the folders that look into them
+    const cdgFolderListings = new Map();
+
+    // One slot per candidate song, filled in as its task completes (null if it turned out not to be a song)
+    const songSlots = [];
+    const pool = createTaskPool(SCAN_CONCURRENCY);
+
+    // Progress counters: files seen while walking, songs matched so far, folder being walked
+    let discoveredCount = 0;
+    let matchedCount = 0;
+    let currentFolder = '';
+    let lastReportedDiscovered = 0;
+
+    function reportProgress(complete = false) {
+        lastReportedDiscovered = discoveredCount;
+        try {
+            window.dispatchEvent(new CustomEvent('library-scan-progress', {
+                detail: {
+                    scanned: matchedCount,
+                    matched: matchedCount,
+                    total: discoveredCount,
+                    folder: currentFolder,
+                    complete
+                }
+            }));
+        } catch (e) {
+            console.warn('Failed to dispatch library-scan-progress event', e);
+        }
+    }
+
+    function reportMatch() {
+        matchedCount++;
+        if (matchedCount % progressStep === 0) {
+            reportProgress();
+        }
+    }
+
+    /**
+     * Queue the work for one candidate song
+     * @param {string} filePath - Path of the song's primary file relative to the library root
+     * @param {FileSystemFileHandle} fileHandle - The song's primary file
+     * @param {function(File): Promise<object|null>} createSong - Builds the song (null if the file is not a song)
+     * @param {{path: string, handle: FileSystemFileHandle}} [companion] - Second file the song needs (the CDG of a pair)
+     */
+    async function queueSong(filePath, fileHandle, createSong, companion = null) {
+        const slot = songSlots.push(null) - 1;
+
+        await pool.add(async () => {
+            throwIfAborted(signal);
+
+            let currentPath = filePath;
+            try {
+                const file = await fileHandle.getFile();
+                if (file.size === 0) {
+                    addScanIssue(report, 'empty_file', filePath);
+                    return;
+                }
+
+                if (companion) {
+                    currentPath = companion.path;
+                    const companionFile = await companion.handle.getFile();
+                    if (companionFile.size === 0) {
+                        addScanIssue(report, 'empty_file', companion.path);
+                        return;
+                    }
+                    currentPath = filePath;
+                }
+
+                // Reuse the indexed song for an unchanged file, otherwise build it
+                const cached = getCachedSong(cache, filePath, file);
+                const song = cached || await createSong(file);
+                if (!song) {
+                    return;
+                }
+
+                if (cached) {
+                    reusedCount++;
+                }
+                // Loudness, lyrics delay and failed plays from earlier stay valid while the file is unchanged
+                const broken = getCachedBrokenReason(storedIndex, filePath, file);
+                indexFiles[filePath] = createIndexEntry(file, song,
+                    getCachedLoudness(storedIndex, filePath, file), getCachedSyncOffset(storedIndex, filePath, file), broken);
+                if (broken) {
+                    addScanIssue(report, 'broken_song', filePath, broken);
+                }
+                songSlots[slot] = song;
+                reportMatch();
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw error;
+                }
+                console.warn(`Skipping ${currentPath}:`, error);
+                addScanIssue(report, 'unreadable_file', currentPath, error.message || String(error));
+            }
+        });
+    }
+
+    /**
+     * List the CDG files of a cdg/ folder (once per folder)
+     * @param {{handle: FileSystemDirectoryHandle, path: string}} folder
+     * @returns {Promise<FileSystemFileHandle[]>}
+     */
+    function listCdgFolder(folder) {
+        if (!cdgFolderListings.has(folder.path)) {
+            cdgFolderListings.set(folder.path, (async () => {
+                const files = [];
+                try {
+                    for await (const entry of folder.handle.values()) {
+                        if (entry.kind === 'file' && entry.name.toLowerCase().endsWith('.cdg')) {
+                            files.push(entry);
+                        }
+                    }
+                } catch (error) {
+                    // Reported as an unreadable folder when the folder itself is walked
+                    console.warn(`Cannot list CDG folder ${folder.path}:`, error);
+                }
+                return files;
+            })());
+        }
+        return cdgFolderListings.get(folder.path);
+    }
+
+    /**
+     * Find the CDG for each MP3 of a folder according to the pairing rules
+     * CDGs in the same folder take precedence over those in cdg/ folders
+     * @param {Map<string, FileSystemFileHandle>} mp3Files - MP3 files by basename
+     * @param {Map<string, FileSystemFileHandle>} cdgFiles - CDG files in the same folder by basename
+     * @param {Array<{handle: FileSystemDirectoryHandle, path: string, prefix: string}>} cdgFolders - cdg/ folders to search
+     * @param {string} relativePath - Folder path relative to the library root
+     * @returns {Promise<Map<string, {handle: FileSystemFileHandle, fileName: string, path: string}>>} CDG by MP3 basename
+     */
+    async function pairCdgFiles(mp3Files, cdgFiles, cdgFolders, relativePath) {
+        const cdgByKey = new Map();
+        const addCandidate = (handle, prefix, path) => {
+            const baseName = handle.name.slice(0, -4); // Remove .cdg extension
+            const key = getPairingKey(baseName, rules);
+            if (!cdgByKey.has(key)) {
+                cdgByKey.set(key, { handle, fileName: `${prefix}${baseName}.cdg`, path });
+            }
+        };
+
+        for (const handle of cdgFiles.values()) {
+            addCandidate(handle, '', joinPath(relativePath, handle.name));
+        }
+        for (const folder of cdgFolders) {
+            for (const handle of await listCdgFolder(folder)) {
+                addCandidate(handle, folder.prefix, joinPath(folder.path, handle.name));
+            }
+        }
+
+        const pairs = new Map();
+        for (const baseName of mp3Files.keys()) {
+            const cdg = cdgByKey.get(getPairingKey(baseName, rules));
+            if (cdg && !pairedCdgPaths.has(cdg.path)) {
+                pairs.set(baseName, cdg);
+                pairedCdgPaths.add(cdg.path);
+                unpairedCdgPaths.delete(cdg.path);
+            }
+        }
+        return pairs;
+    }
+
+    async function walkDirectory(directoryHandle, relativePath, siblingCdgFolder = null) {
+        throwIfAborted(signal);
+        currentFolder = relativePath;
+
+        const mp3Files = new Map();
+        const cdgFiles = new Map();
+        const videoFiles = [];
+        const zipFiles = [];
+        const subdirectories = [];
+
+        try {
             for await (const entry of directoryHandle.values()) {
                 if (entry.kind === 'file') {
+                    discoveredCount++;
                     const fileName = entry.name.toLowerCase();
 
                     if (fileName.endsWith('.mp3')) {
                         const baseName = entry.name.slice(0, -4); // Remove .mp3 extension
-                        const file = await entry.getFile();
-                        mp3Files.set(baseName, { handle: entry, file: file });
+                        mp3Files.set(baseName, entry);
                     } else if (fileName.endsWith('.cdg')) {
                         const baseName = entry.name.slice(0, -4); // Remove .cdg extension
-                        cdgFiles.add(baseName);
+                        cdgFiles.set(baseName, entry);
+                    } else if (getVideoExtension(fileName)) {
+                        videoFiles.push(entry);
+                    } else if (fileName.endsWith('.zip')) {
+                        zipFiles.push(entry);
                     }
                 } else if (entry.kind === 'directory') {
                     subdirectories.push(entry);
                 }
             }
+        } catch (error) {
+            // Skip the whole folder rather than half of it, and keep scanning the rest of the library
+            console.warn(`Skipping unreadable folder ${relativePath || directoryHandle.name}:`, error);
+            addScanIssue(report, 'unreadable_folder', relativePath || '/', error.message || String(error));
+            return;
+        }
 
-            for (const [baseName, mp3Data] of mp3Files) {
-                const hasCdg = cdgFiles.has(baseName);
+        // With the cdgFolder rule, CDGs may also live in a cdg/ folder inside this folder or next to it
+        const cdgSubfolder = subdirectories.find(entry => entry.name.toLowerCase() === CDG_FOLDER_NAME);
+        const ownCdgFolder = cdgSubfolder ? { handle: cdgSubfolder, path: joinPath(relativePath, cdgSubfolder.name) } : null;
+        const cdgFolders = [];
+        if (rules.cdgFolder && ownCdgFolder) {
+            cdgFolders.push({ ...ownCdgFolder, prefix: `${cdgSubfolder.name}/` });
+        }
+        if (rules.cdgFolder && siblingCdgFolder) {
+            cdgFolders.push({ ...siblingCdgFolder, prefix: `../${siblingCdgFolder.handle.name}/` });
+        }
 
-                // Only include songs that have both MP3 and CDG files
-                if (!hasCdg) {
-                    continue;
-                }
+        const pairs = await pairCdgFiles(mp3Files, cdgFiles, cdgFolders, relativePath);
+        reportUnpairedFiles(mp3Files, cdgFiles, zipFiles, pairs, relativePath);
 
-                const fullPath = relativePath ? `${relativePath}/${baseName}` : baseName;
+        if (discoveredCount - lastReportedDiscovered >= progressStep) {
+            reportProgress();
+        }
 
+        for (const [baseName, mp3Handle] of mp3Files) {
+            // Only include songs that have both MP3 and CDG files
+            const cdg = pairs.get(baseName);
+            if (!cdg) {
+                continue;
+            }
+
+            const fullPath = relativePath ? `${relativePath}/${baseName}` : baseName;
+
+            await queueSong(`${fullPath}.mp3`, mp3Handle, async (file) => {
                 // Extract metadata (ID3 tags or filename parsing)
-                const metadata = await extractMetadata(mp3Data.file, fullPath, filenamePatternInner);
+                const metadata = await extractMetadata(file, fullPath, validPattern);
 
-                songsAcc.push({
+                return {
                     id: crypto.randomUUID(),
                     artist: metadata.artist,
                     title: metadata.title,
+                    mediaType: 'cdg',
                     mp3FileName: `${baseName}.mp3`,
-                    cdgFileName: `${baseName}.cdg`,
+                    cdgFileName: cdg.fileName,
+                    zipFileName: null,
+                    videoFileName: null,
                     path: relativePath,
-                    fullPath: fullPath
-                });
+                    fullPath: fullPath,
+                    ...getSongDetails(metadata)
+                };
+            }, { path: cdg.path, handle: cdg.handle });
+        }
 
-                matchedCount++;
-                try {
-                    if (matchedCount % progressStep === 0) {
-                        window.dispatchEvent(new CustomEvent('library-scan-progress', { detail: { scanned: matchedCount } }));
-                    }
-                } catch (e) {
-                    console.warn('Failed to dispatch library-scan-progress event', e);
-                }
+        // Zipped MP3+CDG songs: only the archive's directory is read during the scan,
+        // the audio and graphics are unpacked on demand by loadSongFiles
+        for (const zipEntry of zipFiles) {
+            const baseName = zipEntry.name.slice(0, -4); // Remove .zip extension
+
+            // An unpacked copy of the same song takes precedence over the archive
+            if (pairs.has(baseName)) {
+                continue;
             }
 
-            for (const subdir of subdirectories) {
-                const newPath = relativePath ? `${relativePath}/${subdir.name}` : subdir.name;
-                await scanWrapper(subdir, songsAcc, newPath, filenamePatternInner);
+            const fullPath = relativePath ? `${relativePath}/${baseName}` : baseName;
+
+            await queueSong(`${fullPath}.zip`, zipEntry, async (file) => {
+                // A corrupt archive throws here and is listed in the scan report as unreadable
+                const karaokeEntries = findKaraokeEntries(await readZipEntries(file));
+                if (!karaokeEntries) {
+                    return null;
+                }
+
+                // ID3 tags are inside the compressed MP3, so zipped songs use filename parsing
+                const metadata = await extractMetadata(null, fullPath, validPattern);
+
+                return {
+                    id: crypto.randomUUID(),
+                    artist: metadata.artist,
+                    title: metadata.title,
+                    mediaType: 'cdg',
+                    mp3FileName: karaokeEntries.mp3.name,
+                    cdgFileName: karaokeEntries.cdg.name,
+                    zipFileName: zipEntry.name,
+                    videoFileName: null,
+                    path: relativePath,
+                    fullPath: fullPath,
+                    ...getSongDetails(metadata)
+                };
+            });
+        }
+
+        // Video files are complete songs on their own (picture and audio in one file)
+        for (const videoEntry of videoFiles) {
+            const extension = getVideoExtension(videoEntry.name);
+            const baseName = videoEntry.name.slice(0, -extension.length);
+            const fullPath = relativePath ? `${relativePath}/${baseName}` : baseName;
+
+            await queueSong(`${fullPath}${extension}`, videoEntry, async (file) => {
+                const metadata = await extractMetadata(file, fullPath, validPattern);
+
+                return {
+                    id: crypto.randomUUID(),
+                    artist: metadata.artist,
+                    title: metadata.title,
+                    mediaType: 'video',
+                    mp3FileName: '',
+                    cdgFileName: '',
+                    zipFileName: null,
+                    videoFileName: videoEntry.name,
+                    path: relativePath,
+                    fullPath: fullPath,
+                    ...getSongDetails(metadata)
+                };
+            });
+        }
+
+        for (const subdir of subdirectories) {
+            const newPath = relativePath ? `${relativePath}/${subdir.name}` : subdir.name;
+            // Folders next to a cdg/ folder (e.g. mp3/ and cdg/) may take their CDGs from it
+            await walkDirectory(subdir, newPath, subdir === cdgSubfolder ? null : ownCdgFolder);
+        }
+    }
+
+    /**
+     * Report the MP3 files of a folder that did not form a pair, and remember its unpaired CDGs
+     * (a CDG may still be paired from a sibling folder, so orphan CDGs are reported when the scan ends)
+     * @param {Map<string, FileSystemFileHandle>} mp3Files - MP3 files by basename
+     * @param {Map<string, FileSystemFileHandle>} cdgFiles - CDG files by basename
+     * @param {FileSystemFileHandle[]} zipFiles - Archives, which supply the pair for an MP3 or CDG of the same name
+     * @param {Map<string, object>} pairs - CDG by MP3 basename, from pairCdgFiles
+     * @param {string} relativePath - Folder path relative to the library root
+     */
+    function reportUnpairedFiles(mp3Files, cdgFiles, zipFiles, pairs, relativePath) {
+        const zipBaseNames = new Set(zipFiles.map(entry => entry.name.slice(0, -4)));
+        const orphanCdgs = new Map();
+        for (const [baseName, handle] of cdgFiles) {
+            const path = joinPath(relativePath, handle.name);
+            if (!pairedCdgPaths.has(path) && !zipBaseNames.has(baseName)) {
+                orphanCdgs.set(baseName.toLowerCase(), path);
             }
         }
 
-        await scanWrapper(libraryDirectoryHandle, songs, '', validPattern);
+        for (const [baseName, handle] of mp3Files) {
+            if (pairs.has(baseName) || zipBaseNames.has(baseName)) {
+                continue;
+            }
 
-        // Final progress dispatch so UI knows we're complete
-        try {
-            window.dispatchEvent(new CustomEvent('library-scan-progress', { detail: { scanned: songs.length, complete: true } }));
-        } catch (e) {
-            // ignore
+            // Song.MP3 + song.cdg without the caseInsensitive rule: only the letter case of the names differs
+            const cdgPath = orphanCdgs.get(baseName.toLowerCase());
+            if (cdgPath) {
+                orphanCdgs.delete(baseName.toLowerCase());
+                addScanIssue(report, 'case_mismatch', joinPath(relativePath, handle.name),
+                    `${handle.name} / ${cdgPath.split('/').pop()}`);
+            } else {
+                addScanIssue(report, 'orphan_mp3', joinPath(relativePath, handle.name));
+            }
         }
 
-        console.log(`Library scan complete: ${songs.length} songs found`);
-        return songs;
-    } catch (error) {
-        console.error('Error picking library directory:', error);
-        return null;
+        for (const path of orphanCdgs.values()) {
+            unpairedCdgPaths.add(path);
+        }
     }
+
+    await walkDirectory(rootHandle, '');
+    await pool.drain();
+    throwIfAborted(signal);
+
+    const songs = songSlots.filter(song => song !== null);
+
+    for (const path of unpairedCdgPaths) {
+        addScanIssue(report, 'orphan_cdg', path);
+    }
+    report.fileCount = discoveredCount;
+    report.songCount = songs.length;
+    lastScanReport = sortScanIssues(report);
+
+    // Persist the index so the next scan only re-processes changed files
+    libraryIndexId = await saveLibraryIndex({
+        id: storedIndex ? storedIndex.id : undefined,
+        directoryHandle: rootHandle,
+        filenamePattern: validPattern,
+        pairingRules: rules,
+        syncOffset: getLibrarySyncOffset(storedIndex),
+        files: indexFiles
+    });
+
+    // Final progress dispatch so UI knows we're complete
+    reportProgress(true);
+
+    console.log(`Library scan complete: ${songs.length} songs in ${discoveredCount} files (${reusedCount} unchanged from index, ${report.issues.length} issues)`);
+    return songs;
 }
 
 /**
@@ -239,50 +1017,336 @@ export function getLibraryDirectoryHandle() {
     return libraryDirectoryHandle;
 }
 
+/**
+ * Get the index record of the library in use, which a session keeps to reopen the same library
+ * @returns {number|null} Record id, or null if no library was scanned or its index could not be saved
+ */
+export function getLibraryIndexId() {
+    return libraryIndexId;
+}
+
+/**
+ * Get the diagnostics of the most recent library scan (files that did not become songs)
+ * @returns {{issues: Array<{type: string, path: string, detail: string}>, fileCount: number, songCount: number}|null}
+ */
+export function getLastScanReport() {
+    return lastScanReport;
+}
+
+/**
+ * Restore access to the library after a page reload, using the directory handle saved in its index
+ * The session's library is reopened once its index id is given; later calls without one reuse it.
+ * Without the id (the index could not be saved) the most recently scanned library is used.
+ * Without a user gesture only a permission that is still granted can be used; call again with
+ * request = true from a click handler to let the browser ask the user
+ * @param {boolean} [request=false] - Ask the user for read permission if needed
+ * @param {number|null} [indexId=null] - Index record of the session's library, from getLibraryIndexId
+ * @returns {Promise<'granted'|'prompt'|'denied'|'missing'>} Permission state, or 'missing' if the library is not saved
+ */
+export async function restoreLibraryAccess(request = false, indexId = null) {
+    if (indexId !== null && indexId !== undefined) {
+        libraryIndexId = indexId;
+    }
+    if (libraryDirectoryHandle) {
+        return 'granted';
+    }
+
+    const index = libraryIndexId !== null
+        ? await getLibraryIndex(libraryIndexId)
+        : await getLastLibraryIndex();
+    if (!index || !index.directoryHandle) {
+        return 'missing';
+    }
+
+    const state = await getReadPermission(index.directoryHandle, request);
+    if (state === 'granted') {
+        libraryDirectoryHandle = index.directoryHandle;
+        libraryIndexId = index.id;
+    }
+    return state;
+}
+
 /**
  * Load MP3 and CDG file data from the library directory for a specific song
+ * Uses the files read ahead by preloadSong when they belong to this song.
  * @param {string} path - Relative path to the files
- * @param {string} mp3FileName - MP3 filename
- * @param {string} cdgFileName - CDG filename
- * @returns {Promise<{mp3Data: Uint8Array, cdgData: Uint8Array}>}
+ * @param {string} mp3FileName - MP3 filename (entry name inside the archive for zipped songs)
+ * @param {string} cdgFileName - CDG filename (entry name inside the archive for zipped songs)
+ * @param {string|null} zipFileName - Archive filename for zipped songs, null for plain files
+ * @returns {Promise<{mp3File: Blob, cdgData: Uint8Array}>}
  */
-export async function loadSongFiles(path, mp3FileName, cdgFileName) {
+export async function loadSongFiles(path, mp3FileName, cdgFileName, zipFileName = null) {
     try {
-        if (!libraryDirectoryHandle) {
-            throw new Error('No library directory selected');
-        }
+        const files = takePreloadedSong(joinPath(path, zipFileName || mp3FileName))
+            || await readSongFiles(path, mp3FileName, cdgFileName, zipFileName);
 
-        // Navigate to the correct subdirectory
-        let currentDir = libraryDirectoryHandle;
-        if (path) {
-            const pathParts = path.split('/');
-            for (const part of pathParts) {
-                currentDir = await currentDir.getDirectoryHandle(part);
-            }
-        }
+        // Store in module-level variables for player access
+        mp3File = files.mp3File;
+        cdgData = files.cdgData;
+        videoFile = null;
+        loadedSongSource = files.source;
 
-        // Load MP3 file
-        const mp3FileHandle = await currentDir.getFileHandle(mp3FileName);
-        const mp3File = await mp3FileHandle.getFile();
-        const mp3ArrayBuffer = await mp3File.arrayBuffer();
-        const loadedMp3Data = new Uint8Array(mp3ArrayBuffer);
+        return {
+            mp3File: files.mp3File,
+            cdgData: files.cdgData
+        };
+    } catch (error) {
+        console.error('Error loading song files:', error);
+        throw error;
+    }
+}
 
-        // Load CDG file
-        const cdgFileHandle = await currentDir.getFileHandle(cdgFileName);
-        const cdgFile = await cdgFileHandle.getFile();
-        const cdgArrayBuffer = await cdgFile.arrayBuffer();
-        const loadedCdgData = new Uint8Array(cdgArrayBuffer);
+/**
+ * Read the MP3 and CDG data of a song from the library
+ * @param {string} path - Relative path to the files
+ * @param {string} mp3FileName - MP3 filename (entry name inside the archive for zipped songs)
+ * @param {string} cdgFileName - CDG filename (entry name inside the archive for zipped songs)
+ * @param {string|null} zipFileName - Archive filename for zipped songs, null for plain files
+ * @returns {Promise<{mp3File: Blob, cdgData: Uint8Array, source: object}>}
+ */
+async function readSongFiles(path, mp3FileName, cdgFileName, zipFileName) {
+    const currentDir = await getSongDirectory(path);
 
-        // Store in module-level variables for player access
-        mp3Data = loadedMp3Data;
-        cdgData = loadedCdgData;
+    if (zipFileName) {
+        return await readZippedSongFiles(currentDir, path, zipFileName, mp3FileName, cdgFileName);
+    }
+
+    // The MP3 is streamed from disk by the player, so only its File is kept
+    const mp3FileHandle = await currentDir.getFileHandle(mp3FileName);
+    const file = await mp3FileHandle.getFile();
+
+    // Load CDG file (pairing rules may place it in a cdg/ folder, e.g. "../cdg/Song.cdg")
+    const cdgLocation = resolveRelativeFile(path, cdgFileName);
+    const cdgDir = cdgFileName.includes('/') ? await getSongDirectory(cdgLocation.directoryPath) : currentDir;
+    const cdgFileHandle = await cdgDir.getFileHandle(cdgLocation.name);
+    const cdgFile = await cdgFileHandle.getFile();
+    const cdgArrayBuffer = await cdgFile.arrayBuffer();
+
+    return {
+        mp3File: file,
+        cdgData: new Uint8Array(cdgArrayBuffer),
+        source: createSongSource(path, file)
+    };
+}
+
+/**
+ * Unpack the MP3 and CDG entries of a zipped song into memory
+ * @param {FileSystemDirectoryHandle} directory - Directory containing the archive
+ * @param {string} path - Relative path of that directory
+ * @param {string} zipFileName - Archive filename
+ * @param {string} mp3EntryName - MP3 entry name inside the archive
+ * @param {string} cdgEntryName - CDG entry name inside the archive
+ * @returns {Promise<{mp3File: Blob, cdgData: Uint8Array, source: object}>}
+ */
+async function readZippedSongFiles(directory, path, zipFileName, mp3EntryName, cdgEntryName) {
+    const zipFileHandle = await directory.getFileHandle(zipFileName);
+    const zipFile = await zipFileHandle.getFile();
+    const entries = await readZipEntries(zipFile);
+
+    const mp3Entry = entries.find(e => e.name === mp3EntryName);
+    if (!mp3Entry) {
+        throw new Error(`MP3 entry not found in ${zipFileName}: ${mp3EntryName}`);
+    }
+
+    const cdgEntry = entries.find(e => e.name === cdgEntryName);
+    if (!cdgEntry) {
+        throw new Error(`missing_cdg: CDG entry not found in ${zipFileName}: ${cdgEntryName}`);
+    }
+
+    return {
+        mp3File: new Blob([await extractZipEntry(zipFile, mp3Entry)], { type: 'audio/mpeg' }),
+        cdgData: await extractZipEntry(zipFile, cdgEntry),
+        source: createSongSource(path, zipFile)
+    };
+}
+
+/**
+ * Load a standalone video song from the library directory
+ * The File is kept as-is so the player can stream it through an object URL
+ * @param {string} path - Relative path to the file
+ * @param {string} videoFileName - Video filename (.mp4 or .webm)
+ * @returns {Promise<{name: string, size: number, type: string}>}
+ */
+export async function loadVideoFile(path, videoFileName) {
+    try {
+        const preloaded = takePreloadedSong(joinPath(path, videoFileName));
+        const loadedVideoFile = preloaded
+            ? preloaded.videoFile
+            : await (await (await getSongDirectory(path)).getFileHandle(videoFileName)).getFile();
+
+        // Store in module-level variable for player access
+        videoFile = loadedVideoFile;
+        mp3File = null;
+        cdgData = null;
+        loadedSongSource = createSongSource(path, loadedVideoFile);
 
         return {
-            mp3Data: loadedMp3Data,
-            cdgData: loadedCdgData
+            name: loadedVideoFile.name,
+            size: loadedVideoFile.size,
+            type: getVideoMimeType(videoFileName)
         };
     } catch (error) {
-        console.error('Error loading song files:', error);
+        console.error('Error loading video file:', error);
         throw error;
     }
 }
+
+/**
+ * Read the next queued song ahead of time, so it starts without waiting for the disk
+ * The CDG is read and archives are unpacked; plain MP3s and videos are kept as File objects.
+ * Only one song is kept; preloading another replaces it. loadSongFiles and loadVideoFile
+ * take it when they are asked for the same song.
+ * @param {object} song - Song as produced by the scan (file names relative to the library root)
+ * @returns {Promise<{mediaType: string, mp3File: Blob|null, videoFile: File|null, source: object}|null>}
+ *          The preloaded files, or null if they could not be read
+ */
+export async function preloadSong(song) {
+    if (!song) {
+        return null;
+    }
+
+    try {
+        const isVideo = song.mediaType === 'video' && song.videoFileName;
+        const primaryPath = isVideo ? song.videoFileName : (song.zipFileName || song.mp3FileName);
+        if (preloadedSong && preloadedSong.key === primaryPath) {
+            return preloadedSong;
+        }
+
+        const location = resolveRelativeFile('', primaryPath);
+        let files;
+        if (isVideo) {
+            const directory = await getSongDirectory(location.directoryPath);
+            const file = await (await directory.getFileHandle(location.name)).getFile();
+            files = { mp3File: null, cdgData: null, videoFile: file, source: createSongSource(location.directoryPath, file) };
+        } else if (song.zipFileName) {
+            files = await readSongFiles(location.directoryPath, song.mp3FileName, song.cdgFileName, location.name);
+        } else {
+            files = await readSongFiles(location.directoryPath, location.name,
+                getCdgPathFromSongFolder(location.directoryPath, song.cdgFileName), null);
+        }
+
+        preloadedSong = { key: primaryPath, mediaType: isVideo ? 'video' : 'cdg', videoFile: null, ...files };
+        return preloadedSong;
+    } catch (error) {
+        console.warn('Could not preload the next song:', error);
+        return null;
+    }
+}
+
+/**
+ * Take the preloaded files if they belong to a song
+ * @param {string} primaryPath - Path of the song's MP3, archive or video relative to the library root
+ * @returns {object|null}
+ */
+function takePreloadedSong(primaryPath) {
+    if (!preloadedSong || preloadedSong.key !== primaryPath) {
+        return null;
+    }
+
+    const files = preloadedSong;
+    preloadedSong = null;
+    return files;
+}
+
+/**
+ * CDG path relative to the MP3's folder, as the player passes it to loadSongFiles
+ * Pairing rules may put the CDG in a cdg/ folder ("cdg/Song.cdg" or "../cdg/Song.cdg").
+ * @param {string} folder - MP3's folder relative to the library root
+ * @param {string} cdgFileName - CDG path as stored on the song
+ * @returns {string}
+ */
+function getCdgPathFromSongFolder(folder, cdgFileName) {
+    return folder && cdgFileName.startsWith(`${folder}/`) ? cdgFileName.slice(folder.length + 1) : cdgFileName;
+}
+
+/**
+ * List the MP3 files of a library folder
+ * @param {string} folderPath - Folder relative to the library root ('' for the root)
+ * @returns {Promise<string[]>} File paths relative to the library root, sorted by name
+ */
+export async function listFolderAudioFiles(folderPath) {
+    const directory = await getSongDirectory(folderPath);
+    const paths = [];
+    for await (const entry of directory.values()) {
+        if (entry.kind === 'file' && entry.name.toLowerCase().endsWith('.mp3')) {
+            paths.push(joinPath(folderPath, entry.name));
+        }
+    }
+    return paths.sort();
+}
+
+/**
+ * Get a file of the library, e.g. a venue background shown behind the lyrics
+ * @param {string} filePath - Path relative to the library root
+ * @returns {Promise<File>}
+ */
+export async function getLibraryFile(filePath) {
+    const location = resolveRelativeFile('', filePath);
+    const directory = await getSongDirectory(location.directoryPath);
+    return await (await directory.getFileHandle(location.name)).getFile();
+}
+
+/**
+ * Mark a song that failed to play in the library index, so the next scan reports it
+ * Songs whose file is missing cannot be marked; they disappear from the next scan anyway.
+ * @param {string} filePath - The song's primary file relative to the library root
+ * @param {string} reason - What went wrong
+ * @returns {Promise<boolean>} True if the mark was saved
+ */
+export async function markSongBroken(filePath, reason) {
+    try {
+        return await saveSongBroken(libraryIndexId, filePath, await getLibraryFile(filePath), reason);
+    } catch (error) {
+        console.warn(`Could not mark ${filePath} as broken:`, error);
+        return false;
+    }
+}
+
+/**
+ * Read a song's audio from the library without replacing the loaded song
+ * Used to preview a queued song while another one plays.
+ * @param {string} filePath - Path of the MP3, video or archive relative to the library root
+ * @param {string|null} entryName - MP3 entry name inside the archive for zipped songs
+ * @returns {Promise<Blob>}
+ */
+export async function getSongAudioFile(filePath, entryName = null) {
+    const file = await getLibraryFile(filePath);
+
+    if (!entryName) {
+        return file;
+    }
+
+    const entries = await readZipEntries(file);
+    const entry = entries.find(e => e.name === entryName);
+    if (!entry) {
+        throw new Error(`MP3 entry not found in ${file.name}: ${entryName}`);
+    }
+    return new Blob([await extractZipEntry(file, entry)], { type: 'audio/mpeg' });
+}
+
+/**
+ * Resolve the directory handle of a song inside the library
+ * @param {string} path - Relative path from library root ('' for root)
+ * @returns {Promise<FileSystemDirectoryHandle>}
+ */
+async function getSongDirectory(path) {
+    if (!libraryDirectoryHandle) {
+        const access = await restoreLibraryAccess();
+        if (access === 'missing') {
+            throw new Error('No library directory selected');
+        }
+        if (access !== 'granted') {
+            throw new Error('library_permission_required: Read access to the library folder must be granted again');
+        }
+    }
+
+    // Navigate to the correct subdirectory
+    let currentDir = libraryDirectoryHandle;
+    if (path) {
+        const pathParts = path.split('/');
+        for (const part of pathParts) {
+            currentDir = await currentDir.getDirectoryHandle(part);
+        }
+    }
+    return currentDir;
+}
@@ -17,6 +17,18 @@ vi.mock('../js/metadata.js', () => ({
   validatePattern: vi.fn((pattern) => pattern || '%artist - %title')
 }));
 
+// Mock the IndexedDB layer of the library index; the pure cache helpers stay real
+vi.mock('../js/libraryIndex.js', async () => {
+  const actual = await vi.importActual('../js/libraryIndex.js');
+  return {
+    ...actual,
+    findLibraryIndex: vi.fn(async () => null),
+    getLibraryIndex: vi.fn(async () => null),
+    getLastLibraryIndex: vi.fn(async () => null),
+    saveLibraryIndex: vi.fn(async () => 1)
+  };
+});
+
 // Mock File System Access API
 class MockFileSystemFileHandle {
   constructor(name, content) {
@@ -28,6 +40,8 @@ class MockFileSystemFileHandle {
   async getFile() {
     return {
       name: this.name,
+      size: this._content.length,
+      lastModified: 1700000000000,
       async arrayBuffer() {
         return new TextEncoder().encode(this._content).buffer;
       }
@@ -35,6 +49,66 @@ class MockFileSystemFileHandle {
   }
 }
 
+// File handle backed by real bytes, for content that is parsed (e.g. ZIP archives)
+class MockBinaryFileHandle {
+  constructor(name, bytes) {
+    this.kind = 'file';
+    this.name = name;
+    this._bytes = bytes;
+  }
+
+  async getFile() {
+    return new File([this._bytes], this.name);
+  }
+}
+
+// Build a stored (uncompressed) ZIP archive from name -> text content
+function createStoredZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint32(20, data.length, true);
+    header.setUint32(24, data.length, true);
+    header.setUint16(28, nameBytes.length, true);
+    header.setUint32(42, offset, true);
+    central.push(new Uint8Array(header.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const directorySize = central.reduce((sum, part) => sum + part.length, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(8, Object.keys(files).length, true);
+  eocd.setUint16(10, Object.keys(files).length, true);
+  eocd.setUint32(12, directorySize, true);
+  eocd.setUint32(16, offset, true);
+
+  const chunks = [...parts, ...central, new Uint8Array(eocd.buffer)];
+  const result = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+  let position = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, position);
+    position += chunk.length;
+  }
+  return result;
+}
+
 class MockFileSystemDirectoryHandle {
   constructor(name, entries = {}) {
     this.kind = 'directory';
@@ -67,6 +141,7 @@ class MockFileSystemDirectoryHandle {
 
 describe('fileAccess.js - Directory Scanning', () => {
   let fileAccessModule;
+  let libraryIndexModule;
   let mockDirectoryPicker;
 
   beforeEach(async () => {
@@ -79,11 +154,13 @@ describe('fileAccess.js - Directory Scanning', () => {
     // Mock window.showDirectoryPicker
     mockDirectoryPicker = vi.fn();
     global.window = {
-      showDirectoryPicker: mockDirectoryPicker
+      showDirectoryPicker: mockDirectoryPicker,
+      dispatchEvent: vi.fn()
     };
 
     // Import module after mocking
     fileAccessModule = await import('../js/fileAccess.js');
+    libraryIndexModule = await import('../js/libraryIndex.js');
   });
 
   describe('pickLibraryDirectory', () => {
@@ -261,6 +338,634 @@ describe('fileAccess.js - Directory Scanning', () => {
     });
   });
 
+  describe('video songs', () => {
+    it('should pick up standalone MP4 and WebM files as video songs', async () => {
+      const mockDirectory = new MockFileSystemDirectoryHandle('library', {
+        'Artist - Clip.mp4': new MockFileSystemFileHandle('Artist - Clip.mp4', 'fake mp4'),
+        'Other - Movie.WEBM': new MockFileSystemFileHandle('Other - Movie.WEBM', 'fake webm'),
+        'Artist - Song.mp3': new MockFileSystemFileHandle('Artist - Song.mp3', 'fake mp3'),
+        'Artist - Song.cdg': new MockFileSystemFileHandle('Artist - Song.cdg', 'fake cdg'),
+      });
+
+      mockDirectoryPicker.mockResolvedValue(mockDirectory);
+
+      const songs = await fileAccessModule.pickLibraryDirectory();
+
+      expect(songs).toHaveLength(3);
+
+      const cdgSong = songs.find(s => s.mediaType === 'cdg');
+      expect(cdgSong.mp3FileName).toBe('Artist - Song.mp3');
+      expect(cdgSong.videoFileName).toBe(null);
+
+      const mp4Song = songs.find(s => s.videoFileName === 'Artist - Clip.mp4');
+      expect(mp4Song).toBeDefined();
+      expect(mp4Song.mediaType).toBe('video');
+      expect(mp4Song.artist).toBe('Artist');
+      expect(mp4Song.title).toBe('Clip');
+      expect(mp4Song.mp3FileName).toBe('');
+      expect(mp4Song.cdgFileName).toBe('');
+
+      const webmSong = songs.find(s => s.videoFileName === 'Other - Movie.WEBM');
+      expect(webmSong).toBeDefined();
+      expect(webmSong.fullPath).toBe('Other - Movie');
+    });
+
+    it('should load a video file and switch the loaded media type', async () => {
+      const mockDirectory = new MockFileSystemDirectoryHandle('library', {
+        'clip.webm': new MockFileSystemFileHandle('clip.webm', 'webm content'),
+        'test.mp3': new MockFileSystemFileHandle('test.mp3', 'mp3 content'),
+        'test.cdg': new MockFileSystemFileHandle('test.cdg', 'cdg content'),
+      });
+
+      mockDirectoryPicker.mockResolvedValue(mockDirectory);
+      await fileAccessModule.pickLibraryDirectory();
+
+      await fileAccessModule.loadSongFiles('', 'test.mp3', 'test.cdg');
+      expect(fileAccessModule.getLoadedMediaType()).toBe('cdg');
+
+      const result = await fileAccessModule.loadVideoFile('', 'clip.webm');
+
+      expect(result.name).toBe('clip.webm');
+      expect(result.type).toBe('video/webm');
+      expect(fileAccessModule.getLoadedMediaType()).toBe('video');
+      expect(fileAccessModule.getVideoFile()).not.toBe(null);
+      expect(fileAccessModule.getMp3File()).toBe(null);
+      expect(fileAccessModule.getCdgData()).toBe(null);
+    });
+
+    it('should throw error if video file is missing', async () => {
+      mockDirectoryPicker.mockResolvedValue(new MockFileSystemDirectoryHandle('library', {}));
+      await fileAccessModule.pickLibraryDirectory();
+
+      await expect(
+        fileAccessModule.loadVideoFile('', 'missing.mp4')
+      ).rejects.toThrow();
+    });
+  });
+
+  describe('zipped songs', () => {
+    it('should recognize ZIP archives containing an MP3 and a CDG as songs', async () => {
+      const mockDirectory = new MockFileSystemDirectoryHandle('library', {
+        'Artist - Zipped.zip': new MockBinaryFileHandle('Artist - Zipped.zip', createStoredZip({
+          'Artist - Zipped.mp3': 'zipped mp3',
+          'Artist - Zipped.cdg': 'zipped cdg'
+        })),
+      });
+
+      mockDirectoryPicker.mockResolvedValue(mockDirectory);
+
+      const songs = await fileAccessModule.pickLibraryDirectory();
+
+      expect(songs).toHaveLength(1);
+      expect(songs[0].artist).toBe('Artist');
+      expect(songs[0].title).toBe('Zipped');
+      expect(songs[0].mediaType).toBe('cdg');
+      expect(songs[0].zipFileName).toBe('Artist - Zipped.zip');
+      expect(songs[0].mp3FileName).toBe('Artist - Zipped.mp3');
+      expect(songs[0].cdgFileName).toBe('Artist - Zipped.cdg');
+    });
+
+    it('should skip archives without an MP3/CDG pair and report files that are not archives', async () => {
+      const mockDirectory = new MockFileSystemDirectoryHandle('library', {
+        'Audio Only.zip': new MockBinaryFileHandle('Audio Only.zip', createStoredZip({ 'track.mp3': 'mp3' })),
+        'Unpaired.zip': new MockBinaryFileHandle('Unpaired.zip', createStoredZip({ 'track.mp3': 'mp3', 'lyrics.cdg': 'cdg' })),
+        'Broken.zip': new MockBinaryFileHandle('Broken.zip', new TextEncoder().encode('not a zip')),
+      });
+
+      mockDirectoryPicker.mockResolvedValue(mockDirectory);
+
+      const songs = await fileAccessModule.pickLibraryDirectory();
+
+      expect(songs).toHaveLength(0);
+      expect(fileAccessModule.getLastScanReport().issues).toEqual([
+        { type: 'unreadable_file', path: 'Broken.zip', detail: 'Not a ZIP archive' }
+      ]);
+    });
+
+    it('should prefer an unpacked MP3/CDG pair over an archive of the same song', async () => {
+      const mockDirectory = new MockFileSystemDirectoryHandle('library', {
+        'Artist - Song.mp3': new MockFileSystemFileHandle('Artist - Song.mp3', 'fake mp3'),
+        'Artist - Song.cdg': new MockFileSystemFileHandle('Artist - Song.cdg', 'fake cdg'),
+        'Artist - Song.zip': new MockBinaryFileHandle('Artist - Song.zip', createStoredZip({
+          'Artist - Song.mp3': 'mp3',
+          'Artist - Song.cdg': 'cdg'
+        })),
+      });
+
+      mockDirectoryPicker.mockResolvedValue(mockDirectory);
+
+      const songs = await fileAccessModule.pickLibraryDirectory();
+
+      expect(songs).toHaveLength(1);
+      expect(songs[0].zipFileName).toBe(null);
+    });
+
+    it('should unpack MP3 and CDG data from an archive in loadSongFiles', async () => {
+      const subdirectory = new MockFileSystemDirectoryHandle('packs', {
+        'pack.zip': new MockBinaryFileHandle('pack.zip', createStoredZip({
+          'inner/song.mp3': 'zipped mp3',
+          'inner/song.cdg': 'zipped cdg'
+        })),
+      });
+      mockDirectoryPicker.mockResolvedValue(new MockFileSystemDirectoryHandle('library', { 'packs': subdirectory }));
+      await fileAccessModule.pickLibraryDirectory();
+
+      const result = await fileAccessModule.loadSongFiles('packs', 'inner/song.mp3', 'inner/song.cdg', 'pack.zip');
+
+      expect(await result.mp3File.text()).toBe('zipped mp3');
+      expect(result.mp3File.type).toBe('audio/mpeg');
+      expect(new TextDecoder().decode(result.cdgData)).toBe('zipped cdg');
+      expect(fileAccessModule.getMp3File()).toBe(result.mp3File);
+      expect(fileAccessModule.getLoadedMediaType()).toBe('cdg');
+    });
+
+    it('should throw missing_cdg if the archive lacks the CDG entry', async () => {
+      mockDirectoryPicker.mockResolvedValue(new MockFileSystemDirectoryHandle('library', {
+        'pack.zip': new MockBinaryFileHandle('pack.zip', createStoredZip({ 'song.mp3': 'mp3' })),
+      }));
+      await fileAccessModule.pickLibraryDirectory();
+
+      await expect(
+        fileAccessModule.loadSongFiles('', 'song.mp3', 'song.cdg', 'pack.zip')
+      ).rejects.toThrow('missing_cdg');
+    });
+  });
+
+  describe('scan pipeline', () => {
+    function createNestedLibrary() {
+      return new MockFileSystemDirectoryHandle('library', {
+        'A - One.mp3': new MockFileSystemFileHandle('A - One.mp3', 'mp3'),
+        'A - One.cdg': new MockFileSystemFileHandle('A - One.cdg', 'cdg'),
+        'Rock': new MockFileSystemDirectoryHandle('Rock', {
+          'B - Two.mp3': new MockFileSystemFileHandle('B - Two.mp3', 'mp3'),
+          'B - Two.cdg': new MockFileSystemFileHandle('B - Two.cdg', 'cdg'),
+          'cover.jpg': new MockFileSystemFileHandle('cover.jpg', 'jpg'),
+        }),
+        'C - Three.mp3': new MockFileSystemFileHandle('C - Three.mp3', 'mp3'),
+        'C - Three.cdg': new MockFileSystemFileHandle('C - Three.cdg', 'cdg'),
+      });
+    }
+
+    it('should return songs in folder order even if later files finish first', async () => {
+      const { extractMetadata } = await import('../js/metadata.js');
+      const parse = extractMetadata.getMockImplementation();
+      // Make the first song the slowest to read
+      extractMetadata.mockImplementation(async (file, relativePath, pattern) => {
+        if (relativePath === 'A - One') {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return parse(file, relativePath, pattern);
+      });
+      mockDirectoryPicker.mockResolvedValue(createNestedLibrary());
+
+      try {
+        const songs = await fileAccessModule.pickLibraryDirectory();
+
+        expect(songs.map(s => s.fullPath)).toEqual(['A - One', 'C - Three', 'Rock/B - Two']);
+      } finally {
+        extractMetadata.mockImplementation(parse);
+      }
+    });
+
+    it('should report discovered files, matched songs and the current folder', async () => {
+      const events = [];
+      global.window.dispatchEvent.mockImplementation(event => events.push(event.detail));
+      mockDirectoryPicker.mockResolvedValue(createNestedLibrary());
+
+      await fileAccessModule.pickLibraryDirectory('%artist - %title', 1);
+
+      expect(events.some(e => e.folder === 'Rock')).toBe(true);
+      expect(events[events.length - 1]).toEqual({
+        scanned: 3,
+        matched: 3,
+        total: 7,
+        folder: 'Rock',
+        complete: true
+      });
+    });
+
+    it('should stop and return null when the scan is cancelled', async () => {
+      const controller = new AbortController();
+      const { extractMetadata } = await import('../js/metadata.js');
+      const parse = extractMetadata.getMockImplementation();
+      extractMetadata.mockImplementation(async (file, relativePath, pattern) => {
+        controller.abort();
+        return parse(file, relativePath, pattern);
+      });
+      libraryIndexModule.saveLibraryIndex.mockClear();
+      mockDirectoryPicker.mockResolvedValue(createNestedLibrary());
+
+      try {
+        const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title', 10, controller.signal);
+
+        expect(songs).toBe(null);
+        expect(libraryIndexModule.saveLibraryIndex).not.toHaveBeenCalled();
+      } finally {
+        extractMetadata.mockImplementation(parse);
+      }
+    });
+  });
+
+  describe('scan report', () => {
+    it('should report orphan files, case-mismatched pairs, empty files and unreadable folders', async () => {
+      const lockedFolder = new MockFileSystemDirectoryHandle('Locked');
+      lockedFolder.values = async function* () {
+        throw new Error('Access denied');
+      };
+
+      mockDirectoryPicker.mockResolvedValue(new MockFileSystemDirectoryHandle('library', {
+        'A - Good.mp3': new MockFileSystemFileHandle('A - Good.mp3', 'mp3'),
+        'A - Good.cdg': new MockFileSystemFileHandle('A - Good.cdg', 'cdg'),
+        'B - No Graphics.mp3': new MockFileSystemFileHandle('B - No Graphics.mp3', 'mp3'),
+        'C - No Audio.cdg': new MockFileSystemFileHandle('C - No Audio.cdg', 'cdg'),
+        'D - Case.MP3': new MockFileSystemFileHandle('D - Case.MP3', 'mp3'),
+        'd - case.cdg': new MockFileSystemFileHandle('d - case.cdg', 'cdg'),
+        'E - Empty.mp3': new MockFileSystemFileHandle('E - Empty.mp3', 'mp3'),
+        'E - Empty.cdg': new MockFileSystemFileHandle('E - Empty.cdg', ''),
+        'Locked': lockedFolder,
+      }));
+
+      const songs = await fileAccessModule.pickLibraryDirectory();
+      const report = fileAccessModule.getLastScanReport();
+
+      expect(songs.map(s => s.title)).toEqual(['Good']);
+      expect(report.songCount).toBe(1);
+      expect(report.fileCount).toBe(8);
+      expect(report.issues.map(i => [i.type, i.path])).toEqual([
+        ['orphan_mp3', 'B - No Graphics.mp3'],
+        ['orphan_cdg', 'C - No Audio.cdg'],
+        ['case_mismatch', 'D - Case.MP3'],
+        ['empty_file', 'E - Empty.cdg'],
+        ['unreadable_folder', 'Locked']
+      ]);
+      expect(report.issues[2].detail).toBe('D - Case.MP3 / d - case.cdg');
+      expect(report.issues[4].detail).toBe('Access denied');
+    });
+
+    it('should not report an MP3 or CDG that has an archive of the same name', async () => {
+      mockDirectoryPicker.mockResolvedValue(new MockFileSystemDirectoryHandle('library', {
+        'Song.mp3': new MockFileSystemFileHandle('Song.mp3', 'mp3'),
+        'Song.zip': new MockBinaryFileHandle('Song.zip', createStoredZip({ 'Song.mp3': 'mp3', 'Song.cdg': 'cdg' })),
+      }));
+
+      await fileAccessModule.pickLibraryDirectory();
+
+      expect(fileAccessModule.getLastScanReport().issues).toEqual([]);
+    });
+
+    it('should have no report before a scan', () => {
+      expect(fileAccessModule.getLastScanReport()).toBe(null);
+    });
+  });
+
+  describe('pairing rules', () => {
+    const file = (name, content = name) => new MockFileSystemFileHandle(name, content);
+
+    it('should compute pairing keys according to the rules', () => {
+      const { getPairingKey } = fileAccessModule;
+
+      expect(getPairingKey('Song Title')).toBe('Song Title');
+      expect(getPairingKey('Song Title', { caseInsensitive: true })).toBe('song title');
+      expect(getPairingKey('Song  Title (Live)!', { normalizeNames: true })).toBe('SongTitleLive');
+      expect(getPairingKey('Ｓｏｎｇ - Title', { caseInsensitive: true, normalizeNames: true })).toBe('songtitle');
+      expect(getPairingKey('...', { normalizeNames: true })).toBe('...');
+    });
+
+    it('should pair names differing only in case with caseInsensitive', async () => {
+      mockDirectoryPicker.mockResolvedValue(new MockFileSystemDirectoryHandle('library', {
+        'Artist - Song.mp3': file('Artist - Song.mp3'),
+        'artist - song.cdg': file('artist - song.cdg'),
+      }));
+
+      const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title', 10, null, { caseInsensitive: true });
+
+      expect(songs).toHaveLength(1);
+      expect(songs[0].mp3FileName).toBe('Artist - Song.mp3');
+      expect(songs[0].cdgFileName).toBe('artist - song.cdg');
+      expect(fileAccessModule.getLastScanReport().issues).toEqual([]);
+    });
+
+    it('should pair names differing in whitespace and punctuation with normalizeNames', async () => {
+      const library = () => new MockFileSystemDirectoryHandle('library', {
+        'Artist - Track .mp3': file('Artist - Track .mp3'),
+        'Artist-Track.cdg': file('Artist-Track.cdg'),
+      });
+
+      mockDirectoryPicker.mockResolvedValueOnce(library());
+      expect(await fileAccessModule.pickLibraryDirectory()).toEqual([]);
+
+      mockDirectoryPicker.mockResolvedValueOnce(library());
+      const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title', 10, null, { normalizeNames: true });
+
+      expect(songs).toHaveLength(1);
+      expect(songs[0].cdgFileName).toBe('Artist-Track.cdg');
+    });
+
+    it('should prefer the exact CDG over one found in a cdg folder', async () => {
+      mockDirectoryPicker.mockResolvedValue(new MockFileSystemDirectoryHandle('library', {
+        'Song.mp3': file('Song.mp3'),
+        'Song.cdg': file('Song.cdg'),
+        'Other.mp3': file('Other.mp3'),
+        'CDG': new MockFileSystemDirectoryHandle('CDG', {
+          'Song.cdg': file('Song.cdg'),
+          'Other.cdg': file('Other.cdg'),
+        }),
+      }));
+
+      const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title', 10, null, { cdgFolder: true });
+
+      expect(songs.map(s => [s.mp3FileName, s.cdgFileName])).toEqual([
+        ['Song.mp3', 'Song.cdg'],
+        ['Other.mp3', 'CDG/Other.cdg']
+      ]);
+      expect(fileAccessModule.getLastScanReport().issues.map(i => [i.type, i.path])).toEqual([
+        ['orphan_cdg', 'CDG/Song.cdg']
+      ]);
+    });
+
+    it('should pair MP3s with CDGs in a sibling cdg folder and load them', async () => {
+      mockDirectoryPicker.mockResolvedValue(new MockFileSystemDirectoryHandle('library', {
+        // cdg/ is listed first, so its files are seen before the MP3s they belong to
+        'cdg': new MockFileSystemDirectoryHandle('cdg', {
+          'Artist - Song.cdg': file('Artist - Song.cdg'),
+        }),
+        'mp3': new MockFileSystemDirectoryHandle('mp3', {
+          'Artist - Song.mp3': file('Artist - Song.mp3'),
+        }),
+      }));
+
+      const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title', 10, null, { cdgFolder: true });
+
+      expect(songs).toHaveLength(1);
+      expect(songs[0].path).toBe('mp3');
+      expect(songs[0].cdgFileName).toBe('../cdg/Artist - Song.cdg');
+      expect(fileAccessModule.getLastScanReport().issues).toEqual([]);
+
+      const result = await fileAccessModule.loadSongFiles(songs[0].path, songs[0].mp3FileName, songs[0].cdgFileName);
+      expect(result.cdgData).toBeInstanceOf(Uint8Array);
+    });
+
+    it('should not look into cdg folders unless the rule is on', async () => {
+      mockDirectoryPicker.mockResolvedValue(new MockFileSystemDirectoryHandle('library', {
+        'Song.mp3': file('Song.mp3'),
+        'cdg': new MockFileSystemDirectoryHandle('cdg', { 'Song.cdg': file('Song.cdg') }),
+      }));
+
+      const songs = await fileAccessModule.pickLibraryDirectory();
+
+      expect(songs).toEqual([]);
+      expect(fileAccessModule.getLastScanReport().issues.map(i => [i.type, i.path])).toEqual([
+        ['orphan_cdg', 'cdg/Song.cdg'],
+        ['orphan_mp3', 'Song.mp3']
+      ]);
+    });
+
+    it('should ignore the index if it was built with different pairing rules', async () => {
+      const { extractMetadata } = await import('../js/metadata.js');
+      extractMetadata.mockClear();
+      libraryIndexModule.findLibraryIndex.mockResolvedValueOnce({
+        id: 7,
+        filenamePattern: '%artist - %title',
+        pairingRules: { caseInsensitive: false, normalizeNames: false, cdgFolder: false },
+        files: {
+          'Song.mp3': { size: 8, lastModified: 1700000000000, song: { id: 'cached' } }
+        }
+      });
+      mockDirectoryPicker.mockResolvedValue(new MockFileSystemDirectoryHandle('library', {
+        'Song.mp3': file('Song.mp3', 'fake mp3'),
+        'song.cdg': file('song.cdg'),
+      }));
+
+      const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title', 10, null, { caseInsensitive: true });
+
+      expect(songs[0].id).not.toBe('cached');
+      expect(extractMetadata).toHaveBeenCalled();
+    });
+  });
+
+  describe('library index', () => {
+    const cachedSong = {
+      id: 'cached-id',
+      artist: 'Cached Artist',
+      title: 'Cached Title',
+      mediaType: 'cdg',
+      mp3FileName: 'Artist - Song.mp3',
+      cdgFileName: 'Artist - Song.cdg',
+      zipFileName: null,
+      videoFileName: null,
+      path: '',
+      fullPath: 'Artist - Song'
+    };
+
+    function createLibrary() {
+      return new MockFileSystemDirectoryHandle('library', {
+        'Artist - Song.mp3': new MockFileSystemFileHandle('Artist - Song.mp3', 'fake mp3'),
+        'Artist - Song.cdg': new MockFileSystemFileHandle('Artist - Song.cdg', 'fake cdg'),
+      });
+    }
+
+    it('should save scanned songs to the index keyed by file path', async () => {
+      const mockDirectory = createLibrary();
+      mockDirectoryPicker.mockResolvedValue(mockDirectory);
+
+      const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title');
+
+      expect(libraryIndexModule.saveLibraryIndex).toHaveBeenCalledWith({
+        id: undefined,
+        directoryHandle: mockDirectory,
+        filenamePattern: '%artist - %title',
+        pairingRules: { caseInsensitive: false, normalizeNames: false, cdgFolder: false },
+        syncOffset: 0,
+        files: {
+          'Artist - Song.mp3': { size: 8, lastModified: 1700000000000, song: songs[0] }
+        }
+      });
+    });
+
+    it('should reuse indexed songs whose files are unchanged', async () => {
+      const { extractMetadata } = await import('../js/metadata.js');
+      extractMetadata.mockClear();
+      libraryIndexModule.findLibraryIndex.mockResolvedValueOnce({
+        id: 7,
+        filenamePattern: '%artist - %title',
+        files: {
+          'Artist - Song.mp3': { size: 8, lastModified: 1700000000000, song: cachedSong }
+        }
+      });
+      mockDirectoryPicker.mockResolvedValue(createLibrary());
+
+      const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title');
+
+      expect(songs).toEqual([cachedSong]);
+      expect(extractMetadata).not.toHaveBeenCalled();
+      expect(libraryIndexModule.saveLibraryIndex).toHaveBeenCalledWith(expect.objectContaining({ id: 7 }));
+    });
+
+    it('should re-read songs whose files changed since indexing', async () => {
+      libraryIndexModule.findLibraryIndex.mockResolvedValueOnce({
+        id: 7,
+        filenamePattern: '%artist - %title',
+        files: {
+          'Artist - Song.mp3': { size: 999, lastModified: 1700000000000, song: cachedSong }
+        }
+      });
+      mockDirectoryPicker.mockResolvedValue(createLibrary());
+
+      const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title');
+
+      expect(songs[0].artist).toBe('Artist');
+      expect(songs[0].title).toBe('Song');
+    });
+
+    it('should ignore the index if it was built with a different filename pattern', async () => {
+      libraryIndexModule.findLibraryIndex.mockResolvedValueOnce({
+        id: 7,
+        filenamePattern: '%title - %artist',
+        files: {
+          'Artist - Song.mp3': { size: 8, lastModified: 1700000000000, song: cachedSong }
+        }
+      });
+      mockDirectoryPicker.mockResolvedValue(createLibrary());
+
+      const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title');
+
+      expect(songs[0].artist).toBe('Artist');
+    });
+
+    it('should keep the measured loudness and lyrics delay of unchanged files when songs are rebuilt', async () => {
+      libraryIndexModule.findLibraryIndex.mockResolvedValueOnce({
+        id: 7,
+        filenamePattern: '%title - %artist',
+        syncOffset: 120,
+        files: {
+          'Artist - Song.mp3': { size: 8, lastModified: 1700000000000, song: cachedSong, loudness: -9.5, syncOffset: -200 }
+        }
+      });
+      mockDirectoryPicker.mockResolvedValue(createLibrary());
+
+      const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title');
+
+      const saved = libraryIndexModule.saveLibraryIndex.mock.calls.at(-1)[0];
+      expect(saved.syncOffset).toBe(120);
+      expect(saved.files['Artist - Song.mp3']).toEqual({
+        size: 8, lastModified: 1700000000000, song: songs[0], loudness: -9.5, syncOffset: -200
+      });
+    });
+
+    it('should report songs that failed to play earlier until their file changes', async () => {
+      libraryIndexModule.findLibraryIndex.mockResolvedValueOnce({
+        id: 7,
+        filenamePattern: '%artist - %title',
+        files: {
+          'Artist - Song.mp3': { size: 8, lastModified: 1700000000000, song: cachedSong, broken: 'Decode error' }
+        }
+      });
+      mockDirectoryPicker.mockResolvedValue(createLibrary());
+
+      const songs = await fileAccessModule.pickLibraryDirectory('%artist - %title');
+
+      expect(songs).toHaveLength(1);
+      expect(libraryIndexModule.saveLibraryIndex.mock.calls.at(-1)[0].files['Artist - Song.mp3'].broken).toBe('Decode error');
+      expect(fileAccessModule.getLastScanReport().issues).toEqual([
+        { type: 'broken_song', path: 'Artist - Song.mp3', detail: 'Decode error' }
+      ]);
+    });
+
+    it('should reopen the last library after read permission is granted', async () => {
+      const mockDirectory = createLibrary();
+      mockDirectory.queryPermission = vi.fn(async () => 'prompt');
+      mockDirectory.requestPermission = vi.fn(async () => 'granted');
+      libraryIndexModule.getLastLibraryIndex.mockResolvedValueOnce({
+        id: 3,
+        directoryHandle: mockDirectory,
+        filenamePattern: '%artist - %title',
+        files: {}
+      });
+
+      const songs = await fileAccessModule.reopenLastLibrary('%artist - %title');
+
+      expect(mockDirectoryPicker).not.toHaveBeenCalled();
+      expect(mockDirectory.requestPermission).toHaveBeenCalledWith({ mode: 'read' });
+      expect(songs).toHaveLength(1);
+      expect(fileAccessModule.getLibraryDirectoryHandle()).toBe(mockDirectory);
+    });
+
+    it('should not reopen the last library if permission is denied', async () => {
+      const mockDirectory = createLibrary();
+      mockDirectory.queryPermission = vi.fn(async () => 'prompt');
+      mockDirectory.requestPermission = vi.fn(async () => 'denied');
+      libraryIndexModule.getLastLibraryIndex.mockResolvedValueOnce({
+        id: 3,
+        directoryHandle: mockDirectory,
+        filenamePattern: '%artist - %title',
+        files: {}
+      });
+
+      expect(await fileAccessModule.reopenLastLibrary('%artist - %title')).toBe(null);
+      expect(fileAccessModule.getLibraryDirectoryHandle()).toBe(null);
+    });
+
+    it('should restore the saved library handle after a reload if permission is still granted', async () => {
+      const mockDirectory = createLibrary();
+      mockDirectory.queryPermission = vi.fn(async () => 'granted');
+      libraryIndexModule.getLastLibraryIndex.mockResolvedValueOnce({ id: 3, directoryHandle: mockDirectory, files: {} });
+
+      const result = await fileAccessModule.loadSongFiles('', 'Artist - Song.mp3', 'Artist - Song.cdg');
+
+      expect(result.mp3File.name).toBe('Artist - Song.mp3');
+      expect(fileAccessModule.getLibraryDirectoryHandle()).toBe(mockDirectory);
+    });
+
+    it('should require a permission re-grant before loading songs from a restored handle', async () => {
+      const mockDirectory = createLibrary();
+      mockDirectory.queryPermission = vi.fn(async () => 'prompt');
+      mockDirectory.requestPermission = vi.fn(async () => 'granted');
+      const index = { id: 3, directoryHandle: mockDirectory, files: {} };
+      libraryIndexModule.getLastLibraryIndex.mockResolvedValueOnce(index).mockResolvedValueOnce(index);
+
+      await expect(
+        fileAccessModule.loadSongFiles('', 'Artist - Song.mp3', 'Artist - Song.cdg')
+      ).rejects.toThrow('library_permission_required');
+      expect(mockDirectory.requestPermission).not.toHaveBeenCalled();
+
+      expect(await fileAccessModule.restoreLibraryAccess(true)).toBe('granted');
+      const result = await fileAccessModule.loadSongFiles('', 'Artist - Song.mp3', 'Artist - Song.cdg');
+
+      expect(result.cdgData).toBeInstanceOf(Uint8Array);
+      expect(fileAccessModule.getLibraryDirectoryHandle()).toBe(mockDirectory);
+    });
+
+    it('should restore the library of the session rather than the last scanned one', async () => {
+      const sessionLibrary = createLibrary();
+      sessionLibrary.queryPermission = vi.fn(async () => 'granted');
+      libraryIndexModule.getLibraryIndex.mockResolvedValueOnce({ id: 5, directoryHandle: sessionLibrary, files: {} });
+
+      expect(await fileAccessModule.restoreLibraryAccess(false, 5)).toBe('granted');
+
+      expect(libraryIndexModule.getLibraryIndex).toHaveBeenCalledWith(5);
+      expect(fileAccessModule.getLibraryDirectoryHandle()).toBe(sessionLibrary);
+      expect(fileAccessModule.getLibraryIndexId()).toBe(5);
+    });
+
+    it('should remember the index of the scanned library for the session', async () => {
+      mockDirectoryPicker.mockResolvedValue(createLibrary());
+      libraryIndexModule.saveLibraryIndex.mockResolvedValueOnce(9);
+
+      await fileAccessModule.pickLibraryDirectory('%artist - %title');
+
+      expect(fileAccessModule.getLibraryIndexId()).toBe(9);
+    });
+
+    it('should report a missing library when nothing was saved', async () => {
+      expect(await fileAccessModule.restoreLibraryAccess()).toBe('missing');
+    });
+
+    it('should return null if no library was indexed', async () => {
+      expect(await fileAccessModule.reopenLastLibrary()).toBe(null);
+      expect(await fileAccessModule.getLastLibraryInfo()).toBe(null);
+    });
+  });
+
   describe('loadSongFiles', () => {
     beforeEach(async () => {
       // Set up a mock directory structure first
@@ -277,7 +982,7 @@ describe('fileAccess.js - Directory Scanning', () => {
       const result = await fileAccessModule.loadSongFiles('', 'test.mp3', 'test.cdg');
 
       expect(result).toBeDefined();
-      expect(result.mp3Data).toBeInstanceOf(Uint8Array);
+      expect(result.mp3File.name).toBe('test.mp3');
       expect(result.cdgData).toBeInstanceOf(Uint8Array);
     });
 
@@ -302,8 +1007,55 @@ describe('fileAccess.js - Directory Scanning', () => {
 
       const result = await fileAccessModule.loadSongFiles('artist', 'song.mp3', 'song.cdg');
 
-      expect(result.mp3Data).toBeInstanceOf(Uint8Array);
+      expect(result.mp3File.name).toBe('song.mp3');
       expect(result.cdgData).toBeInstanceOf(Uint8Array);
+      // Described the way the library index keys it, for per-file caches such as loudness
+      expect(fileAccessModule.getLoadedSongSource()).toEqual({
+        libraryId: 1, filePath: 'artist/song.mp3', size: 3, lastModified: 1700000000000
+      });
+    });
+
+    it('should load a CDG stored in a cdg folder relative to the MP3', async () => {
+      const mockDirectory = new MockFileSystemDirectoryHandle('library', {
+        'mp3': new MockFileSystemDirectoryHandle('mp3', {
+          'song.mp3': new MockFileSystemFileHandle('song.mp3', 'mp3'),
+          'cdg': new MockFileSystemDirectoryHandle('cdg', {
+            'song.cdg': new MockFileSystemFileHandle('song.cdg', 'cdg'),
+          }),
+        }),
+        'cdg': new MockFileSystemDirectoryHandle('cdg', {
+          'other.cdg': new MockFileSystemFileHandle('other.cdg', 'cdg'),
+        }),
+      });
+
+      mockDirectoryPicker.mockResolvedValue(mockDirectory);
+      await fileAccessModule.pickLibraryDirectory();
+
+      const nested = await fileAccessModule.loadSongFiles('mp3', 'song.mp3', 'cdg/song.cdg');
+      const sibling = await fileAccessModule.loadSongFiles('mp3', 'song.mp3', '../cdg/other.cdg');
+
+      expect(nested.cdgData).toBeInstanceOf(Uint8Array);
+      expect(sibling.cdgData).toBeInstanceOf(Uint8Array);
+      await expect(fileAccessModule.loadSongFiles('mp3', 'song.mp3', '../cdg/song.cdg')).rejects.toThrow('File not found');
+    });
+
+    it('should keep plain MP3s on disk and count only the data held in memory', async () => {
+      const mockDirectory = new MockFileSystemDirectoryHandle('library', {
+        'disk.mp3': new MockBinaryFileHandle('disk.mp3', new Uint8Array(1000)),
+        'disk.cdg': new MockBinaryFileHandle('disk.cdg', new Uint8Array(24)),
+      });
+      mockDirectoryPicker.mockResolvedValue(mockDirectory);
+      await fileAccessModule.pickLibraryDirectory();
+
+      const result = await fileAccessModule.loadSongFiles('', 'disk.mp3', 'disk.cdg');
+
+      expect(result.mp3File).toBeInstanceOf(File);
+      expect(fileAccessModule.getSongMemoryUsage()).toEqual({ loadedBytes: 24, preloadedBytes: 0 });
+
+      fileAccessModule.unloadSong();
+
+      expect(fileAccessModule.hasFiles()).toBe(false);
+      expect(fileAccessModule.getSongMemoryUsage().loadedBytes).toBe(0);
     });
 
     it('should throw error if no library directory selected', async () => {
@@ -317,6 +1069,114 @@ describe('fileAccess.js - Directory Scanning', () => {
     });
   });
 
+  describe('preloadSong', () => {
+    let artist;
+
+    beforeEach(async () => {
+      artist = new MockFileSystemDirectoryHandle('artist', {
+        'song.mp3': new MockFileSystemFileHandle('song.mp3', 'mp3 content'),
+        'song.cdg': new MockFileSystemFileHandle('song.cdg', 'cdg content'),
+        'other.mp3': new MockFileSystemFileHandle('other.mp3', 'other mp3'),
+        'other.cdg': new MockFileSystemFileHandle('other.cdg', 'other cdg'),
+        'notes.txt': new MockFileSystemFileHandle('notes.txt', 'notes'),
+      });
+
+      mockDirectoryPicker.mockResolvedValue(new MockFileSystemDirectoryHandle('library', { 'artist': artist }));
+      await fileAccessModule.pickLibraryDirectory();
+    });
+
+    it('should hand the preloaded files to loadSongFiles without reading the disk again', async () => {
+      const preloaded = await fileAccessModule.preloadSong({
+        mediaType: 'cdg', mp3FileName: 'artist/song.mp3', cdgFileName: 'artist/song.cdg'
+      });
+      delete artist._entries['song.mp3'];
+      delete artist._entries['song.cdg'];
+
+      const result = await fileAccessModule.loadSongFiles('artist', 'song.mp3', 'song.cdg');
+
+      expect(preloaded.mediaType).toBe('cdg');
+      expect(result.mp3File).toBe(preloaded.mp3File);
+      expect(result.cdgData).toBe(preloaded.cdgData);
+      expect(fileAccessModule.getLoadedSongSource().filePath).toBe('artist/song.mp3');
+    });
+
+    it('should read other songs from disk and keep the preloaded one', async () => {
+      const preloaded = await fileAccessModule.preloadSong({
+        mediaType: 'cdg', mp3FileName: 'artist/song.mp3', cdgFileName: 'artist/song.cdg'
+      });
+
+      const other = await fileAccessModule.loadSongFiles('artist', 'other.mp3', 'other.cdg');
+      const otherSource = fileAccessModule.getLoadedSongSource();
+      const song = await fileAccessModule.loadSongFiles('artist', 'song.mp3', 'song.cdg');
+
+      expect(other.mp3File).not.toBe(preloaded.mp3File);
+      expect(otherSource.filePath).toBe('artist/other.mp3');
+      expect(song.mp3File).toBe(preloaded.mp3File);
+    });
+
+    it('should return null when the song cannot be read', async () => {
+      const preloaded = await fileAccessModule.preloadSong({
+        mediaType: 'cdg', mp3FileName: 'artist/missing.mp3', cdgFileName: 'artist/missing.cdg'
+      });
+
+      expect(preloaded).toBe(null);
+      expect(await fileAccessModule.preloadSong(null)).toBe(null);
+    });
+
+    it('should list the MP3s of a folder for filler music', async () => {
+      expect(await fileAccessModule.listFolderAudioFiles('artist')).toEqual(['artist/other.mp3', 'artist/song.mp3']);
+    });
+  });
+
+  describe('pattern detection sample', () => {
+    it('should list song files folder by folder from the top, up to the sample size', async () => {
+      const mockDirectory = new MockFileSystemDirectoryHandle('library', {
+        'Deep': new MockFileSystemDirectoryHandle('Deep', {
+          'Deeper': new MockFileSystemDirectoryHandle('Deeper', {
+            'A - Deepest.mp3': new MockFileSystemFileHandle('A - Deepest.mp3', 'mp3')
+          }),
+          'B - Deep.zip': new MockFileSystemFileHandle('B - Deep.zip', 'zip')
+        }),
+        'C - Top.mp3': new MockFileSystemFileHandle('C - Top.mp3', 'mp3'),
+        'C - Top.cdg': new MockFileSystemFileHandle('C - Top.cdg', 'cdg'),
+        'D - Video.mp4': new MockFileSystemFileHandle('D - Video.mp4', 'mp4'),
+        'notes.txt': new MockFileSystemFileHandle('notes.txt', 'text')
+      });
+      mockDirectoryPicker.mockResolvedValue(mockDirectory);
+
+      const sample = await fileAccessModule.pickLibrarySample(3);
+
+      expect(sample).toEqual({
+        name: 'library',
+        fileNames: ['C - Top.mp3', 'D - Video.mp4', 'Deep/B - Deep.zip']
+      });
+      expect(fileAccessModule.getLibraryDirectoryHandle()).toBe(mockDirectory);
+    });
+
+    it('should return null if the picker is cancelled', async () => {
+      mockDirectoryPicker.mockRejectedValue(new DOMException('User cancelled', 'AbortError'));
+
+      expect(await fileAccessModule.pickLibrarySample()).toBeNull();
+    });
+
+    it('should scan the sampled directory with the chosen pattern', async () => {
+      const mockDirectory = new MockFileSystemDirectoryHandle('library', {
+        'Artist - Song.mp3': new MockFileSystemFileHandle('Artist - Song.mp3', 'mp3'),
+        'Artist - Song.cdg': new MockFileSystemFileHandle('Artist - Song.cdg', 'cdg')
+      });
+      mockDirectoryPicker.mockResolvedValue(mockDirectory);
+
+      expect(await fileAccessModule.scanSelectedLibrary('%artist - %title')).toBeNull();
+
+      await fileAccessModule.pickLibrarySample();
+      const songs = await fileAccessModule.scanSelectedLibrary('%title - %artist');
+
+      expect(mockDirectoryPicker).toHaveBeenCalledTimes(1);
+      expect(songs).toHaveLength(1);
+      expect(songs[0].mp3FileName).toBe('Artist - Song.mp3');
+    });
+  });
+
   describe('getLibraryDirectoryHandle', () => {
     it('should return null if no directory selected', () => {
       const handle = fileAccessModule.getLibraryDirectoryHandle();
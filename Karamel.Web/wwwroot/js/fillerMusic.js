@@ -0,0 +1,201 @@
+// Filler music for the pause screen
+// Plays the MP3s of a library folder in shuffled order between songs, mixed on the playback
+// graph's output bus, and fades out while the next song fades in. The folder is chosen in the
+// Playlist tab and saved in localStorage for this computer.
+
+import { getSongAudioFile, listFolderAudioFiles } from './fileAccess.js';
+import { getOutputBus } from './audioEngine.js';
+import { applyOutputDevice, getSavedOutputDevices } from './audioOutput.js';
+import { createObjectUrl, revokeObjectUrl } from './memoryUsage.js';
+
+const FILLER_MUSIC_KEY = 'karamel-filler-music';
+
+/**
+ * Seconds the filler music takes to fade out as the next song starts
+ */
+export const FILLER_FADE_SECONDS = 3;
+
+// Filler plays under the announcements on the pause screen, below song level
+const FILLER_VOLUME = 0.5;
+
+let element = null;
+let elementUrl = null;
+let fillerGain = null;
+let playlist = [];
+let playlistIndex = 0;
+
+/**
+ * Get the filler music settings of this computer
+ * @returns {{enabled: boolean, folder: string}} Folder relative to the library root
+ */
+export function getFillerMusicSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(FILLER_MUSIC_KEY) || '{}');
+        return {
+            enabled: saved.enabled === true,
+            folder: typeof saved.folder === 'string' ? saved.folder : ''
+        };
+    } catch (error) {
+        return { enabled: false, folder: '' };
+    }
+}
+
+/**
+ * Save the filler music settings of this computer
+ * @param {boolean} enabled - Play filler music on the pause screen
+ * @param {string} folder - Library folder with the filler MP3s
+ * @returns {{enabled: boolean, folder: string}} The saved settings
+ */
+export function saveFillerMusicSettings(enabled, folder) {
+    const settings = {
+        enabled: !!enabled,
+        // Accept "Filler/", "/Filler" or "Filler\Breaks" as typed by the host
+        folder: (folder || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '')
+    };
+    try {
+        localStorage.setItem(FILLER_MUSIC_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Failed to save filler music settings:', error);
+    }
+    return settings;
+}
+
+/**
+ * Shuffle a list (Fisher-Yates)
+ * @param {Array} items
+ * @param {function(): number} [random=Math.random]
+ * @returns {Array} New shuffled list
+ */
+export function shuffle(items, random = Math.random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Start the filler music, if it is enabled and not already playing
+ * @returns {Promise<boolean>} True if filler music is playing
+ */
+export async function startFillerMusic() {
+    const settings = getFillerMusicSettings();
+    if (!settings.enabled) {
+        return false;
+    }
+
+    if (element) {
+        return true;
+    }
+
+    try {
+        playlist = shuffle(await listFolderAudioFiles(settings.folder));
+        playlistIndex = 0;
+        if (playlist.length === 0) {
+            return false;
+        }
+
+        element = new Audio();
+        element.addEventListener('ended', playNextTrack);
+
+        // Routed through the output bus so it reaches the chosen device and can be faded smoothly
+        const output = await getOutputBus();
+        if (output) {
+            fillerGain = output.context.createGain();
+            fillerGain.gain.value = FILLER_VOLUME;
+            output.context.createMediaElementSource(element).connect(fillerGain).connect(output.bus);
+        } else {
+            element.volume = FILLER_VOLUME;
+            await applyOutputDevice(element, getSavedOutputDevices().main);
+        }
+
+        await playNextTrack();
+        return element !== null;
+    } catch (error) {
+        console.warn('Could not start filler music:', error);
+        stopFillerMusic(0);
+        return false;
+    }
+}
+
+/**
+ * Fade out and stop the filler music
+ * @param {number} [fadeSeconds=FILLER_FADE_SECONDS] - Fade length (0 stops at once)
+ * @returns {boolean} True if filler music was playing
+ */
+export function stopFillerMusic(fadeSeconds = FILLER_FADE_SECONDS) {
+    if (!element) {
+        return false;
+    }
+
+    const stoppingElement = element;
+    const stoppingGain = fillerGain;
+    const stoppingUrl = elementUrl;
+    element = null;
+    fillerGain = null;
+    elementUrl = null;
+
+    const release = () => {
+        stoppingElement.removeEventListener('ended', playNextTrack);
+        stoppingElement.pause();
+        stoppingElement.removeAttribute('src');
+        if (stoppingGain) {
+            stoppingGain.disconnect();
+        }
+        if (stoppingUrl) {
+            revokeObjectUrl(stoppingUrl);
+        }
+    };
+
+    if (fadeSeconds > 0 && stoppingGain) {
+        const now = stoppingGain.context.currentTime;
+        stoppingGain.gain.setValueAtTime(stoppingGain.gain.value, now);
+        stoppingGain.gain.linearRampToValueAtTime(0, now + fadeSeconds);
+        setTimeout(release, fadeSeconds * 1000);
+    } else {
+        release();
+    }
+    return true;
+}
+
+/**
+ * Check if filler music is playing
+ * @returns {boolean}
+ */
+export function isFillerMusicPlaying() {
+    return element !== null;
+}
+
+/**
+ * Play the next filler track, skipping files that cannot be read
+ */
+async function playNextTrack() {
+    const current = element;
+    for (let attempt = 0; attempt < playlist.length && element === current; attempt++) {
+        const path = playlist[playlistIndex];
+        playlistIndex = (playlistIndex + 1) % playlist.length;
+
+        try {
+            const file = await getSongAudioFile(path);
+            if (element !== current) {
+                return;
+            }
+
+            if (elementUrl) {
+                revokeObjectUrl(elementUrl);
+            }
+            elementUrl = createObjectUrl(file);
+            current.src = elementUrl;
+            await current.play();
+            return;
+        } catch (error) {
+            console.warn(`Skipping filler track ${path}:`, error);
+        }
+    }
+
+    // Nothing in the folder could be played
+    if (element === current) {
+        stopFillerMusic(0);
+    }
+}
@@ -0,0 +1,115 @@
+// Unit tests for filler music settings, shuffling and playback without Web Audio
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    getFillerMusicSettings,
+    saveFillerMusicSettings,
+    shuffle,
+    startFillerMusic,
+    stopFillerMusic,
+    isFillerMusicPlaying
+} from './fillerMusic.js';
+import { getSongAudioFile, listFolderAudioFiles } from './fileAccess.js';
+
+vi.mock('./fileAccess.js', () => ({
+    getSongAudioFile: vi.fn(),
+    listFolderAudioFiles: vi.fn(),
+    restoreLibraryAccess: vi.fn()
+}));
+
+vi.mock('./audioEngine.js', () => ({
+    getOutputBus: vi.fn(async () => null)
+}));
+
+describe('filler music settings', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should be off by default', () => {
+        expect(getFillerMusicSettings()).toEqual({ enabled: false, folder: '' });
+    });
+
+    it('should keep the folder as a library path', () => {
+        saveFillerMusicSettings(true, '\\Filler\\Breaks/');
+
+        expect(getFillerMusicSettings()).toEqual({ enabled: true, folder: 'Filler/Breaks' });
+    });
+
+    it('should ignore a corrupt saved value', () => {
+        localStorage.setItem('karamel-filler-music', '{not json');
+
+        expect(getFillerMusicSettings()).toEqual({ enabled: false, folder: '' });
+    });
+});
+
+describe('shuffle', () => {
+    it('should reorder a copy of the list', () => {
+        const items = ['a', 'b', 'c', 'd'];
+        let seed = 1;
+        const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+        const shuffled = shuffle(items, random);
+
+        expect(items).toEqual(['a', 'b', 'c', 'd']);
+        expect([...shuffled].sort()).toEqual(items);
+        expect(shuffle(items, () => 0)).toEqual(['b', 'c', 'd', 'a']);
+    });
+});
+
+describe('startFillerMusic', () => {
+    class FakeAudio {
+        constructor() {
+            this.src = '';
+            this.volume = 1;
+            this.play = vi.fn(async () => {});
+            this.pause = vi.fn();
+        }
+
+        addEventListener() {}
+        removeEventListener() {}
+        removeAttribute() {}
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+        vi.stubGlobal('Audio', FakeAudio);
+        vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:filler');
+        vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        stopFillerMusic(0);
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('should not play when the host has not enabled it', async () => {
+        expect(await startFillerMusic()).toBe(false);
+        expect(listFolderAudioFiles).not.toHaveBeenCalled();
+    });
+
+    it('should not play from an empty folder', async () => {
+        saveFillerMusicSettings(true, 'Filler');
+        listFolderAudioFiles.mockResolvedValue([]);
+
+        expect(await startFillerMusic()).toBe(false);
+        expect(isFillerMusicPlaying()).toBe(false);
+    });
+
+    it('should skip unreadable tracks and play the next one', async () => {
+        saveFillerMusicSettings(true, 'Filler');
+        listFolderAudioFiles.mockResolvedValue(['Filler/a.mp3', 'Filler/b.mp3']);
+        getSongAudioFile
+            .mockRejectedValueOnce(new Error('File not found'))
+            .mockResolvedValueOnce(new Blob(['mp3']));
+
+        expect(await startFillerMusic()).toBe(true);
+        expect(getSongAudioFile).toHaveBeenCalledTimes(2);
+        expect(isFillerMusicPlaying()).toBe(true);
+
+        expect(stopFillerMusic()).toBe(true);
+        expect(isFillerMusicPlaying()).toBe(false);
+        expect(stopFillerMusic()).toBe(false);
+    });
+});
@@ -3,9 +3,10 @@
  * Handles session creation, library selection, and multi-tab initialization
  */
 
-import { pickLibraryDirectory } from './fileAccess.js';
+import { pickLibraryDirectory, reopenLastLibrary, pickLibrarySample, scanSelectedLibrary, getLastLibraryInfo as getLastIndexedLibrary, getLastScanReport, getLibraryIndexId } from './fileAccess.js';
+import { downloadScanReportCsv } from './scanReport.js';
 import { initializeSession, saveLibraryToSessionStorage, broadcastStateUpdate } from './signalRBridge.js';
-import { validatePattern } from './metadata.js';
+import { getPatternErrors, rankPatterns, previewPattern } from './metadata.js';
 
 /**
  * Check if File System Access API is supported
@@ -34,6 +35,35 @@ export function generateSessionId() {
     });
 }
 
+/**
+ * Create the karaoke session on the backend, which gives it its ID and a link token
+ * The host tab keeps the token to authorize uploads such as recordings. If the backend cannot be
+ * reached the session runs under a local ID without a token, and those features are off.
+ * @param {object} config - Configuration object, as validateConfiguration
+ * @param {function} [fetchImpl] - Defaults to fetch
+ * @returns {Promise<{sessionId: string, linkToken: string|null}>}
+ */
+export async function createSession(config, fetchImpl = fetch) {
+    try {
+        const response = await fetchImpl('/api/sessions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                requireSingerName: config.requireSingerName,
+                pauseBetweenSongsSeconds: config.pauseBetweenSongs
+            })
+        });
+        if (response.ok) {
+            const { id, linkToken } = await response.json();
+            return { sessionId: id, linkToken };
+        }
+        console.warn(`Backend session could not be created (${response.status}), running locally`);
+    } catch (error) {
+        console.warn('Backend is not reachable, running the session locally:', error);
+    }
+    return { sessionId: generateSessionId(), linkToken: null };
+}
+
 /**
  * Generate session URL with session ID
  * @param {string} path - Path without leading slash (e.g., 'playlist', 'singer', 'nextsong')
@@ -64,7 +94,7 @@ export function generateSessionUrl(path, sessionId) {
  * @param {boolean} config.requireSingerName - Whether singer name is required
  * @param {boolean} config.allowSingerReorder - Whether singers can reorder playlist
  * @param {number} config.pauseBetweenSongs - Seconds to pause between songs
- * @param {string} config.filenamePattern - Pattern for parsing filenames
+ * @param {string} config.filenamePattern - Pattern for parsing filenames ("|"-separated fallback patterns allowed)
  * @returns {object} Validation result with isValid flag and errors array
  */
 export function validateConfiguration(config) {
@@ -89,9 +119,9 @@ export function validateConfiguration(config) {
     if (!config.filenamePattern || typeof config.filenamePattern !== 'string') {
         errors.push('filenamePattern is required and must be a string');
     } else {
-        const validatedPattern = validatePattern(config.filenamePattern);
-        if (validatedPattern !== config.filenamePattern) {
-            errors.push('filenamePattern must contain %artist and/or %title');
+        // Say which pattern of the list is wrong and why
+        for (const problem of getPatternErrors(config.filenamePattern)) {
+            errors.push(`filenamePattern ${problem}`);
         }
     }
     
@@ -101,14 +131,61 @@ export function validateConfiguration(config) {
     };
 }
 
+/**
+ * Explain what is wrong with a filename pattern, for feedback while the host types it
+ * @param {string} filenamePattern - Pattern or "|"-separated fallback list
+ * @returns {string[]} Problems, empty if the pattern is valid
+ */
+export function getFilenamePatternErrors(filenamePattern) {
+    return getPatternErrors(filenamePattern);
+}
+
+// Controller of the running library scan, so the host can cancel it from the Home page
+let scanController = null;
+
+/**
+ * Start a cancellable scan, aborting any scan still running
+ * @param {function(AbortSignal): Promise<Array|null>} scan - Scan to run
+ * @returns {Promise<Array|null>} Songs, or null if cancelled
+ */
+async function runCancellableScan(scan) {
+    scanController?.abort();
+    const controller = new AbortController();
+    scanController = controller;
+
+    try {
+        return await scan(controller.signal);
+    } finally {
+        if (scanController === controller) {
+            scanController = null;
+        }
+    }
+}
+
+/**
+ * Cancel the running library scan, if any
+ * @returns {boolean} True if a scan was cancelled
+ */
+export function cancelLibraryScan() {
+    if (!scanController) {
+        return false;
+    }
+
+    scanController.abort();
+    scanController = null;
+    return true;
+}
+
 /**
  * Select library directory and scan for songs
  * @param {string} filenamePattern - Pattern for parsing filenames
- * @returns {Promise<object>} Result with songs array and directory info, or null on error/cancel
+ * @param {number} progressStep - Dispatch a progress event every N matched songs or discovered files
+ * @param {object|null} pairingRules - MP3/CDG pairing rules: caseInsensitive, normalizeNames, cdgFolder
+ * @returns {Promise<object>} Result with songs array, directory info, scan report and the library's index id, or null on error/cancel
  */
-export async function selectLibrary(filenamePattern) {
+export async function selectLibrary(filenamePattern, progressStep = 10, pairingRules = null) {
     try {
-        const songs = await pickLibraryDirectory(filenamePattern);
+        const songs = await runCancellableScan(signal => pickLibraryDirectory(filenamePattern, progressStep, signal, pairingRules));
         
         if (!songs) {
             // User cancelled or error occurred
@@ -118,7 +195,9 @@ export async function selectLibrary(filenamePattern) {
         return {
             songs,
             songCount: songs.length,
-            success: true
+            success: true,
+            report: getLastScanReport(),
+            libraryIndexId: getLibraryIndexId()
         };
     } catch (error) {
         console.error('Error selecting library:', error);
@@ -131,6 +210,141 @@ export async function selectLibrary(filenamePattern) {
     }
 }
 
+/**
+ * Reopen the library scanned in a previous visit, without the directory picker
+ * @param {string} filenamePattern - Pattern for parsing filenames
+ * @param {number} progressStep - Dispatch a progress event every N matched songs or discovered files
+ * @param {object|null} pairingRules - MP3/CDG pairing rules: caseInsensitive, normalizeNames, cdgFolder
+ * @returns {Promise<object>} Result with songs array, or null if there is no library to reopen or the scan was cancelled
+ */
+export async function reopenLibrary(filenamePattern, progressStep = 10, pairingRules = null) {
+    try {
+        const songs = await runCancellableScan(signal => reopenLastLibrary(filenamePattern, progressStep, signal, pairingRules));
+
+        if (!songs) {
+            return null;
+        }
+
+        return {
+            songs,
+            songCount: songs.length,
+            success: true,
+            report: getLastScanReport(),
+            libraryIndexId: getLibraryIndexId()
+        };
+    } catch (error) {
+        console.error('Error reopening library:', error);
+        return {
+            songs: [],
+            songCount: 0,
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Sample of file names from the folder picked for pattern detection
+let patternSample = null;
+
+/**
+ * Pick a library folder and suggest filename patterns from a sample of its files, before the full scan
+ * The folder stays selected; scanDetectedLibrary scans it with the chosen pattern
+ * @param {number} sampleSize - Number of files to sample
+ * @param {number} previewCount - Number of files previewed with the best pattern
+ * @returns {Promise<object>} Library name, sample size, ranked suggestions and a preview, or null if cancelled
+ */
+export async function detectFilenamePattern(sampleSize = 200, previewCount = 10) {
+    try {
+        const sample = await pickLibrarySample(sampleSize);
+        if (!sample) {
+            return null;
+        }
+
+        patternSample = sample.fileNames;
+        const suggestions = rankPatterns(patternSample).slice(0, 5);
+
+        return {
+            libraryName: sample.name,
+            sampleSize: patternSample.length,
+            suggestions,
+            preview: suggestions.length > 0 ? previewPattern(patternSample, suggestions[0].pattern, previewCount) : []
+        };
+    } catch (error) {
+        console.error('Error detecting filename pattern:', error);
+        return null;
+    }
+}
+
+/**
+ * Preview a filename pattern on the sample taken by detectFilenamePattern
+ * @param {string} filenamePattern - Pattern or "|"-separated fallback list
+ * @param {number} previewCount - Number of files to preview
+ * @returns {Array<object>} Parsed artist/title per file, empty if no sample was taken
+ */
+export function previewFilenamePattern(filenamePattern, previewCount = 10) {
+    return patternSample ? previewPattern(patternSample, filenamePattern, previewCount) : [];
+}
+
+/**
+ * Scan the folder picked by detectFilenamePattern
+ * @param {string} filenamePattern - Pattern for parsing filenames
+ * @param {number} progressStep - Dispatch a progress event every N matched songs or discovered files
+ * @param {object|null} pairingRules - MP3/CDG pairing rules: caseInsensitive, normalizeNames, cdgFolder
+ * @returns {Promise<object>} Result with songs array, scan report and the library's index id, or null if no folder was picked or the scan was cancelled
+ */
+export async function scanDetectedLibrary(filenamePattern, progressStep = 10, pairingRules = null) {
+    try {
+        const songs = await runCancellableScan(signal => scanSelectedLibrary(filenamePattern, progressStep, signal, pairingRules));
+
+        if (!songs) {
+            return null;
+        }
+
+        return {
+            songs,
+            songCount: songs.length,
+            success: true,
+            report: getLastScanReport(),
+            libraryIndexId: getLibraryIndexId()
+        };
+    } catch (error) {
+        console.error('Error scanning library:', error);
+        return {
+            songs: [],
+            songCount: 0,
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Describe the library scanned in a previous visit
+ * @returns {Promise<object>} Library name, song count and scan time, or null if none is stored
+ */
+export async function getLastLibraryInfo() {
+    try {
+        return await getLastIndexedLibrary();
+    } catch (error) {
+        console.error('Error reading last library:', error);
+        return null;
+    }
+}
+
+/**
+ * Download the diagnostics of the last library scan as CSV
+ * @returns {boolean} True if there was a report to export
+ */
+export function exportScanReport() {
+    const report = getLastScanReport();
+    if (!report) {
+        return false;
+    }
+
+    downloadScanReportCsv(report);
+    return true;
+}
+
 /**
  * Initialize a new karaoke session
  * @param {object} config - Session configuration
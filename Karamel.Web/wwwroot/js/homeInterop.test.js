@@ -2,9 +2,17 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import {
     isFileSystemAccessSupported,
     generateSessionId,
+    createSession,
     generateSessionUrl,
     validateConfiguration,
     selectLibrary,
+    cancelLibraryScan,
+    exportScanReport,
+    reopenLibrary,
+    detectFilenamePattern,
+    previewFilenamePattern,
+    scanDetectedLibrary,
+    getLastLibraryInfo,
     initializeKaraokeSession,
     openSessionTabs,
     getNextSongViewUrl,
@@ -13,7 +21,17 @@ import {
 
 // Mock dependencies
 vi.mock('./fileAccess.js', () => ({
-    pickLibraryDirectory: vi.fn()
+    pickLibraryDirectory: vi.fn(),
+    reopenLastLibrary: vi.fn(),
+    pickLibrarySample: vi.fn(),
+    scanSelectedLibrary: vi.fn(),
+    getLastLibraryInfo: vi.fn(),
+    getLastScanReport: vi.fn(),
+    getLibraryIndexId: vi.fn()
+}));
+
+vi.mock('./scanReport.js', () => ({
+    downloadScanReportCsv: vi.fn()
 }));
 
 vi.mock('./signalRBridge.js', () => ({
@@ -23,19 +41,16 @@ vi.mock('./signalRBridge.js', () => ({
 }));
 
 vi.mock('./metadata.js', () => ({
-    validatePattern: vi.fn((pattern) => {
-        // Simulate real validation logic
-        if (!pattern || (!pattern.includes('%artist') && !pattern.includes('%title'))) {
-            return '%artist - %title'; // Default pattern
-        }
-        return pattern;
-    })
+    getPatternErrors: vi.fn(() => []),
+    rankPatterns: vi.fn(),
+    previewPattern: vi.fn()
 }));
 
 // Import mocked modules
-import { pickLibraryDirectory } from './fileAccess.js';
+import { pickLibraryDirectory, reopenLastLibrary, pickLibrarySample, scanSelectedLibrary, getLastLibraryInfo as getLastIndexedLibrary, getLastScanReport, getLibraryIndexId } from './fileAccess.js';
+import { downloadScanReportCsv } from './scanReport.js';
 import { initializeSession, saveLibraryToSessionStorage, broadcastStateUpdate } from './signalRBridge.js';
-import { validatePattern } from './metadata.js';
+import { getPatternErrors, rankPatterns, previewPattern } from './metadata.js';
 
 describe('File System Access Support', () => {
     it('should detect if File System Access API is supported', () => {
@@ -83,6 +98,36 @@ describe('Session ID Generation', () => {
     });
 });
 
+describe('createSession', () => {
+    const config = { requireSingerName: true, allowSingerReorder: false, pauseBetweenSongs: 5, filenamePattern: '%artist - %title' };
+
+    it('should use the ID and link token the backend gives the session', async () => {
+        const fetchImpl = vi.fn(async () => ({
+            ok: true,
+            status: 201,
+            json: async () => ({ id: '550e8400-e29b-41d4-a716-446655440000', linkToken: 'token' })
+        }));
+
+        expect(await createSession(config, fetchImpl))
+            .toEqual({ sessionId: '550e8400-e29b-41d4-a716-446655440000', linkToken: 'token' });
+        const [url, init] = fetchImpl.mock.calls[0];
+        expect(url).toBe('/api/sessions');
+        expect(JSON.parse(init.body)).toEqual({ requireSingerName: true, pauseBetweenSongsSeconds: 5 });
+    });
+
+    it('should run locally without a token when the backend is not reachable', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const failed = await createSession(config, async () => ({ ok: false, status: 500 }));
+        const offline = await createSession(config, async () => { throw new TypeError('offline'); });
+
+        expect(failed.linkToken).toBeNull();
+        expect(failed.sessionId).toMatch(/^[0-9a-f-]{36}$/i);
+        expect(offline.linkToken).toBeNull();
+        vi.restoreAllMocks();
+    });
+});
+
 describe('Session URL Generation', () => {
     beforeEach(() => {
         // Mock window.location
@@ -236,12 +281,27 @@ describe('Configuration Validation', () => {
             filenamePattern: 'invalid pattern'
         };
         
-        // Mock validatePattern to return default pattern
-        validatePattern.mockReturnValueOnce('%artist - %title');
+        getPatternErrors.mockReturnValueOnce(['"invalid pattern": missing %artist and %title']);
         
         const result = validateConfiguration(config);
         expect(result.isValid).toBe(false);
-        expect(result.errors).toContain('filenamePattern must contain %artist and/or %title');
+        expect(result.errors).toEqual(['filenamePattern "invalid pattern": missing %artist and %title']);
+    });
+    
+    it('should explain which filename pattern is invalid', () => {
+        const config = {
+            requireSingerName: true,
+            allowSingerReorder: false,
+            pauseBetweenSongs: 5,
+            filenamePattern: '%artist - %title | %disc - %title'
+        };
+
+        getPatternErrors.mockReturnValueOnce(['"%disc - %title": unknown placeholder %disc']);
+
+        const result = validateConfiguration(config);
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toEqual(['filenamePattern "%disc - %title": unknown placeholder %disc']);
+        expect(getPatternErrors).toHaveBeenCalledWith('%artist - %title | %disc - %title');
     });
     
     it('should accumulate multiple validation errors', () => {
@@ -261,6 +321,7 @@ describe('Configuration Validation', () => {
 describe('Library Selection', () => {
     beforeEach(() => {
         vi.clearAllMocks();
+        getLastScanReport.mockReturnValue(null);
     });
     
     it('should select library and return songs', async () => {
@@ -270,15 +331,53 @@ describe('Library Selection', () => {
         ];
         
         pickLibraryDirectory.mockResolvedValue(mockSongs);
+        getLibraryIndexId.mockReturnValueOnce(4);
         
         const result = await selectLibrary('%artist - %title');
         
         expect(result).toEqual({
             songs: mockSongs,
             songCount: 2,
-            success: true
+            success: true,
+            report: null,
+            libraryIndexId: 4
         });
-        expect(pickLibraryDirectory).toHaveBeenCalledWith('%artist - %title');
+        expect(pickLibraryDirectory).toHaveBeenCalledWith('%artist - %title', 10, expect.any(AbortSignal), null);
+    });
+    
+    it('should pass the pairing rules to the scan', async () => {
+        const rules = { caseInsensitive: true, normalizeNames: false, cdgFolder: true };
+        pickLibraryDirectory.mockResolvedValue([]);
+        reopenLastLibrary.mockResolvedValue([]);
+
+        await selectLibrary('%artist - %title', 5, rules);
+        await reopenLibrary('%artist - %title', 5, rules);
+
+        expect(pickLibraryDirectory).toHaveBeenCalledWith('%artist - %title', 5, expect.any(AbortSignal), rules);
+        expect(reopenLastLibrary).toHaveBeenCalledWith('%artist - %title', 5, expect.any(AbortSignal), rules);
+    });
+    
+    it('should include the scan report with the songs', async () => {
+        const report = { issues: [{ type: 'orphan_mp3', path: 'a.mp3', detail: 'MP3 without a matching CDG file' }], fileCount: 1, songCount: 0 };
+        pickLibraryDirectory.mockResolvedValue([]);
+        getLastScanReport.mockReturnValue(report);
+        
+        const result = await selectLibrary('%artist - %title');
+        
+        expect(result.report).toBe(report);
+    });
+    
+    it('should export the last scan report as CSV', () => {
+        const report = { issues: [], fileCount: 0, songCount: 0 };
+        getLastScanReport.mockReturnValue(report);
+        
+        expect(exportScanReport()).toBe(true);
+        expect(downloadScanReportCsv).toHaveBeenCalledWith(report);
+    });
+    
+    it('should not export anything before a library was scanned', () => {
+        expect(exportScanReport()).toBe(false);
+        expect(downloadScanReportCsv).not.toHaveBeenCalled();
     });
     
     it('should return null when user cancels selection', async () => {
@@ -299,6 +398,108 @@ describe('Library Selection', () => {
         expect(result.songs).toHaveLength(0);
         expect(result.error).toBe(errorMessage);
     });
+    
+    it('should abort the running scan when cancelled', async () => {
+        let scanSignal;
+        pickLibraryDirectory.mockImplementation((pattern, step, signal) => {
+            scanSignal = signal;
+            return new Promise(resolve => signal.addEventListener('abort', () => resolve(null)));
+        });
+        
+        const selection = selectLibrary('%artist - %title');
+        
+        expect(cancelLibraryScan()).toBe(true);
+        expect(scanSignal.aborted).toBe(true);
+        expect(await selection).toBeNull();
+        expect(cancelLibraryScan()).toBe(false);
+    });
+    
+    it('should reopen the last library and return songs', async () => {
+        const mockSongs = [
+            { id: '1', artist: 'Artist 1', title: 'Song 1', mp3FileName: 'song1.mp3', cdgFileName: 'song1.cdg' }
+        ];
+        
+        reopenLastLibrary.mockResolvedValue(mockSongs);
+        
+        const result = await reopenLibrary('%artist - %title');
+        
+        expect(result).toEqual({
+            songs: mockSongs,
+            songCount: 1,
+            success: true,
+            report: null
+        });
+        expect(reopenLastLibrary).toHaveBeenCalledWith('%artist - %title', 10, expect.any(AbortSignal), null);
+    });
+    
+    it('should return null when there is no library to reopen', async () => {
+        reopenLastLibrary.mockResolvedValue(null);
+        
+        const result = await reopenLibrary('%artist - %title');
+        
+        expect(result).toBeNull();
+    });
+    
+    it('should suggest patterns from a library sample and preview the best one', async () => {
+        const fileNames = ['SC1001-01 - Queen - Bohemian Rhapsody.mp3', 'SC1001-02 - ABBA - Waterloo.mp3'];
+        const ranked = [
+            { pattern: '%discid-%track - %artist - %title', matched: 2, total: 2 },
+            { pattern: '%artist - %title', matched: 1, total: 2 }
+        ];
+        const preview = [{ fileName: fileNames[0], artist: 'Queen', title: 'Bohemian Rhapsody', matched: true }];
+        pickLibrarySample.mockResolvedValueOnce({ name: 'Karaoke', fileNames });
+        rankPatterns.mockReturnValueOnce(ranked);
+        previewPattern.mockReturnValueOnce(preview);
+        
+        const result = await detectFilenamePattern(50, 5);
+        
+        expect(pickLibrarySample).toHaveBeenCalledWith(50);
+        expect(previewPattern).toHaveBeenCalledWith(fileNames, '%discid-%track - %artist - %title', 5);
+        expect(result).toEqual({
+            libraryName: 'Karaoke',
+            sampleSize: 2,
+            suggestions: ranked,
+            preview
+        });
+        
+        previewPattern.mockReturnValueOnce([]);
+        previewFilenamePattern('%artist - %title', 3);
+        
+        expect(previewPattern).toHaveBeenLastCalledWith(fileNames, '%artist - %title', 3);
+    });
+    
+    it('should return null when pattern detection is cancelled', async () => {
+        pickLibrarySample.mockResolvedValueOnce(null);
+        
+        expect(await detectFilenamePattern()).toBeNull();
+    });
+    
+    it('should scan the library picked for pattern detection', async () => {
+        const mockSongs = [{ id: '1', artist: 'Queen', title: 'Bohemian Rhapsody' }];
+        const rules = { caseInsensitive: true };
+        scanSelectedLibrary.mockResolvedValueOnce(mockSongs);
+        
+        const result = await scanDetectedLibrary('%discid - %artist - %title', 5, rules);
+        
+        expect(scanSelectedLibrary).toHaveBeenCalledWith('%discid - %artist - %title', 5, expect.any(AbortSignal), rules);
+        expect(result).toEqual({
+            songs: mockSongs,
+            songCount: 1,
+            success: true,
+            report: null
+        });
+    });
+    
+    it('should describe the last library, or return null on errors', async () => {
+        const info = { name: 'Karaoke', songCount: 12, updatedAt: 1700000000000 };
+        getLastIndexedLibrary.mockResolvedValueOnce(info);
+        
+        expect(await getLastLibraryInfo()).toEqual(info);
+        
+        getLastIndexedLibrary.mockRejectedValueOnce(new Error('IndexedDB unavailable'));
+        
+        expect(await getLastLibraryInfo()).toBeNull();
+    });
 });
 
 describe('Session Initialization', () => {
@@ -0,0 +1,511 @@
+// Persistent library index
+// Caches scanned songs in IndexedDB together with the library's FileSystemDirectoryHandle,
+// so a later session can reopen the library and only re-process files that changed.
+// Each file has its own record, so saving the loudness or lyrics delay of a song during
+// playback writes that one record rather than the whole library.
+
+const DB_NAME = 'karamel-library';
+const DB_VERSION = 2;
+const LIBRARY_STORE = 'libraries';
+// One record per file, keyed by [libraryId, path]
+const FILE_STORE = 'files';
+const FILE_LIBRARY_INDEX = 'libraryId';
+
+// Values that belong to a file rather than to a scan; kept when a rescan rewrites the file's record
+const FILE_VALUES = ['loudness', 'syncOffset', 'broken'];
+
+let databasePromise = null;
+
+/**
+ * Check if IndexedDB is available in this browser
+ * @returns {boolean}
+ */
+export function isLibraryIndexSupported() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and create or upgrade if needed) the library database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+                    db.createObjectStore(LIBRARY_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(FILE_STORE)) {
+                    const fileStore = db.createObjectStore(FILE_STORE, { keyPath: ['libraryId', 'path'] });
+                    fileStore.createIndex(FILE_LIBRARY_INDEX, 'libraryId');
+                    if (event.oldVersion >= 1) {
+                        moveFilesToOwnStore(request.transaction);
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                databasePromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Move the files of version 1 library records, which held them all, into the file store
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ */
+function moveFilesToOwnStore(transaction) {
+    const fileStore = transaction.objectStore(FILE_STORE);
+    transaction.objectStore(LIBRARY_STORE).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+            return;
+        }
+
+        const { files, ...library } = cursor.value;
+        for (const [path, entry] of Object.entries(files || {})) {
+            fileStore.put({ ...entry, libraryId: library.id, path });
+        }
+        cursor.update(library);
+        cursor.continue();
+    };
+}
+
+/**
+ * Read the file records of a library
+ * @param {IDBObjectStore} fileStore
+ * @param {number} libraryId
+ * @returns {Promise<Object<string, object>>} Index entries by file path
+ */
+async function readLibraryFiles(fileStore, libraryId) {
+    const records = await requestToPromise(fileStore.index(FILE_LIBRARY_INDEX).getAll(libraryId));
+    const files = {};
+    for (const record of records) {
+        files[record.path] = toIndexEntry(record);
+    }
+    return files;
+}
+
+/**
+ * Strip the key fields from a file record
+ * @param {object} record - Record of the file store
+ * @returns {object} Index entry
+ */
+function toIndexEntry(record) {
+    const { libraryId, path, ...entry } = record;
+    return entry;
+}
+
+/**
+ * Read all stored library indexes
+ * @returns {Promise<Array<object>>}
+ */
+async function getAllLibraryIndexes() {
+    const db = await openDatabase();
+    const store = db.transaction(LIBRARY_STORE, 'readonly').objectStore(LIBRARY_STORE);
+    return requestToPromise(store.getAll());
+}
+
+/**
+ * Find the stored index for a library directory, with all its files, for a rescan
+ * @param {FileSystemDirectoryHandle} directoryHandle - Directory picked by the user
+ * @returns {Promise<object|null>} Index record, or null if the library was never scanned
+ */
+export async function findLibraryIndex(directoryHandle) {
+    if (!isLibraryIndexSupported() || !directoryHandle) {
+        return null;
+    }
+
+    try {
+        const indexes = await getAllLibraryIndexes();
+        for (const index of indexes) {
+            if (index.directoryHandle && await index.directoryHandle.isSameEntry(directoryHandle)) {
+                const db = await openDatabase();
+                const fileStore = db.transaction(FILE_STORE, 'readonly').objectStore(FILE_STORE);
+                return { ...index, files: await readLibraryFiles(fileStore, index.id) };
+            }
+        }
+    } catch (error) {
+        console.warn('Failed to read library index:', error);
+    }
+    return null;
+}
+
+/**
+ * Read the stored index of one library, with the entries of the given files only
+ * @param {number|null} id - Record id returned by saveLibraryIndex
+ * @param {string[]} [filePaths=[]] - Files to read the entries of
+ * @returns {Promise<object|null>} Index record, or null if it was removed or cannot be read
+ */
+export async function getLibraryIndex(id, filePaths = []) {
+    if (!isLibraryIndexSupported() || id === null || id === undefined) {
+        return null;
+    }
+
+    try {
+        const db = await openDatabase();
+        const transaction = db.transaction([LIBRARY_STORE, FILE_STORE], 'readonly');
+        const [index, ...entries] = await Promise.all([
+            requestToPromise(transaction.objectStore(LIBRARY_STORE).get(id)),
+            ...filePaths.map(path => requestToPromise(transaction.objectStore(FILE_STORE).get([id, path])))
+        ]);
+        if (!index) {
+            return null;
+        }
+
+        const files = {};
+        entries.forEach((record, i) => {
+            if (record) {
+                files[filePaths[i]] = toIndexEntry(record);
+            }
+        });
+        return { ...index, files };
+    } catch (error) {
+        console.warn('Failed to read library index:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the most recently scanned library, without its files
+ * @returns {Promise<object|null>} Index record, or null if none is stored
+ */
+export async function getLastLibraryIndex() {
+    if (!isLibraryIndexSupported()) {
+        return null;
+    }
+
+    try {
+        const indexes = await getAllLibraryIndexes();
+        return indexes.reduce((latest, index) =>
+            (!latest || index.updatedAt > latest.updatedAt) ? index : latest, null);
+    } catch (error) {
+        console.warn('Failed to read library index:', error);
+        return null;
+    }
+}
+
+/**
+ * Store a library index (replaces the previous index of the same library)
+ * Files that are gone are removed. For unchanged files the stored loudness, lyrics delay and
+ * broken mark are kept, as they may have been saved during playback while the scan ran.
+ * @param {object} index - Index record
+ * @param {number} [index.id] - Existing record id when updating
+ * @param {FileSystemDirectoryHandle} index.directoryHandle - Library root
+ * @param {string} index.filenamePattern - Pattern the cached metadata was parsed with
+ * @param {object} [index.pairingRules] - MP3/CDG pairing rules the cached songs were paired with
+ * @param {Object<string, {size: number, lastModified: number, song: object, loudness?: number, syncOffset?: number}>} index.files - Cached songs by file path
+ * @param {number} [index.syncOffset] - Lyrics delay for every song of the library, in ms
+ * @returns {Promise<number|null>} Record id, or null if the index could not be saved
+ */
+export async function saveLibraryIndex(index) {
+    if (!isLibraryIndexSupported()) {
+        return null;
+    }
+
+    try {
+        const { files = {}, ...record } = index;
+        record.name = index.directoryHandle ? index.directoryHandle.name : '';
+        record.songCount = Object.keys(files).length;
+        record.updatedAt = Date.now();
+        if (record.id === undefined || record.id === null) {
+            delete record.id;
+        }
+
+        const db = await openDatabase();
+        const transaction = db.transaction([LIBRARY_STORE, FILE_STORE], 'readwrite');
+        const fileStore = transaction.objectStore(FILE_STORE);
+        const id = await requestToPromise(transaction.objectStore(LIBRARY_STORE).put(record));
+
+        const stored = await readLibraryFiles(fileStore, id);
+        for (const path of Object.keys(stored)) {
+            if (!files[path]) {
+                fileStore.delete([id, path]);
+            }
+        }
+        for (const [path, entry] of Object.entries(files)) {
+            fileStore.put({ ...mergeFileValues(entry, stored[path]), libraryId: id, path });
+        }
+
+        await transactionDone(transaction);
+        return id;
+    } catch (error) {
+        console.warn('Failed to save library index:', error);
+        return null;
+    }
+}
+
+/**
+ * Wait for a transaction to be committed
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Take the per-file values of a stored entry over a rescanned one, if the file is unchanged
+ * @param {object} entry - Entry built by the scan
+ * @param {object|undefined} stored - Entry in the index now
+ * @returns {object}
+ */
+function mergeFileValues(entry, stored) {
+    if (!stored || stored.size !== entry.size || stored.lastModified !== entry.lastModified) {
+        return entry;
+    }
+
+    const merged = { ...entry };
+    for (const key of FILE_VALUES) {
+        if (stored[key] === undefined) {
+            delete merged[key];
+        } else {
+            merged[key] = stored[key];
+        }
+    }
+    return merged;
+}
+
+/**
+ * Look up a cached song for a file, if the file is unchanged since it was indexed
+ * @param {object|null} index - Index record from findLibraryIndex
+ * @param {string} filePath - File path relative to the library root
+ * @param {{size: number, lastModified: number}} file - Current file
+ * @returns {object|null} Cached song, or null if the file is new or changed
+ */
+export function getCachedSong(index, filePath, file) {
+    const entry = index && index.files ? index.files[filePath] : null;
+    if (!entry || !file) {
+        return null;
+    }
+
+    if (entry.size !== file.size || entry.lastModified !== file.lastModified) {
+        return null;
+    }
+
+    return entry.song;
+}
+
+/**
+ * Look up the measured loudness of a file, if the file is unchanged since it was measured
+ * Loudness does not depend on the filename pattern or pairing rules, so it survives rescans
+ * that rebuild the songs.
+ * @param {object|null} index - Index record
+ * @param {string} filePath - File path relative to the library root
+ * @param {{size: number, lastModified: number}} file - Current file
+ * @returns {number|null} Integrated loudness in LUFS, or null if not measured yet
+ */
+export function getCachedLoudness(index, filePath, file) {
+    const entry = getUnchangedEntry(index, filePath, file);
+    return entry && typeof entry.loudness === 'number' ? entry.loudness : null;
+}
+
+/**
+ * Look up the lyrics delay calibrated for a file, if the file is unchanged since
+ * Like loudness it belongs to the rip, so it survives rescans.
+ * @param {object|null} index - Index record
+ * @param {string} filePath - File path relative to the library root
+ * @param {{size: number, lastModified: number}} file - Current file
+ * @returns {number|null} Delay in ms (positive shows the graphics later), or null if not calibrated
+ */
+export function getCachedSyncOffset(index, filePath, file) {
+    const entry = getUnchangedEntry(index, filePath, file);
+    return entry && typeof entry.syncOffset === 'number' ? entry.syncOffset : null;
+}
+
+/**
+ * Look up why a file failed to play, if the file is unchanged since
+ * A fixed or replaced file has a new size or date, which clears the mark.
+ * @param {object|null} index - Index record
+ * @param {string} filePath - File path relative to the library root
+ * @param {{size: number, lastModified: number}} file - Current file
+ * @returns {string|null} Reason, or null if the song is not marked as broken
+ */
+export function getCachedBrokenReason(index, filePath, file) {
+    const entry = getUnchangedEntry(index, filePath, file);
+    return entry && typeof entry.broken === 'string' ? entry.broken : null;
+}
+
+/**
+ * Get the lyrics delay that applies to every song of a library
+ * @param {object|null} index - Index record
+ * @returns {number} Delay in ms, 0 if never calibrated
+ */
+export function getLibrarySyncOffset(index) {
+    return index && typeof index.syncOffset === 'number' ? index.syncOffset : 0;
+}
+
+/**
+ * Create the index entry for a scanned song
+ * @param {{size: number, lastModified: number}} file - The song's primary file
+ * @param {object} song - Song object produced by the scan
+ * @param {number|null} [loudness=null] - Loudness measured earlier for the same file
+ * @param {number|null} [syncOffset=null] - Lyrics delay calibrated earlier for the same file
+ * @param {string|null} [broken=null] - Reason the same file failed to play earlier
+ * @returns {{size: number, lastModified: number, song: object, loudness?: number, syncOffset?: number, broken?: string}}
+ */
+export function createIndexEntry(file, song, loudness = null, syncOffset = null, broken = null) {
+    const entry = {
+        size: file.size,
+        lastModified: file.lastModified,
+        song
+    };
+    if (typeof loudness === 'number') {
+        entry.loudness = loudness;
+    }
+    if (typeof syncOffset === 'number') {
+        entry.syncOffset = syncOffset;
+    }
+    if (typeof broken === 'string') {
+        entry.broken = broken;
+    }
+    return entry;
+}
+
+/**
+ * Store the measured loudness of a song
+ * @param {number|null} libraryId - Index record of the song's library
+ * @param {string} filePath - File path relative to the library root
+ * @param {{size: number, lastModified: number}} file - The measured file
+ * @param {number} loudness - Integrated loudness in LUFS
+ * @returns {Promise<boolean>} False if the file is not in the index or changed since the scan
+ */
+export async function saveSongLoudness(libraryId, filePath, file, loudness) {
+    return updateIndexEntry(libraryId, filePath, file, entry => {
+        entry.loudness = loudness;
+    });
+}
+
+/**
+ * Store the calibrated lyrics delay of a song
+ * @param {number|null} libraryId - Index record of the song's library
+ * @param {string} filePath - File path relative to the library root
+ * @param {{size: number, lastModified: number}} file - The song's primary file
+ * @param {number} syncOffset - Delay in ms (0 removes the calibration)
+ * @returns {Promise<boolean>} False if the file is not in the index or changed since the scan
+ */
+export async function saveSongSyncOffset(libraryId, filePath, file, syncOffset) {
+    return updateIndexEntry(libraryId, filePath, file, entry => {
+        if (syncOffset) {
+            entry.syncOffset = syncOffset;
+        } else {
+            delete entry.syncOffset;
+        }
+    });
+}
+
+/**
+ * Mark a song that failed to play
+ * @param {number|null} libraryId - Index record of the song's library
+ * @param {string} filePath - File path relative to the library root
+ * @param {{size: number, lastModified: number}} file - The song's primary file
+ * @param {string|null} reason - What went wrong (null removes the mark)
+ * @returns {Promise<boolean>} False if the file is not in the index or changed since the scan
+ */
+export async function saveSongBroken(libraryId, filePath, file, reason) {
+    return updateIndexEntry(libraryId, filePath, file, entry => {
+        if (reason) {
+            entry.broken = reason;
+        } else {
+            delete entry.broken;
+        }
+    });
+}
+
+/**
+ * Store the lyrics delay for every song of a library
+ * @param {number|null} libraryId - Index record of the library
+ * @param {number} syncOffset - Delay in ms
+ * @returns {Promise<boolean>} False if the library is not in the index
+ */
+export async function saveLibrarySyncOffset(libraryId, syncOffset) {
+    return updateRecord(LIBRARY_STORE, libraryId, index => {
+        index.syncOffset = syncOffset;
+        return true;
+    });
+}
+
+/**
+ * Get an index entry, if the file is unchanged since it was indexed
+ * @param {object|null} index
+ * @param {string} filePath
+ * @param {{size: number, lastModified: number}} file
+ * @returns {object|null}
+ */
+function getUnchangedEntry(index, filePath, file) {
+    const entry = index && index.files ? index.files[filePath] : null;
+    if (!entry || !file || entry.size !== file.size || entry.lastModified !== file.lastModified) {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Change the entry of an unchanged file and save it
+ * @param {number|null} libraryId
+ * @param {string} filePath
+ * @param {{size: number, lastModified: number}} file
+ * @param {function(object): void} update
+ * @returns {Promise<boolean>}
+ */
+async function updateIndexEntry(libraryId, filePath, file, update) {
+    return updateRecord(FILE_STORE, libraryId === null || libraryId === undefined ? null : [libraryId, filePath], entry => {
+        if (!file || entry.size !== file.size || entry.lastModified !== file.lastModified) {
+            return false;
+        }
+
+        update(entry);
+        return true;
+    });
+}
+
+/**
+ * Change one stored record and save it
+ * Reading and writing happen in one transaction, so two updates made at the same time
+ * (e.g. the loudness and the lyrics delay of a song) cannot overwrite each other.
+ * @param {string} storeName - LIBRARY_STORE or FILE_STORE
+ * @param {number|Array|null} key - Key of the record
+ * @param {function(object): boolean} update - Changes the record; returns false to leave it as is
+ * @returns {Promise<boolean>} False if there is no such record, the update declined or saving failed
+ */
+async function updateRecord(storeName, key, update) {
+    if (!isLibraryIndexSupported() || key === null || key === undefined) {
+        return false;
+    }
+
+    try {
+        const db = await openDatabase();
+        const store = db.transaction(storeName, 'readwrite').objectStore(storeName);
+        const record = await requestToPromise(store.get(key));
+        if (!record || !update(record)) {
+            return false;
+        }
+
+        await requestToPromise(store.put(record));
+        return true;
+    } catch (error) {
+        console.warn('Failed to save library index:', error);
+        return false;
+    }
+}
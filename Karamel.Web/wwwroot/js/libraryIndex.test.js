@@ -0,0 +1,141 @@
+// Unit tests for the persistent library index
+import { describe, it, expect } from 'vitest';
+import {
+    getCachedSong,
+    createIndexEntry,
+    getCachedLoudness,
+    getCachedSyncOffset,
+    getCachedBrokenReason,
+    getLibrarySyncOffset,
+    findLibraryIndex,
+    getLibraryIndex,
+    getLastLibraryIndex,
+    saveLibraryIndex,
+    saveSongSyncOffset,
+    saveLibrarySyncOffset
+} from './libraryIndex.js';
+
+const song = { id: 'song-1', artist: 'Artist', title: 'Title' };
+
+describe('createIndexEntry', () => {
+    it('should store the file size and modification time with the song', () => {
+        const entry = createIndexEntry({ size: 1234, lastModified: 1700000000000 }, song);
+
+        expect(entry).toEqual({ size: 1234, lastModified: 1700000000000, song });
+    });
+
+    it('should keep a measured loudness', () => {
+        const entry = createIndexEntry({ size: 1234, lastModified: 1700000000000 }, song, -11.2);
+
+        expect(entry.loudness).toBe(-11.2);
+    });
+});
+
+describe('getCachedLoudness', () => {
+    const index = {
+        files: {
+            'Artist - Title.mp3': createIndexEntry({ size: 1234, lastModified: 1700000000000 }, song, -11.2),
+            'Other.mp3': createIndexEntry({ size: 10, lastModified: 1700000000000 }, song)
+        }
+    };
+
+    it('should return the loudness of an unchanged file', () => {
+        expect(getCachedLoudness(index, 'Artist - Title.mp3', { size: 1234, lastModified: 1700000000000 })).toBe(-11.2);
+    });
+
+    it('should return null for changed or unmeasured files', () => {
+        expect(getCachedLoudness(index, 'Artist - Title.mp3', { size: 1234, lastModified: 1800000000000 })).toBeNull();
+        expect(getCachedLoudness(index, 'Other.mp3', { size: 10, lastModified: 1700000000000 })).toBeNull();
+        expect(getCachedLoudness(null, 'Other.mp3', { size: 10, lastModified: 1700000000000 })).toBeNull();
+    });
+});
+
+describe('sync offsets', () => {
+    const index = {
+        syncOffset: 80,
+        files: {
+            'Early.mp3': createIndexEntry({ size: 1234, lastModified: 1700000000000 }, song, null, 250),
+            'Other.mp3': createIndexEntry({ size: 10, lastModified: 1700000000000 }, song)
+        }
+    };
+
+    it('should return the lyrics delay of an unchanged file', () => {
+        expect(getCachedSyncOffset(index, 'Early.mp3', { size: 1234, lastModified: 1700000000000 })).toBe(250);
+        expect(index.files['Early.mp3'].loudness).toBeUndefined();
+    });
+
+    it('should return null for changed or uncalibrated files', () => {
+        expect(getCachedSyncOffset(index, 'Early.mp3', { size: 999, lastModified: 1700000000000 })).toBeNull();
+        expect(getCachedSyncOffset(index, 'Other.mp3', { size: 10, lastModified: 1700000000000 })).toBeNull();
+    });
+
+    it('should default the library delay to zero', () => {
+        expect(getLibrarySyncOffset(index)).toBe(80);
+        expect(getLibrarySyncOffset({ files: {} })).toBe(0);
+        expect(getLibrarySyncOffset(null)).toBe(0);
+    });
+});
+
+describe('getCachedBrokenReason', () => {
+    const index = {
+        files: {
+            'Truncated.zip': createIndexEntry({ size: 1234, lastModified: 1700000000000 }, song, null, null, 'Corrupt CDG'),
+            'Other.mp3': createIndexEntry({ size: 10, lastModified: 1700000000000 }, song)
+        }
+    };
+
+    it('should return why an unchanged file failed to play', () => {
+        expect(getCachedBrokenReason(index, 'Truncated.zip', { size: 1234, lastModified: 1700000000000 })).toBe('Corrupt CDG');
+    });
+
+    it('should clear the mark once the file is replaced', () => {
+        expect(getCachedBrokenReason(index, 'Truncated.zip', { size: 5678, lastModified: 1800000000000 })).toBeNull();
+        expect(getCachedBrokenReason(index, 'Other.mp3', { size: 10, lastModified: 1700000000000 })).toBeNull();
+    });
+});
+
+describe('getCachedSong', () => {
+    const index = {
+        files: {
+            'Rock/Artist - Title.mp3': createIndexEntry({ size: 1234, lastModified: 1700000000000 }, song)
+        }
+    };
+
+    it('should return the indexed song for an unchanged file', () => {
+        const file = { size: 1234, lastModified: 1700000000000 };
+
+        expect(getCachedSong(index, 'Rock/Artist - Title.mp3', file)).toBe(song);
+    });
+
+    it('should return null if the file size changed', () => {
+        const file = { size: 4321, lastModified: 1700000000000 };
+
+        expect(getCachedSong(index, 'Rock/Artist - Title.mp3', file)).toBe(null);
+    });
+
+    it('should return null if the file was modified', () => {
+        const file = { size: 1234, lastModified: 1700000005000 };
+
+        expect(getCachedSong(index, 'Rock/Artist - Title.mp3', file)).toBe(null);
+    });
+
+    it('should return null for new files or without an index', () => {
+        const file = { size: 1234, lastModified: 1700000000000 };
+
+        expect(getCachedSong(index, 'Pop/New Song.mp3', file)).toBe(null);
+        expect(getCachedSong(null, 'Rock/Artist - Title.mp3', file)).toBe(null);
+    });
+});
+
+describe('without IndexedDB', () => {
+    it('should behave as if no library was ever indexed', async () => {
+        expect(typeof indexedDB).toBe('undefined');
+
+        expect(await findLibraryIndex({ name: 'library' })).toBe(null);
+        expect(await getLastLibraryIndex()).toBe(null);
+        expect(await saveLibraryIndex({ directoryHandle: { name: 'library' }, filenamePattern: '%artist - %title', files: {} })).toBe(null);
+        expect(await getLibraryIndex(1, ['Artist - Title.mp3'])).toBe(null);
+        expect(await saveSongSyncOffset(1, 'Artist - Title.mp3', { size: 1234, lastModified: 1700000000000 }, 120)).toBe(false);
+        expect(await saveLibrarySyncOffset(1, 120)).toBe(false);
+    });
+});
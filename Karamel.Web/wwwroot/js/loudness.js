@@ -0,0 +1,235 @@
+// Loudness measurement for volume normalization
+// Integrated loudness per ITU-R BS.1770 / EBU R128: K-weighted mean square over 400 ms blocks
+// (75% overlap), gated at -70 LUFS and 10 LU below the ungated mean. Plain DSP on decoded
+// samples, without Web Audio dependencies, so it also runs in the loudness worker.
+
+/**
+ * Loudness songs are normalized to, in LUFS
+ */
+export const TARGET_LOUDNESS = -16;
+
+/**
+ * Largest normalization gain in dB, up or down
+ * Limits the boost of near-silent intros and the cut of broken, clipped files.
+ */
+export const MAX_NORMALIZATION_GAIN_DB = 12;
+
+const BLOCK_SECONDS = 0.4;
+// Blocks start every 100 ms, so a block is made of four consecutive segments
+const SEGMENTS_PER_BLOCK = 4;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+/**
+ * Get the two biquad stages of the K-weighting filter for a sample rate
+ * Stage one models the head as a high shelf, stage two is the RLB high-pass.
+ * @param {number} sampleRate
+ * @returns {Array<{b: number[], a: number[]}>} Normalized coefficients (a[0] = 1)
+ */
+export function getKWeightingFilters(sampleRate) {
+    // Shelf: +4 dB above ~1.7 kHz
+    let k = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let q = 0.7071752369554196;
+    const vh = Math.pow(10, 3.999843853973347 / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    let a0 = 1 + k / q + k * k;
+    const shelf = {
+        b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+        a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+    };
+
+    // High-pass at ~38 Hz
+    k = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    q = 0.5003270373238773;
+    a0 = 1 + k / q + k * k;
+    const highPass = {
+        b: [1, -2, 1],
+        a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+    };
+
+    return [shelf, highPass];
+}
+
+/**
+ * K-weight one channel and sum its squares per 100 ms segment
+ * @param {Float32Array} samples
+ * @param {Array<{b: number[], a: number[]}>} filters
+ * @param {number} segmentLength - Samples per segment
+ * @returns {Float64Array} Sum of squares of each complete segment
+ */
+function sumSquaresPerSegment(samples, filters, segmentLength) {
+    const sums = new Float64Array(Math.floor(samples.length / segmentLength));
+    const [s, h] = filters;
+    // Direct form I state of both stages
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+
+    for (let segment = 0; segment < sums.length; segment++) {
+        let sum = 0;
+        for (let i = segment * segmentLength; i < (segment + 1) * segmentLength; i++) {
+            const x = samples[i];
+            const y = s.b[0] * x + s.b[1] * x1 + s.b[2] * x2 - s.a[1] * y1 - s.a[2] * y2;
+            const z = h.b[0] * y + h.b[1] * y1 + h.b[2] * y2 - h.a[1] * z1 - h.a[2] * z2;
+            x2 = x1; x1 = x;
+            z2 = z1; z1 = z;
+            y2 = y1; y1 = y;
+            sum += z * z;
+        }
+        sums[segment] = sum;
+    }
+    return sums;
+}
+
+/**
+ * Convert a mean square to loudness
+ * @param {number} power
+ * @returns {number} LUFS
+ */
+function powerToLoudness(power) {
+    return -0.691 + 10 * Math.log10(power);
+}
+
+/**
+ * Measure the integrated loudness of a song
+ * Surround weighting is not applied; karaoke tracks are mono or stereo.
+ * @param {Float32Array[]} channels - Decoded samples of each channel
+ * @param {number} sampleRate
+ * @returns {number|null} Loudness in LUFS, or null for silence or audio shorter than one block
+ */
+export function measureIntegratedLoudness(channels, sampleRate) {
+    if (!channels || channels.length === 0) {
+        return null;
+    }
+
+    const segmentLength = Math.round(sampleRate * BLOCK_SECONDS / SEGMENTS_PER_BLOCK);
+    const filters = getKWeightingFilters(sampleRate);
+    const channelSums = channels.map(samples => sumSquaresPerSegment(samples, filters, segmentLength));
+
+    const blockCount = channelSums[0].length - SEGMENTS_PER_BLOCK + 1;
+    if (blockCount < 1) {
+        return null;
+    }
+
+    // Mean square of each block, summed over the channels
+    const blockPowers = new Float64Array(blockCount);
+    for (const sums of channelSums) {
+        for (let block = 0; block < blockCount; block++) {
+            let sum = 0;
+            for (let segment = block; segment < block + SEGMENTS_PER_BLOCK; segment++) {
+                sum += sums[segment];
+            }
+            blockPowers[block] += sum / (segmentLength * SEGMENTS_PER_BLOCK);
+        }
+    }
+
+    const gatedMean = threshold => {
+        let sum = 0;
+        let count = 0;
+        for (const power of blockPowers) {
+            if (power > 0 && powerToLoudness(power) > threshold) {
+                sum += power;
+                count++;
+            }
+        }
+        return count > 0 ? sum / count : 0;
+    };
+
+    const absoluteMean = gatedMean(ABSOLUTE_GATE);
+    if (absoluteMean === 0) {
+        return null;
+    }
+
+    const relativeMean = gatedMean(Math.max(ABSOLUTE_GATE, powerToLoudness(absoluteMean) + RELATIVE_GATE));
+    return powerToLoudness(relativeMean);
+}
+
+// Measurements run in a worker when the browser supports it; the main thread is the fallback
+const LOUDNESS_WORKER_URL = new URL('./loudnessWorker.js', import.meta.url);
+let loudnessWorker = null;
+let loudnessWorkerFailed = false;
+let nextMeasurementId = 0;
+const pendingMeasurements = new Map();
+
+/**
+ * Get the shared loudness worker, starting it on first use
+ * @returns {Worker|null} Worker, or null if workers are unavailable or the worker failed to start
+ */
+function getLoudnessWorker() {
+    if (loudnessWorkerFailed || typeof Worker === 'undefined') {
+        return null;
+    }
+
+    if (!loudnessWorker) {
+        try {
+            loudnessWorker = new Worker(LOUDNESS_WORKER_URL, { type: 'module' });
+        } catch (error) {
+            console.warn('Loudness worker unavailable, measuring on the main thread:', error);
+            loudnessWorkerFailed = true;
+            return null;
+        }
+
+        loudnessWorker.onmessage = (event) => {
+            const { id, loudness, error } = event.data;
+            const measurement = pendingMeasurements.get(id);
+            if (!measurement) {
+                return;
+            }
+            pendingMeasurements.delete(id);
+            if (error) {
+                measurement.reject(new Error(error));
+            } else {
+                measurement.resolve(loudness);
+            }
+        };
+
+        // The worker failed to load: measure the pending songs on the main thread
+        loudnessWorker.onerror = (event) => {
+            console.warn('Loudness worker failed, measuring on the main thread:', event.message || event);
+            loudnessWorkerFailed = true;
+            loudnessWorker.terminate();
+            loudnessWorker = null;
+
+            for (const measurement of pendingMeasurements.values()) {
+                try {
+                    measurement.resolve(measureIntegratedLoudness(measurement.channels, measurement.sampleRate));
+                } catch (error) {
+                    measurement.reject(error);
+                }
+            }
+            pendingMeasurements.clear();
+        };
+    }
+
+    return loudnessWorker;
+}
+
+/**
+ * Measure the integrated loudness of a song in the loudness worker if possible
+ * @param {Float32Array[]} channels - Decoded samples of each channel (copied to the worker)
+ * @param {number} sampleRate
+ * @returns {Promise<number|null>} Loudness in LUFS, or null for silence or audio shorter than one block
+ */
+export function measureLoudnessInBackground(channels, sampleRate) {
+    const worker = getLoudnessWorker();
+    if (!worker) {
+        return Promise.resolve(measureIntegratedLoudness(channels, sampleRate));
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = ++nextMeasurementId;
+        pendingMeasurements.set(id, { channels, sampleRate, resolve, reject });
+        worker.postMessage({ id, channels, sampleRate });
+    });
+}
+
+/**
+ * Get the gain that brings a song to the target loudness
+ * @param {number|null} loudness - Measured loudness in LUFS (null if unknown)
+ * @param {number} [target=TARGET_LOUDNESS] - Target loudness in LUFS
+ * @returns {number} Gain in dB, 0 for unknown loudness, limited to ±MAX_NORMALIZATION_GAIN_DB
+ */
+export function getNormalizationGain(loudness, target = TARGET_LOUDNESS) {
+    if (typeof loudness !== 'number' || !Number.isFinite(loudness)) {
+        return 0;
+    }
+    return Math.max(-MAX_NORMALIZATION_GAIN_DB, Math.min(MAX_NORMALIZATION_GAIN_DB, target - loudness));
+}
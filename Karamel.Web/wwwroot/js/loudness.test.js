@@ -0,0 +1,148 @@
+// Unit tests for loudness measurement and the normalization gain
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    TARGET_LOUDNESS,
+    MAX_NORMALIZATION_GAIN_DB,
+    getKWeightingFilters,
+    measureIntegratedLoudness,
+    getNormalizationGain
+} from './loudness.js';
+
+/**
+ * Create a sine tone
+ * @param {number} sampleRate
+ * @param {number} seconds
+ * @param {number} amplitude
+ * @returns {Float32Array}
+ */
+function sine(sampleRate, seconds, amplitude = 1) {
+    const samples = new Float32Array(Math.round(sampleRate * seconds));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * 997 * i / sampleRate);
+    }
+    return samples;
+}
+
+describe('getKWeightingFilters', () => {
+    it('should produce normalized biquad stages', () => {
+        const [shelf, highPass] = getKWeightingFilters(48000);
+
+        expect(shelf.a[0]).toBe(1);
+        expect(highPass.b).toEqual([1, -2, 1]);
+        // Published BS.1770 coefficients at 48 kHz
+        expect(shelf.b[0]).toBeCloseTo(1.53512485958697, 6);
+        expect(highPass.a[1]).toBeCloseTo(-1.99004745483398, 6);
+    });
+});
+
+describe('measureIntegratedLoudness', () => {
+    it('should measure a full-scale 1 kHz tone in one channel at -3.01 LUFS', () => {
+        expect(measureIntegratedLoudness([sine(48000, 3)], 48000)).toBeCloseTo(-3.01, 1);
+        expect(measureIntegratedLoudness([sine(44100, 3)], 44100)).toBeCloseTo(-3.01, 1);
+    });
+
+    it('should add the channels together', () => {
+        const tone = sine(48000, 3, 0.1);
+
+        const mono = measureIntegratedLoudness([tone], 48000);
+        const stereo = measureIntegratedLoudness([tone, tone], 48000);
+
+        expect(stereo - mono).toBeCloseTo(3.01, 1);
+    });
+
+    it('should gate out quiet passages', () => {
+        const loud = sine(48000, 4, 0.5);
+        const song = new Float32Array(loud.length * 2);
+        song.set(loud);
+        song.set(sine(48000, 4, 0.001), loud.length);
+
+        expect(measureIntegratedLoudness([song], 48000))
+            .toBeCloseTo(measureIntegratedLoudness([loud], 48000), 0);
+    });
+
+    it('should return null for silence and audio shorter than one block', () => {
+        expect(measureIntegratedLoudness([new Float32Array(48000)], 48000)).toBeNull();
+        expect(measureIntegratedLoudness([sine(48000, 0.2)], 48000)).toBeNull();
+        expect(measureIntegratedLoudness([], 48000)).toBeNull();
+    });
+});
+
+describe('getNormalizationGain', () => {
+    it('should bring a song to the target loudness', () => {
+        expect(getNormalizationGain(TARGET_LOUDNESS + 4)).toBe(-4);
+        expect(getNormalizationGain(-20, -14)).toBe(6);
+    });
+
+    it('should limit the gain and leave unmeasured songs alone', () => {
+        expect(getNormalizationGain(-60)).toBe(MAX_NORMALIZATION_GAIN_DB);
+        expect(getNormalizationGain(10)).toBe(-MAX_NORMALIZATION_GAIN_DB);
+        expect(getNormalizationGain(null)).toBe(0);
+    });
+});
+
+describe('measureLoudnessInBackground', () => {
+    // Stand-in for the loudness worker: measures each request like the real one, or fails to start
+    class FakeWorker {
+        static instances = [];
+        static failOnStart = false;
+
+        constructor(url, options) {
+            this.url = url;
+            this.options = options;
+            this.messages = [];
+            FakeWorker.instances.push(this);
+        }
+
+        postMessage(message) {
+            this.messages.push(message);
+            setTimeout(() => {
+                if (FakeWorker.failOnStart) {
+                    this.onerror({ message: 'Failed to load module script' });
+                } else {
+                    this.onmessage({ data: { id: message.id, loudness: measureIntegratedLoudness(message.channels, message.sampleRate) } });
+                }
+            }, 0);
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+    }
+
+    beforeEach(() => {
+        vi.resetModules();
+        FakeWorker.instances = [];
+        FakeWorker.failOnStart = false;
+        vi.stubGlobal('Worker', FakeWorker);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should measure songs in a single shared module worker', async () => {
+        const { measureLoudnessInBackground } = await import('./loudness.js');
+
+        const results = await Promise.all([
+            measureLoudnessInBackground([sine(48000, 3)], 48000),
+            measureLoudnessInBackground([new Float32Array(48000)], 48000)
+        ]);
+
+        expect(results[0]).toBeCloseTo(-3.01, 1);
+        expect(results[1]).toBeNull();
+        expect(FakeWorker.instances).toHaveLength(1);
+        expect(FakeWorker.instances[0].url.pathname).toMatch(/loudnessWorker\.js$/);
+        expect(FakeWorker.instances[0].options).toEqual({ type: 'module' });
+    });
+
+    it('should measure on the main thread if the worker fails to start', async () => {
+        FakeWorker.failOnStart = true;
+        const { measureLoudnessInBackground } = await import('./loudness.js');
+
+        expect(await measureLoudnessInBackground([sine(48000, 3)], 48000)).toBeCloseTo(-3.01, 1);
+        expect(FakeWorker.instances[0].terminated).toBe(true);
+
+        await measureLoudnessInBackground([sine(48000, 3)], 48000);
+        expect(FakeWorker.instances).toHaveLength(1);
+    });
+});
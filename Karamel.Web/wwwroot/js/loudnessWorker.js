@@ -0,0 +1,16 @@
+// Loudness measurement worker
+// K-weights whole songs off the main thread, so measuring the current or next song while one
+// plays does not stall the CDG animation
+// Module worker: shares the DSP code of loudness.js
+
+import { measureIntegratedLoudness } from './loudness.js';
+
+self.onmessage = (event) => {
+    const { id, channels, sampleRate } = event.data;
+
+    try {
+        self.postMessage({ id, loudness: measureIntegratedLoudness(channels, sampleRate) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || 'Loudness measurement failed' });
+    }
+};
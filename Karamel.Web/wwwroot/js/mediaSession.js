@@ -0,0 +1,99 @@
+// Media Session
+// Lets the operating system, Bluetooth remotes and the keyboard's media keys control the player
+// tab while it is fullscreen on another screen, and shows the song on lock screens and media
+// overlays. Browsers without the Media Session API are left alone.
+
+// Actions the player handles; browsers reject the ones they do not know
+const MEDIA_SESSION_ACTIONS = ['play', 'pause', 'previoustrack', 'nexttrack', 'seekbackward', 'seekforward', 'seekto'];
+
+/**
+ * Check if the browser has the Media Session API
+ * @returns {boolean}
+ */
+export function isMediaSessionSupported() {
+    return typeof navigator !== 'undefined' && 'mediaSession' in navigator && !!navigator.mediaSession;
+}
+
+/**
+ * Show the playing song
+ * The singer is shown in the album line, which media overlays display under the title.
+ * @param {{title?: string, artist?: string, singer?: string, artwork?: string}|null} song - Null to clear
+ */
+export function setMediaSessionMetadata(song) {
+    if (!isMediaSessionSupported()) {
+        return;
+    }
+    if (!song || typeof MediaMetadata === 'undefined') {
+        navigator.mediaSession.metadata = null;
+        return;
+    }
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title: song.title || '',
+        artist: song.artist || '',
+        album: song.singer ? `Sung by ${song.singer}` : '',
+        artwork: song.artwork ? [{ src: song.artwork }] : []
+    });
+}
+
+/**
+ * Register handlers for media keys and remote buttons
+ * @param {Object<string, function(MediaSessionActionDetails): void>} handlers - By action name
+ *        ('play', 'pause', 'nexttrack', 'seekto', ...); actions without a handler are cleared
+ * @returns {function(): void} Removes the handlers
+ */
+export function registerMediaSessionHandlers(handlers) {
+    if (!isMediaSessionSupported()) {
+        return () => {};
+    }
+
+    const setHandler = (action, handler) => {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (error) {
+            // Not supported by this browser
+        }
+    };
+
+    for (const action of MEDIA_SESSION_ACTIONS) {
+        setHandler(action, handlers[action] || null);
+    }
+
+    return () => {
+        for (const action of MEDIA_SESSION_ACTIONS) {
+            setHandler(action, null);
+        }
+        navigator.mediaSession.playbackState = 'none';
+    };
+}
+
+/**
+ * Tell the browser whether the song plays and where it is
+ * Browsers move the position on their own while playing, so this is only needed when playback
+ * starts, stops, seeks or changes speed.
+ * @param {HTMLMediaElement|null} mediaElement
+ */
+export function updateMediaSessionState(mediaElement) {
+    if (!isMediaSessionSupported()) {
+        return;
+    }
+    if (!mediaElement) {
+        navigator.mediaSession.playbackState = 'none';
+        return;
+    }
+
+    navigator.mediaSession.playbackState = mediaElement.paused ? 'paused' : 'playing';
+
+    const duration = mediaElement.duration;
+    if (typeof navigator.mediaSession.setPositionState === 'function' && Number.isFinite(duration) && duration > 0) {
+        try {
+            navigator.mediaSession.setPositionState({
+                duration,
+                playbackRate: mediaElement.playbackRate || 1,
+                position: Math.min(Math.max(0, mediaElement.currentTime || 0), duration)
+            });
+        } catch (error) {
+            console.warn('Could not update the media session position:', error);
+        }
+    }
+}
@@ -0,0 +1,90 @@
+// Unit tests for media key and remote control through the Media Session API
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    isMediaSessionSupported,
+    setMediaSessionMetadata,
+    registerMediaSessionHandlers,
+    updateMediaSessionState
+} from './mediaSession.js';
+
+class FakeMediaMetadata {
+    constructor(init) {
+        Object.assign(this, init);
+    }
+}
+
+describe('without the Media Session API', () => {
+    it('should do nothing', () => {
+        expect(isMediaSessionSupported()).toBe(false);
+
+        setMediaSessionMetadata({ title: 'Song' });
+        updateMediaSessionState(null);
+        registerMediaSessionHandlers({ play: () => {} })();
+    });
+});
+
+describe('with the Media Session API', () => {
+    let session;
+
+    beforeEach(() => {
+        session = {
+            metadata: null,
+            playbackState: 'none',
+            handlers: {},
+            setActionHandler: vi.fn((action, handler) => {
+                if (action === 'seekto') {
+                    throw new TypeError('not supported');
+                }
+                session.handlers[action] = handler;
+            }),
+            setPositionState: vi.fn()
+        };
+        vi.stubGlobal('navigator', { ...navigator, mediaSession: session });
+        vi.stubGlobal('MediaMetadata', FakeMediaMetadata);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should show the singer with the song', () => {
+        setMediaSessionMetadata({ title: 'Africa', artist: 'Toto', singer: 'Sam', artwork: 'data:image/jpeg;base64,x' });
+
+        expect(session.metadata).toEqual({
+            title: 'Africa',
+            artist: 'Toto',
+            album: 'Sung by Sam',
+            artwork: [{ src: 'data:image/jpeg;base64,x' }]
+        });
+
+        setMediaSessionMetadata(null);
+        expect(session.metadata).toBeNull();
+    });
+
+    it('should register handlers, skip unsupported actions and remove them again', () => {
+        const play = vi.fn();
+        const stop = registerMediaSessionHandlers({ play, seekto: vi.fn() });
+
+        expect(session.handlers.play).toBe(play);
+        expect(session.handlers.nexttrack).toBeNull();
+
+        stop();
+
+        expect(session.handlers.play).toBeNull();
+        expect(session.playbackState).toBe('none');
+    });
+
+    it('should report the playing state and position', () => {
+        updateMediaSessionState({ paused: false, duration: 200, currentTime: 30, playbackRate: 0.9 });
+
+        expect(session.playbackState).toBe('playing');
+        expect(session.setPositionState).toHaveBeenCalledWith({ duration: 200, playbackRate: 0.9, position: 30 });
+    });
+
+    it('should leave out the position until the duration is known', () => {
+        updateMediaSessionState({ paused: true, duration: NaN, currentTime: 0, playbackRate: 1 });
+
+        expect(session.playbackState).toBe('paused');
+        expect(session.setPositionState).not.toHaveBeenCalled();
+    });
+});
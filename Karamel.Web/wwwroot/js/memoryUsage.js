@@ -0,0 +1,58 @@
+// Memory diagnostics
+// Object URLs keep their Blob alive until they are revoked, so the media modules create them
+// through here. A long night of songs then shows up as a growing count if one is leaked.
+
+const liveObjectUrls = new Map();
+
+/**
+ * Create an object URL that is counted until it is revoked
+ * @param {Blob} blob - File or in-memory Blob
+ * @returns {string}
+ */
+export function createObjectUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    liveObjectUrls.set(url, blob);
+    return url;
+}
+
+/**
+ * Revoke an object URL made by createObjectUrl
+ * @param {string|null} url
+ */
+export function revokeObjectUrl(url) {
+    if (url) {
+        URL.revokeObjectURL(url);
+        liveObjectUrls.delete(url);
+    }
+}
+
+/**
+ * Count the object URLs that are still alive
+ * @returns {{count: number, inMemoryBytes: number}} Bytes counts Blobs held in memory; Files are
+ *          read from disk on demand
+ */
+export function getObjectUrlUsage() {
+    let inMemoryBytes = 0;
+    for (const blob of liveObjectUrls.values()) {
+        if (!(typeof File !== 'undefined' && blob instanceof File)) {
+            inMemoryBytes += blob.size || 0;
+        }
+    }
+    return { count: liveObjectUrls.size, inMemoryBytes };
+}
+
+/**
+ * JavaScript heap of this tab, where the browser reports it (Chromium only)
+ * @returns {{usedBytes: number, totalBytes: number, limitBytes: number}|null}
+ */
+export function getHeapUsage() {
+    const memory = typeof performance !== 'undefined' ? performance.memory : undefined;
+    if (!memory) {
+        return null;
+    }
+    return {
+        usedBytes: memory.usedJSHeapSize,
+        totalBytes: memory.totalJSHeapSize,
+        limitBytes: memory.jsHeapSizeLimit
+    };
+}
@@ -0,0 +1,36 @@
+// Unit tests for the object URL bookkeeping behind the memory diagnostics
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createObjectUrl, revokeObjectUrl, getObjectUrlUsage, getHeapUsage } from './memoryUsage.js';
+
+describe('object URLs', () => {
+    let next = 0;
+
+    beforeEach(() => {
+        vi.spyOn(URL, 'createObjectURL').mockImplementation(() => `blob:test-${next++}`);
+        vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should count live URLs until they are revoked', () => {
+        const file = createObjectUrl(new File([new Uint8Array(500)], 'song.mp3'));
+        const unpacked = createObjectUrl(new Blob([new Uint8Array(300)]));
+
+        expect(getObjectUrlUsage()).toEqual({ count: 2, inMemoryBytes: 300 });
+
+        revokeObjectUrl(file);
+        revokeObjectUrl(unpacked);
+        revokeObjectUrl(null);
+
+        expect(getObjectUrlUsage()).toEqual({ count: 0, inMemoryBytes: 0 });
+        expect(URL.revokeObjectURL).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('getHeapUsage', () => {
+    it('should report nothing where the browser has no heap figures', () => {
+        expect(getHeapUsage()).toBeNull();
+    });
+});
@@ -46,53 +46,203 @@ function loadJsMediaTagsFromCDN() {
     });
 }
 
+// ID3 parsing runs in a worker when the browser supports it; the main-thread reader is the fallback
+const METADATA_WORKER_URL = new URL('./metadataWorker.js', import.meta.url);
+let metadataWorker = null;
+let metadataWorkerFailed = false;
+let nextTagRequestId = 0;
+const pendingTagRequests = new Map();
+
+/**
+ * Get the shared metadata worker, starting it on first use
+ * @returns {Worker|null} Worker, or null if workers are unavailable or the worker failed to start
+ */
+function getMetadataWorker() {
+    if (metadataWorkerFailed || typeof Worker === 'undefined') {
+        return null;
+    }
+
+    if (!metadataWorker) {
+        try {
+            metadataWorker = new Worker(METADATA_WORKER_URL);
+        } catch (error) {
+            console.warn('Metadata worker unavailable, reading ID3 tags on the main thread:', error);
+            metadataWorkerFailed = true;
+            return null;
+        }
+
+        metadataWorker.onmessage = (event) => {
+            const { id, tags, details, error } = event.data;
+            const request = pendingTagRequests.get(id);
+            if (!request) {
+                return;
+            }
+            pendingTagRequests.delete(id);
+            if (error) {
+                console.warn('ID3 tag extraction failed, falling back to filename parsing:', error);
+            }
+            request.resolve({ tags, details });
+        };
+
+        // The worker script failed to load (e.g. CDN blocked): hand pending reads back to the main thread
+        metadataWorker.onerror = (event) => {
+            console.warn('Metadata worker failed, reading ID3 tags on the main thread:', event.message || event);
+            metadataWorkerFailed = true;
+            metadataWorker.terminate();
+            metadataWorker = null;
+
+            for (const request of pendingTagRequests.values()) {
+                readID3TagsOnMainThread(request.file).then(request.resolve, request.reject);
+            }
+            pendingTagRequests.clear();
+        };
+    }
+
+    return metadataWorker;
+}
+
 /**
  * Extract song metadata from an MP3 file
- * Tries ID3 tags first (if available), falls back to filename parsing
- * @param {File} file - The MP3 file to extract metadata from
+ * Tries ID3 tags first (if available), falls back to filename parsing for artist and title.
+ * Album, year, genre, language, duration and cover art are only included when they are known.
+ * @param {File|null} file - The MP3 file to extract metadata from (null to parse the filename only)
  * @param {string} relativePath - Relative path from library root (for fallback)
  * @param {string} filenamePattern - Pattern for parsing filename (default: "%artist - %title")
- * @returns {Promise<{artist: string, title: string}>} Artist and title
+ * @returns {Promise<{artist: string, title: string, album?: string, year?: number, genre?: string, language?: string, duration?: number, coverArt?: string}>}
  */
 export async function extractMetadata(file, relativePath, filenamePattern = '%artist - %title') {
+    let id3Data = null;
+    let fileDetails = null;
+
     // Try ID3 tags first if available
-    if (id3Enabled) {
+    if (id3Enabled && file) {
         try {
-            const id3Data = await readID3Tags(file);
-            if (id3Data && id3Data.artist && id3Data.title) {
-                return {
-                    artist: id3Data.artist.trim(),
-                    title: id3Data.title.trim()
-                };
-            }
+            ({ tags: id3Data, details: fileDetails } = await readID3Tags(file));
         } catch (error) {
             console.warn('ID3 tag extraction failed, falling back to filename parsing:', error);
         }
     }
 
-    // Fallback to filename parsing
-    return parseFilename(relativePath, filenamePattern);
+    const metadata = id3Data && id3Data.artist && id3Data.title
+        ? { artist: id3Data.artist.trim(), title: id3Data.title.trim() }
+        // Fallback to filename parsing
+        : parseFilename(relativePath, filenamePattern);
+
+    return { ...metadata, ...getSongDetails(id3Data, fileDetails) };
 }
 
 /**
- * Read ID3 tags from an MP3 file using jsmediatags
+ * Collect the descriptive fields of a song from its tags and the details read from its file
+ * @param {object|null} tags - Tags from readID3Tags
+ * @param {{duration: number|null, coverArt: string|null}|null} fileDetails - Details from readID3Tags
+ * @returns {object} Only the fields that are known
+ */
+function getSongDetails(tags, fileDetails) {
+    const details = {};
+    tags = tags || {};
+    fileDetails = fileDetails || {};
+
+    if (tags.album && tags.album.trim()) {
+        details.album = tags.album.trim();
+    }
+
+    const year = parseYear(tags.year);
+    if (year) {
+        details.year = year;
+    }
+
+    const genre = parseGenre(tags.genre);
+    if (genre) {
+        details.genre = genre;
+    }
+
+    if (tags.language && tags.language.trim()) {
+        details.language = tags.language.trim();
+    }
+
+    if (fileDetails.duration) {
+        details.duration = Math.round(fileDetails.duration * 10) / 10;
+    }
+
+    if (fileDetails.coverArt) {
+        details.coverArt = fileDetails.coverArt;
+    }
+
+    return details;
+}
+
+/**
+ * Parse the year tag ("1985", or a TDRC timestamp such as "1985-04-12")
+ * @param {string|number|null} value
+ * @returns {number|null}
+ */
+function parseYear(value) {
+    const match = value ? String(value).match(/\d{4}/) : null;
+    return match ? Number(match[0]) : null;
+}
+
+/**
+ * Parse the genre tag, dropping ID3v1 genre references such as "(17)"
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function parseGenre(value) {
+    if (!value) {
+        return null;
+    }
+
+    const genre = String(value).replace(/^\(\d+\)/, '').trim();
+    return genre && !/^\d+$/.test(genre) ? genre : null;
+}
+
+/**
+ * Read ID3 tags from an MP3 file, in the metadata worker if possible
+ * The worker also estimates the duration and shrinks the cover; without it only the TLEN
+ * length is known, as decoding covers and scanning frames would hold up the page.
  * @param {File} file - The MP3 file to read
- * @returns {Promise<{artist: string, title: string}|null>}
+ * @returns {Promise<{tags: object|null, details: {duration: number|null, coverArt: string|null}}>}
+ *          Tags as produced by readID3TagsOnMainThread (null if the file has none)
  */
 function readID3Tags(file) {
+    const worker = getMetadataWorker();
+    if (!worker) {
+        return readID3TagsOnMainThread(file);
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = ++nextTagRequestId;
+        pendingTagRequests.set(id, { file, resolve, reject });
+        worker.postMessage({ id, file });
+    });
+}
+
+/**
+ * Read ID3 tags from an MP3 file using jsmediatags on the main thread
+ * The result has the same shape as the metadata worker's reply
+ * @param {File} file - The MP3 file to read
+ * @returns {Promise<{tags: {artist: string, title: string, album: string, year: string, genre: string, language: string}|null, details: {duration: number|null, coverArt: null}}>}
+ */
+function readID3TagsOnMainThread(file) {
     if (!id3Enabled || !jsmediatags) {
-        return Promise.resolve(null);
+        return Promise.resolve({ tags: null, details: null });
     }
     
     return new Promise((resolve, reject) => {
         jsmediatags.read(file, {
             onSuccess: (tag) => {
                 const tags = tag.tags || {};
+                // TLEN holds the length in milliseconds, but few rippers write it
+                const length = tags.TLEN ? Number(tags.TLEN.data) : 0;
                 resolve({
-                    artist: tags.artist || null,
-                    title: tags.title || null,
-                    album: tags.album || null,
-                    year: tags.year || null
+                    tags: {
+                        artist: tags.artist || null,
+                        title: tags.title || null,
+                        album: tags.album || null,
+                        year: tags.year || null,
+                        genre: tags.genre || null,
+                        language: tags.TLAN ? tags.TLAN.data : null
+                    },
+                    details: { duration: length > 0 ? length / 1000 : null, coverArt: null }
                 });
             },
             onError: (error) => {
@@ -102,63 +252,268 @@ function readID3Tags(file) {
     });
 }
 
+// Default filename pattern, used when the configured one is missing or invalid
+const DEFAULT_PATTERN = '%artist - %title';
+
+// Separates fallback patterns in a pattern list ("|" cannot appear in Windows filenames)
+const PATTERN_SEPARATOR = '|';
+
 /**
- * Parse filename according to configurable pattern
- * Default pattern: "%artist - %title"
- * @param {string} filename - Filename without extension (or full relative path)
- * @param {string} pattern - Pattern with %artist and %title placeholders
- * @returns {{artist: string, title: string}}
+ * Filename pattern placeholders and the text they match
+ * Placeholders never match across "/", so a pattern with N folder segments is matched against
+ * the last N segments of the song's relative path. %ignore and %folder may be used more than once.
  */
-export function parseFilename(filename, pattern = '%artist - %title') {
-    // Remove file extension if present (e.g., .mp3, .MP3)
-    // Only matches extensions with letters/digits, not dots in the middle
-    const basename = filename.replace(/\.\w+$/, '');
-    
-    // Extract just the filename if it's a path
-    const nameOnly = basename.split('/').pop().split('\\').pop();
+export const PATTERN_PLACEHOLDERS = {
+    artist: { regex: '(?<artist>[^/]+?)', description: 'Artist name' },
+    title: { regex: '(?<title>[^/]+)', description: 'Song title' },
+    album: { regex: '(?<album>[^/]+?)', description: 'Album name' },
+    discid: { regex: '(?<discid>[a-z]*\\d[a-z\\d]*)', description: 'Vendor disc ID, e.g. SC8123' },
+    track: { regex: '(?<track>\\d+)', description: 'Track number' },
+    ignore: { regex: '[^/]*?', description: 'Any text, discarded', repeatable: true },
+    folder: { regex: '[^/]+', description: 'A whole folder name, discarded', repeatable: true }
+};
 
-    // Convert pattern to regex
-    // Escape special regex characters except %
-    const escapedPattern = pattern
-        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-        .replace(/%artist/g, '(?<artist>.+?)')
-        .replace(/%title/g, '(?<title>.+)');
+/**
+ * Split a pattern list into its patterns
+ * @param {string|string[]} patterns - Pattern, "|"-separated fallback list, or array of patterns
+ * @returns {string[]} Trimmed, non-empty patterns
+ */
+export function splitPatternList(patterns) {
+    const list = Array.isArray(patterns) ? patterns : String(patterns ?? '').split(PATTERN_SEPARATOR);
+    return list.map(pattern => String(pattern).trim()).filter(pattern => pattern.length > 0);
+}
 
-    const regex = new RegExp(`^${escapedPattern}$`, 'i');
-    const match = nameOnly.match(regex);
+/**
+ * Explain what is wrong with a single filename pattern
+ * @param {string} pattern - One pattern (not a list)
+ * @returns {string[]} Human-readable problems, empty if the pattern is valid
+ */
+function explainPattern(pattern) {
+    const errors = [];
+    const seen = new Set();
 
-    if (match && match.groups) {
-        return {
-            artist: match.groups.artist?.trim() || 'Unknown Artist',
-            title: match.groups.title?.trim() || 'Unknown Title'
-        };
+    for (const [, name] of pattern.matchAll(/%([a-zA-Z]+)/g)) {
+        const placeholder = PATTERN_PLACEHOLDERS[name];
+        if (!placeholder && PATTERN_PLACEHOLDERS[name.toLowerCase()]) {
+            errors.push(`"${pattern}": write %${name} in lowercase (%${name.toLowerCase()})`);
+        } else if (!placeholder) {
+            errors.push(`"${pattern}": unknown placeholder %${name} (use ${Object.keys(PATTERN_PLACEHOLDERS).map(key => `%${key}`).join(', ')})`);
+        } else if (seen.has(name) && !placeholder.repeatable) {
+            errors.push(`"${pattern}": %${name} is used more than once`);
+        }
+        seen.add(name);
+    }
+
+    const missing = ['artist', 'title'].filter(name => !seen.has(name));
+    if (missing.length > 0) {
+        errors.push(`"${pattern}": missing ${missing.map(name => `%${name}`).join(' and ')}`);
+    }
+
+    if (pattern.split('/').some(segment => segment.trim() === '')) {
+        errors.push(`"${pattern}": empty folder segment (check for leading, trailing or double "/")`);
+    }
+
+    return errors;
+}
+
+/**
+ * Explain what is wrong with a filename pattern or pattern list
+ * @param {string|string[]} patterns - Pattern, "|"-separated fallback list, or array of patterns
+ * @returns {string[]} Human-readable problems, empty if every pattern is valid
+ */
+export function getPatternErrors(patterns) {
+    if (Array.isArray(patterns) ? patterns.length === 0 : (!patterns || typeof patterns !== 'string')) {
+        return ['no pattern given'];
     }
 
-    // If pattern doesn't match, return filename as title
-    return {
+    const list = splitPatternList(patterns);
+    if (list.length === 0) {
+        return ['no pattern given'];
+    }
+
+    return list.flatMap(explainPattern);
+}
+
+/**
+ * Convert a single filename pattern to a regular expression
+ * @param {string} pattern - Valid pattern
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+    // Escape special regex characters, then replace the placeholders
+    const source = pattern
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/%([a-zA-Z]+)/g, (token, name) => PATTERN_PLACEHOLDERS[name]?.regex ?? token);
+
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Split a filename or relative path into folder segments, without the file extension
+ * @param {string} filename
+ * @returns {string[]}
+ */
+function getPathSegments(filename) {
+    // Remove file extension if present (e.g., .mp3, .MP3)
+    // Only matches extensions with letters/digits, not dots in the middle
+    const basename = filename.replace(/\.\w+$/, '');
+    return basename.split(/[/\\]/);
+}
+
+/**
+ * Parse filename according to configurable pattern
+ * Default pattern: "%artist - %title"
+ * Patterns with folder segments ("%artist/%album/%title") match the last segments of the path.
+ * A "|"-separated list (or an array) of patterns is tried in order; the first match wins.
+ * @param {string} filename - Filename without extension (or full relative path)
+ * @param {string|string[]} pattern - Pattern(s) with %artist and %title placeholders
+ * @returns {{artist: string, title: string, album?: string, track?: number, discId?: string}}
+ */
+export function parseFilename(filename, pattern = DEFAULT_PATTERN) {
+    const segments = getPathSegments(filename);
+    const nameOnly = segments[segments.length - 1];
+
+    // If no pattern matches, return filename as title
+    return matchFilename(segments, pattern) || {
         artist: 'Unknown Artist',
         title: nameOnly || 'Unknown Title'
     };
 }
 
+/**
+ * Match path segments against a pattern list
+ * @param {string[]} segments - From getPathSegments
+ * @param {string|string[]} pattern - Pattern(s)
+ * @returns {{artist: string, title: string, album?: string, track?: number, discId?: string}|null} Null if no pattern matches
+ */
+function matchFilename(segments, pattern) {
+    for (const candidate of splitPatternList(pattern)) {
+        // Patterns with folder segments are matched against as many trailing path segments
+        const depth = candidate.split('/').length;
+        if (depth > segments.length) {
+            continue;
+        }
+
+        const match = segments.slice(-depth).join('/').match(compilePattern(candidate));
+        if (match && match.groups) {
+            const result = {
+                artist: match.groups.artist?.trim() || 'Unknown Artist',
+                title: match.groups.title?.trim() || 'Unknown Title'
+            };
+            if (match.groups.album?.trim()) {
+                result.album = match.groups.album.trim();
+            }
+            if (match.groups.track) {
+                result.track = Number(match.groups.track);
+            }
+            if (match.groups.discid) {
+                result.discId = match.groups.discid;
+            }
+            return result;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Patterns tried by rankPatterns, most common first
+ */
+export const CANDIDATE_PATTERNS = [
+    '%artist - %title',
+    '%title - %artist',
+    '%discid - %artist - %title',
+    '%discid-%track - %artist - %title',
+    '%discid - %track - %artist - %title',
+    '%discid - %title - %artist',
+    '%track - %artist - %title',
+    '%artist_%title',
+    '%artist/%title',
+    '%artist/%album/%title',
+    '%artist/%album/%track - %title'
+];
+
+/**
+ * Check that a parsed name looks like an artist/title split rather than a lucky match
+ * @param {{artist: string, title: string}|null} parsed
+ * @returns {boolean}
+ */
+function isCleanParse(parsed) {
+    if (!parsed) {
+        return false;
+    }
+
+    // A leftover " - " means the name has more parts than the pattern, a bare number is a disc or track
+    return [parsed.artist, parsed.title].every(part =>
+        part && part !== 'Unknown Artist' && part !== 'Unknown Title' && !part.includes(' - ') && !/^\d+$/.test(part));
+}
+
+/**
+ * Rank candidate patterns by how many sample filenames they parse cleanly
+ * Ties go to the more specific pattern (more placeholders), then to the earlier candidate.
+ * @param {string[]} fileNames - Relative paths of sample songs, e.g. "Queen/Queen - Bohemian Rhapsody.mp3"
+ * @param {string[]} [candidates] - Patterns to try (default: CANDIDATE_PATTERNS)
+ * @returns {Array<{pattern: string, matched: number, total: number}>} Candidates that parse at least one name, best first
+ */
+export function rankPatterns(fileNames, candidates = CANDIDATE_PATTERNS) {
+    const samples = fileNames.map(getPathSegments);
+
+    return candidates
+        .filter(pattern => getPatternErrors(pattern).length === 0)
+        .map((pattern, index) => ({
+            pattern,
+            matched: samples.filter(segments => isCleanParse(matchFilename(segments, pattern))).length,
+            total: samples.length,
+            specificity: (pattern.match(/%[a-z]+/g) || []).length,
+            index
+        }))
+        .filter(candidate => candidate.matched > 0)
+        .sort((a, b) => b.matched - a.matched || b.specificity - a.specificity || a.index - b.index)
+        .map(({ pattern, matched, total }) => ({ pattern, matched, total }));
+}
+
+/**
+ * Preview how a pattern parses the first files of a sample
+ * @param {string[]} fileNames - Relative paths of sample songs
+ * @param {string|string[]} pattern - Pattern or fallback list
+ * @param {number} [count] - Number of files to preview
+ * @returns {Array<{fileName: string, artist: string, title: string, album?: string, track?: number, discId?: string, matched: boolean}>}
+ */
+export function previewPattern(fileNames, pattern, count = 10) {
+    const validPattern = validatePattern(pattern);
+
+    return fileNames.slice(0, count).map(fileName => {
+        const parsed = matchFilename(getPathSegments(fileName), validPattern);
+        return {
+            fileName,
+            ...(parsed || parseFilename(fileName, validPattern)),
+            matched: isCleanParse(parsed)
+        };
+    });
+}
+
 /**
  * Validate and normalize filename pattern
- * @param {string} pattern - User-provided pattern
- * @returns {string} Valid pattern or default
+ * Invalid patterns of a fallback list are dropped; the problems are logged
+ * @param {string|string[]} pattern - User-provided pattern, "|"-separated list, or array of patterns
+ * @returns {string} Valid pattern (list) or default
  */
 export function validatePattern(pattern) {
-    if (!pattern || typeof pattern !== 'string') {
-        return '%artist - %title';
+    const errors = getPatternErrors(pattern);
+    if (errors.length === 0) {
+        return Array.isArray(pattern) ? splitPatternList(pattern).join(` ${PATTERN_SEPARATOR} `) : pattern.trim();
     }
 
-    // Pattern must contain both %artist and %title
-    const hasArtist = pattern.includes('%artist');
-    const hasTitle = pattern.includes('%title');
+    const validPatterns = splitPatternList(typeof pattern === 'string' || Array.isArray(pattern) ? pattern : '')
+        .filter(candidate => explainPattern(candidate).length === 0);
 
-    if (!hasArtist || !hasTitle) {
-        console.warn('Invalid pattern: must contain both %artist and %title. Using default.');
-        return '%artist - %title';
+    if (validPatterns.length === 0) {
+        if (pattern) {
+            console.warn(`Invalid pattern: ${errors.join('; ')}. Using default.`);
+        }
+        return DEFAULT_PATTERN;
     }
 
-    return pattern.trim();
+    console.warn(`Ignoring invalid patterns: ${errors.join('; ')}`);
+    return validPatterns.join(` ${PATTERN_SEPARATOR} `);
 }
@@ -1,6 +1,6 @@
 // Unit tests for metadata extraction module
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { parseFilename, validatePattern } from './metadata.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseFilename, validatePattern, getPatternErrors, rankPatterns, previewPattern } from './metadata.js';
 
 // Note: extractMetadata with ID3 tag reading is tested separately with real File objects
 // These tests focus on the filename parsing logic
@@ -164,6 +164,126 @@ describe('parseFilename', () => {
             });
         });
     });
+
+    describe('extended placeholders', () => {
+        it('should strip a vendor disc ID and track number', () => {
+            const result = parseFilename('SC8123-05 - Queen - Bohemian Rhapsody.mp3', '%discid-%track - %artist - %title');
+            expect(result).toEqual({
+                artist: 'Queen',
+                title: 'Bohemian Rhapsody',
+                track: 5,
+                discId: 'SC8123'
+            });
+        });
+
+        it('should skip text matched by %ignore', () => {
+            const result = parseFilename('[Karaoke Version] Queen - Bohemian Rhapsody', '[%ignore] %artist - %title');
+            expect(result).toEqual({ artist: 'Queen', title: 'Bohemian Rhapsody' });
+        });
+
+        it('should match patterns spanning folders against the end of the path', () => {
+            const result = parseFilename('Karaoke/Queen/A Night at the Opera/Bohemian Rhapsody', '%artist/%album/%title');
+            expect(result).toEqual({
+                artist: 'Queen',
+                title: 'Bohemian Rhapsody',
+                album: 'A Night at the Opera'
+            });
+        });
+
+        it('should skip whole folders with %folder', () => {
+            const result = parseFilename('Queen/Disc 1/05 - Bohemian Rhapsody', '%artist/%folder/%track - %title');
+            expect(result).toEqual({ artist: 'Queen', title: 'Bohemian Rhapsody', track: 5 });
+        });
+
+        it('should not match a folder pattern against a shorter path', () => {
+            const result = parseFilename('Bohemian Rhapsody', '%artist/%title');
+            expect(result).toEqual({ artist: 'Unknown Artist', title: 'Bohemian Rhapsody' });
+        });
+    });
+
+    describe('fallback pattern lists', () => {
+        it('should use the first pattern that matches', () => {
+            const patterns = '%discid - %artist - %title | %artist - %title';
+            expect(parseFilename('SF001 - ABBA - Waterloo', patterns)).toEqual({ artist: 'ABBA', title: 'Waterloo', discId: 'SF001' });
+            expect(parseFilename('ABBA - Waterloo', patterns)).toEqual({ artist: 'ABBA', title: 'Waterloo' });
+        });
+
+        it('should accept an array of patterns', () => {
+            const result = parseFilename('ABBA/Waterloo', ['%artist - %title', '%artist/%title']);
+            expect(result).toEqual({ artist: 'ABBA', title: 'Waterloo' });
+        });
+    });
+});
+
+describe('getPatternErrors', () => {
+    it('should accept valid patterns and pattern lists', () => {
+        expect(getPatternErrors('%artist - %title')).toEqual([]);
+        expect(getPatternErrors('%discid-%track - %artist - %title | %artist/%album/%title')).toEqual([]);
+        expect(getPatternErrors('[%ignore] %artist - %ignore - %title')).toEqual([]);
+    });
+
+    it('should name unknown, miscased and repeated placeholders', () => {
+        expect(getPatternErrors('%disc - %artist - %title')[0]).toMatch(/^"%disc - %artist - %title": unknown placeholder %disc \(use %artist, %title/);
+        expect(getPatternErrors('%Artist - %title')).toContain('"%Artist - %title": write %Artist in lowercase (%artist)');
+        expect(getPatternErrors('%artist - %title - %title')).toEqual(['"%artist - %title - %title": %title is used more than once']);
+    });
+
+    it('should name missing placeholders and empty folder segments', () => {
+        expect(getPatternErrors('%title')).toEqual(['"%title": missing %artist']);
+        expect(getPatternErrors('%artist//%title')).toEqual(['"%artist//%title": empty folder segment (check for leading, trailing or double "/")']);
+    });
+
+    it('should explain each invalid pattern of a list', () => {
+        expect(getPatternErrors('%artist - %title | %track')).toEqual(['"%track": missing %artist and %title']);
+        expect(getPatternErrors('')).toEqual(['no pattern given']);
+        expect(getPatternErrors(' | ')).toEqual(['no pattern given']);
+    });
+});
+
+describe('rankPatterns', () => {
+    it('should rank the pattern that parses most names cleanly first', () => {
+        const ranked = rankPatterns([
+            'SC8001 - Queen - Bohemian Rhapsody.mp3',
+            'SC8002 - ABBA - Waterloo.mp3',
+            'SC8003 - Toto - Africa.zip'
+        ]);
+
+        expect(ranked[0]).toEqual({ pattern: '%discid - %artist - %title', matched: 3, total: 3 });
+        expect(ranked.map(r => r.pattern)).not.toContain('%artist - %title');
+    });
+
+    it('should prefer the more specific pattern when both fit', () => {
+        const ranked = rankPatterns([
+            'Queen/A Night at the Opera/Bohemian Rhapsody.mp3',
+            'ABBA/Waterloo/Waterloo.mp3'
+        ]);
+
+        expect(ranked[0].pattern).toBe('%artist/%album/%title');
+        expect(ranked.findIndex(r => r.pattern === '%artist/%title')).toBeGreaterThan(0);
+    });
+
+    it('should only rank the given candidates that match something', () => {
+        const ranked = rankPatterns(['Queen - Bohemian Rhapsody.mp3', 'Waterloo.mp3'], ['%title (%artist)', '%artist - %title']);
+
+        expect(ranked).toEqual([{ pattern: '%artist - %title', matched: 1, total: 2 }]);
+    });
+});
+
+describe('previewPattern', () => {
+    it('should show the parsed fields of the first files and flag names the pattern does not fit', () => {
+        const preview = previewPattern(['Queen - Bohemian Rhapsody.mp3', 'Waterloo.mp3', 'Toto - Africa.mp3'], '%artist - %title', 2);
+
+        expect(preview).toEqual([
+            { fileName: 'Queen - Bohemian Rhapsody.mp3', artist: 'Queen', title: 'Bohemian Rhapsody', matched: true },
+            { fileName: 'Waterloo.mp3', artist: 'Unknown Artist', title: 'Waterloo', matched: false }
+        ]);
+    });
+
+    it('should fall back to the default pattern when the pattern is invalid', () => {
+        const [row] = previewPattern(['Queen - Bohemian Rhapsody.mp3'], '%band - %song');
+
+        expect(row).toMatchObject({ artist: 'Queen', title: 'Bohemian Rhapsody', matched: true });
+    });
 });
 
 describe('validatePattern', () => {
@@ -213,3 +333,116 @@ describe('validatePattern', () => {
         expect(validatePattern('%title - %artist')).toBe('%title - %artist');
     });
 });
+
+describe('extractMetadata with the metadata worker', () => {
+    // Minimal stand-in for the ID3 worker: answers every request with fixed tags, or fails to start
+    class FakeWorker {
+        static instances = [];
+        static failOnStart = false;
+        static tags = null;
+        static details = null;
+
+        constructor(url) {
+            this.url = url;
+            this.messages = [];
+            FakeWorker.instances.push(this);
+        }
+
+        postMessage(message) {
+            this.messages.push(message);
+            setTimeout(() => {
+                if (FakeWorker.failOnStart) {
+                    this.onerror({ message: 'importScripts failed' });
+                } else {
+                    this.onmessage({ data: { id: message.id, tags: FakeWorker.tags, details: FakeWorker.details, error: null } });
+                }
+            }, 0);
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+    }
+
+    beforeEach(() => {
+        vi.resetModules();
+        FakeWorker.instances = [];
+        FakeWorker.failOnStart = false;
+        FakeWorker.tags = { artist: 'Worker Artist', title: 'Worker Title' };
+        FakeWorker.details = { duration: null, coverArt: null };
+        vi.stubGlobal('Worker', FakeWorker);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should read ID3 tags in a single shared worker', async () => {
+        const { extractMetadata } = await import('./metadata.js');
+        const file = new File(['not really an mp3'], 'a.mp3');
+
+        const results = await Promise.all([
+            extractMetadata(file, 'Someone - Something', '%artist - %title'),
+            extractMetadata(file, 'Someone - Else', '%artist - %title')
+        ]);
+
+        expect(results).toEqual([
+            { artist: 'Worker Artist', title: 'Worker Title' },
+            { artist: 'Worker Artist', title: 'Worker Title' }
+        ]);
+        expect(FakeWorker.instances).toHaveLength(1);
+        expect(FakeWorker.instances[0].url.pathname).toMatch(/metadataWorker\.js$/);
+        expect(FakeWorker.instances[0].messages[0].file).toBe(file);
+    });
+
+    it('should fall back to the main thread if the worker fails to start', async () => {
+        FakeWorker.failOnStart = true;
+        const { extractMetadata } = await import('./metadata.js');
+        const file = new File(['not really an mp3'], 'a.mp3');
+
+        const result = await extractMetadata(file, 'Someone - Something', '%artist - %title');
+
+        // The main-thread reader finds no tags in this file, so the filename is parsed
+        expect(result).toEqual({ artist: 'Someone', title: 'Something' });
+        expect(FakeWorker.instances[0].terminated).toBe(true);
+
+        await extractMetadata(file, 'Someone - Else', '%artist - %title');
+        expect(FakeWorker.instances).toHaveLength(1);
+    });
+
+    it('should include album, year, genre, language, duration and cover art from the worker', async () => {
+        FakeWorker.tags = {
+            artist: 'Worker Artist',
+            title: 'Worker Title',
+            album: ' Greatest Hits ',
+            year: '1985-04-12',
+            genre: '(17)Rock',
+            language: 'eng'
+        };
+        FakeWorker.details = { duration: 215.34, coverArt: 'data:image/jpeg;base64,thumb' };
+        const { extractMetadata } = await import('./metadata.js');
+
+        const result = await extractMetadata(new File(['x'], 'a.mp3'), 'Someone - Something');
+
+        expect(result).toEqual({
+            artist: 'Worker Artist',
+            title: 'Worker Title',
+            album: 'Greatest Hits',
+            year: 1985,
+            genre: 'Rock',
+            language: 'eng',
+            duration: 215.3,
+            coverArt: 'data:image/jpeg;base64,thumb'
+        });
+    });
+
+    it('should keep the details of tags that lack an artist or title', async () => {
+        FakeWorker.tags = { artist: null, title: 'Only Title', album: 'Album', genre: '17' };
+        const { extractMetadata } = await import('./metadata.js');
+
+        const result = await extractMetadata(new File(['x'], 'a.mp3'), 'Someone - Something');
+
+        // A bare ID3v1 genre number is not a readable genre
+        expect(result).toEqual({ artist: 'Someone', title: 'Something', album: 'Album' });
+    });
+});
@@ -0,0 +1,180 @@
+// ID3 tag extraction worker
+// Runs jsmediatags off the main thread, so scanning a large library keeps the UI responsive.
+// The cover thumbnail and the duration estimate of each file are worked out here for the same reason.
+// Classic (non-module) worker: the jsmediatags browser build is a UMD script loaded with importScripts
+
+importScripts('https://cdn.jsdelivr.net/npm/jsmediatags@3.9.5/dist/jsmediatags.min.js');
+
+// Longest edge of cover thumbnails; queued songs carry theirs through sessionStorage and SignalR
+const COVER_THUMBNAIL_SIZE = 64;
+const COVER_THUMBNAIL_QUALITY = 0.7;
+
+// Bytes searched for the first MPEG frame after the ID3 tag when estimating the duration
+const MP3_HEADER_SEARCH_SIZE = 8192;
+
+self.onmessage = async (event) => {
+    const { id, file } = event.data;
+
+    let tags = null;
+    let error = null;
+    try {
+        tags = await readTags(file);
+    } catch (readError) {
+        error = (readError && (readError.info || readError.type)) || 'ID3 tag extraction failed';
+    }
+
+    self.postMessage({
+        id,
+        tags: tags && {
+            artist: tags.artist || null,
+            title: tags.title || null,
+            album: tags.album || null,
+            year: tags.year || null,
+            genre: tags.genre || null,
+            language: tags.TLAN ? tags.TLAN.data : null
+        },
+        details: await readDetails(file, tags),
+        error
+    });
+};
+
+/**
+ * Read the ID3 tags of a file
+ * @param {File} file
+ * @returns {Promise<object>} Tags as read by jsmediatags
+ */
+function readTags(file) {
+    return new Promise((resolve, reject) => {
+        self.jsmediatags.read(file, {
+            onSuccess: (tag) => resolve(tag.tags || {}),
+            onError: reject
+        });
+    });
+}
+
+/**
+ * Work out the duration and cover thumbnail of a file
+ * @param {File} file
+ * @param {object|null} tags - Tags as read by jsmediatags
+ * @returns {Promise<{duration: number|null, coverArt: string|null}>}
+ */
+async function readDetails(file, tags) {
+    // TLEN holds the length in milliseconds, but few rippers write it
+    let duration = tags && tags.TLEN && Number(tags.TLEN.data) > 0 ? Number(tags.TLEN.data) / 1000 : null;
+    if (!duration && file.name && file.name.toLowerCase().endsWith('.mp3')) {
+        try {
+            duration = await estimateMp3Duration(file);
+        } catch (error) {
+            console.warn('MP3 duration estimation failed:', error);
+        }
+    }
+
+    let coverArt = null;
+    if (tags && tags.picture) {
+        try {
+            coverArt = await createCoverThumbnail(tags.picture);
+        } catch (error) {
+            console.warn('Cover art could not be decoded:', error);
+        }
+    }
+
+    return { duration, coverArt };
+}
+
+/**
+ * Shrink an embedded cover picture to a JPEG data URL thumbnail
+ * @param {{format: string, data: number[]}} picture - APIC frame from jsmediatags
+ * @returns {Promise<string|null>} Data URL, or null if images cannot be drawn in this worker
+ */
+async function createCoverThumbnail(picture) {
+    if (!picture.data || typeof createImageBitmap === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+        return null;
+    }
+
+    const blob = new Blob([new Uint8Array(picture.data)], { type: picture.format || 'image/jpeg' });
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, COVER_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+
+    const canvas = new OffscreenCanvas(Math.max(1, Math.round(bitmap.width * scale)), Math.max(1, Math.round(bitmap.height * scale)));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const thumbnail = await canvas.convertToBlob({ type: 'image/jpeg', quality: COVER_THUMBNAIL_QUALITY });
+    return new FileReaderSync().readAsDataURL(thumbnail);
+}
+
+// Layer III bitrates in kbit/s by bitrate index, for MPEG-1 and for MPEG-2/2.5
+const MP3_BITRATES = {
+    mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+/**
+ * Parse an MPEG audio Layer III frame header
+ * @param {Uint8Array} bytes
+ * @param {number} offset - Position of the candidate frame sync
+ * @returns {{bitrate: number, sampleRate: number, samplesPerFrame: number, sideInfoSize: number}|null}
+ */
+function parseMp3FrameHeader(bytes, offset) {
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) {
+        return null;
+    }
+
+    const version = (bytes[offset + 1] >> 3) & 0x03; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+    const layer = (bytes[offset + 1] >> 1) & 0x03; // 1 = Layer III
+    const bitrateIndex = bytes[offset + 2] >> 4;
+    const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+    const mono = (bytes[offset + 3] >> 6) === 3;
+
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const mpeg1 = version === 3;
+    return {
+        bitrate: (mpeg1 ? MP3_BITRATES.mpeg1 : MP3_BITRATES.mpeg2)[bitrateIndex],
+        sampleRate: MP3_SAMPLE_RATES[sampleRateIndex] / (mpeg1 ? 1 : version === 2 ? 2 : 4),
+        samplesPerFrame: mpeg1 ? 1152 : 576,
+        sideInfoSize: mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17)
+    };
+}
+
+/**
+ * Estimate the duration of an MP3 file from its first frame
+ * Uses the frame count of a Xing/Info header (VBR files), otherwise assumes a constant bitrate
+ * @param {File} file
+ * @returns {Promise<number|null>} Duration in seconds, or null if no frame was found
+ */
+async function estimateMp3Duration(file) {
+    const head = new Uint8Array(await file.slice(0, 10).arrayBuffer());
+    let audioStart = 0;
+
+    // Skip an ID3v2 tag: 10-byte header, syncsafe size, optional 10-byte footer
+    if (head.length === 10 && head[0] === 0x49 && head[1] === 0x44 && head[2] === 0x33) {
+        const tagSize = ((head[6] & 0x7f) << 21) | ((head[7] & 0x7f) << 14) | ((head[8] & 0x7f) << 7) | (head[9] & 0x7f);
+        audioStart = 10 + tagSize + (head[5] & 0x10 ? 10 : 0);
+    }
+
+    const bytes = new Uint8Array(await file.slice(audioStart, audioStart + MP3_HEADER_SEARCH_SIZE).arrayBuffer());
+    for (let i = 0; i + 4 <= bytes.length; i++) {
+        const frame = parseMp3FrameHeader(bytes, i);
+        if (!frame) {
+            continue;
+        }
+
+        const xing = i + 4 + frame.sideInfoSize;
+        const marker = String.fromCharCode(...bytes.subarray(xing, xing + 4));
+        if ((marker === 'Xing' || marker === 'Info') && xing + 12 <= bytes.length) {
+            const view = new DataView(bytes.buffer, bytes.byteOffset);
+            const flags = view.getUint32(xing + 4);
+            if (flags & 0x01) {
+                return view.getUint32(xing + 8) * frame.samplesPerFrame / frame.sampleRate;
+            }
+        }
+
+        return (file.size - audioStart - i) * 8 / (frame.bitrate * 1000);
+    }
+
+    return null;
+}
@@ -0,0 +1,126 @@
+// Unit tests for the ID3 worker: cover thumbnails and duration estimates
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// MPEG-1 Layer III, 128 kbit/s, 44.1 kHz, stereo
+const FRAME_HEADER = [0xff, 0xfb, 0x90, 0x00];
+
+/**
+ * Build an MP3 file: optional ID3v2 tag, one frame header, optional Xing frame count, padding
+ */
+function createMp3({ id3Size = 0, xingFrames = null, audioSize = 16000, name = 'song.mp3' } = {}) {
+    const bytes = new Uint8Array(10 + id3Size + audioSize);
+    let offset = 0;
+    if (id3Size) {
+        bytes.set([0x49, 0x44, 0x33, 4, 0, 0, (id3Size >> 21) & 0x7f, (id3Size >> 14) & 0x7f, (id3Size >> 7) & 0x7f, id3Size & 0x7f]);
+        offset = 10 + id3Size;
+    }
+    bytes.set(FRAME_HEADER, offset);
+    if (xingFrames !== null) {
+        const xing = offset + 4 + 32;
+        bytes.set([0x58, 0x69, 0x6e, 0x67, 0, 0, 0, 1], xing);
+        new DataView(bytes.buffer).setUint32(xing + 8, xingFrames);
+    }
+    return new File([bytes.subarray(0, offset + audioSize)], name);
+}
+
+describe('metadataWorker', () => {
+    let tags;
+    let postMessage;
+
+    /**
+     * Load the worker script and send it one file
+     * @returns {Promise<object>} The worker's reply
+     */
+    async function readInWorker(file) {
+        await import('./metadataWorker.js');
+        await self.onmessage({ data: { id: 7, file } });
+        return postMessage.mock.calls[0][0];
+    }
+
+    beforeEach(() => {
+        vi.resetModules();
+        tags = null;
+        postMessage = vi.fn();
+        vi.stubGlobal('importScripts', vi.fn());
+        vi.stubGlobal('jsmediatags', {
+            read: (file, callbacks) => tags
+                ? callbacks.onSuccess({ tags })
+                : callbacks.onError({ type: 'tagFormat', info: 'No suitable tag reader found' })
+        });
+        vi.spyOn(self, 'postMessage').mockImplementation(postMessage);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+        self.onmessage = null;
+    });
+
+    it('should reply with the tags and the length from TLEN', async () => {
+        tags = { artist: 'Artist', title: 'Title', genre: 'Rock', TLAN: { data: 'eng' }, TLEN: { data: '215300' } };
+
+        const reply = await readInWorker(createMp3());
+
+        expect(reply).toEqual({
+            id: 7,
+            tags: { artist: 'Artist', title: 'Title', album: null, year: null, genre: 'Rock', language: 'eng' },
+            details: { duration: 215.3, coverArt: null },
+            error: null
+        });
+    });
+
+    it('should estimate the duration of files without tags', async () => {
+        const reply = await readInWorker(createMp3({ audioSize: 160000 }));
+
+        // 160000 bytes at 128 kbit/s
+        expect(reply.tags).toBeNull();
+        expect(reply.error).toBe('No suitable tag reader found');
+        expect(reply.details.duration).toBe(10);
+    });
+
+    it('should use the frame count of a Xing header', async () => {
+        const reply = await readInWorker(createMp3({ id3Size: 300, xingFrames: 3828 }));
+
+        // 3828 frames * 1152 samples / 44100 Hz
+        expect(reply.details.duration).toBeCloseTo(100, 1);
+    });
+
+    it('should not estimate a duration for files that are not MP3s', async () => {
+        const reply = await readInWorker(new File([new Uint8Array(FRAME_HEADER)], 'song.mp4'));
+
+        expect(reply.details.duration).toBeNull();
+    });
+
+    it('should shrink the cover picture on an offscreen canvas', async () => {
+        tags = { artist: 'Artist', title: 'Title', picture: { format: 'image/png', data: [1, 2, 3] } };
+        const bitmap = { width: 500, height: 250, close: vi.fn() };
+        const canvases = [];
+        vi.stubGlobal('createImageBitmap', vi.fn(async () => bitmap));
+        vi.stubGlobal('OffscreenCanvas', class {
+            constructor(width, height) {
+                this.width = width;
+                this.height = height;
+                canvases.push(this);
+            }
+            getContext() {
+                return { drawImage: vi.fn() };
+            }
+            async convertToBlob(options) {
+                this.options = options;
+                return new Blob(['jpeg']);
+            }
+        });
+        vi.stubGlobal('FileReaderSync', class {
+            readAsDataURL() {
+                return 'data:image/jpeg;base64,thumb';
+            }
+        });
+
+        const reply = await readInWorker(createMp3());
+
+        expect(reply.details.coverArt).toBe('data:image/jpeg;base64,thumb');
+        expect([canvases[0].width, canvases[0].height]).toEqual([64, 32]);
+        expect(canvases[0].options).toEqual({ type: 'image/jpeg', quality: 0.7 });
+        expect(bitmap.close).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,310 @@
+// Microphone input for live singing
+// Opens the singer's microphone with getUserMedia and mixes it with the backing track on the
+// playback graph's output bus, with adjustable gain, echo/reverb presets and a level meter.
+// The microphone stays open across songs until it is switched off.
+
+import { getLatencyCompensation, getOutputBus } from './audioEngine.js';
+
+/**
+ * Effect presets for the microphone
+ * Reverbs use a generated impulse response; echoes a feedback delay line
+ */
+export const MICROPHONE_EFFECTS = {
+    none: null,
+    room: { type: 'reverb', seconds: 0.8, decay: 4, wet: 0.25 },
+    hall: { type: 'reverb', seconds: 2.5, decay: 2.5, wet: 0.35 },
+    slapback: { type: 'echo', delay: 0.11, feedback: 0.15, wet: 0.3 },
+    echo: { type: 'echo', delay: 0.3, feedback: 0.4, wet: 0.3 }
+};
+
+const MAX_MICROPHONE_GAIN = 2;
+// Level meter canvas drawn by PlayerView next to the CDG canvas
+const LEVEL_METER_ID = 'micLevelMeter';
+// Level (dBFS) at the bottom of the meter
+const METER_FLOOR_DB = -60;
+
+let microphone = null;
+let gain = 1;
+let effectName = 'none';
+let meterFrameId = null;
+
+/**
+ * Create a stereo reverb impulse response: decaying noise
+ * @param {number} sampleRate
+ * @param {number} seconds - Length of the reverb tail
+ * @param {number} decay - Steepness of the exponential decay
+ * @returns {Float32Array[]} Left and right channel
+ */
+export function createImpulseResponse(sampleRate, seconds, decay) {
+    const length = Math.max(1, Math.round(sampleRate * seconds));
+    const channels = [new Float32Array(length), new Float32Array(length)];
+
+    for (const channel of channels) {
+        for (let i = 0; i < length; i++) {
+            channel[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+        }
+    }
+    return channels;
+}
+
+/**
+ * Measure the level of a block of samples
+ * @param {Float32Array} samples - Time-domain samples (-1 to 1)
+ * @returns {{rms: number, peak: number, db: number}} RMS and peak amplitude, and the RMS level in dBFS
+ */
+export function measureLevel(samples) {
+    let sum = 0;
+    let peak = 0;
+    for (const sample of samples) {
+        sum += sample * sample;
+        peak = Math.max(peak, Math.abs(sample));
+    }
+
+    const rms = samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+    return {
+        rms,
+        peak,
+        db: rms > 0 ? Math.max(METER_FLOOR_DB, 20 * Math.log10(rms)) : METER_FLOOR_DB
+    };
+}
+
+/**
+ * Open the microphone and mix it into the output
+ * Must be called from a user gesture the first time, as the browser asks for permission.
+ * @param {string|null} deviceId - Input device, or null for the default microphone
+ * @returns {Promise<{enabled: boolean, error: string|null}>}
+ */
+export async function enableMicrophone(deviceId = null) {
+    disableMicrophone();
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        return { enabled: false, error: 'Microphone input is not supported in this browser' };
+    }
+
+    try {
+        const output = await getOutputBus();
+        if (!output) {
+            return { enabled: false, error: 'Web Audio is not supported in this browser' };
+        }
+
+        // Voice processing meant for calls colours the voice and pumps with the music
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false,
+                latency: 0
+            }
+        });
+
+        microphone = createMicrophoneGraph(output.context, stream, output.bus);
+        applyGain();
+        applyEffect();
+        startLevelMeter();
+
+        return { enabled: true, error: null };
+    } catch (error) {
+        console.error('Error opening microphone:', error);
+        disableMicrophone();
+        return { enabled: false, error: describeMicrophoneError(error) };
+    }
+}
+
+/**
+ * Close the microphone and remove it from the mix
+ */
+export function disableMicrophone() {
+    stopLevelMeter();
+
+    if (microphone) {
+        microphone.source.disconnect();
+        microphone.gain.disconnect();
+        microphone.effectSend.disconnect();
+        microphone.stream.getTracks().forEach(track => track.stop());
+        microphone = null;
+    }
+}
+
+/**
+ * Set the microphone volume
+ * @param {number} value - Gain (0 to 2, 1 = unchanged)
+ * @returns {number} The gain that is now set
+ */
+export function setMicrophoneGain(value) {
+    const number = Number(value);
+    gain = Math.max(0, Math.min(MAX_MICROPHONE_GAIN, Number.isFinite(number) ? number : 1));
+    applyGain();
+    return gain;
+}
+
+/**
+ * Choose the microphone effect
+ * @param {string} name - One of the MICROPHONE_EFFECTS keys
+ * @returns {string} The effect that is now set
+ */
+export function setMicrophoneEffect(name) {
+    effectName = Object.prototype.hasOwnProperty.call(MICROPHONE_EFFECTS, name) ? name : 'none';
+    applyEffect();
+    return effectName;
+}
+
+/**
+ * Describe the microphone settings, so a page can show them after navigating between songs
+ * @returns {{enabled: boolean, gain: number, effect: string, latencyMs: number}}
+ */
+export function getMicrophoneSettings() {
+    return {
+        enabled: microphone !== null,
+        gain,
+        effect: effectName,
+        latencyMs: getLatencyCompensation()
+    };
+}
+
+/**
+ * Build the microphone nodes: source -> gain -> dry + effect send -> output bus, plus a meter tap
+ * @param {AudioContext} context
+ * @param {MediaStream} stream
+ * @param {AudioNode} bus
+ * @returns {object}
+ */
+function createMicrophoneGraph(context, stream, bus) {
+    const source = context.createMediaStreamSource(stream);
+    const gainNode = context.createGain();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    const effectSend = context.createGain();
+
+    source.connect(gainNode);
+    gainNode.connect(bus);
+    gainNode.connect(analyser);
+    gainNode.connect(effectSend);
+
+    return {
+        context,
+        stream,
+        source,
+        gain: gainNode,
+        analyser,
+        effectSend,
+        bus,
+        effectNodes: [],
+        samples: new Float32Array(analyser.fftSize)
+    };
+}
+
+function applyGain() {
+    if (microphone) {
+        microphone.gain.gain.setTargetAtTime(gain, microphone.context.currentTime, 0.02);
+    }
+}
+
+/**
+ * Replace the effect nodes after the effect send with the current preset
+ */
+function applyEffect() {
+    if (!microphone) {
+        return;
+    }
+
+    microphone.effectSend.disconnect();
+    microphone.effectNodes.forEach(node => node.disconnect());
+    microphone.effectNodes = [];
+
+    const preset = MICROPHONE_EFFECTS[effectName];
+    if (!preset) {
+        return;
+    }
+
+    const { context } = microphone;
+    const wet = context.createGain();
+    wet.gain.value = preset.wet;
+
+    if (preset.type === 'reverb') {
+        const convolver = context.createConvolver();
+        const channels = createImpulseResponse(context.sampleRate, preset.seconds, preset.decay);
+        const impulse = context.createBuffer(2, channels[0].length, context.sampleRate);
+        channels.forEach((data, index) => impulse.copyToChannel(data, index));
+        convolver.buffer = impulse;
+
+        microphone.effectSend.connect(convolver).connect(wet);
+        microphone.effectNodes.push(convolver, wet);
+    } else {
+        const delay = context.createDelay(1);
+        delay.delayTime.value = preset.delay;
+        const feedback = context.createGain();
+        feedback.gain.value = preset.feedback;
+
+        microphone.effectSend.connect(delay);
+        delay.connect(feedback).connect(delay);
+        delay.connect(wet);
+        microphone.effectNodes.push(delay, feedback, wet);
+    }
+
+    wet.connect(microphone.bus);
+}
+
+function describeMicrophoneError(error) {
+    switch (error && error.name) {
+        case 'NotAllowedError':
+            return 'Access to the microphone was denied';
+        case 'NotFoundError':
+        case 'OverconstrainedError':
+            return 'No microphone was found';
+        case 'NotReadableError':
+            return 'The microphone is in use by another application';
+        default:
+            return (error && error.message) || 'The microphone could not be opened';
+    }
+}
+
+function startLevelMeter() {
+    stopLevelMeter();
+
+    const draw = () => {
+        drawLevelMeter(document.getElementById(LEVEL_METER_ID));
+        meterFrameId = requestAnimationFrame(draw);
+    };
+    draw();
+}
+
+function stopLevelMeter() {
+    if (meterFrameId) {
+        cancelAnimationFrame(meterFrameId);
+        meterFrameId = null;
+    }
+
+    // Leave an empty meter behind
+    drawLevelMeter(document.getElementById(LEVEL_METER_ID));
+}
+
+/**
+ * Draw the current microphone level as a vertical bar
+ * The canvas is looked up every frame, as the player page is re-rendered for each song.
+ * @param {HTMLCanvasElement|null} canvas
+ */
+function drawLevelMeter(canvas) {
+    if (!canvas) {
+        return;
+    }
+
+    const context = canvas.getContext('2d');
+    if (!context) {
+        return;
+    }
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (!microphone) {
+        return;
+    }
+
+    microphone.analyser.getFloatTimeDomainData(microphone.samples);
+    const level = measureLevel(microphone.samples);
+    const fraction = (level.db - METER_FLOOR_DB) / -METER_FLOOR_DB;
+    const height = Math.round(canvas.height * fraction);
+
+    // Green while singing, red when the input clips
+    context.fillStyle = level.peak >= 0.99 ? '#e53935' : fraction > 0.8 ? '#fbc02d' : '#43a047';
+    context.fillRect(0, canvas.height - height, canvas.width, height);
+}
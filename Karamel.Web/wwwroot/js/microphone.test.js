@@ -0,0 +1,73 @@
+// Unit tests for the microphone effects and level metering (audio capture itself needs a browser)
+import { describe, it, expect } from 'vitest';
+import {
+    MICROPHONE_EFFECTS,
+    createImpulseResponse,
+    measureLevel,
+    enableMicrophone,
+    setMicrophoneGain,
+    setMicrophoneEffect,
+    getMicrophoneSettings
+} from './microphone.js';
+
+describe('createImpulseResponse', () => {
+    it('should create a stereo tail of the requested length', () => {
+        const [left, right] = createImpulseResponse(8000, 0.5, 3);
+
+        expect(left.length).toBe(4000);
+        expect(right.length).toBe(4000);
+    });
+
+    it('should decay towards silence', () => {
+        const [left] = createImpulseResponse(8000, 1, 3);
+        const start = measureLevel(left.subarray(0, 800));
+        const end = measureLevel(left.subarray(7200));
+
+        expect(start.rms).toBeGreaterThan(0.1);
+        expect(end.rms).toBeLessThan(start.rms / 100);
+    });
+});
+
+describe('measureLevel', () => {
+    it('should measure a full-scale square wave at 0 dBFS', () => {
+        const level = measureLevel(new Float32Array([1, -1, 1, -1]));
+
+        expect(level.rms).toBe(1);
+        expect(level.peak).toBe(1);
+        expect(level.db).toBe(0);
+    });
+
+    it('should report silence at the bottom of the meter', () => {
+        expect(measureLevel(new Float32Array(16)).db).toBe(-60);
+        expect(measureLevel(new Float32Array(0)).rms).toBe(0);
+    });
+
+    it('should measure half amplitude at about -6 dBFS', () => {
+        const level = measureLevel(new Float32Array([0.5, -0.5]));
+
+        expect(level.db).toBeCloseTo(-6.02, 1);
+    });
+});
+
+describe('microphone settings', () => {
+    it('should limit the gain and fall back for unknown effects', () => {
+        expect(setMicrophoneGain(3)).toBe(2);
+        expect(setMicrophoneGain(-1)).toBe(0);
+        expect(setMicrophoneGain(0.75)).toBe(0.75);
+
+        for (const effect of Object.keys(MICROPHONE_EFFECTS)) {
+            expect(setMicrophoneEffect(effect)).toBe(effect);
+        }
+        expect(setMicrophoneEffect('chorus')).toBe('none');
+
+        expect(getMicrophoneSettings()).toMatchObject({ enabled: false, gain: 0.75, effect: 'none' });
+    });
+
+    it('should report that the microphone cannot be opened without browser support', async () => {
+        const result = await enableMicrophone();
+
+        expect(result.enabled).toBe(false);
+        expect(result.error).toBeTruthy();
+        expect(getMicrophoneSettings().enabled).toBe(false);
+    });
+});
@@ -0,0 +1,97 @@
+// Pitch shifter for key changes during playback
+// A delay-line shifter: two read heads sweep through a short delay buffer at the pitch ratio and are
+// crossfaded, so the pitch changes while the playback speed (tempo) stays the same.
+// Plain DSP without Web Audio dependencies; pitchShifterWorklet.js runs it on the audio thread.
+
+/**
+ * Largest key change in semitones, up or down
+ */
+export const MAX_PITCH_SHIFT = 6;
+
+// Length of the crossfaded delay window; longer windows sound smoother but echo more
+const WINDOW_SECONDS = 0.06;
+
+/**
+ * Limit a key change to whole semitones within ±MAX_PITCH_SHIFT
+ * @param {number} semitones
+ * @returns {number}
+ */
+export function clampPitchShift(semitones) {
+    const value = Math.round(Number(semitones) || 0);
+    return Math.max(-MAX_PITCH_SHIFT, Math.min(MAX_PITCH_SHIFT, value));
+}
+
+/**
+ * Convert a key change to a frequency ratio
+ * @param {number} semitones - Key change (clamped to ±MAX_PITCH_SHIFT)
+ * @returns {number} Ratio, e.g. 2 for an octave up
+ */
+export function semitonesToRatio(semitones) {
+    return Math.pow(2, clampPitchShift(semitones) / 12);
+}
+
+/**
+ * Pitch shifter for one audio channel
+ */
+export class PitchShifter {
+    /**
+     * @param {number} sampleRate - Sample rate of the audio
+     */
+    constructor(sampleRate) {
+        this.windowSize = Math.round(sampleRate * WINDOW_SECONDS);
+        // Room for the longest delay plus the interpolation neighbour
+        this.buffer = new Float32Array(this.windowSize + 2);
+        this.writeIndex = 0;
+        this.phase = 0;
+    }
+
+    /**
+     * Read the delay buffer a fractional number of samples behind the write position
+     * @param {number} delay - Delay in samples (0 to windowSize)
+     * @returns {number}
+     */
+    readDelayed(delay) {
+        const length = this.buffer.length;
+        let position = this.writeIndex - delay;
+        if (position < 0) {
+            position += length;
+        }
+
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const next = index + 1 < length ? index + 1 : 0;
+        return this.buffer[index] * (1 - fraction) + this.buffer[next] * fraction;
+    }
+
+    /**
+     * Shift one block of samples
+     * @param {Float32Array} input - Input samples
+     * @param {Float32Array} output - Output samples (same length as input)
+     * @param {number} ratio - Frequency ratio (1 passes the input through unchanged)
+     */
+    process(input, output, ratio) {
+        const length = this.buffer.length;
+        const step = (1 - ratio) / this.windowSize;
+
+        for (let i = 0; i < input.length; i++) {
+            this.buffer[this.writeIndex] = input[i];
+
+            if (ratio === 1) {
+                // Keep filling the buffer, so a later key change starts without a gap
+                output[i] = input[i];
+            } else {
+                this.phase += step;
+                this.phase -= Math.floor(this.phase);
+
+                // The heads are half a window apart; sin² fades sum to 1 and are silent at the jump
+                const secondPhase = this.phase < 0.5 ? this.phase + 0.5 : this.phase - 0.5;
+                const gain = Math.sin(Math.PI * this.phase) ** 2;
+
+                output[i] = this.readDelayed(this.phase * this.windowSize) * gain +
+                    this.readDelayed(secondPhase * this.windowSize) * (1 - gain);
+            }
+
+            this.writeIndex = this.writeIndex + 1 < length ? this.writeIndex + 1 : 0;
+        }
+    }
+}
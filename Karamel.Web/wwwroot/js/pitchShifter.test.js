@@ -0,0 +1,94 @@
+// Unit tests for the pitch shifter used for key changes
+import { describe, it, expect } from 'vitest';
+import { PitchShifter, clampPitchShift, semitonesToRatio, MAX_PITCH_SHIFT } from './pitchShifter.js';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Create a sine wave
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} seconds - Length
+ * @returns {Float32Array}
+ */
+function createSine(frequency, seconds) {
+    const samples = new Float32Array(Math.round(SAMPLE_RATE * seconds));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+    }
+    return samples;
+}
+
+/**
+ * Shift a signal in 128-sample blocks, like an audio worklet does
+ * @param {Float32Array} input
+ * @param {number} ratio
+ * @returns {Float32Array}
+ */
+function shift(input, ratio) {
+    const shifter = new PitchShifter(SAMPLE_RATE);
+    const output = new Float32Array(input.length);
+    for (let start = 0; start < input.length; start += 128) {
+        shifter.process(input.subarray(start, start + 128), output.subarray(start, start + 128), ratio);
+    }
+    return output;
+}
+
+/**
+ * Estimate the dominant frequency of a signal from its rising zero crossings
+ * @param {Float32Array} samples
+ * @returns {number} Frequency in Hz
+ */
+function estimateFrequency(samples) {
+    let crossings = 0;
+    for (let i = 1; i < samples.length; i++) {
+        if (samples[i - 1] < 0 && samples[i] >= 0) {
+            crossings++;
+        }
+    }
+    return crossings * SAMPLE_RATE / samples.length;
+}
+
+describe('clampPitchShift', () => {
+    it('should round to whole semitones and limit the range', () => {
+        expect(clampPitchShift(2.4)).toBe(2);
+        expect(clampPitchShift(-9)).toBe(-MAX_PITCH_SHIFT);
+        expect(clampPitchShift(9)).toBe(MAX_PITCH_SHIFT);
+        expect(clampPitchShift('x')).toBe(0);
+    });
+});
+
+describe('semitonesToRatio', () => {
+    it('should convert semitones to a frequency ratio', () => {
+        expect(semitonesToRatio(0)).toBe(1);
+        expect(semitonesToRatio(6)).toBeCloseTo(Math.SQRT2, 6);
+        expect(semitonesToRatio(-12)).toBeCloseTo(1 / Math.SQRT2, 6);
+    });
+});
+
+describe('PitchShifter', () => {
+    it('should pass audio through unchanged at ratio 1', () => {
+        const input = createSine(440, 0.1);
+
+        expect(Array.from(shift(input, 1))).toEqual(Array.from(input));
+    });
+
+    it('should raise and lower the pitch while keeping the length', () => {
+        const input = createSine(440, 1);
+
+        const up = shift(input, semitonesToRatio(5));
+        const down = shift(input, semitonesToRatio(-5));
+
+        expect(up).toHaveLength(input.length);
+        // Skip the first window, while the delay buffer fills
+        expect(estimateFrequency(up.subarray(SAMPLE_RATE / 4))).toBeCloseTo(440 * semitonesToRatio(5), -1);
+        expect(estimateFrequency(down.subarray(SAMPLE_RATE / 4))).toBeCloseTo(440 * semitonesToRatio(-5), -1);
+    });
+
+    it('should keep the level of a steady tone', () => {
+        const output = shift(createSine(440, 0.5), semitonesToRatio(3));
+        const peak = output.subarray(SAMPLE_RATE / 4).reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+
+        expect(peak).toBeGreaterThan(0.5);
+        expect(peak).toBeLessThanOrEqual(1.01);
+    });
+});
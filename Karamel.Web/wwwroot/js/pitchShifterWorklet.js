@@ -0,0 +1,40 @@
+// Pitch shifter audio worklet
+// Runs PitchShifter on the audio rendering thread; loaded by audioEngine.js with audioWorklet.addModule
+
+import { PitchShifter } from './pitchShifter.js';
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.5, maxValue: 2, automationRate: 'k-rate' }];
+    }
+
+    constructor() {
+        super();
+        // One shifter per channel, created when the channel first carries audio
+        this.shifters = [];
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const ratio = parameters.pitchRatio[0];
+
+        for (let channel = 0; channel < output.length; channel++) {
+            // A mono source is spread over both output channels
+            const source = input[channel] || input[0];
+            if (!source) {
+                output[channel].fill(0);
+                continue;
+            }
+
+            if (!this.shifters[channel]) {
+                this.shifters[channel] = new PitchShifter(sampleRate);
+            }
+            this.shifters[channel].process(source, output[channel], ratio);
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
@@ -0,0 +1,137 @@
+// Playback telemetry
+// Reports what the media element is doing to PlayerView: progress for the elapsed and remaining
+// time, load and decode failures, buffering, and browsers refusing to start playback without a click.
+
+/**
+ * Shortest time between two OnPlaybackProgress callbacks
+ */
+export const PROGRESS_INTERVAL_MS = 500;
+
+// MediaError codes (MEDIA_ERR_ABORTED etc.)
+const MEDIA_ERROR_KINDS = {
+    1: 'aborted',
+    2: 'network',
+    3: 'decode',
+    4: 'unsupported'
+};
+
+/**
+ * Name the kind of failure of a media element
+ * @param {MediaError|null} error - The element's error property
+ * @returns {'aborted'|'network'|'decode'|'unsupported'|'unknown'}
+ */
+export function getMediaErrorKind(error) {
+    return (error && MEDIA_ERROR_KINDS[error.code]) || 'unknown';
+}
+
+/**
+ * Check if play() was refused because the user has not interacted with the page yet
+ * @param {Error} error - Rejection of play()
+ * @returns {boolean}
+ */
+export function isAutoplayBlocked(error) {
+    return !!error && error.name === 'NotAllowedError';
+}
+
+/**
+ * Report the media element's progress, failures and buffering to .NET
+ * Progress is sent at most every PROGRESS_INTERVAL_MS while playing, and straight away when the
+ * duration becomes known, after a seek and at the end. Buffering is only sent when it changes.
+ * @param {HTMLMediaElement} mediaElement
+ * @param {object|null} dotNetRef - PlayerView reference
+ * @param {function(): number} [now] - Clock in milliseconds, for tests
+ * @returns {{reportError: function(string, string): void, dispose: function(): void}}
+ */
+export function attachPlaybackTelemetry(mediaElement, dotNetRef, now = () => performance.now()) {
+    let lastProgressAt = -Infinity;
+    let buffering = false;
+
+    const invoke = (method, ...args) => {
+        if (dotNetRef) {
+            dotNetRef.invokeMethodAsync(method, ...args)
+                .catch(err => console.error(`Error calling ${method}:`, err));
+        }
+    };
+
+    const sendProgress = force => {
+        const time = now();
+        if (!force && time - lastProgressAt < PROGRESS_INTERVAL_MS) {
+            return;
+        }
+        lastProgressAt = time;
+        const duration = Number.isFinite(mediaElement.duration) ? mediaElement.duration : 0;
+        invoke('OnPlaybackProgress', mediaElement.currentTime || 0, duration);
+    };
+
+    const setBuffering = value => {
+        if (buffering !== value) {
+            buffering = value;
+            invoke('OnBuffering', value);
+        }
+    };
+
+    const listeners = {
+        timeupdate: () => sendProgress(false),
+        loadedmetadata: () => sendProgress(true),
+        durationchange: () => sendProgress(true),
+        seeked: () => sendProgress(true),
+        ended: () => {
+            setBuffering(false);
+            sendProgress(true);
+        },
+        waiting: () => setBuffering(true),
+        stalled: () => setBuffering(true),
+        playing: () => setBuffering(false),
+        canplay: () => setBuffering(false),
+        error: () => {
+            setBuffering(false);
+            const error = mediaElement.error;
+            const kind = getMediaErrorKind(error);
+            invoke('OnPlaybackError', kind, (error && error.message) || `The song could not be played (${kind})`);
+        }
+    };
+
+    for (const [type, listener] of Object.entries(listeners)) {
+        mediaElement.addEventListener(type, listener);
+    }
+
+    return {
+        /**
+         * Report a failure that did not come from the media element, e.g. unreadable CDG graphics
+         * @param {string} kind
+         * @param {string} message
+         */
+        reportError(kind, message) {
+            invoke('OnPlaybackError', kind, message);
+        },
+        /**
+         * Report that the browser holds the audio back until the page sees a click
+         */
+        reportAutoplayBlocked() {
+            invoke('OnAutoplayBlocked');
+        },
+        /**
+         * Start playback, reporting a refusal by the browser instead of throwing
+         * @returns {Promise<boolean>} True if playback started
+         */
+        async play() {
+            try {
+                await mediaElement.play();
+                return true;
+            } catch (error) {
+                if (isAutoplayBlocked(error)) {
+                    invoke('OnAutoplayBlocked');
+                } else if (error && error.name !== 'AbortError') {
+                    // AbortError means the source was replaced before playback started
+                    invoke('OnPlaybackError', 'playback', error.message || String(error));
+                }
+                return false;
+            }
+        },
+        dispose() {
+            for (const [type, listener] of Object.entries(listeners)) {
+                mediaElement.removeEventListener(type, listener);
+            }
+        }
+    };
+}
@@ -0,0 +1,150 @@
+// Unit tests for playback telemetry callbacks to PlayerView
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    PROGRESS_INTERVAL_MS,
+    getMediaErrorKind,
+    isAutoplayBlocked,
+    attachPlaybackTelemetry
+} from './playbackTelemetry.js';
+
+class FakeMedia extends EventTarget {
+    constructor() {
+        super();
+        this.currentTime = 0;
+        this.duration = NaN;
+        this.error = null;
+        this.play = vi.fn(async () => {});
+    }
+
+    fire(type) {
+        this.dispatchEvent(new Event(type));
+    }
+}
+
+function domException(name) {
+    const error = new Error(`${name} thrown`);
+    error.name = name;
+    return error;
+}
+
+describe('getMediaErrorKind', () => {
+    it('should name MediaError codes', () => {
+        expect(getMediaErrorKind({ code: 2 })).toBe('network');
+        expect(getMediaErrorKind({ code: 3 })).toBe('decode');
+        expect(getMediaErrorKind({ code: 4 })).toBe('unsupported');
+    });
+
+    it('should fall back to unknown', () => {
+        expect(getMediaErrorKind(null)).toBe('unknown');
+        expect(getMediaErrorKind({ code: 99 })).toBe('unknown');
+    });
+});
+
+describe('isAutoplayBlocked', () => {
+    it('should only match NotAllowedError', () => {
+        expect(isAutoplayBlocked(domException('NotAllowedError'))).toBe(true);
+        expect(isAutoplayBlocked(domException('NotSupportedError'))).toBe(false);
+        expect(isAutoplayBlocked(null)).toBe(false);
+    });
+});
+
+describe('attachPlaybackTelemetry', () => {
+    let media;
+    let dotNetRef;
+    let clock;
+    let telemetry;
+
+    beforeEach(() => {
+        media = new FakeMedia();
+        dotNetRef = { invokeMethodAsync: vi.fn(async () => {}) };
+        clock = 0;
+        telemetry = attachPlaybackTelemetry(media, dotNetRef, () => clock);
+    });
+
+    const calls = method => dotNetRef.invokeMethodAsync.mock.calls.filter(call => call[0] === method);
+
+    it('should throttle progress while playing', () => {
+        media.duration = 180;
+        media.currentTime = 1;
+        media.fire('timeupdate');
+        clock += PROGRESS_INTERVAL_MS / 2;
+        media.fire('timeupdate');
+        clock += PROGRESS_INTERVAL_MS;
+        media.currentTime = 2;
+        media.fire('timeupdate');
+
+        expect(calls('OnPlaybackProgress')).toEqual([
+            ['OnPlaybackProgress', 1, 180],
+            ['OnPlaybackProgress', 2, 180]
+        ]);
+    });
+
+    it('should send progress straight away after a seek', () => {
+        media.fire('timeupdate');
+        media.currentTime = 60;
+        media.fire('seeked');
+
+        expect(calls('OnPlaybackProgress').at(-1)).toEqual(['OnPlaybackProgress', 60, 0]);
+    });
+
+    it('should report buffering only when it changes', () => {
+        media.fire('waiting');
+        media.fire('stalled');
+        media.fire('playing');
+        media.fire('canplay');
+
+        expect(calls('OnBuffering')).toEqual([['OnBuffering', true], ['OnBuffering', false]]);
+    });
+
+    it('should report media errors with their kind', () => {
+        media.error = { code: 3, message: 'PIPELINE_ERROR_DECODE' };
+        media.fire('error');
+
+        expect(calls('OnPlaybackError')).toEqual([['OnPlaybackError', 'decode', 'PIPELINE_ERROR_DECODE']]);
+    });
+
+    it('should report a blocked autoplay instead of an error', async () => {
+        media.play.mockRejectedValue(domException('NotAllowedError'));
+
+        expect(await telemetry.play()).toBe(false);
+        expect(calls('OnAutoplayBlocked')).toHaveLength(1);
+        expect(calls('OnPlaybackError')).toHaveLength(0);
+    });
+
+    it('should report audio that the browser holds back', () => {
+        telemetry.reportAutoplayBlocked();
+
+        expect(calls('OnAutoplayBlocked')).toHaveLength(1);
+    });
+
+    it('should ignore play being interrupted by a new source', async () => {
+        media.play.mockRejectedValue(domException('AbortError'));
+
+        expect(await telemetry.play()).toBe(false);
+        expect(dotNetRef.invokeMethodAsync).not.toHaveBeenCalled();
+    });
+
+    it('should report other play failures as playback errors', async () => {
+        media.play.mockRejectedValue(domException('NotSupportedError'));
+
+        await telemetry.play();
+
+        expect(calls('OnPlaybackError')).toEqual([['OnPlaybackError', 'playback', 'NotSupportedError thrown']]);
+    });
+
+    it('should stop reporting once disposed', () => {
+        telemetry.dispose();
+        media.fire('timeupdate');
+        media.fire('waiting');
+
+        expect(dotNetRef.invokeMethodAsync).not.toHaveBeenCalled();
+    });
+
+    it('should work without a .NET reference', async () => {
+        const silent = attachPlaybackTelemetry(media, null, () => clock);
+        media.play.mockRejectedValue(domException('NotAllowedError'));
+
+        expect(await silent.play()).toBe(false);
+        silent.reportError('graphics', 'bad CDG');
+    });
+});
@@ -1,65 +1,238 @@
-// Karaoke player - CDG and audio synchronization
+// Karaoke player - CDG and audio synchronization, plus standalone video playback
 
 import CDGraphics from 'https://cdn.jsdelivr.net/npm/cdgraphics@7.0.0/+esm';
-import { getMp3Data, getCdgData } from './fileAccess.js';
+import {
+    getMp3File,
+    getCdgData,
+    getVideoFile,
+    getLoadedMediaType,
+    getLoadedSongSource,
+    getLibraryIndexId,
+    unloadSong,
+    getSongMemoryUsage,
+    preloadSong as preloadSongFiles
+} from './fileAccess.js';
+import { createObjectUrl, revokeObjectUrl, getObjectUrlUsage, getHeapUsage } from './memoryUsage.js';
+import {
+    getLibraryIndex,
+    getCachedLoudness,
+    saveSongLoudness,
+    getCachedSyncOffset,
+    getLibrarySyncOffset,
+    saveSongSyncOffset,
+    saveLibrarySyncOffset
+} from './libraryIndex.js';
+import { measureLoudnessInBackground, getNormalizationGain } from './loudness.js';
+import {
+    connectMediaElement,
+    disconnectMediaElement,
+    setPitchShift as setEnginePitchShift,
+    setVocalMode as setEngineVocalMode,
+    getVocalMode as getEngineVocalMode,
+    setLatencyCompensation as setEngineLatencyCompensation,
+    setOutputDevice as setEngineOutputDevice,
+    setLoudnessGain,
+    fadeInSong,
+    setSongVolume,
+    getSongVolume,
+    getOutputLatency,
+    createRecordingTap,
+    decodeAudio,
+    isAudioSuspended,
+    resumeAudio
+} from './audioEngine.js';
+import { clampSyncOffset, getGraphicsTime, getSyncOffsetHotkey } from './cdgSync.js';
+import { applyOutputDevice, getSavedOutputDevices, onOutputDevicesChanged } from './audioOutput.js';
+import {
+    enableMicrophone as enableMicrophoneInput,
+    disableMicrophone as disableMicrophoneInput,
+    setMicrophoneGain as setMicrophoneInputGain,
+    setMicrophoneEffect as setMicrophoneInputEffect,
+    getMicrophoneSettings as getMicrophoneInputSettings
+} from './microphone.js';
+import {
+    startFillerMusic as startFillerMusicPlayback,
+    stopFillerMusic as stopFillerMusicPlayback,
+    FILLER_FADE_SECONDS
+} from './fillerMusic.js';
+import {
+    createCdgRenderer,
+    getDisplaySettings,
+    onDisplaySettingsChanged,
+    showBackground,
+    clearBackground
+} from './cdgRenderer.js';
+import { attachPlaybackTelemetry } from './playbackTelemetry.js';
+import { SKIP_SECONDS, clampSeekTime, createCdgTimeline } from './cdgTimeline.js';
+import { getShortcuts, getShortcutAction } from './shortcuts.js';
+import {
+    setMediaSessionMetadata,
+    registerMediaSessionHandlers,
+    updateMediaSessionState
+} from './mediaSession.js';
+import {
+    isRecordingSupported,
+    getRecordingEnabled,
+    setRecordingEnabled as setRecorderEnabled,
+    startRecording,
+    isRecording,
+    finishRecording,
+    getLastRecording as getLastRecorderRecording,
+    downloadLastRecording as downloadLastRecorderRecording,
+    uploadLastRecording,
+    discardLastRecording as discardLastRecorderRecording
+} from './recorder.js';
 
-let cdgPlayer = null;
-let audioElement = null;
-let canvasElement = null;
+let mediaDriver = null;
+let mediaElement = null;
 let animationFrameId = null;
 let dotNetRef = null;
+let playbackRate = 1;
+let stopFollowingOutputDevices = null;
+let songSyncOffset = 0;
+let librarySyncOffset = 0;
+let pendingSyncOffsetSave = null;
+let shortcutsAttached = false;
+let stopMediaSessionHandlers = null;
+let displaySettings = getDisplaySettings();
+let stopFollowingDisplaySettings = null;
+let telemetry = null;
+let renderErrorReported = false;
+let nowPlaying = null;
+
+// Songs too large to decode in memory are played without normalization
+const MAX_LOUDNESS_MEASURE_BYTES = 256 * 1024 * 1024;
+// Time to move to the measured gain when a song is measured while it plays
+const LOUDNESS_GLIDE_SECONDS = 3;
+
+// Hotkeys change the lyrics delay in steps; it is saved once they stop
+const SYNC_OFFSET_SAVE_DELAY_MS = 1000;
+
+// Tempo range offered to singers; browsers keep the pitch well within it
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 1.5;
+
+// Shortcuts that keep going while their key is held down
+const REPEATING_SHORTCUTS = ['volumeUp', 'volumeDown', 'seekBack', 'seekForward'];
+
+// Frame rate of recordings; CDG graphics change far less often than that
+const RECORDING_FRAME_RATE = 30;
 
 export function initializePlayer() {
     return initializePlayerWithCallback(null);
 }
 
-export function initializePlayerWithCallback(dotNetReference) {
+/**
+ * Start playing the loaded song
+ * @param {object|null} dotNetReference - PlayerView reference for the OnSongEnded callback
+ * @param {number} pitchShift - Key change in semitones for this song
+ * @param {number} rate - Tempo for this song (1 = original)
+ */
+export async function initializePlayerWithCallback(dotNetReference, pitchShift = 0, rate = 1) {
     try {
         dotNetRef = dotNetReference;
-        
-        // Get DOM elements
-        audioElement = document.getElementById('audioPlayer');
-        canvasElement = document.getElementById('cdgCanvas');
-        
-        if (!audioElement || !canvasElement) {
-            console.error('Audio or canvas element not found');
-            return;
-        }
 
-        // Get file data from fileAccess module
-        const mp3Data = getMp3Data();
-        const cdgData = getCdgData();
-        
-        if (!mp3Data || !cdgData) {
-            console.error('File data not available');
+        // Release anything left over from the previous song; its recording was offered between songs
+        detachMediaDriver();
+        discardLastRecorderRecording();
+
+        const driver = getLoadedMediaType() === 'video'
+            ? createVideoDriver()
+            : createCdgDriver();
+
+        if (!driver) {
             return;
         }
 
-        // Create blob and object URL for MP3
-        const mp3Blob = new Blob([mp3Data], { type: 'audio/mpeg' });
-        const mp3Url = URL.createObjectURL(mp3Blob);
-
-        // Set audio source
-        audioElement.src = mp3Url;
-        audioElement.load();
+        mediaDriver = driver;
+        mediaElement = driver.mediaElement;
 
-        // Initialize CDG player (pass buffer directly to constructor)
-        cdgPlayer = new CDGraphics(cdgData.buffer);
+        // Loading a new source resets the rate, so it is applied per song
+        setPlaybackRate(rate);
 
         // Set up event listeners
-        audioElement.addEventListener('timeupdate', onTimeUpdate);
-        audioElement.addEventListener('play', onPlay);
-        audioElement.addEventListener('pause', onPause);
-        audioElement.addEventListener('ended', onEnded);
-        audioElement.addEventListener('seeked', onSeeked);
-
-        console.log('Player initialized successfully');
-        
+        mediaElement.addEventListener('timeupdate', onTimeUpdate);
+        mediaElement.addEventListener('play', onPlay);
+        mediaElement.addEventListener('pause', onPause);
+        mediaElement.addEventListener('ended', onEnded);
+        mediaElement.addEventListener('seeked', onSeeked);
+
+        // Progress, load and decode failures, buffering and autoplay refusals go to PlayerView
+        telemetry = attachPlaybackTelemetry(mediaElement, dotNetRef);
+        renderErrorReported = false;
+
+        console.log(`Player initialized successfully (${driver.type})`);
+
+        // Scaling and the venue background are set in the Playlist tab and followed while the player is open
+        displaySettings = getDisplaySettings();
+        if (!stopFollowingDisplaySettings) {
+            stopFollowingDisplaySettings = onDisplaySettingsChanged(applyDisplaySettings);
+        }
+        await applyDisplaySettings(displaySettings);
+        if (mediaDriver !== driver) {
+            return;
+        }
+
         // Draw initial frame
         renderFrame();
-        
-        // Auto-play
-        audioElement.play().catch(err => console.error('Auto-play failed:', err));
+
+        // Route the audio through the key changer before playback starts. Vocal reduction
+        // depends on how each track was mixed, so every song starts with the original mix.
+        setEnginePitchShift(pitchShift);
+        setEngineVocalMode('original');
+        driver.inAudioGraph = await connectMediaElement(driver.mediaElement);
+        if (mediaDriver !== driver) {
+            // Disposed or replaced while the audio graph was loading
+            return;
+        }
+        // The host's volume is a gain in the graph; an element playing on its own is turned down itself
+        mediaElement.volume = driver.inAudioGraph ? 1 : getSongVolume();
+        // Turning recording on or off takes effect from the next song; it starts when the song plays
+        driver.record = getRecordingEnabled() && isRecordingAvailable();
+
+        // The output device is chosen in the Playlist tab and followed while the player is open
+        await setOutputDevice(getSavedOutputDevices().main);
+        if (!stopFollowingOutputDevices) {
+            stopFollowingOutputDevices = onOutputDevicesChanged(devices => setOutputDevice(devices.main));
+        }
+
+        // Songs measured on an earlier play start at the normalized volume; new ones are measured now.
+        // The lyrics delay calibrated for the song and the library comes from the same index.
+        const source = getLoadedSongSource();
+        const index = await getLibraryIndex(getLibraryIndexId(), source ? [source.filePath] : []);
+        if (mediaDriver !== driver) {
+            return;
+        }
+        const loudness = source ? getCachedLoudness(index, source.filePath, source) : null;
+        songSyncOffset = (source && getCachedSyncOffset(index, source.filePath, source)) || 0;
+        librarySyncOffset = getLibrarySyncOffset(index);
+        if (!shortcutsAttached) {
+            document.addEventListener('keydown', onShortcutKey);
+            shortcutsAttached = true;
+        }
+        if (!stopMediaSessionHandlers) {
+            stopMediaSessionHandlers = registerMediaSessionHandlers(getMediaSessionHandlers());
+        }
+
+        setLoudnessGain(getNormalizationGain(loudness));
+        if (loudness === null) {
+            measureSongLoudness(driver, source);
+        }
+
+        // Filler music from the pause screen fades out while the song fades in
+        if (stopFillerMusicPlayback()) {
+            fadeInSong(FILLER_FADE_SECONDS);
+        }
+
+        // Auto-play; if the browser refuses, PlayerView asks for a click and calls resumePlayback.
+        // Not awaited, as play() only settles once enough of the song is buffered.
+        telemetry.play().then(started => {
+            // The element may start while the audio context waits for a gesture; the song would run silently
+            if (started && mediaDriver === driver && driver.inAudioGraph && isAudioSuspended()) {
+                mediaElement.pause();
+                telemetry.reportAutoplayBlocked();
+            }
+        });
 
     } catch (error) {
         console.error('Error initializing player:', error);
@@ -67,9 +240,252 @@ export function initializePlayerWithCallback(dotNetReference) {
     }
 }
 
+/**
+ * Look up the cached loudness of the loaded song
+ * @param {{libraryId: number|null, filePath: string, size: number, lastModified: number}|null} source - Library file of the song
+ * @returns {Promise<number|null>} Loudness in LUFS, or null if not measured yet
+ */
+async function getSongLoudness(source) {
+    if (!source) {
+        return null;
+    }
+    return getCachedLoudness(await getLibraryIndex(source.libraryId, [source.filePath]), source.filePath, source);
+}
+
+/**
+ * Measure the loudness of the playing song, apply it and cache it in the library index
+ * Runs alongside playback; the gain glides to the normalized level once the song is measured.
+ * @param {object} driver - Media driver of the song
+ * @param {{libraryId: number|null, filePath: string, size: number, lastModified: number}|null} source - Library file of the song
+ */
+async function measureSongLoudness(driver, source) {
+    try {
+        const loudness = await measureAndCacheLoudness(
+            driver.type === 'video' ? getVideoFile() : getMp3File(), source);
+
+        if (loudness !== null && mediaDriver === driver) {
+            setLoudnessGain(getNormalizationGain(loudness), LOUDNESS_GLIDE_SECONDS);
+        }
+    } catch (error) {
+        console.warn('Could not measure song loudness, playing without normalization:', error);
+    }
+}
+
+/**
+ * Decode a song's audio, measure its loudness in the loudness worker and cache it in the library index
+ * @param {Blob|null} media - MP3 or video file
+ * @param {{libraryId: number|null, filePath: string, size: number, lastModified: number}|null} source - Library file of the song
+ * @returns {Promise<number|null>} Loudness in LUFS, or null if it could not be measured
+ */
+async function measureAndCacheLoudness(media, source) {
+    if (!media || media.size > MAX_LOUDNESS_MEASURE_BYTES) {
+        return null;
+    }
+
+    // Read into a buffer of its own that is released after decoding
+    const audio = await decodeAudio(await media.arrayBuffer());
+    const loudness = audio ? await measureLoudnessInBackground(audio.channels, audio.sampleRate) : null;
+    if (loudness !== null && source) {
+        await saveSongLoudness(source.libraryId, source.filePath, source, loudness);
+    }
+    return loudness;
+}
+
+/**
+ * Read and decode the next queued song while the current one plays
+ * Its files are kept in memory and its loudness is measured, so it starts at once and at the
+ * normalized volume when it comes up.
+ * @param {object|null} song - Next song in the queue
+ * @returns {Promise<boolean>} True if the song is ready
+ */
+export async function preloadSong(song) {
+    const preloaded = await preloadSongFiles(song);
+    if (!preloaded) {
+        return false;
+    }
+
+    try {
+        if (await getSongLoudness(preloaded.source) === null) {
+            await measureAndCacheLoudness(preloaded.mediaType === 'video' ? preloaded.videoFile : preloaded.mp3File,
+                preloaded.source);
+        }
+    } catch (error) {
+        // The song still starts instantly; it is measured again when it plays
+        console.warn('Could not measure the loudness of the next song:', error);
+    }
+    return true;
+}
+
+/**
+ * Start the pause screen's filler music, if the host enabled it
+ * @returns {Promise<boolean>} True if filler music is playing
+ */
+export function startFillerMusic() {
+    return startFillerMusicPlayback();
+}
+
+/**
+ * Fade out the filler music
+ * @returns {boolean} True if filler music was playing
+ */
+export function stopFillerMusic() {
+    return stopFillerMusicPlayback();
+}
+
+/**
+ * Media driver for MP3 audio + CDG graphics drawn on the canvas
+ * @returns {object|null} Driver, or null if elements or data are missing
+ */
+function createCdgDriver() {
+    // Get DOM elements
+    const audioElement = document.getElementById('audioPlayer');
+    const canvasElement = document.getElementById('cdgCanvas');
+
+    if (!audioElement || !canvasElement) {
+        console.error('Audio or canvas element not found');
+        return null;
+    }
+
+    // Get file data from fileAccess module
+    const mp3File = getMp3File();
+    const cdgData = getCdgData();
+
+    if (!mp3File || !cdgData) {
+        console.error('File data not available');
+        return null;
+    }
+
+    // Stream the MP3 straight from its File; revoked when the song is disposed
+    const mp3Url = createObjectUrl(mp3File);
+
+    // Set audio source
+    audioElement.src = mp3Url;
+    audioElement.load();
+
+    // Initialize CDG player (pass buffer directly to constructor); rebuilt from the start on seeks
+    const timeline = createCdgTimeline(() => new CDGraphics(cdgData.buffer));
+    const renderer = createCdgRenderer(canvasElement, displaySettings.scaling);
+    let drawnTransparent = null;
+
+    setElementVisible(canvasElement, true);
+    setElementVisible(document.getElementById('videoPlayer'), false);
+
+    return {
+        type: 'cdg',
+        mediaElement: audioElement,
+        renderer,
+        render() {
+            // Render the CDG frame for the audio's media time, which already accounts for the playback
+            // rate, moved by the lyrics delay and the time the audio takes to reach the speakers
+            const time = getGraphicsTime(audioElement.currentTime, songSyncOffset + librarySyncOffset, getOutputLatency());
+
+            // With a venue background the CDG background color is keyed out so it shows through
+            const transparent = renderer.isTransparent();
+            const frame = timeline.render(time, {
+                forceKey: transparent
+            });
+
+            // Draw the frame if it changed, or if the background was switched since the last one
+            if (frame && frame.imageData && (frame.isChanged || drawnTransparent !== transparent)) {
+                renderer.draw(frame);
+                drawnTransparent = transparent;
+            }
+        },
+        seek() {
+            // Replayed from the start, so the new time is drawn even while paused
+            timeline.rebuild();
+        },
+        captureStream() {
+            return canvasElement.captureStream(RECORDING_FRAME_RATE);
+        },
+        dispose() {
+            audioElement.pause();
+            audioElement.removeAttribute('src');
+            audioElement.load();
+            revokeObjectUrl(mp3Url);
+            renderer.dispose();
+        }
+    };
+}
+
+/**
+ * Media driver for MP4/WebM karaoke videos played through the video element
+ * @returns {object|null} Driver, or null if the element or file is missing
+ */
+function createVideoDriver() {
+    const videoElement = document.getElementById('videoPlayer');
+
+    if (!videoElement) {
+        console.error('Video element not found');
+        return null;
+    }
+
+    const file = getVideoFile();
+    if (!file) {
+        console.error('Video file not available');
+        return null;
+    }
+
+    const videoUrl = createObjectUrl(file);
+    videoElement.src = videoUrl;
+    videoElement.load();
+
+    setElementVisible(videoElement, true);
+    setElementVisible(document.getElementById('cdgCanvas'), false);
+    setElementVisible(document.getElementById('cdgBackground'), false);
+
+    return {
+        type: 'video',
+        mediaElement: videoElement,
+        render() {
+            // The browser draws video frames itself
+        },
+        seek() {
+        },
+        captureStream() {
+            return captureMediaElement(videoElement);
+        },
+        dispose() {
+            videoElement.pause();
+            videoElement.removeAttribute('src');
+            videoElement.load();
+            revokeObjectUrl(videoUrl);
+            setElementVisible(videoElement, false);
+        }
+    };
+}
+
+/**
+ * Apply the scaling and background chosen for this computer to the playing song
+ * Video songs bring their own picture, so the background is only shown behind CDG graphics.
+ * @param {{scaling: string, background: string}} settings
+ */
+async function applyDisplaySettings(settings) {
+    displaySettings = settings;
+    const renderer = mediaDriver && mediaDriver.renderer;
+    if (!renderer) {
+        return;
+    }
+
+    renderer.setScaling(settings.scaling);
+    const container = document.getElementById('cdgBackground');
+    const shown = await showBackground(container, settings.background);
+    if (mediaDriver && mediaDriver.renderer === renderer) {
+        setElementVisible(container, shown);
+        renderer.setTransparent(shown);
+        renderFrame();
+    }
+}
+
+function setElementVisible(element, visible) {
+    if (element) {
+        element.style.display = visible ? '' : 'none';
+    }
+}
+
 function onTimeUpdate() {
-    if (audioElement && cdgPlayer) {
-        // Render frame based on current audio time
+    if (mediaDriver) {
+        // Render frame based on current media time
         renderFrame();
     }
 }
@@ -77,17 +493,24 @@ function onTimeUpdate() {
 function onPlay() {
     console.log('Playback started');
     startAnimation();
+    updateMediaSessionState(mediaElement);
+
+    if (mediaDriver && mediaDriver.record && !mediaDriver.recordingStarted) {
+        startSongRecording(mediaDriver);
+    }
 }
 
 function onPause() {
     console.log('Playback paused');
     stopAnimation();
+    updateMediaSessionState(mediaElement);
 }
 
 function onEnded() {
     console.log('Playback ended');
     stopAnimation();
-    
+    finishSongRecording();
+
     // Call .NET callback if available
     if (dotNetRef) {
         dotNetRef.invokeMethodAsync('OnSongEnded')
@@ -96,8 +519,9 @@ function onEnded() {
 }
 
 function onSeeked() {
-    console.log('Seeked to:', audioElement.currentTime);
+    console.log('Seeked to:', mediaElement.currentTime);
     renderFrame();
+    updateMediaSessionState(mediaElement);
 }
 
 function startAnimation() {
@@ -118,65 +542,580 @@ function animate() {
     animationFrameId = requestAnimationFrame(animate);
 }
 
-function renderFrame() {
-    if (!cdgPlayer || !canvasElement || !audioElement) {
-        return;
-    }
+/**
+ * Check if this browser can record the screen and sound of a song
+ * @returns {boolean}
+ */
+function isRecordingAvailable() {
+    return isRecordingSupported()
+        && typeof HTMLCanvasElement !== 'undefined'
+        && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+}
+
+/**
+ * Capture what a media element plays
+ * Firefox's prefixed mozCaptureStream takes the sound away from the speakers, so it is not used;
+ * video songs are then not recorded there.
+ * @param {HTMLMediaElement} element
+ * @returns {MediaStream|null}
+ */
+function captureMediaElement(element) {
+    return typeof element.captureStream === 'function' ? element.captureStream() : null;
+}
+
+/**
+ * Record the song's picture with what the room hears
+ * The sound comes from the output bus, so the microphones are on the recording. A song playing
+ * outside the audio graph is recorded from its element, without them.
+ * @param {object} driver - Media driver of the song
+ */
+function startSongRecording(driver) {
+    driver.recordingStarted = true;
 
     try {
-        const context = canvasElement.getContext('2d');
-        const currentTime = audioElement.currentTime;
+        const picture = driver.captureStream();
+        if (!picture) {
+            return;
+        }
 
-        // Render CDG frame for current time
-        const frame = cdgPlayer.render(currentTime, {
-            forceKey: false
-        });
+        const tap = driver.inAudioGraph ? createRecordingTap() : null;
+        const sound = tap ? tap.stream : captureMediaElement(driver.mediaElement);
+        const tracks = [...picture.getVideoTracks(), ...(sound ? sound.getAudioTracks() : [])];
 
-        // Draw the frame if it changed
-        if (frame && frame.isChanged && frame.imageData) {
-            // CDG standard size is 300x216
-            context.putImageData(frame.imageData, 0, 0);
+        if (startRecording(tracks, nowPlaying, tap ? tap.release : null) && dotNetRef) {
+            dotNetRef.invokeMethodAsync('OnRecordingChanged', true)
+                .catch(err => console.error('Error calling OnRecordingChanged:', err));
         }
+    } catch (error) {
+        console.warn('Could not record the song:', error);
+    }
+}
+
+/**
+ * Stop recording the song; NextSongView offers the file afterwards
+ */
+function finishSongRecording() {
+    if (!isRecording()) {
+        return;
+    }
+
+    finishRecording();
+    if (dotNetRef) {
+        dotNetRef.invokeMethodAsync('OnRecordingChanged', false)
+            .catch(err => console.error('Error calling OnRecordingChanged:', err));
+    }
+}
+
+function renderFrame() {
+    if (!mediaDriver) {
+        return;
+    }
+
+    try {
+        mediaDriver.render();
     } catch (error) {
         console.error('Error rendering frame:', error);
+        // Reported once per song; the audio keeps playing
+        if (telemetry && !renderErrorReported) {
+            renderErrorReported = true;
+            telemetry.reportError('graphics', error.message || String(error));
+        }
     }
 }
 
-export function dispose() {
+function detachMediaDriver() {
     stopAnimation();
-    
-    if (audioElement) {
-        audioElement.removeEventListener('timeupdate', onTimeUpdate);
-        audioElement.removeEventListener('play', onPlay);
-        audioElement.removeEventListener('pause', onPause);
-        audioElement.removeEventListener('ended', onEnded);
-        audioElement.removeEventListener('seeked', onSeeked);
-        audioElement.pause();
-        audioElement.src = '';
-    }
-
-    cdgPlayer = null;
-    audioElement = null;
-    canvasElement = null;
+    // Not awaited; each index write is one transaction, so the next song's writes keep this one
+    flushSyncOffsetSave();
+    // A song that is skipped or stopped keeps what was recorded of it
+    finishSongRecording();
+    disconnectMediaElement();
+
+    if (mediaElement) {
+        mediaElement.removeEventListener('timeupdate', onTimeUpdate);
+        mediaElement.removeEventListener('play', onPlay);
+        mediaElement.removeEventListener('pause', onPause);
+        mediaElement.removeEventListener('ended', onEnded);
+        mediaElement.removeEventListener('seeked', onSeeked);
+    }
+
+    if (telemetry) {
+        telemetry.dispose();
+        telemetry = null;
+    }
+
+    if (mediaDriver) {
+        mediaDriver.dispose();
+    }
+
+    mediaDriver = null;
+    mediaElement = null;
+}
+
+export function dispose() {
+    detachMediaDriver();
+    unloadSong();
     dotNetRef = null;
+
+    if (stopFollowingOutputDevices) {
+        stopFollowingOutputDevices();
+        stopFollowingOutputDevices = null;
+    }
+
+    if (stopFollowingDisplaySettings) {
+        stopFollowingDisplaySettings();
+        stopFollowingDisplaySettings = null;
+    }
+    clearBackground(document.getElementById('cdgBackground'));
+
+    if (shortcutsAttached) {
+        document.removeEventListener('keydown', onShortcutKey);
+        shortcutsAttached = false;
+    }
+
+    if (stopMediaSessionHandlers) {
+        stopMediaSessionHandlers();
+        stopMediaSessionHandlers = null;
+    }
+    setMediaSessionMetadata(null);
+}
+
+/**
+ * Delay the lyrics of the playing song against its audio; saved with the song in the library index
+ * @param {number} milliseconds - Positive shows the graphics later (for rips whose graphics run ahead)
+ * @returns {{songMs: number, libraryMs: number, outputLatencyMs: number}} The delays now in effect
+ */
+export function setSongSyncOffset(milliseconds) {
+    songSyncOffset = clampSyncOffset(milliseconds);
+    scheduleSyncOffsetSave('song');
+    renderFrame();
+    return getSyncOffsets();
+}
+
+/**
+ * Delay the lyrics of every song in the library against the audio
+ * @param {number} milliseconds - Positive shows the graphics later
+ * @returns {{songMs: number, libraryMs: number, outputLatencyMs: number}} The delays now in effect
+ */
+export function setLibrarySyncOffset(milliseconds) {
+    librarySyncOffset = clampSyncOffset(milliseconds);
+    scheduleSyncOffsetSave('library');
+    renderFrame();
+    return getSyncOffsets();
+}
+
+/**
+ * Get the lyrics delays of the playing song
+ * @returns {{songMs: number, libraryMs: number, outputLatencyMs: number}} Output latency is measured,
+ *          the other two are calibrated
+ */
+export function getSyncOffsets() {
+    return {
+        songMs: songSyncOffset,
+        libraryMs: librarySyncOffset,
+        outputLatencyMs: Math.round(getOutputLatency() * 1000)
+    };
+}
+
+/**
+ * Handle a key from the shortcut map
+ * Lyrics delay and seek keys are handled here; the other actions go to PlayerView,
+ * which runs them like its buttons.
+ * @param {KeyboardEvent} event
+ */
+function onShortcutKey(event) {
+    const shortcuts = getShortcuts();
+    const hotkey = getSyncOffsetHotkey(event, shortcuts);
+    if (hotkey) {
+        onSyncHotkey(event, hotkey);
+        return;
+    }
+
+    const action = getShortcutAction(event, shortcuts);
+    if (!action || !mediaDriver) {
+        return;
+    }
+
+    // Space would otherwise also click the focused button or scroll
+    event.preventDefault();
+    // Holding a key down repeats volume changes and seeks, but must not skip song after song
+    if (event.repeat && !REPEATING_SHORTCUTS.includes(action)) {
+        return;
+    }
+    if (action === 'seekBack' || action === 'seekForward') {
+        skipBy(action === 'seekBack' ? -SKIP_SECONDS : SKIP_SECONDS);
+        return;
+    }
+    invokeShortcut(action);
+}
+
+/**
+ * Adjust the lyrics delay while a CDG song plays, and tell PlayerView
+ * @param {KeyboardEvent} event
+ * @param {{scope: string, delta?: number, reset?: boolean}} hotkey - From getSyncOffsetHotkey
+ */
+function onSyncHotkey(event, hotkey) {
+    if (!mediaDriver || mediaDriver.type !== 'cdg') {
+        return;
+    }
+
+    event.preventDefault();
+    const offsets = hotkey.scope === 'library'
+        ? setLibrarySyncOffset(librarySyncOffset + hotkey.delta)
+        : setSongSyncOffset(hotkey.reset ? 0 : songSyncOffset + hotkey.delta);
+
+    if (dotNetRef) {
+        dotNetRef.invokeMethodAsync('OnSyncOffsetChanged', offsets.songMs, offsets.libraryMs)
+            .catch(err => console.error('Error calling OnSyncOffsetChanged:', err));
+    }
+}
+
+function invokeShortcut(action) {
+    if (dotNetRef) {
+        dotNetRef.invokeMethodAsync('OnShortcut', action)
+            .catch(err => console.error('Error calling OnShortcut:', err));
+    }
+}
+
+/**
+ * Media keys and remote buttons
+ * Play, pause, next and previous go to PlayerView so its controls stay in step; seeking is done here.
+ * @returns {Object<string, function(MediaSessionActionDetails): void>}
+ */
+function getMediaSessionHandlers() {
+    return {
+        play: () => invokeShortcut('play'),
+        pause: () => invokeShortcut('pause'),
+        nexttrack: () => invokeShortcut('skip'),
+        previoustrack: () => invokeShortcut('restart'),
+        seekbackward: details => skipBy(-(details.seekOffset || SKIP_SECONDS)),
+        seekforward: details => skipBy(details.seekOffset || SKIP_SECONDS),
+        seekto: details => seekTo(details.seekTime)
+    };
+}
+
+/**
+ * Show the playing song on media overlays, lock screens and remotes with a display
+ * @param {{artist: string, title: string, addedBySinger?: string, coverArt?: string}} song
+ */
+export function setNowPlaying(song) {
+    // Recordings are named after the singer and the song
+    nowPlaying = song ? { singer: song.addedBySinger, artist: song.artist, title: song.title } : null;
+    setMediaSessionMetadata(song ? {
+        title: song.title,
+        artist: song.artist,
+        singer: song.addedBySinger,
+        artwork: song.coverArt
+    } : null);
+}
+
+/**
+ * Save a lyrics delay once the host stops adjusting it
+ * @param {'song'|'library'} scope
+ */
+function scheduleSyncOffsetSave(scope) {
+    const pending = pendingSyncOffsetSave || { source: getLoadedSongSource(), scopes: new Set(), timer: null };
+    clearTimeout(pending.timer);
+    pending.scopes.add(scope);
+    pending.timer = setTimeout(flushSyncOffsetSave, SYNC_OFFSET_SAVE_DELAY_MS);
+    pendingSyncOffsetSave = pending;
+}
+
+/**
+ * Save pending lyrics delays now, before the song they belong to is replaced
+ */
+async function flushSyncOffsetSave() {
+    const pending = pendingSyncOffsetSave;
+    if (!pending) {
+        return;
+    }
+
+    pendingSyncOffsetSave = null;
+    clearTimeout(pending.timer);
+    const songMs = songSyncOffset;
+    const libraryMs = librarySyncOffset;
+    try {
+        if (pending.scopes.has('song') && pending.source) {
+            await saveSongSyncOffset(pending.source.libraryId, pending.source.filePath, pending.source, songMs);
+        }
+        if (pending.scopes.has('library')) {
+            await saveLibrarySyncOffset(getLibraryIndexId(), libraryMs);
+        }
+    } catch (error) {
+        console.warn('Could not save the lyrics delay:', error);
+    }
+}
+
+/**
+ * Report what the player holds in memory, to check that long sessions do not grow
+ * @returns {{objectUrls: {count: number, inMemoryBytes: number}, songData: {loadedBytes: number, preloadedBytes: number}, heap: object|null}}
+ *          Heap is null where the browser does not report it
+ */
+export function getMemoryUsage() {
+    return {
+        objectUrls: getObjectUrlUsage(),
+        songData: getSongMemoryUsage(),
+        heap: getHeapUsage()
+    };
 }
 
 export function pausePlayback() {
-    if (audioElement) {
-        audioElement.pause();
+    if (mediaElement) {
+        mediaElement.pause();
+    }
+}
+
+/**
+ * Continue playback; also starts a song whose autoplay was blocked, as it runs from a click
+ * @returns {Promise<boolean>} True if playback started
+ */
+export async function resumePlayback() {
+    if (!telemetry) {
+        return false;
+    }
+    resumeAudio();
+    return await telemetry.play();
+}
+
+/**
+ * Play the song again from the start
+ * @returns {Promise<boolean>} True if playback started
+ */
+export async function restartSong() {
+    if (!mediaElement || !telemetry) {
+        return false;
+    }
+    seekTo(0);
+    return await telemetry.play();
+}
+
+/**
+ * Move the playing song to a time
+ * The CDG screen is rebuilt for the new time straight away, so it is right even while paused.
+ * @param {number} seconds - Limited to the song's length
+ * @returns {number} The time now set, 0 if no song is playing
+ */
+export function seekTo(seconds) {
+    if (!mediaElement) {
+        return 0;
+    }
+    const time = clampSeekTime(seconds, mediaElement.duration);
+    if (time === null) {
+        return mediaElement.currentTime;
+    }
+
+    mediaDriver.seek();
+    mediaElement.currentTime = time;
+    renderFrame();
+    return time;
+}
+
+/**
+ * Skip back or forward in the playing song
+ * @param {number} seconds - Negative to go back, e.g. -10
+ * @returns {number} The time now set
+ */
+export function skipBy(seconds) {
+    if (!mediaElement) {
+        return 0;
+    }
+    return seekTo(mediaElement.currentTime + (Number(seconds) || 0));
+}
+
+/**
+ * Turn the song up or down; kept for the following songs
+ * @param {number} delta - Change, e.g. 0.1 for 10 %
+ * @returns {number} The volume that is now set (0 to 1)
+ */
+export function changeVolume(delta) {
+    const volume = setSongVolume(getSongVolume() + (Number(delta) || 0));
+    if (mediaDriver && !mediaDriver.inAudioGraph) {
+        mediaElement.volume = volume;
+    }
+    return volume;
+}
+
+/**
+ * Change the key of the playing song without changing its tempo
+ * @param {number} semitones - Key change, limited to ±6 semitones
+ * @returns {number} The key change that is now set
+ */
+export function setPitchShift(semitones) {
+    return setEnginePitchShift(semitones);
+}
+
+/**
+ * Switch vocal reduction or guide-vocal channel while the song plays
+ * @param {string} mode - "original", "reduce" (center-channel cancellation), "left" or "right"
+ * @returns {string} The mode that is now set
+ */
+export function setVocalMode(mode) {
+    return setEngineVocalMode(mode);
+}
+
+/**
+ * Get the vocal mode of the playing song
+ * @returns {string}
+ */
+export function getVocalMode() {
+    return getEngineVocalMode();
+}
+
+/**
+ * Play the song (and the microphone) on a chosen output device
+ * Both the Web Audio graph and the media element are switched, as the element plays on its
+ * own when the graph is unavailable.
+ * @param {string} deviceId - Output device, empty for the system default
+ * @returns {Promise<boolean>} False if the device could not be selected
+ */
+export async function setOutputDevice(deviceId) {
+    const switched = await setEngineOutputDevice(deviceId);
+    if (mediaElement) {
+        await applyOutputDevice(mediaElement, deviceId);
     }
+    return switched;
+}
+
+/**
+ * Open the microphone and mix it with the song; it stays on across songs
+ * @returns {Promise<{enabled: boolean, error: string|null}>}
+ */
+export function enableMicrophone() {
+    return enableMicrophoneInput();
+}
+
+/**
+ * Switch the microphone off
+ */
+export function disableMicrophone() {
+    disableMicrophoneInput();
+}
+
+/**
+ * Set the microphone volume
+ * @param {number} gain - 0 to 2, 1 = unchanged
+ * @returns {number} The gain that is now set
+ */
+export function setMicrophoneGain(gain) {
+    return setMicrophoneInputGain(gain);
+}
+
+/**
+ * Choose the microphone echo/reverb preset
+ * @param {string} effect - "none", "room", "hall", "slapback" or "echo"
+ * @returns {string} The effect that is now set
+ */
+export function setMicrophoneEffect(effect) {
+    return setMicrophoneInputEffect(effect);
+}
+
+/**
+ * Delay the backing track to line it up with the microphone
+ * @param {number} milliseconds - 0 to 500
+ * @returns {number} The delay that is now set
+ */
+export function setLatencyCompensation(milliseconds) {
+    return setEngineLatencyCompensation(milliseconds);
+}
+
+/**
+ * Get the microphone settings, to show them on the player page
+ * @returns {{enabled: boolean, gain: number, effect: string, latencyMs: number}}
+ */
+export function getMicrophoneSettings() {
+    return getMicrophoneInputSettings();
 }
 
-export function resumePlayback() {
-    if (audioElement) {
-        audioElement.play().catch(err => console.error('Resume failed:', err));
+/**
+ * Get the recording setting, to show it on the player page
+ * @returns {{supported: boolean, enabled: boolean, recording: boolean}}
+ */
+export function getRecordingSettings() {
+    return {
+        supported: isRecordingAvailable(),
+        enabled: getRecordingEnabled(),
+        recording: isRecording()
+    };
+}
+
+/**
+ * Turn recording of performances on or off, from the next song
+ * @param {boolean} enabled
+ * @returns {boolean} The setting that is now saved
+ */
+export function setRecordingEnabled(enabled) {
+    return setRecorderEnabled(enabled);
+}
+
+/**
+ * Get the recording of the last song, to offer it on the next song screen
+ * @returns {Promise<{fileName: string, size: number, singer: string, artist: string, title: string, shareUrl: string|null}|null>}
+ */
+export function getLastRecording() {
+    return getLastRecorderRecording();
+}
+
+/**
+ * Save the recording of the last song through the browser's download
+ * @returns {boolean} False if there is no recording
+ */
+export function downloadLastRecording() {
+    return downloadLastRecorderRecording();
+}
+
+/**
+ * Upload the recording of the last song for a QR-code download on the singer's phone
+ * @param {string} sessionId - Karaoke session
+ * @param {string|null} linkToken - Link token the backend gave the session
+ * @returns {Promise<{url: string|null, error: string|null}>}
+ */
+export function shareLastRecording(sessionId, linkToken) {
+    return uploadLastRecording(sessionId, linkToken);
+}
+
+/**
+ * Throw the recording of the last song away
+ */
+export function discardLastRecording() {
+    discardLastRecorderRecording();
+}
+
+/**
+ * Change the tempo of the playing song without changing its key
+ * CDG frames are drawn for the element's currentTime, which is media time, so the graphics
+ * follow the slower or faster audio and stay aligned with it.
+ * @param {number} rate - Playback rate, 1 for the original tempo (limited to 0.5 - 1.5)
+ * @returns {number} The rate that is now set
+ */
+export function setPlaybackRate(rate) {
+    const value = Number(rate) || 1;
+    playbackRate = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, value));
+
+    if (mediaElement) {
+        mediaElement.preservesPitch = true;
+        // Older Safari and Firefox builds only know the prefixed names
+        mediaElement.webkitPreservesPitch = true;
+        mediaElement.mozPreservesPitch = true;
+        mediaElement.defaultPlaybackRate = playbackRate;
+        mediaElement.playbackRate = playbackRate;
+        updateMediaSessionState(mediaElement);
     }
+
+    return playbackRate;
+}
+
+/**
+ * Get the tempo of the playing song
+ * @returns {number} Playback rate
+ */
+export function getPlaybackRate() {
+    return playbackRate;
 }
 
 export function stopPlayback() {
-    if (audioElement) {
-        audioElement.pause();
-        audioElement.currentTime = 0;
+    if (mediaElement) {
+        mediaElement.pause();
+        seekTo(0);
     }
     stopAnimation();
 }
@@ -11,7 +11,7 @@ export function registerScanProgressCallback(dotNetRef) {
         try {
             const detail = e && e.detail ? e.detail : { scanned: 0 };
             // Call .NET method
-            dotNetRef.invokeMethodAsync('OnScanProgress', detail.scanned, !!detail.complete).catch(console.error);
+            dotNetRef.invokeMethodAsync('OnScanProgress', detail.scanned, !!detail.complete, detail.total || 0, detail.folder || '').catch(console.error);
         } catch (err) {
             console.error('Failed to invoke dotnet scan progress callback', err);
         }
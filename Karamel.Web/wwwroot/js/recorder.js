@@ -0,0 +1,315 @@
+// Performance recording
+// Records the CDG screen (or music video) together with what the room hears, the backing track
+// and the microphones, into one WebM file per song. The last recording is kept in memory until
+// the next one starts, so NextSongView can offer it for download or upload it for a QR-code
+// handoff to the singer's phone.
+
+import { createObjectUrl, revokeObjectUrl } from './memoryUsage.js';
+
+const RECORDING_KEY = 'karamel-recording';
+
+/**
+ * Backend endpoint that keeps uploaded recordings for the QR-code handoff
+ */
+export const RECORDINGS_API = '/api/recordings';
+
+// Preferred first; VP9 is smaller for the flat colours of CDG graphics
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+// Collect data every second, so a crashed tab loses at most that much of a stopped recording
+const TIMESLICE_MS = 1000;
+// Browsers start the download asynchronously, so the object URL is kept a little while
+const DOWNLOAD_URL_LIFETIME_MS = 60000;
+const DEFAULT_FILE_NAME = 'Karaoke performance';
+const MAX_FILE_NAME_LENGTH = 150;
+
+let current = null;
+let finishing = null;
+let last = null;
+
+/**
+ * Check if the browser can record a media stream
+ * @returns {boolean}
+ */
+export function isRecordingSupported() {
+    return typeof MediaRecorder !== 'undefined' && typeof MediaStream !== 'undefined';
+}
+
+/**
+ * Check if the host wants performances recorded on this computer
+ * @returns {boolean}
+ */
+export function getRecordingEnabled() {
+    try {
+        return localStorage.getItem(RECORDING_KEY) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Turn recording on or off; it takes effect from the next song
+ * @param {boolean} enabled
+ * @returns {boolean} The saved setting
+ */
+export function setRecordingEnabled(enabled) {
+    const value = enabled === true;
+    try {
+        localStorage.setItem(RECORDING_KEY, String(value));
+    } catch (error) {
+        console.warn('Failed to save the recording setting:', error);
+    }
+    return value;
+}
+
+/**
+ * Name the file after the singer and the song
+ * @param {{singer?: string, artist?: string, title?: string}|null} song
+ * @returns {string} e.g. "Alice - Queen - Bohemian Rhapsody.webm"
+ */
+export function getRecordingFileName(song) {
+    const parts = [song?.singer, song?.artist, song?.title]
+        .map(part => (typeof part === 'string' ? part : '')
+            .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+            .trim())
+        .filter(part => part);
+
+    const name = (parts.join(' - ') || DEFAULT_FILE_NAME).slice(0, MAX_FILE_NAME_LENGTH).trim();
+    return `${name}.webm`;
+}
+
+/**
+ * Pick the best WebM format the browser records
+ * @param {function(string): boolean} [isTypeSupported] - Defaults to MediaRecorder.isTypeSupported
+ * @returns {string} MIME type, or empty to let the browser choose
+ */
+export function pickRecordingMimeType(isTypeSupported = type => MediaRecorder.isTypeSupported(type)) {
+    return MIME_TYPES.find(type => {
+        try {
+            return isTypeSupported(type);
+        } catch (error) {
+            return false;
+        }
+    }) || '';
+}
+
+/**
+ * Start recording a song
+ * The previous recording is discarded. The tracks are stopped when the recording finishes.
+ * @param {MediaStreamTrack[]} tracks - Video track of the screen and audio track of the mix
+ * @param {{singer?: string, artist?: string, title?: string}|null} song - For the file name
+ * @param {function(): void} [release] - Called when the recording finishes, e.g. to remove an audio tap
+ * @returns {boolean} True if recording started
+ */
+export function startRecording(tracks, song, release = null) {
+    cancelRecording();
+    discardLastRecording();
+
+    if (!isRecordingSupported() || !tracks || tracks.length === 0) {
+        release?.();
+        return false;
+    }
+
+    try {
+        const stream = new MediaStream(tracks);
+        const mimeType = pickRecordingMimeType();
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        const chunks = [];
+        const session = { recorder, stream, song, release, cancelled: false, done: false };
+
+        session.finished = new Promise(resolve => {
+            session.finish = () => {
+                if (session.done) {
+                    return;
+                }
+                session.done = true;
+                stream.getTracks().forEach(track => track.stop());
+                release?.();
+
+                if (!session.cancelled && chunks.length > 0) {
+                    last = {
+                        blob: new Blob(chunks, { type: recorder.mimeType || 'video/webm' }),
+                        fileName: getRecordingFileName(song),
+                        song,
+                        shareUrl: null
+                    };
+                }
+                resolve();
+            };
+        });
+
+        recorder.ondataavailable = event => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        recorder.onstop = () => session.finish();
+        recorder.onerror = event => {
+            console.warn('Recording failed:', event.error || event);
+            stopRecorder(session);
+        };
+
+        recorder.start(TIMESLICE_MS);
+        current = session;
+        return true;
+    } catch (error) {
+        console.warn('Could not start recording:', error);
+        release?.();
+        return false;
+    }
+}
+
+/**
+ * Check if a song is being recorded
+ * @returns {boolean}
+ */
+export function isRecording() {
+    return current !== null;
+}
+
+/**
+ * Stop recording and keep the file
+ * @returns {Promise<object|null>} The recording, as getLastRecording
+ */
+export async function finishRecording() {
+    if (current) {
+        const session = current;
+        current = null;
+        finishing = session;
+        stopRecorder(session);
+        await session.finished;
+        if (finishing === session) {
+            finishing = null;
+        }
+    }
+    return getRecordingInfo();
+}
+
+/**
+ * Stop recording and throw the file away
+ */
+export function cancelRecording() {
+    if (current) {
+        const session = current;
+        current = null;
+        session.cancelled = true;
+        stopRecorder(session);
+    }
+}
+
+/**
+ * Get the last finished recording, waiting for one that is still being finished
+ * @returns {Promise<{fileName: string, size: number, singer: string, artist: string, title: string, shareUrl: string|null}|null>}
+ */
+export async function getLastRecording() {
+    if (finishing) {
+        await finishing.finished;
+    }
+    return getRecordingInfo();
+}
+
+/**
+ * Save the last recording through the browser's download
+ * @returns {boolean} False if there is no recording
+ */
+export function downloadLastRecording() {
+    if (!last) {
+        return false;
+    }
+
+    const url = createObjectUrl(last.blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = last.fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => revokeObjectUrl(url), DOWNLOAD_URL_LIFETIME_MS);
+    return true;
+}
+
+/**
+ * Upload the last recording so the singer can download it from a QR code
+ * Uploaded once; later calls return the same link.
+ * @param {string} sessionId - Karaoke session the recording belongs to
+ * @param {string|null} linkToken - Link token the backend gave the session
+ * @param {function} [fetchImpl] - Defaults to fetch
+ * @returns {Promise<{url: string|null, error: string|null}>}
+ */
+export async function uploadLastRecording(sessionId, linkToken, fetchImpl = fetch) {
+    const recording = last;
+    if (!recording) {
+        return { url: null, error: 'There is no recording to share' };
+    }
+    if (recording.shareUrl) {
+        return { url: recording.shareUrl, error: null };
+    }
+    if (!sessionId || !linkToken) {
+        return { url: null, error: 'Recordings can only be sent when the session is connected to the server' };
+    }
+
+    try {
+        const form = new FormData();
+        form.append('sessionId', sessionId);
+        form.append('file', recording.blob, recording.fileName);
+
+        const response = await fetchImpl(RECORDINGS_API, {
+            method: 'POST',
+            headers: { 'X-Link-Token': linkToken },
+            body: form
+        });
+        if (response.status === 429) {
+            return { url: null, error: 'Too many recordings were sent; try again later' };
+        }
+        if (response.status === 507) {
+            return { url: null, error: 'There is no room left on the server for more recordings' };
+        }
+        if (!response.ok) {
+            return { url: null, error: `Upload failed (${response.status})` };
+        }
+
+        const body = await response.json();
+        recording.shareUrl = new URL(body.downloadUrl, location.origin).href;
+        return { url: recording.shareUrl, error: null };
+    } catch (error) {
+        console.error('Error uploading recording:', error);
+        return { url: null, error: 'Could not upload the recording' };
+    }
+}
+
+/**
+ * Throw the last recording away to free its memory, including one that is still being finished
+ */
+export function discardLastRecording() {
+    last = null;
+    if (finishing) {
+        finishing.cancelled = true;
+    }
+}
+
+function stopRecorder(session) {
+    try {
+        if (session.recorder.state !== 'inactive') {
+            session.recorder.stop();
+            return;
+        }
+    } catch (error) {
+        console.warn('Could not stop recording:', error);
+    }
+    // Already stopped, so onstop will not fire again
+    session.finish();
+}
+
+function getRecordingInfo() {
+    if (!last) {
+        return null;
+    }
+    return {
+        fileName: last.fileName,
+        size: last.blob.size,
+        singer: last.song?.singer || '',
+        artist: last.song?.artist || '',
+        title: last.song?.title || '',
+        shareUrl: last.shareUrl
+    };
+}
@@ -0,0 +1,260 @@
+// Unit tests for recording performances
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    RECORDINGS_API,
+    isRecordingSupported,
+    getRecordingEnabled,
+    setRecordingEnabled,
+    getRecordingFileName,
+    pickRecordingMimeType,
+    startRecording,
+    isRecording,
+    finishRecording,
+    cancelRecording,
+    getLastRecording,
+    downloadLastRecording,
+    uploadLastRecording,
+    discardLastRecording
+} from './recorder.js';
+
+class FakeMediaStream {
+    constructor(tracks) {
+        this.tracks = tracks;
+    }
+
+    getTracks() {
+        return this.tracks;
+    }
+}
+
+class FakeMediaRecorder {
+    static isTypeSupported = vi.fn(type => type === 'video/webm;codecs=vp8,opus');
+    static instances = [];
+
+    constructor(stream, options) {
+        this.stream = stream;
+        this.mimeType = options?.mimeType || '';
+        this.state = 'inactive';
+        FakeMediaRecorder.instances.push(this);
+    }
+
+    start(timeslice) {
+        this.timeslice = timeslice;
+        this.state = 'recording';
+    }
+
+    stop() {
+        this.state = 'inactive';
+        // Browsers deliver the last chunk and the stop event asynchronously
+        queueMicrotask(() => {
+            this.ondataavailable({ data: new Blob(['webm-data']) });
+            this.onstop();
+        });
+    }
+}
+
+function createTrack() {
+    return { stop: vi.fn() };
+}
+
+const song = { singer: 'Alice', artist: 'Queen', title: 'Bohemian Rhapsody' };
+
+describe('getRecordingFileName', () => {
+    it('should name the file after the singer, artist and title', () => {
+        expect(getRecordingFileName(song)).toBe('Alice - Queen - Bohemian Rhapsody.webm');
+    });
+
+    it('should leave out missing parts and characters file systems reject', () => {
+        expect(getRecordingFileName({ artist: 'AC/DC', title: 'T.N.T: Live?' })).toBe('AC_DC - T.N.T_ Live_.webm');
+    });
+
+    it('should fall back to a generic name', () => {
+        expect(getRecordingFileName(null)).toBe('Karaoke performance.webm');
+        expect(getRecordingFileName({ singer: '  ' })).toBe('Karaoke performance.webm');
+    });
+});
+
+describe('pickRecordingMimeType', () => {
+    it('should pick the first WebM format the browser records', () => {
+        expect(pickRecordingMimeType(type => type.includes('vp8'))).toBe('video/webm;codecs=vp8,opus');
+        expect(pickRecordingMimeType(type => type === 'video/webm')).toBe('video/webm');
+    });
+
+    it('should let the browser choose when none is supported', () => {
+        expect(pickRecordingMimeType(() => false)).toBe('');
+        expect(pickRecordingMimeType(() => { throw new Error('not supported'); })).toBe('');
+    });
+});
+
+describe('recording setting', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should be off until the host turns it on', () => {
+        expect(getRecordingEnabled()).toBe(false);
+
+        expect(setRecordingEnabled(true)).toBe(true);
+        expect(getRecordingEnabled()).toBe(true);
+
+        setRecordingEnabled(false);
+        expect(getRecordingEnabled()).toBe(false);
+    });
+});
+
+describe('without MediaRecorder', () => {
+    it('should not record', () => {
+        const release = vi.fn();
+
+        expect(isRecordingSupported()).toBe(false);
+        expect(startRecording([createTrack()], song, release)).toBe(false);
+        expect(release).toHaveBeenCalled();
+    });
+});
+
+describe('with MediaRecorder', () => {
+    beforeEach(() => {
+        FakeMediaRecorder.instances = [];
+        vi.stubGlobal('MediaRecorder', FakeMediaRecorder);
+        vi.stubGlobal('MediaStream', FakeMediaStream);
+        discardLastRecording();
+    });
+
+    afterEach(() => {
+        cancelRecording();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('should record the tracks into a named WebM file', async () => {
+        const tracks = [createTrack(), createTrack()];
+        const release = vi.fn();
+
+        expect(startRecording(tracks, song, release)).toBe(true);
+        expect(isRecording()).toBe(true);
+        const recorder = FakeMediaRecorder.instances[0];
+        expect(recorder.stream.getTracks()).toBe(tracks);
+        expect(recorder.mimeType).toBe('video/webm;codecs=vp8,opus');
+        expect(recorder.timeslice).toBeGreaterThan(0);
+
+        const recording = await finishRecording();
+
+        expect(isRecording()).toBe(false);
+        expect(recording).toEqual({
+            fileName: 'Alice - Queen - Bohemian Rhapsody.webm',
+            size: 9,
+            singer: 'Alice',
+            artist: 'Queen',
+            title: 'Bohemian Rhapsody',
+            shareUrl: null
+        });
+        expect(release).toHaveBeenCalledTimes(1);
+        tracks.forEach(track => expect(track.stop).toHaveBeenCalled());
+    });
+
+    it('should wait for a recording that is still finishing', async () => {
+        startRecording([createTrack()], song);
+        finishRecording();
+
+        expect((await getLastRecording()).fileName).toBe('Alice - Queen - Bohemian Rhapsody.webm');
+    });
+
+    it('should throw away a cancelled recording', async () => {
+        const release = vi.fn();
+        startRecording([createTrack()], song, release);
+
+        cancelRecording();
+        await Promise.resolve();
+
+        expect(await getLastRecording()).toBeNull();
+        expect(release).toHaveBeenCalled();
+    });
+
+    it('should discard a recording that is still finishing', async () => {
+        startRecording([createTrack()], song);
+        finishRecording();
+
+        discardLastRecording();
+
+        expect(await getLastRecording()).toBeNull();
+    });
+
+    it('should discard the previous recording when the next song starts', async () => {
+        startRecording([createTrack()], song);
+        await finishRecording();
+
+        startRecording([createTrack()], { title: 'Next' });
+
+        expect(await getLastRecording()).toBeNull();
+    });
+
+    it('should download the recording under its file name', async () => {
+        vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:recording');
+        const clicked = [];
+        vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            clicked.push({ href: this.href, download: this.download });
+        });
+
+        expect(downloadLastRecording()).toBe(false);
+
+        startRecording([createTrack()], song);
+        await finishRecording();
+
+        expect(downloadLastRecording()).toBe(true);
+        expect(clicked).toEqual([{ href: 'blob:recording', download: 'Alice - Queen - Bohemian Rhapsody.webm' }]);
+    });
+
+    it('should upload the recording once for the session and return its absolute link', async () => {
+        startRecording([createTrack()], song);
+        await finishRecording();
+        const fetchImpl = vi.fn(async () => ({
+            ok: true,
+            status: 201,
+            json: async () => ({ downloadUrl: '/api/recordings/1234' })
+        }));
+
+        const first = await uploadLastRecording('session-1', 'token-1', fetchImpl);
+        const second = await uploadLastRecording('session-1', 'token-1', fetchImpl);
+
+        expect(first).toEqual({ url: `${location.origin}/api/recordings/1234`, error: null });
+        expect(second).toEqual(first);
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+        const [url, init] = fetchImpl.mock.calls[0];
+        expect(url).toBe(RECORDINGS_API);
+        expect(init.method).toBe('POST');
+        expect(init.headers['X-Link-Token']).toBe('token-1');
+        expect(init.body.get('sessionId')).toBe('session-1');
+        expect(init.body.has('file')).toBe(true);
+        expect((await getLastRecording()).shareUrl).toBe(first.url);
+    });
+
+    it('should not upload without the link token of the session', async () => {
+        startRecording([createTrack()], song);
+        await finishRecording();
+        const fetchImpl = vi.fn();
+
+        expect((await uploadLastRecording('session-1', null, fetchImpl)).error)
+            .toBe('Recordings can only be sent when the session is connected to the server');
+        expect(fetchImpl).not.toHaveBeenCalled();
+    });
+
+    it('should report a failed upload', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        startRecording([createTrack()], song);
+        await finishRecording();
+        const upload = status => uploadLastRecording('session-1', 'token-1', async () => ({ ok: false, status }));
+
+        expect(await upload(413)).toEqual({ url: null, error: 'Upload failed (413)' });
+        expect((await upload(429)).error).toBe('Too many recordings were sent; try again later');
+        expect((await upload(507)).error).toBe('There is no room left on the server for more recordings');
+        expect((await uploadLastRecording('session-1', 'token-1', async () => { throw new TypeError('offline'); })).error)
+            .toBe('Could not upload the recording');
+    });
+
+    it('should have nothing to upload without a recording', async () => {
+        const fetchImpl = vi.fn();
+
+        expect((await uploadLastRecording('session-1', 'token-1', fetchImpl)).url).toBeNull();
+        expect(fetchImpl).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,136 @@
+// Library scan diagnostics
+// Describes the files a scan could not turn into songs, and exports them as CSV for cleaning up a collection
+
+/**
+ * Kinds of scan issues, with the explanation shown to the host
+ */
+export const SCAN_ISSUE_TYPES = {
+    orphan_mp3: 'MP3 without a matching CDG file',
+    orphan_cdg: 'CDG without a matching MP3 file',
+    case_mismatch: 'MP3 and CDG names differ only in letter case',
+    empty_file: 'File is empty (0 bytes)',
+    unreadable_folder: 'Folder could not be read',
+    unreadable_file: 'File could not be read',
+    broken_song: 'Song failed to play and was skipped'
+};
+
+/**
+ * @typedef {object} ScanIssue
+ * @property {string} type - One of the SCAN_ISSUE_TYPES keys
+ * @property {string} path - File or folder path relative to the library root
+ * @property {string} detail - Explanation, e.g. the related file or the error message
+ */
+
+/**
+ * Create an empty scan report
+ * @returns {{issues: ScanIssue[], fileCount: number, songCount: number}}
+ */
+export function createScanReport() {
+    return {
+        issues: [],
+        fileCount: 0,
+        songCount: 0
+    };
+}
+
+/**
+ * Record an issue in a scan report
+ * @param {{issues: ScanIssue[]}} report - Report from createScanReport
+ * @param {string} type - One of the SCAN_ISSUE_TYPES keys
+ * @param {string} path - File or folder path relative to the library root
+ * @param {string} [detail] - Explanation (defaults to the description of the type)
+ */
+export function addScanIssue(report, type, path, detail = SCAN_ISSUE_TYPES[type]) {
+    report.issues.push({ type, path, detail });
+}
+
+/**
+ * Sort the issues of a finished report by path, so reports of the same library are comparable
+ * @param {{issues: ScanIssue[]}} report
+ * @returns {{issues: ScanIssue[]}} The same report
+ */
+export function sortScanIssues(report) {
+    report.issues.sort((a, b) => a.path.localeCompare(b.path) || a.type.localeCompare(b.type));
+    return report;
+}
+
+/**
+ * Quote a CSV field (RFC 4180). Text a spreadsheet would read as a formula gets a leading ',
+ * as file names, tags and singer names come from outside the app.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = String(value ?? '');
+    const safeText = /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return `"${safeText.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Format the issues of a scan report as CSV
+ * @param {{issues: ScanIssue[]}} report
+ * @returns {string} CSV text with a header row
+ */
+export function formatScanReportCsv(report) {
+    const rows = [['Type', 'Description', 'Path', 'Detail']];
+    for (const issue of report.issues) {
+        rows.push([issue.type, SCAN_ISSUE_TYPES[issue.type] || '', issue.path, issue.detail]);
+    }
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Download a scan report as a CSV file
+ * @param {{issues: ScanIssue[]}} report
+ * @param {string} [fileName] - Name of the downloaded file
+ */
+export function downloadScanReportCsv(report, fileName = 'karamel-scan-report.csv') {
+    downloadCsv(formatScanReportCsv(report), fileName);
+}
+
+/**
+ * @typedef {object} BrokenSong
+ * @property {string} artist
+ * @property {string} title
+ * @property {string} filePath - The song's primary file relative to the library root
+ * @property {string|null} singer - Who queued the song
+ * @property {string} reason - What went wrong
+ * @property {string} reportedAt - ISO date and time it failed
+ */
+
+/**
+ * Format the songs that failed to play during a session as CSV
+ * @param {BrokenSong[]} songs
+ * @returns {string} CSV text with a header row
+ */
+export function formatBrokenSongsCsv(songs) {
+    const rows = [['Time', 'Artist', 'Title', 'Path', 'Singer', 'Reason']];
+    for (const song of songs) {
+        rows.push([song.reportedAt, song.artist, song.title, song.filePath, song.singer, song.reason]);
+    }
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Download the songs that failed to play as a CSV file, e.g. at the end of the night
+ * @param {BrokenSong[]} songs
+ * @param {string} [fileName] - Name of the downloaded file
+ */
+export function downloadBrokenSongsCsv(songs, fileName = 'karamel-broken-songs.csv') {
+    downloadCsv(formatBrokenSongsCsv(songs), fileName);
+}
+
+function downloadCsv(csv, fileName) {
+    // Byte order mark so spreadsheet apps read non-ASCII song names as UTF-8
+    const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,117 @@
+// Unit tests for library scan diagnostics
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+    SCAN_ISSUE_TYPES,
+    createScanReport,
+    addScanIssue,
+    sortScanIssues,
+    formatScanReportCsv,
+    downloadScanReportCsv,
+    formatBrokenSongsCsv
+} from './scanReport.js';
+
+describe('addScanIssue', () => {
+    it('should use the type description as default detail', () => {
+        const report = createScanReport();
+
+        addScanIssue(report, 'orphan_mp3', 'Rock/Song.mp3');
+        addScanIssue(report, 'unreadable_folder', 'Broken', 'Access denied');
+
+        expect(report.issues).toEqual([
+            { type: 'orphan_mp3', path: 'Rock/Song.mp3', detail: SCAN_ISSUE_TYPES.orphan_mp3 },
+            { type: 'unreadable_folder', path: 'Broken', detail: 'Access denied' }
+        ]);
+    });
+});
+
+describe('sortScanIssues', () => {
+    it('should order issues by path, then type', () => {
+        const report = createScanReport();
+        addScanIssue(report, 'orphan_mp3', 'b.mp3');
+        addScanIssue(report, 'orphan_cdg', 'a.cdg');
+        addScanIssue(report, 'empty_file', 'b.mp3');
+
+        sortScanIssues(report);
+
+        expect(report.issues.map(i => `${i.path}:${i.type}`)).toEqual([
+            'a.cdg:orphan_cdg',
+            'b.mp3:empty_file',
+            'b.mp3:orphan_mp3'
+        ]);
+    });
+});
+
+describe('formatScanReportCsv', () => {
+    it('should write a header row and one row per issue', () => {
+        const report = createScanReport();
+        addScanIssue(report, 'orphan_cdg', 'Pop/Song.cdg');
+
+        const csv = formatScanReportCsv(report);
+
+        expect(csv).toBe(
+            '"Type","Description","Path","Detail"\r\n' +
+            `"orphan_cdg","${SCAN_ISSUE_TYPES.orphan_cdg}","Pop/Song.cdg","${SCAN_ISSUE_TYPES.orphan_cdg}"\r\n`
+        );
+    });
+
+    it('should escape quotes, commas and line breaks', () => {
+        const report = createScanReport();
+        addScanIssue(report, 'unreadable_file', 'Say "Hi", Bye.mp3', 'line one\nline two');
+
+        const csv = formatScanReportCsv(report);
+
+        expect(csv).toContain('"Say ""Hi"", Bye.mp3","line one\nline two"');
+    });
+
+    it('should keep spreadsheets from reading fields as formulas', () => {
+        const report = createScanReport();
+        addScanIssue(report, 'unreadable_file', '=HYPERLINK("x").mp3', '@SUM(1)');
+        addScanIssue(report, 'unreadable_file', '+1 Song.mp3', '-2 dB');
+
+        const csv = formatScanReportCsv(report);
+
+        expect(csv).toContain('"\'=HYPERLINK(""x"").mp3","\'@SUM(1)"');
+        expect(csv).toContain('"\'+1 Song.mp3","\'-2 dB"');
+    });
+});
+
+describe('formatBrokenSongsCsv', () => {
+    it('should write one row per song that failed to play', () => {
+        const csv = formatBrokenSongsCsv([{
+            reportedAt: '2026-10-19T22:15:00Z',
+            artist: 'Artist',
+            title: 'Title, Live',
+            filePath: 'Rock/Artist - Title.zip',
+            singer: null,
+            reason: 'Missing or corrupt CDG file'
+        }]);
+
+        expect(csv).toBe(
+            '"Time","Artist","Title","Path","Singer","Reason"\r\n' +
+            '"2026-10-19T22:15:00Z","Artist","Title, Live","Rock/Artist - Title.zip","","Missing or corrupt CDG file"\r\n'
+        );
+    });
+});
+
+describe('downloadScanReportCsv', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should download the report through a temporary link', () => {
+        const createObjectURL = vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:report');
+        const revokeObjectURL = vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+        let downloadName = null;
+        const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            downloadName = this.download;
+        });
+
+        downloadScanReportCsv(createScanReport(), 'issues.csv');
+
+        expect(createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+        expect(click).toHaveBeenCalledTimes(1);
+        expect(downloadName).toBe('issues.csv');
+        expect(revokeObjectURL).toHaveBeenCalledWith('blob:report');
+        expect(document.querySelector('a[download]')).toBe(null);
+    });
+});
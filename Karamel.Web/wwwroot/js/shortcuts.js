@@ -0,0 +1,147 @@
+// Keyboard shortcuts of the player
+// Hosts control the player tab from the keyboard or a remote that sends key presses while it is
+// fullscreen. Each action has one key; the map is saved in localStorage for this computer and
+// edited in PlayerView.
+
+const SHORTCUTS_KEY = 'karamel-shortcuts';
+
+/**
+ * Default key of every action, as KeyboardEvent.key values (letters in lower case)
+ */
+export const DEFAULT_SHORTCUTS = Object.freeze({
+    playPause: ' ',
+    skip: 'n',
+    restart: 'r',
+    seekBack: 'ArrowLeft',
+    seekForward: 'ArrowRight',
+    keyUp: '=',
+    keyDown: '-',
+    volumeUp: 'ArrowUp',
+    volumeDown: 'ArrowDown',
+    syncLater: ']',
+    syncEarlier: '[',
+    librarySyncLater: '}',
+    librarySyncEarlier: '{',
+    syncReset: '\\'
+});
+
+/**
+ * Normalize a KeyboardEvent.key for comparison
+ * Letters are compared in lower case, so Caps Lock does not matter; symbols typed with Shift
+ * (like { and }) keep their own key.
+ * @param {string} key
+ * @returns {string}
+ */
+export function normalizeKey(key) {
+    return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : (key || '');
+}
+
+/**
+ * Get the shortcut map of this computer
+ * @returns {Object<string, string>} Key of every action in DEFAULT_SHORTCUTS, empty if unassigned
+ */
+export function getShortcuts() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(SHORTCUTS_KEY) || '{}') || {};
+    } catch (error) {
+        saved = {};
+    }
+
+    const shortcuts = { ...DEFAULT_SHORTCUTS };
+    for (const action of Object.keys(DEFAULT_SHORTCUTS)) {
+        if (typeof saved[action] === 'string') {
+            shortcuts[action] = saved[action];
+        }
+    }
+    return shortcuts;
+}
+
+/**
+ * Assign a key to an action
+ * A key belongs to one action only, so another action that had it is left unassigned.
+ * @param {string} action - One of the DEFAULT_SHORTCUTS keys
+ * @param {string} key - KeyboardEvent.key, empty to unassign
+ * @returns {Object<string, string>} The saved map
+ */
+export function saveShortcut(action, key) {
+    const shortcuts = getShortcuts();
+    if (!(action in DEFAULT_SHORTCUTS)) {
+        return shortcuts;
+    }
+
+    const normalized = normalizeKey(key);
+    for (const other of Object.keys(shortcuts)) {
+        if (normalized && shortcuts[other] === normalized) {
+            shortcuts[other] = '';
+        }
+    }
+    shortcuts[action] = normalized;
+
+    try {
+        localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(shortcuts));
+    } catch (error) {
+        console.warn('Failed to save keyboard shortcuts:', error);
+    }
+    return shortcuts;
+}
+
+/**
+ * Go back to the default keys
+ * @returns {Object<string, string>}
+ */
+export function resetShortcuts() {
+    try {
+        localStorage.removeItem(SHORTCUTS_KEY);
+    } catch (error) {
+        console.warn('Failed to reset keyboard shortcuts:', error);
+    }
+    return { ...DEFAULT_SHORTCUTS };
+}
+
+/**
+ * Map a key press to a player action
+ * Keys typed into form fields and key combinations with Ctrl, Alt or Cmd are left to the page.
+ * @param {KeyboardEvent} event
+ * @param {Object<string, string>} [shortcuts] - Map from getShortcuts
+ * @returns {string|null} Action, or null if the key is not a shortcut
+ */
+export function getShortcutAction(event, shortcuts = DEFAULT_SHORTCUTS) {
+    if (event.ctrlKey || event.metaKey || event.altKey || isTextInput(event.target)) {
+        return null;
+    }
+
+    const key = normalizeKey(event.key);
+    if (!key) {
+        return null;
+    }
+    return Object.keys(shortcuts).find(action => shortcuts[action] === key) || null;
+}
+
+/**
+ * Wait for the next key press, to assign it to an action
+ * Listens on the window before the page, so the key press is not passed on to the player.
+ * Modifier keys alone are skipped.
+ * @returns {Promise<string|null>} Normalized key, or null if Escape was pressed
+ */
+export function captureShortcutKey() {
+    return new Promise(resolve => {
+        const listener = event => {
+            if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) {
+                return;
+            }
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            window.removeEventListener('keydown', listener, true);
+            resolve(event.key === 'Escape' ? null : normalizeKey(event.key));
+        };
+        window.addEventListener('keydown', listener, true);
+    });
+}
+
+function isTextInput(target) {
+    if (!target || !target.tagName) {
+        return false;
+    }
+    return ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable === true;
+}
@@ -0,0 +1,104 @@
+// Unit tests for the player's keyboard shortcut map
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    DEFAULT_SHORTCUTS,
+    normalizeKey,
+    getShortcuts,
+    saveShortcut,
+    resetShortcuts,
+    getShortcutAction,
+    captureShortcutKey
+} from './shortcuts.js';
+
+const key = (name, extra = {}) => ({ key: name, target: { tagName: 'BODY' }, ...extra });
+
+describe('normalizeKey', () => {
+    it('should lower-case letters and keep named keys', () => {
+        expect(normalizeKey('N')).toBe('n');
+        expect(normalizeKey('{')).toBe('{');
+        expect(normalizeKey('ArrowUp')).toBe('ArrowUp');
+        expect(normalizeKey(undefined)).toBe('');
+    });
+});
+
+describe('shortcut map', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should start with the default keys', () => {
+        expect(getShortcuts()).toEqual(DEFAULT_SHORTCUTS);
+    });
+
+    it('should save a key and take it away from the action that had it', () => {
+        saveShortcut('restart', 'N');
+
+        const shortcuts = getShortcuts();
+        expect(shortcuts.restart).toBe('n');
+        expect(shortcuts.skip).toBe('');
+        expect(shortcuts.playPause).toBe(' ');
+    });
+
+    it('should ignore unknown actions and saved values', () => {
+        localStorage.setItem('karamel-shortcuts', JSON.stringify({ skip: 'k', launch: 'x', restart: 5 }));
+
+        expect(saveShortcut('launch', 'x')).not.toHaveProperty('launch');
+        expect(getShortcuts()).toEqual({ ...DEFAULT_SHORTCUTS, skip: 'k' });
+    });
+
+    it('should ignore a corrupt saved value', () => {
+        localStorage.setItem('karamel-shortcuts', '{not json');
+
+        expect(getShortcuts()).toEqual(DEFAULT_SHORTCUTS);
+    });
+
+    it('should go back to the defaults', () => {
+        saveShortcut('skip', 'k');
+
+        expect(resetShortcuts()).toEqual(DEFAULT_SHORTCUTS);
+        expect(getShortcuts()).toEqual(DEFAULT_SHORTCUTS);
+    });
+});
+
+describe('getShortcutAction', () => {
+    it('should find the action of a key', () => {
+        expect(getShortcutAction(key(' '))).toBe('playPause');
+        expect(getShortcutAction(key('N'))).toBe('skip');
+        expect(getShortcutAction(key('ArrowDown'))).toBe('volumeDown');
+        expect(getShortcutAction(key('k'), { ...DEFAULT_SHORTCUTS, skip: 'k' })).toBe('skip');
+    });
+
+    it('should ignore other keys, combinations and typing in form fields', () => {
+        expect(getShortcutAction(key('q'))).toBeNull();
+        expect(getShortcutAction(key('r', { ctrlKey: true }))).toBeNull();
+        expect(getShortcutAction(key('n', { target: { tagName: 'TEXTAREA' } }))).toBeNull();
+        expect(getShortcutAction(key('n', { target: { tagName: 'DIV', isContentEditable: true } }))).toBeNull();
+    });
+
+    it('should not match unassigned actions', () => {
+        expect(getShortcutAction(key(''), { ...DEFAULT_SHORTCUTS, skip: '' })).toBeNull();
+    });
+});
+
+describe('captureShortcutKey', () => {
+    it('should return the next key without passing it on', async () => {
+        const passedOn = [];
+        const listener = event => passedOn.push(event.key);
+        document.addEventListener('keydown', listener);
+
+        const captured = captureShortcutKey();
+        document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Shift', bubbles: true }));
+        document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'K', bubbles: true }));
+        document.removeEventListener('keydown', listener);
+
+        expect(await captured).toBe('k');
+        expect(passedOn).toEqual(['Shift']);
+    });
+
+    it('should be cancelled with Escape', async () => {
+        const captured = captureShortcutKey();
+        document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+        expect(await captured).toBeNull();
+    });
+});
@@ -0,0 +1,172 @@
+// Minimal ZIP archive reader for zipped MP3+CDG karaoke songs
+// Reads the central directory to list entries and inflates single entries on demand
+// using the browser's DecompressionStream, so archives never have to be unpacked as a whole
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const EOCD_MIN_SIZE = 22;
+// EOCD record plus the largest possible archive comment
+const EOCD_SEARCH_SIZE = EOCD_MIN_SIZE + 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * List the file entries of a ZIP archive
+ * @param {Blob} blob - The archive (usually a File from the library directory)
+ * @returns {Promise<Array<{name: string, method: number, compressedSize: number, size: number, localHeaderOffset: number}>>}
+ */
+export async function readZipEntries(blob) {
+    const tailStart = Math.max(0, blob.size - EOCD_SEARCH_SIZE);
+    const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+
+    // The end-of-central-directory record sits at the very end, before an optional comment
+    let eocdOffset = -1;
+    for (let i = tail.byteLength - EOCD_MIN_SIZE; i >= 0; i--) {
+        if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+            eocdOffset = i;
+            break;
+        }
+    }
+
+    if (eocdOffset < 0) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const entryCount = tail.getUint16(eocdOffset + 10, true);
+    const directorySize = tail.getUint32(eocdOffset + 12, true);
+    const directoryOffset = tail.getUint32(eocdOffset + 16, true);
+
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+
+    const directory = new DataView(
+        await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer()
+    );
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    let offset = 0;
+    for (let i = 0; i < entryCount; i++) {
+        if (directory.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const method = directory.getUint16(offset + 10, true);
+        const compressedSize = directory.getUint32(offset + 20, true);
+        const size = directory.getUint32(offset + 24, true);
+        const nameLength = directory.getUint16(offset + 28, true);
+        const extraLength = directory.getUint16(offset + 30, true);
+        const commentLength = directory.getUint16(offset + 32, true);
+        const localHeaderOffset = directory.getUint32(offset + 42, true);
+        const name = decoder.decode(
+            new Uint8Array(directory.buffer, directory.byteOffset + offset + 46, nameLength)
+        );
+
+        // Directory entries end with a slash and carry no data
+        if (!name.endsWith('/')) {
+            entries.push({ name, method, compressedSize, size, localHeaderOffset });
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Extract a single entry from a ZIP archive
+ * @param {Blob} blob - The archive
+ * @param {{name: string, method: number, compressedSize: number, localHeaderOffset: number}} entry - Entry from readZipEntries
+ * @returns {Promise<Uint8Array>} Uncompressed entry data
+ */
+export async function extractZipEntry(blob, entry) {
+    const header = new DataView(
+        await blob.slice(entry.localHeaderOffset, entry.localHeaderOffset + 30).arrayBuffer()
+    );
+
+    if (header.byteLength < 30 || header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+    }
+
+    // The local header has its own name/extra lengths, which may differ from the central directory
+    const dataStart = entry.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    const compressed = blob.slice(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) {
+        return new Uint8Array(await compressed.arrayBuffer());
+    }
+
+    if (entry.method === METHOD_DEFLATE) {
+        return inflateRaw(new Uint8Array(await compressed.arrayBuffer()), entry.size);
+    }
+
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+}
+
+/**
+ * Inflate raw deflate data with DecompressionStream
+ * @param {Uint8Array} data - Compressed bytes
+ * @param {number} size - Expected uncompressed size
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(data, size) {
+    const decompressor = new DecompressionStream('deflate-raw');
+    const writer = decompressor.writable.getWriter();
+    const writing = writer.write(data).then(() => writer.close());
+
+    // Corrupt data fails the write as well as the read, so both are awaited together
+    const [, output] = await Promise.all([writing, readInflated(decompressor.readable, size)]);
+    return output;
+}
+
+/**
+ * Read the output of a DecompressionStream
+ * @param {ReadableStream<Uint8Array>} readable
+ * @param {number} size - Expected uncompressed size
+ * @returns {Promise<Uint8Array>}
+ */
+async function readInflated(readable, size) {
+    const output = new Uint8Array(size);
+    const reader = readable.getReader();
+    let length = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        if (length + value.length > output.length) {
+            reader.cancel().catch(() => {});
+            throw new Error('ZIP entry is larger than its declared size');
+        }
+        output.set(value, length);
+        length += value.length;
+    }
+
+    return output.subarray(0, length);
+}
+
+/**
+ * Find the MP3 and CDG entries of a zipped karaoke song
+ * The MP3 and CDG must have the same basename, like an unpacked pair
+ * @param {Array<{name: string}>} entries - Entries from readZipEntries
+ * @returns {{mp3: object, cdg: object}|null} Matching entries, or null if the archive has no MP3/CDG pair
+ */
+export function findKaraokeEntries(entries) {
+    const mp3Entries = entries.filter(e => e.name.toLowerCase().endsWith('.mp3'));
+    const cdgEntries = entries.filter(e => e.name.toLowerCase().endsWith('.cdg'));
+
+    for (const mp3 of mp3Entries) {
+        const baseName = mp3.name.slice(0, -4).toLowerCase();
+        const cdg = cdgEntries.find(e => e.name.slice(0, -4).toLowerCase() === baseName);
+        if (cdg) {
+            return { mp3, cdg };
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,162 @@
+// Unit tests for the ZIP reader used for zipped MP3+CDG songs
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'zlib';
+import { readZipEntries, extractZipEntry, findKaraokeEntries } from './zipReader.js';
+
+/**
+ * Build a ZIP archive in memory
+ * @param {Object<string, string>} files - Entry name -> text content
+ * @param {object} options
+ * @param {boolean} options.deflate - Compress entries with deflate instead of storing them
+ * @param {string} options.comment - Archive comment appended after the EOCD record
+ * @returns {Blob}
+ */
+function createZip(files, { deflate = false, comment = '' } = {}) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [name, content] of Object.entries(files)) {
+        const nameBytes = encoder.encode(name);
+        const raw = encoder.encode(content);
+        const data = deflate ? new Uint8Array(deflateRawSync(raw)) : raw;
+        const method = deflate ? 8 : 0;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(8, method, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, raw.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(10, method, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, raw.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const directorySize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const commentBytes = encoder.encode(comment);
+    const eocd = new DataView(new ArrayBuffer(22));
+    eocd.setUint32(0, 0x06054b50, true);
+    eocd.setUint16(8, Object.keys(files).length, true);
+    eocd.setUint16(10, Object.keys(files).length, true);
+    eocd.setUint32(12, directorySize, true);
+    eocd.setUint32(16, offset, true);
+    eocd.setUint16(20, commentBytes.length, true);
+
+    return new Blob([...localParts, ...centralParts, new Uint8Array(eocd.buffer), commentBytes]);
+}
+
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+describe('readZipEntries', () => {
+    it('should list all file entries with their sizes', async () => {
+        const zip = createZip({
+            'Artist - Song.mp3': 'mp3 data',
+            'Artist - Song.cdg': 'cdg data!'
+        });
+
+        const entries = await readZipEntries(zip);
+
+        expect(entries).toHaveLength(2);
+        expect(entries[0].name).toBe('Artist - Song.mp3');
+        expect(entries[0].size).toBe(8);
+        expect(entries[1].name).toBe('Artist - Song.cdg');
+        expect(entries[1].size).toBe(9);
+    });
+
+    it('should skip directory entries', async () => {
+        const zip = createZip({
+            'Song/': '',
+            'Song/track.mp3': 'mp3'
+        });
+
+        const entries = await readZipEntries(zip);
+
+        expect(entries.map(e => e.name)).toEqual(['Song/track.mp3']);
+    });
+
+    it('should find the directory when the archive has a comment', async () => {
+        const zip = createZip({ 'a.mp3': 'x' }, { comment: 'Ripped by someone' });
+
+        const entries = await readZipEntries(zip);
+
+        expect(entries).toHaveLength(1);
+    });
+
+    it('should reject files that are not ZIP archives', async () => {
+        const notZip = new Blob([new TextEncoder().encode('definitely not a zip archive')]);
+
+        await expect(readZipEntries(notZip)).rejects.toThrow('Not a ZIP archive');
+    });
+});
+
+describe('extractZipEntry', () => {
+    it('should extract stored entries', async () => {
+        const zip = createZip({ 'a.mp3': 'stored mp3', 'a.cdg': 'stored cdg' });
+        const entries = await readZipEntries(zip);
+
+        expect(decode(await extractZipEntry(zip, entries[0]))).toBe('stored mp3');
+        expect(decode(await extractZipEntry(zip, entries[1]))).toBe('stored cdg');
+    });
+
+    it('should inflate deflated entries', async () => {
+        const content = 'la la la '.repeat(200);
+        const zip = createZip({ 'a.mp3': content }, { deflate: true });
+        const entries = await readZipEntries(zip);
+
+        expect(entries[0].compressedSize).toBeLessThan(content.length);
+        expect(decode(await extractZipEntry(zip, entries[0]))).toBe(content);
+    });
+
+    it('should reject unsupported compression methods', async () => {
+        const zip = createZip({ 'a.mp3': 'x' });
+        const [entry] = await readZipEntries(zip);
+
+        await expect(extractZipEntry(zip, { ...entry, method: 14 })).rejects.toThrow('Unsupported ZIP compression method 14');
+    });
+
+    it('should reject entries with a corrupt local header', async () => {
+        const zip = createZip({ 'a.mp3': 'x' });
+        const [entry] = await readZipEntries(zip);
+
+        await expect(extractZipEntry(zip, { ...entry, localHeaderOffset: 5 })).rejects.toThrow('Corrupt ZIP entry');
+    });
+
+    it('should reject entries whose deflated data is corrupt', async () => {
+        const zip = createZip({ 'a.mp3': 'la la la '.repeat(200) }, { deflate: true });
+        const [entry] = await readZipEntries(zip);
+
+        await expect(extractZipEntry(zip, { ...entry, compressedSize: 10 })).rejects.toThrow();
+    });
+});
+
+describe('findKaraokeEntries', () => {
+    it('should pair MP3 and CDG entries with the same basename', () => {
+        const result = findKaraokeEntries([
+            { name: 'other.cdg' },
+            { name: 'Song.MP3' },
+            { name: 'song.cdg' }
+        ]);
+
+        expect(result.mp3.name).toBe('Song.MP3');
+        expect(result.cdg.name).toBe('song.cdg');
+    });
+
+    it('should return null when the MP3 and CDG basenames differ', () => {
+        expect(findKaraokeEntries([{ name: 'track01.mp3' }, { name: 'graphics.cdg' }])).toBe(null);
+    });
+
+    it('should return null if the archive has no CDG', () => {
+        expect(findKaraokeEntries([{ name: 'song.mp3' }, { name: 'cover.jpg' }])).toBe(null);
+    });
+});